@@ -76,6 +76,9 @@ async function main() {
     console.log("Or use the npm script:");
     console.log("  npm run clear:readings");
     console.log("");
+    console.log("To only remove old data, use the retention rules instead:");
+    console.log("  npm run retention:dry-run");
+    console.log("");
     process.exit(0);
   }
 
@@ -1,10 +1,37 @@
 const { PrismaClient } = require('@prisma/client');
 const Papa = require('papaparse');
 const fs = require('fs');
+const {
+  DuplicatePolicies,
+  READING_FIELDS,
+  resolveDuplicatePolicy,
+  duplicateUpdate,
+} = require('./src/database/DuplicatePolicies');
 
 const prisma = new PrismaClient();
 
-async function importPowerReadingsUpsert() {
+// Re-importing is safe: rows are matched on station + timestamp, and a row that
+// already exists is resolved with --policy first|last|merge (default merge)
+function parsePolicy(args) {
+  const index = args.indexOf('--policy');
+  if (index < 0) {
+    return DuplicatePolicies.MERGE;
+  }
+  if (!args[index + 1] || args[index + 1].startsWith('--')) {
+    throw new Error('--policy needs a value');
+  }
+  return resolveDuplicatePolicy(args[index + 1]);
+}
+
+function showUsage() {
+  console.log(`Usage: node import_power.js [--policy ${Object.values(DuplicatePolicies).join('|')}]\n`);
+  console.log('Imports power_readings.csv. When a station already has a reading at the same timestamp:');
+  console.log(`  ${DuplicatePolicies.KEEP_FIRST.padEnd(6)} - keep the stored reading`);
+  console.log(`  ${DuplicatePolicies.KEEP_LAST.padEnd(6)} - replace it with the imported row`);
+  console.log(`  ${DuplicatePolicies.MERGE.padEnd(6)} - take the row's values, keep stored values where the row is empty (default)`);
+}
+
+async function importPowerReadingsUpsert(policy) {
   try {
     // Read the CSV file
     const csvFile = fs.readFileSync('power_readings.csv', 'utf8');
@@ -16,7 +43,7 @@ async function importPowerReadingsUpsert() {
       dynamicTyping: true,
     });
 
-    console.log(`Found ${data.length} power readings to import`);
+    console.log(`Found ${data.length} power readings to import (duplicates: ${policy})`);
 
     let successCount = 0;
     let errorCount = 0;
@@ -25,37 +52,22 @@ async function importPowerReadingsUpsert() {
       const row = data[i];
       
       try {
+        const timestamp = row.timestamp ? new Date(row.timestamp) : new Date();
+        const values = {};
+        READING_FIELDS.forEach((field) => {
+          values[field] = row[field] ?? null;
+        });
+
         await prisma.powerReading.upsert({
-          where: { id: row.id },
-          update: {
-            stationId: row.stationId,
-            timestamp: row.timestamp ? new Date(row.timestamp) : new Date(),
-            activePower1: row.activePower1 ?? null,
-            activePower2: row.activePower2 ?? null,
-            activePower3: row.activePower3 ?? null,
-            activePower4: row.activePower4 ?? null,
-            activePower5: row.activePower5 ?? null,
-            activePower6: row.activePower6 ?? null,
-            muxPower1: row.muxPower1 ?? null,
-            muxPower2: row.muxPower2 ?? null,
-            muxPower3: row.muxPower3 ?? null,
-            muxPower4: row.muxPower4 ?? null,
-            createdAt: row.createdAt ? new Date(row.createdAt) : new Date(),
+          where: {
+            stationId_timestamp: { stationId: row.stationId, timestamp },
           },
+          update: duplicateUpdate(values, policy),
           create: {
             id: row.id,
             stationId: row.stationId,
-            timestamp: row.timestamp ? new Date(row.timestamp) : new Date(),
-            activePower1: row.activePower1 ?? null,
-            activePower2: row.activePower2 ?? null,
-            activePower3: row.activePower3 ?? null,
-            activePower4: row.activePower4 ?? null,
-            activePower5: row.activePower5 ?? null,
-            activePower6: row.activePower6 ?? null,
-            muxPower1: row.muxPower1 ?? null,
-            muxPower2: row.muxPower2 ?? null,
-            muxPower3: row.muxPower3 ?? null,
-            muxPower4: row.muxPower4 ?? null,
+            timestamp,
+            ...values,
             createdAt: row.createdAt ? new Date(row.createdAt) : new Date(),
           },
         });
@@ -84,5 +96,18 @@ async function importPowerReadingsUpsert() {
   }
 }
 
+async function main() {
+  let policy;
+  try {
+    policy = parsePolicy(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    showUsage();
+    process.exit(1);
+  }
+
+  await importPowerReadingsUpsert(policy);
+}
+
 // Run the import
-importPowerReadingsUpsert();
\ No newline at end of file
+main();
\ No newline at end of file
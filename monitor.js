@@ -1,7 +1,21 @@
-const WebSocket = require("ws");
 const DatabaseService = require("./src/database/DatabaseService");
 const ApiDataFetcher = require("./src/api/ApiDataFetcher");
-const { spawn } = require("child_process");
+const CometClient = require("./src/comet/CometClient");
+const ReconnectPolicy = require("./src/comet/ReconnectPolicy");
+const SyncWatchdog = require("./src/comet/SyncWatchdog");
+const ObjectSyncTracker = require("./src/comet/ObjectSyncTracker");
+const StationEventTypes = require("./src/database/StationEventTypes");
+const { FIELD_LABELS } = require("./src/database/FieldLabels");
+const { DEFAULT_OBJECT_FIELDS } = require("./src/database/ObjectMapping");
+const RollupService = require("./src/services/RollupService");
+const RetentionService = require("./src/services/RetentionService");
+const ApiServer = require("./src/server/ApiServer");
+const LiveFeed = require("./src/server/LiveFeed");
+const AlertEngine = require("./src/alerts/AlertEngine");
+const NotificationService = require("./src/alerts/NotificationService");
+const OffAirDetector = require("./src/services/OffAirDetector");
+const MaintenanceSchedule = require("./src/services/MaintenanceSchedule");
+const ReadingSpool = require("./src/services/ReadingSpool");
 
 // ==================== Configuration ====================
 // Default/fallback station configurations (used if database is unavailable)
@@ -21,6 +35,11 @@ const defaultStations = [
     ip: "ws://10.3.1.5/ws",
     scene: "d0cf3a77-e9dd-4419-bec0-b54ecad3e541",
   },
+  {
+    name: "เชียงใหม่",
+    ip: "ws://10.7.1.5/ws",
+    scene: "d0cf3a77-e9dd-4419-bec0-b54ecad3e541",
+  },
 ];
 
 const config = {
@@ -42,115 +61,138 @@ const config = {
   ],
   updateRate: 3000, // 3 sec
   connectionTimeout: 10000, // 10 seconds
-  reconnectInterval: 5000, // 5 seconds
-  maxReconnectAttempts: 5,
+  reconnect: {
+    initialDelay: 5000, // 5 seconds before the first retry
+    maxDelay: 300000, // Never wait more than 5 minutes between retries
+    multiplier: 2,
+    jitter: 0.2, // ±20% so stations behind one link don't retry in lockstep
+    downAfterAttempts: 5, // Report the station as "down" after this many failed retries
+  },
+  watchdog: {
+    maxMissedIntervals: 10, // Re-initialise the session after 10 silent update intervals
+  },
+  reload: {
+    enabled: true, // Apply station and StationMonitoredObject changes from the database without a restart
+    intervalMs: 60000, // Check for changes every minute
+  },
+  objectTracking: {
+    graceIntervals: 20, // Flag registered objects still missing / null from sync after 20 update intervals
+  },
+  rollup: {
+    enabled: true, // Maintain 1m/1h/1d rollup tables in the background
+    intervalMs: 60000, // Roll up completed buckets every minute
+  },
+  retention: {
+    enabled: true, // Prune by the rules in RetentionRule (see npm run retention)
+    intervalMs: 6 * 60 * 60 * 1000, // Every 6 hours
+    vacuum: true, // VACUUM SQLite after deleting rows
+  },
+  alerts: {
+    enabled: true, // Evaluate the rules in AlertRule (see npm run alerts)
+    tickMs: 15000, // Re-check rules that depend on time passing
+    notifiers: process.env.NOTIFIERS_CONFIG || "notifiers.json", // Notification channels (see notifiers.example.json)
+  },
+  offAir: {
+    enabled: true, // Record off-air incidents on normally loaded channels (see npm run stations:offair)
+    tickMs: 15000,
+  },
+  spool: {
+    enabled: process.env.SPOOL_ENABLED !== "false", // Readings go through an on-disk spool so database outages lose nothing
+    path: process.env.SPOOL_PATH || "spool/readings.jsonl",
+    flushMs: 10000,
+  },
+  database: {
+    retryMs: 60000, // Keep trying to connect when the database is unavailable at start
+  },
+  api: {
+    enabled: process.env.API_ENABLED === "true", // Read-only REST API and live feed (see API.md), opt-in
+    port: Number(process.env.API_PORT || 3000),
+    host: process.env.API_HOST || "127.0.0.1", // Set 0.0.0.0 to serve other machines
+  },
   cycleDelay: 60000, // 30 seconds per station
 };
 
 // ==================== Station Monitor Class ====================
 class StationMonitor {
-  constructor(stationConfig, databaseService = null) {
+  constructor(stationConfig, databaseService = null, liveFeed = null, spool = null) {
     this.config = stationConfig;
-    this.ws = null;
+    this.client = null; // CometClient for the current connection
     this.USID = null;
     this.isConnected = false;
-    this.reconnectAttempts = 0;
+    this.reconnectPolicy = new ReconnectPolicy(config.reconnect);
+    this.watchdog = new SyncWatchdog({
+      updateRate: config.updateRate,
+      ...config.watchdog,
+    });
+    this.watchdog.on("stall", (stall) => this.handleStall(stall));
+    this.objectTracker = new ObjectSyncTracker({
+      updateRate: config.updateRate,
+      ...config.objectTracking,
+    });
+    this.objectTracker.on("drift", (drift) => this.handleObjectDrift(drift));
+    this.objectTracker.on("restored", (restored) =>
+      this.handleObjectRestored(restored)
+    );
+    this.reinitializing = false;
+    this.events = []; // Recent connection/session events
     this.dataBuffer = {};
     this.lastUpdate = null;
     this.databaseService = databaseService;
     this.stationRecord = null; // Database station record
-    this.pendingData = []; // Buffer for batch database operations
+    this.spool = spool; // Write-ahead spool, flushed to the database in batches
     this.lastDbSave = null;
     this.dbSaveInterval = 10000; // Save to DB every 10 seconds
     this.monitoredObjects = []; // Dynamic monitored objects for this station
     this.objectLabels = {}; // Labels for display
+    this.objectFields = {}; // objectId -> reading field (activePower1, muxPower3, ...)
+    this.liveFeed = liveFeed;
   }
 
   // Connect to WebSocket
   async connect() {
-    return new Promise((resolve, reject) => {
-      console.log(`\n[${this.config.name}] กำลังเชื่อมต่อ: ${this.config.ip}`);
-
-      // เพิ่ม headers เหมือน browser
-      const wsOptions = {
-        headers: {
-          Connection: "Upgrade",
-          Upgrade: "websocket",
-          Origin: "*",
-          "User-Agent":
-            "Mozilla/5.0 (Linux; Android 8.0.0; SM-G955U Build/R16NW) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Mobile Safari/537.36",
-          "Accept-Language": "en-US,en;q=0.9",
-          "Cache-Control": "no-cache",
-          Pragma: "no-cache",
-        },
-        perMessageDeflate: false,
-        handshakeTimeout: config.connectionTimeout,
-      };
-
-      this.ws = new WebSocket(this.config.ip, wsOptions);
+    console.log(`\n[${this.config.name}] กำลังเชื่อมต่อ: ${this.config.ip}`);
 
-      const timeout = setTimeout(() => {
-        reject(new Error("Connection timeout"));
-      }, config.connectionTimeout);
+    // Drop any previous connection without triggering its reconnect handler
+    this.closeClient();
 
-      this.ws.on("open", () => {
-        clearTimeout(timeout);
-        console.log(`[${this.config.name}] ✓ เชื่อมต่อสำเร็จ`);
-        this.isConnected = true;
-        this.reconnectAttempts = 0;
-        resolve();
-      });
-
-      this.ws.on("error", (error) => {
-        clearTimeout(timeout);
-        console.error(`[${this.config.name}] ✗ Error:`, error.message);
-        reject(error);
-      });
-
-      this.ws.on("close", () => {
-        console.log(`[${this.config.name}] การเชื่อมต่อปิด`);
-        this.isConnected = false;
-        this.handleReconnect();
-      });
+    this.client = new CometClient({
+      name: this.config.name,
+      url: this.config.ip,
+      connectionTimeout: config.connectionTimeout,
     });
-  }
 
-  // Send data with promise
-  sendData(data) {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-          this.ws.send(JSON.stringify(data) + "\n");
-          resolve({ success: true });
-        } else {
-          reject(new Error("WebSocket is not open"));
-        }
-      }, 1000);
+    this.client.on("error", (error) => {
+      console.error(`[${this.config.name}] ✗ Error:`, error.message);
     });
-  }
 
-  // Wait for specific message
-  waitForMessage(validator) {
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error("Message timeout"));
-      }, 5000);
-
-      const handler = (data) => {
-        try {
-          const msg = JSON.parse(data);
-          if (validator(msg)) {
-            clearTimeout(timeout);
-            this.ws.removeListener("message", handler);
-            resolve(msg);
-          }
-        } catch (error) {
-          // Continue listening
-        }
-      };
+    this.client.on("close", () => {
+      console.log(`[${this.config.name}] การเชื่อมต่อปิด`);
+      this.watchdog.stop();
+      this.objectTracker.stop();
+      if (this.isConnected) {
+        this.recordEvent(StationEventTypes.DISCONNECTED, "WebSocket connection closed");
+      }
+      this.isConnected = false;
+      this.USID = null;
+      this.handleReconnect(new Error("Connection closed"));
+    });
 
-      this.ws.on("message", handler);
+    this.client.on("sync", (syncData) => {
+      this.watchdog.recordSync();
+      this.objectTracker.record(syncData);
+      this.updateData(syncData);
     });
+
+    try {
+      await this.client.connect();
+    } catch (error) {
+      this.recordEvent(StationEventTypes.CONNECT_FAILED, error.message, {
+        errorCode: error.code,
+      });
+      throw error;
+    }
+    console.log(`[${this.config.name}] ✓ เชื่อมต่อสำเร็จ`);
+    this.isConnected = true;
   }
 
   // Initialize session
@@ -161,147 +203,188 @@ class StationMonitor {
       // IMPORTANT: Initialize station and load monitored objects FIRST
       await this.initializeStationInDatabase();
 
-      // Step 1: Sign In (changed from restoreSession)
-      const signInData = {
-        id: 0,
-        // method: "comet.restoreSession",
-        // method: "comet.signIn", //"comet.restoreSession"
-        method: "comet.signIn",
-        params: [
-          { $class: "com.wcs.comet.shared.CoreGTLoginContext" },
-          // uuids[UserAgent_IP],
-          "Admin",
-          "admin",
-          // "Admin","admin", uuids[UserAgent_IP]
-          {
-            $className: "com.wcs.comet.shared.ClientInfo",
-            userLevel: -1,
-            ConnectionTimeStamp: 0,
-            DataTimeout: 0,
-            IpAddress: null,
-            Protocol: null,
-            ProtocolVersion: 0,
-            SID: -1,
-            USID: null,
-            UserAgent: "GWT Comet Client",
-            UserAgentVersion: 2,
-            UserLevel: -1,
-            UserName: "WebApp Client",
-            Admin: false,
-            Guest: false,
-            Logged: false,
-          },
-          30,
-          30,
-        ],
-      };
-
-      await this.sendData(signInData);
-      const sessionResponse = await this.waitForMessage(
-        (msg) => msg.id === 0 && msg.result?.USID
-      );
-      this.USID = sessionResponse.result.USID;
+      // Step 1: Sign In
+      this.USID = await this.client.signIn();
       console.log(
         `[${this.config.name}] ✓ ได้รับ USID: ${this.USID.substring(0, 10)}...`
       );
 
       // Step 2: Subscribe Notification
-      await this.sendData({
-        id: 1,
-        method: "comet.subscribeNotification",
-        params: [this.USID, "ScriptEngine", { displayName: "Admin" }],
-      });
-      await this.waitForMessage((msg) => msg.id === 1 && msg.result === true);
+      await this.client.subscribeNotification();
       console.log(`[${this.config.name}] ✓ Subscribe สำเร็จ`);
 
       // Step 3: Set Update Rate
-      await this.sendData({
-        id: 2,
-        method: "ScriptEngine.setUpdateRate",
-        params: [this.USID, config.updateRate],
-      });
-      await this.waitForMessage((msg) => msg.id === 2 && msg.result === true);
+      await this.client.setUpdateRate(config.updateRate);
       console.log(
         `[${this.config.name}] ✓ ตั้งค่า Update Rate: ${config.updateRate}ms`
       );
 
       // Step 4-6: Load Scripts and Scene
-      await this.sendData({
-        id: 3,
-        method: "ScriptEngine.loadScriptInfo",
-        params: [],
-      });
-      await this.waitForMessage((msg) => msg.id === 3);
-
-      await this.sendData({
-        id: 4,
-        method: "ScriptEngine.loadDashboards",
-        params: [],
-      });
-      await this.waitForMessage((msg) => msg.id === 4);
-
-      await this.sendData({
-        id: 5,
-        method: "ScriptEngine.loadScriptInfo",
-        params: [],
-      });
-      await this.waitForMessage((msg) => msg.id === 5);
-
-      await this.sendData({
-        id: 6,
-        method: "ScriptEngine.loadScene",
-        params: [this.config.scene],
-      });
-      await this.waitForMessage((msg) => msg.id === 6);
+      await this.client.loadScriptInfo();
+      await this.client.loadDashboards();
+      await this.client.loadScriptInfo();
+      await this.client.loadScene(this.config.scene);
       console.log(`[${this.config.name}] ✓ โหลด Scene สำเร็จ`);
 
-      // Step 7: Register Active Objects (use station-specific objects loaded earlier)
-      // Step 7: Register Active Objects (use specific object list)
       // Step 7: Register Active Objects (use station-specific objects loaded earlier)
       console.log(
         `[${
           this.config.name
         }] 📋 Using monitored objects: [${this.monitoredObjects.join(", ")}]`
       );
-      await this.sendData({
-        id: 7,
-        method: "ScriptEngine.registerActiveObjects",
-        params: [this.USID, [...this.monitoredObjects, -1]],
-      });
-      await this.waitForMessage((msg) => msg.id === 7 && msg.result === true);
+      await this.client.registerActiveObjects(this.monitoredObjects);
       console.log(
         `[${this.config.name}] ✓ ลงทะเบียน Objects สำเร็จ (${this.monitoredObjects.length} items)`
       );
 
       // Start monitoring
+      this.reconnectPolicy.recordConnected();
+      this.watchdog.start();
+      this.objectTracker.start(this.monitoredObjects);
+      this.recordEvent(
+        StationEventTypes.CONNECTED,
+        `Session established (${this.monitoredObjects.length} objects)`
+      );
       this.startMonitoring();
     } catch (error) {
       console.error(
         `[${this.config.name}] ✗ เกิดข้อผิดพลาดในการเริ่มต้น:`,
-        error.message
+        error.code ? `[${error.code}] ${error.message}` : error.message
       );
+      this.recordEvent(StationEventTypes.HANDSHAKE_FAILED, error.message, {
+        errorCode: error.code,
+      });
       throw error;
     }
   }
 
-  // Start real-time monitoring
-  startMonitoring() {
-    console.log(`[${this.config.name}] 🔄 เริ่มการ Monitor แบบ Real-time\n`);
+  // Re-run loadScene/registerActiveObjects on the open connection
+  async reinitializeSession() {
+    await this.client.loadScene(this.config.scene);
+    await this.client.registerActiveObjects(this.monitoredObjects);
+    this.objectTracker.start(this.monitoredObjects);
+    console.log(
+      `[${this.config.name}] ✓ ลงทะเบียน Objects ใหม่สำเร็จ (${this.monitoredObjects.length} items)`
+    );
+  }
 
-    this.ws.on("message", (data) => {
-      try {
-        const msg = JSON.parse(data);
+  // Handle a stalled sync stream reported by the watchdog
+  async handleStall({ silentForMs, missedIntervals }) {
+    if (this.reinitializing || !this.client) {
+      return;
+    }
 
-        if (msg.notification && msg.notification.provider === "ScriptEngine") {
-          const syncData = msg.notification.value?.sync;
-          if (syncData) {
-            this.updateData(syncData);
-          }
-        }
-      } catch (error) {
-        // Ignore parse errors
+    const message = `No sync for ${Math.round(
+      silentForMs / 1000
+    )}s (${missedIntervals} missed intervals)`;
+    console.warn(
+      `[${this.config.name}] ⚠️  ${message} - re-initialising session`
+    );
+    this.recordEvent(StationEventTypes.SYNC_STALL, message);
+
+    this.reinitializing = true;
+    try {
+      await this.reinitializeSession();
+    } catch (error) {
+      console.error(
+        `[${this.config.name}] ✗ Session re-initialisation failed:`,
+        error.message
+      );
+      this.recordEvent(StationEventTypes.SESSION_REINIT_FAILED, error.message, {
+        errorCode: error.code,
+      });
+
+      // Drop the connection so the reconnect policy starts a fresh session
+      if (this.client) {
+        this.client.close();
       }
-    });
+    } finally {
+      this.reinitializing = false;
+    }
+  }
+
+  // Handle a registered object that never reports or only reports nulls
+  handleObjectDrift({ objectId, status, lastValueAt }) {
+    const label = this.objectLabels[objectId] || `ID ${objectId}`;
+    const message =
+      status === "missing"
+        ? `Object ${objectId} (${label}) is registered but never appears in sync data`
+        : `Object ${objectId} (${label}) reports no value${
+            lastValueAt ? ` since ${lastValueAt.toISOString()}` : ""
+          }`;
+    console.warn(
+      `[${this.config.name}] ⚠️  ${message} - check the station's object mapping`
+    );
+    this.recordEvent(
+      status === "missing"
+        ? StationEventTypes.OBJECT_MISSING
+        : StationEventTypes.OBJECT_NULL,
+      message,
+      { objectId }
+    );
+  }
+
+  // Handle a flagged object reporting values again
+  handleObjectRestored({ objectId, previousStatus }) {
+    const label = this.objectLabels[objectId] || `ID ${objectId}`;
+    const message = `Object ${objectId} (${label}) reports values again (was ${previousStatus})`;
+    console.log(`[${this.config.name}] ✓ ${message}`);
+    this.recordEvent(StationEventTypes.OBJECT_RESTORED, message, { objectId });
+  }
+
+  // Record a connection/session event (kept in memory and persisted to StationEvent)
+  recordEvent(type, message, details = {}) {
+    const event = {
+      type,
+      station: this.config.name,
+      timestamp: new Date(),
+      message,
+      ...details,
+    };
+
+    this.events.push(event);
+    if (this.events.length > 100) {
+      this.events.shift();
+    }
+
+    this.persistEvent(event);
+    return event;
+  }
+
+  // Write an event to the database (never throws)
+  async persistEvent(event) {
+    if (!this.databaseService) {
+      return;
+    }
+
+    try {
+      // Connection failures can happen before the session initialised the station record
+      if (!this.stationRecord) {
+        this.stationRecord = await this.databaseService.findOrCreateStation(
+          this.config
+        );
+      }
+
+      await this.databaseService.createStationEvent({
+        stationId: this.stationRecord.id,
+        type: event.type,
+        timestamp: event.timestamp,
+        message: event.message,
+        errorCode: event.errorCode,
+        objectId: event.objectId,
+        source: "websocket",
+      });
+    } catch (error) {
+      console.error(
+        `[${this.config.name}] ❌ Failed to record ${event.type} event:`,
+        error.message
+      );
+    }
+  }
+
+  // Start real-time monitoring (sync notifications are routed to updateData by the client)
+  startMonitoring() {
+    console.log(`[${this.config.name}] 🔄 เริ่มการ Monitor แบบ Real-time\n`);
   }
 
   // Initialize station in database and load monitored objects
@@ -334,6 +417,23 @@ class StationMonitor {
     }
   }
 
+  // Use a database that connected after the monitor started. Monitored objects
+  // are compared by the next configuration reload, which re-registers changes.
+  async attachDatabase(databaseService) {
+    this.databaseService = databaseService;
+    try {
+      this.stationRecord = await databaseService.findOrCreateStation(this.config);
+      console.log(
+        `[${this.config.name}] 💾 Database station initialized: ${this.stationRecord.id}`
+      );
+    } catch (error) {
+      console.error(
+        `[${this.config.name}] ❌ Failed to initialize station in database:`,
+        error.message
+      );
+    }
+  }
+
   // Load monitored objects for this station
   async loadMonitoredObjects() {
     try {
@@ -388,35 +488,72 @@ class StationMonitor {
     // If we have object mapping from database, create more specific labels
     if (objectMap) {
       this.objectLabels = {};
+      this.objectFields = {};
       Object.entries(objectMap).forEach(([objectType, objectId]) => {
-        // Create label based on object type
-        const typeLabels = {
-          activePower1: "Active Power 1",
-          activePower2: "Active Power 2",
-          activePower3: "Active Power 3",
-          activePower4: "Active Power 4",
-          activePower5: "Active Power 5",
-          activePower6: "Active Power 6",
-          muxPower1: "MUX#1 Power Meter",
-          muxPower2: "MUX#2 Power Meter",
-          muxPower3: "MUX#3 Power Meter",
-          muxPower4: "MUX#4 Power Meter",
-          muxPower5: "MUX#5 Power Meter",
-          muxPower6: "MUX#6 Power Meter",
-        };
+        this.objectFields[objectId] = objectType;
 
+        // Create label based on object type
         this.objectLabels[objectId] =
-          typeLabels[objectType] || `${objectType} (ID ${objectId})`;
+          FIELD_LABELS.en[objectType] || `${objectType} (ID ${objectId})`;
       });
     } else {
       this.objectLabels = defaultLabels;
+      this.objectFields = { ...DEFAULT_OBJECT_FIELDS };
+    }
+  }
+
+  // Apply a changed StationMonitoredObject mapping to the running monitor and
+  // re-register the objects if a session is open. Returns null when nothing changed.
+  async updateMonitoredObjects(monitoredData) {
+    const custom = monitoredData.count > 0;
+    const objectIds = custom
+      ? monitoredData.objectIds
+      : [...config.monitoredObjects];
+    const objectFields = custom
+      ? Object.fromEntries(
+          Object.entries(monitoredData.objectMap).map(([objectType, objectId]) => [
+            objectId,
+            objectType,
+          ])
+        )
+      : DEFAULT_OBJECT_FIELDS;
+
+    const added = objectIds.filter((id) => !this.monitoredObjects.includes(id));
+    const removed = this.monitoredObjects.filter((id) => !objectIds.includes(id));
+    const remapped = objectIds.filter(
+      (id) =>
+        this.monitoredObjects.includes(id) &&
+        this.objectFields[id] !== objectFields[id]
+    );
+    if (added.length + removed.length + remapped.length === 0) {
+      return null;
+    }
+
+    // Register before taking the new objects over: if registration fails the
+    // next reload still sees the difference and tries again
+    const registered = Boolean(this.client && this.USID);
+    if (registered) {
+      await this.client.registerActiveObjects(objectIds);
+    }
+
+    this.monitoredObjects = [...objectIds];
+    this.setupObjectLabels(custom ? monitoredData.objectMap : null);
+    removed.forEach((id) => delete this.dataBuffer[id]);
+
+    if (registered) {
+      this.objectTracker.start(this.monitoredObjects);
+      console.log(
+        `[${this.config.name}] ✓ ลงทะเบียน Objects ใหม่สำเร็จ (${this.monitoredObjects.length} items)`
+      );
     }
+    return { added, removed, remapped };
   }
 
   // Update data buffer
   updateData(syncData) {
     this.lastUpdate = new Date();
     let hasChanges = false;
+    const changedFields = {};
 
     this.monitoredObjects.forEach((id) => {
       if (syncData.hasOwnProperty(id.toString())) {
@@ -424,6 +561,9 @@ class StationMonitor {
         if (this.dataBuffer[id] !== newValue) {
           this.dataBuffer[id] = newValue;
           hasChanges = true;
+          if (this.objectFields[id]) {
+            changedFields[this.objectFields[id]] = parseFloat(newValue);
+          }
         }
       }
     });
@@ -431,8 +571,18 @@ class StationMonitor {
     if (hasChanges) {
       this.displayData();
 
-      // Save to database if enabled
-      if (this.databaseService && this.stationRecord) {
+      if (this.liveFeed) {
+        this.liveFeed.publish({
+          station: this.config.name,
+          stationId: this.stationRecord ? this.stationRecord.id : null,
+          source: "websocket",
+          timestamp: this.lastUpdate,
+          values: changedFields,
+        });
+      }
+
+      // Save to database if enabled (the spool keeps readings until it is reachable)
+      if (this.spool || (this.databaseService && this.stationRecord)) {
         this.saveToDatabase();
       }
     }
@@ -448,15 +598,16 @@ class StationMonitor {
       }
 
       const readingData = {
-        stationId: this.stationRecord.id,
+        stationId: this.stationRecord ? this.stationRecord.id : null,
+        station: this.config.name, // Resolved by the spool while the record is not known
         timestamp: this.lastUpdate,
         powerData: { ...this.dataBuffer },
       };
 
       // Validate data before saving
-      const validation = this.databaseService.validatePowerData(
-        this.dataBuffer
-      );
+      const validation = this.databaseService
+        ? this.databaseService.validatePowerData(this.dataBuffer, this.objectFields)
+        : { isValid: true, errors: [], warnings: [] };
       if (!validation.isValid) {
         console.error(
           `[${this.config.name}] ❌ Invalid power data:`,
@@ -472,7 +623,11 @@ class StationMonitor {
         );
       }
 
-      await this.databaseService.createPowerReading(readingData);
+      if (this.spool) {
+        this.spool.append(readingData);
+      } else {
+        await this.databaseService.createPowerReading(readingData);
+      }
       this.lastDbSave = now;
 
       // Optional: Log successful saves less frequently to reduce noise
@@ -526,50 +681,103 @@ class StationMonitor {
     };
   }
 
-  // Handle reconnection
-  handleReconnect() {
-    if (this.reconnectAttempts < config.maxReconnectAttempts) {
-      this.reconnectAttempts++;
+  // Handle reconnection (retries indefinitely with exponential backoff)
+  handleReconnect(error = null) {
+    const delay = this.reconnectPolicy.schedule(async (attempt) => {
       console.log(
-        `[${this.config.name}] 🔄 กำลังลองเชื่อมต่อใหม่... (ครั้งที่ ${this.reconnectAttempts})`
+        `[${this.config.name}] 🔄 กำลังลองเชื่อมต่อใหม่... (ครั้งที่ ${attempt})`
       );
+      this.recordEvent(
+        StationEventTypes.RECONNECT_ATTEMPT,
+        `Reconnect attempt ${attempt}`
+      );
+      try {
+        await this.connect();
+        await this.initializeSession();
+      } catch (reconnectError) {
+        console.error(
+          `[${this.config.name}] ✗ Reconnect failed:`,
+          reconnectError.message
+        );
+        this.closeClient();
+        throw reconnectError;
+      }
+    }, error);
 
-      setTimeout(() => {
-        this.connect()
-          .then(() => this.initializeSession())
-          .catch((error) => {
-            console.error(
-              `[${this.config.name}] ✗ Reconnect failed:`,
-              error.message
-            );
-          });
-      }, config.reconnectInterval);
-    } else {
-      console.error(`[${this.config.name}] ✗ เกินจำนวนครั้งการลองเชื่อมต่อ`);
+    if (delay !== null) {
+      const { state, attempts } = this.reconnectPolicy.getState();
+      console.log(
+        `[${this.config.name}] ⏳ ${state}: retry #${attempts} in ${Math.round(
+          delay / 1000
+        )}s`
+      );
     }
   }
 
+  // Get circuit state (connected / backing-off / down since X)
+  getCircuitState() {
+    return {
+      station: this.config.name,
+      ...this.reconnectPolicy.getState(),
+      lastSyncAt: this.watchdog.lastSyncAt,
+      objects: this.objectTracker.getSummary(),
+    };
+  }
+
+  // Close the current client without triggering a reconnect
+  closeClient() {
+    this.watchdog.stop();
+    this.objectTracker.stop();
+    if (this.client) {
+      // Detach listeners first so an intentional close does not trigger a reconnect
+      this.client.removeAllListeners();
+      this.client.close();
+      this.client = null;
+    }
+    this.isConnected = false;
+    this.USID = null;
+  }
+
   // Disconnect
   disconnect() {
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
-      this.isConnected = false;
-      this.USID = null;
-    }
+    this.reconnectPolicy.cancel();
+    this.closeClient();
   }
 }
 
 // ==================== Main Monitor Controller ====================
 class MonitorController {
-  constructor() {
+  // options.stations: only monitor these station names (default: every station)
+  // options.backgroundJobs: run rollups, retention, alerts, off-air detection and the API (default: true)
+  // options.spoolPath: spool file, one per process (default: config.spool.path)
+  constructor(options = {}) {
+    this.options = {
+      stations: null,
+      backgroundJobs: true,
+      spoolPath: config.spool.path,
+      ...options,
+    };
     this.monitors = [];
     this.currentIndex = 0;
     this.isRunning = false;
     this.allData = [];
     this.databaseService = null;
     this.databaseEnabled = true; // Can be configured via environment variable
-    this.chiangMaiProcess = null; // Process for chaigmai.js
+    this.rollupService = null;
+    this.retentionService = null;
+    this.apiServer = null;
+    this.liveFeed = new LiveFeed();
+    this.alertEngine = null;
+    this.notificationService = null;
+    this.offAirDetector = null;
+    this.maintenanceSchedule = null;
+    this.spool = null;
+    this.mode = null; // "rotation" or "simultaneous" once started
+    this.reloadTimer = null;
+    this.reloading = false;
+    this.reloadLog = []; // Recently applied configuration changes
+    this.retryDatabase = false; // The database was unavailable at start; keep trying while running
+    this.databaseRetryTimer = null;
   }
 
   // Load station configurations from database
@@ -593,30 +801,8 @@ class MonitorController {
         return config.defaultStations;
       }
 
-      // Transform database stations to monitor config format (filter out incomplete stations)
-      const completeStations = [];
-      const incompleteStations = [];
-
-      dbStations.forEach((station) => {
-        // For API stations, only name and ipAddress are required
-        if (
-          station.ipAddress &&
-          station.ipAddress.startsWith("http://") &&
-          station.ipAddress.includes("/data")
-        ) {
-          if (station.name && station.ipAddress) {
-            completeStations.push(station);
-          } else {
-            incompleteStations.push(station);
-          }
-        }
-        // For WebSocket stations, name, ipAddress, and scene are required (no UUID needed)
-        else if (station.name && station.ipAddress && station.scene) {
-          completeStations.push(station);
-        } else {
-          incompleteStations.push(station);
-        }
-      });
+      const { stationConfigs, incompleteStations } =
+        this.toStationConfigs(dbStations);
 
       if (incompleteStations.length > 0) {
         console.log(
@@ -637,12 +823,6 @@ class MonitorController {
         });
       }
 
-      const stationConfigs = completeStations.map((station) => ({
-        name: station.name,
-        ip: station.ipAddress,
-        scene: station.scene,
-      }));
-
       console.log(`📡 Loaded ${stationConfigs.length} stations from database:`);
       stationConfigs.forEach((station) => {
         const typeDisplay =
@@ -658,6 +838,51 @@ class MonitorController {
     }
   }
 
+  // Transform database stations to monitor config format (filter out incomplete stations)
+  toStationConfigs(dbStations) {
+    const completeStations = [];
+    const incompleteStations = [];
+
+    dbStations.forEach((station) => {
+      // For API stations, only name and ipAddress are required
+      if (
+        station.ipAddress &&
+        station.ipAddress.startsWith("http://") &&
+        station.ipAddress.includes("/data")
+      ) {
+        if (station.name && station.ipAddress) {
+          completeStations.push(station);
+        } else {
+          incompleteStations.push(station);
+        }
+      }
+      // For WebSocket stations, name, ipAddress, and scene are required (no UUID needed)
+      else if (station.name && station.ipAddress && station.scene) {
+        completeStations.push(station);
+      } else {
+        incompleteStations.push(station);
+      }
+    });
+
+    const stationConfigs = completeStations.map((station) => ({
+      id: station.id, // Identifies the station across renames when reloading
+      name: station.name,
+      ip: station.ipAddress,
+      scene: station.scene,
+    }));
+    return { stationConfigs, incompleteStations };
+  }
+
+  // Keep only the stations this controller was asked to monitor
+  selectStations(stations) {
+    if (!this.options.stations) {
+      return stations;
+    }
+    return stations.filter((station) =>
+      this.options.stations.includes(station.name)
+    );
+  }
+
   // Seed database with default station configurations
   async seedDefaultStations() {
     if (!this.databaseService) {
@@ -677,44 +902,254 @@ class MonitorController {
     }
   }
 
-  // Refresh station configurations from database (for runtime updates)
+  // Refresh station configurations from database (for runtime updates).
+  // Starts monitors for new stations, stops removed ones, reconnects stations
+  // whose address or scene changed and renames in place. Returns the changes applied.
   async refreshStationConfigurations() {
     if (!this.databaseService) {
       console.log("⚠️  Database not available, cannot refresh configurations");
-      return false;
+      return [];
     }
 
+    let newStations;
     try {
-      console.log("🔄 Refreshing station configurations from database...");
-      const newStations = await this.loadStationsFromDatabase();
+      const dbStations = await this.databaseService.getAllStations();
+      if (dbStations.length === 0) {
+        // Keep the running set rather than stopping everything on an empty read
+        return [];
+      }
+      newStations = this.selectStations(
+        this.toStationConfigs(dbStations).stationConfigs
+      );
+    } catch (error) {
+      console.error(
+        "❌ Failed to refresh station configurations:",
+        error.message
+      );
+      return [];
+    }
 
-      // Check if configurations have changed
-      const currentStationNames = config.stations.map((s) => s.name).sort();
-      const newStationNames = newStations.map((s) => s.name).sort();
+    // Stations started from the defaults have no ID yet; match those by name
+    const currentStations = config.stations.map((station) => {
+      const match = !station.id && newStations.find((entry) => entry.name === station.name);
+      if (!match) {
+        return station;
+      }
+      const monitor = this.findMonitor(station);
+      if (monitor) {
+        monitor.config.id = match.id;
+      }
+      return { ...station, id: match.id };
+    });
 
-      const hasChanges =
-        JSON.stringify(currentStationNames) !== JSON.stringify(newStationNames);
+    const stationKey = (station) => station.id || station.name;
+    const current = new Map(currentStations.map((station) => [stationKey(station), station]));
+    const next = new Map(newStations.map((station) => [stationKey(station), station]));
+    const changes = [];
 
-      if (hasChanges) {
-        console.log("📡 Station configuration changes detected");
-        config.stations = newStations;
+    for (const [key, station] of current) {
+      if (!next.has(key)) {
+        this.stopMonitor(this.findMonitor(station));
+        changes.push(this.logConfigChange(station, "stopped", "removed or incomplete"));
+      }
+    }
 
-        // Note: In a production system, you might want to restart monitors here
-        // For now, we'll just update the configuration
-        console.log(
-          "⚠️  Configuration updated. Restart required for changes to take effect."
+    for (const [key, station] of next) {
+      const previous = current.get(key);
+      if (!previous) {
+        this.startMonitor(this.addMonitor(station));
+        changes.push(this.logConfigChange(station, "started", station.ip));
+      } else if (previous.ip !== station.ip || previous.scene !== station.scene) {
+        const details = [
+          previous.ip !== station.ip ? `address ${previous.ip} → ${station.ip}` : null,
+          previous.scene !== station.scene ? `scene ${previous.scene} → ${station.scene}` : null,
+        ].filter(Boolean);
+        this.stopMonitor(this.findMonitor(previous));
+        this.startMonitor(this.addMonitor(station));
+        changes.push(this.logConfigChange(station, "reconnected", details.join(", ")));
+      } else if (previous.name !== station.name) {
+        const monitor = this.findMonitor(previous);
+        if (monitor) {
+          monitor.config.name = station.name;
+        }
+        changes.push(this.logConfigChange(station, "renamed", `${previous.name} → ${station.name}`));
+      }
+    }
+
+    config.stations = newStations;
+    return changes;
+  }
+
+  // Re-register WebSocket monitors whose StationMonitoredObject rows changed
+  async refreshMonitoredObjects() {
+    const changes = [];
+    for (const monitor of this.monitors) {
+      // Monitors that have not initialised yet load their objects on connect
+      if (monitor instanceof ApiDataFetcher || !monitor.stationRecord) {
+        continue;
+      }
+
+      try {
+        const monitoredData =
+          await this.databaseService.getStationMonitoredObjects(
+            monitor.stationRecord.id
+          );
+        const update = await monitor.updateMonitoredObjects(monitoredData);
+        if (!update) {
+          continue;
+        }
+
+        this.databaseService.invalidateObjectFields(monitor.stationRecord.id);
+        const details = [
+          update.added.length ? `+${update.added.join(", +")}` : null,
+          update.removed.length ? `-${update.removed.join(", -")}` : null,
+          update.remapped.length ? `remapped ${update.remapped.join(", ")}` : null,
+        ].filter(Boolean);
+        changes.push(
+          this.logConfigChange(
+            { ...monitor.config, id: monitor.stationRecord.id },
+            "objects",
+            details.join("; ")
+          )
+        );
+      } catch (error) {
+        console.error(
+          `[${monitor.config.name}] ❌ Failed to apply monitored object changes:`,
+          error.message
         );
-        return true;
-      } else {
-        console.log("📡 No station configuration changes detected");
-        return false;
+      }
+    }
+    return changes;
+  }
+
+  // Pick up metrics registered or removed with station-manager (never throws)
+  async refreshMetricDefinitions() {
+    try {
+      if (await this.databaseService.refreshMetricDefinitions()) {
+        console.log("🔧 Metric definitions changed, station mappings reloaded");
       }
     } catch (error) {
-      console.error(
-        "❌ Failed to refresh station configurations:",
-        error.message
+      console.error("❌ Failed to reload metric definitions:", error.message);
+    }
+  }
+
+  // Periodic reload: stations first, then the objects of monitors that kept running
+  async reloadConfiguration() {
+    if (this.reloading || !this.isRunning) {
+      return [];
+    }
+
+    this.reloading = true;
+    try {
+      const stationChanges = await this.refreshStationConfigurations();
+      const objectChanges = await this.refreshMonitoredObjects();
+      await this.refreshMetricDefinitions();
+      return [...stationChanges, ...objectChanges];
+    } finally {
+      this.reloading = false;
+    }
+  }
+
+  // Log an applied configuration change and record it as a station event
+  logConfigChange(station, action, details) {
+    const change = {
+      timestamp: new Date(),
+      station: station.name,
+      stationId: station.id || null,
+      action,
+      details,
+    };
+    this.reloadLog.push(change);
+    if (this.reloadLog.length > 100) {
+      this.reloadLog.shift();
+    }
+
+    console.log(`🔧 [${station.name}] Config ${action}${details ? `: ${details}` : ""}`);
+    if (this.databaseService && change.stationId) {
+      this.databaseService
+        .createStationEvent({
+          stationId: change.stationId,
+          type: StationEventTypes.CONFIG_APPLIED,
+          timestamp: change.timestamp,
+          message: `${action}${details ? `: ${details}` : ""}`,
+          source: "config",
+        })
+        .catch(() => {
+          // Already logged by executeOperation
+        });
+    }
+    return change;
+  }
+
+  // Create the monitor for a station (WebSocket or API based)
+  addMonitor(stationConfig) {
+    let monitor;
+    if (ApiDataFetcher.isApiStation(stationConfig)) {
+      console.log(`📡 Creating API monitor for: ${stationConfig.name}`);
+      monitor = new ApiDataFetcher(
+        stationConfig,
+        this.databaseService,
+        this.liveFeed,
+        this.spool
+      );
+    } else {
+      console.log(`📡 Creating WebSocket monitor for: ${stationConfig.name}`);
+      monitor = new StationMonitor(
+        stationConfig,
+        this.databaseService,
+        this.liveFeed,
+        this.spool
       );
-      return false;
+    }
+    this.monitors.push(monitor);
+    return monitor;
+  }
+
+  // Find the monitor of a station by ID (or name for stations without one)
+  findMonitor(station) {
+    return (
+      this.monitors.find((monitor) =>
+        monitor.config.id
+          ? monitor.config.id === station.id
+          : monitor.config.name === station.name
+      ) || null
+    );
+  }
+
+  // Start a monitor added at runtime (rotation mode picks it up in its next cycle)
+  startMonitor(monitor) {
+    if (this.mode !== "simultaneous") {
+      return;
+    }
+
+    const start =
+      monitor instanceof ApiDataFetcher
+        ? monitor.start()
+        : monitor.connect().then(() => monitor.initializeSession());
+    start.catch((error) => {
+      console.error(`✗ ${monitor.config.name} ล้มเหลว:`, error.message);
+      if (!(monitor instanceof ApiDataFetcher)) {
+        monitor.closeClient();
+        monitor.handleReconnect(error);
+      }
+    });
+  }
+
+  // Stop a monitor and drop it from the rotation
+  stopMonitor(monitor) {
+    if (!monitor) {
+      return;
+    }
+
+    if (monitor instanceof ApiDataFetcher) {
+      monitor.stop();
+    } else {
+      monitor.disconnect();
+    }
+    const index = this.monitors.indexOf(monitor);
+    this.monitors.splice(index, 1);
+    if (index < this.currentIndex) {
+      this.currentIndex--;
     }
   }
 
@@ -726,22 +1161,28 @@ class MonitorController {
     if (this.databaseEnabled) {
       try {
         console.log("💾 เริ่มต้นระบบฐานข้อมูล...");
-        this.databaseService = new DatabaseService();
-        await this.databaseService.connect();
-
-        const dbInfo = await this.databaseService.getDatabaseInfo();
-        console.log(
-          `💾 ฐานข้อมูลพร้อมใช้งาน - สถานี: ${dbInfo.stationCount}, บันทึก: ${dbInfo.readingCount}`
-        );
+        this.databaseService = await this.connectDatabase();
       } catch (error) {
         console.error("❌ ไม่สามารถเชื่อมต่อฐานข้อมูล:", error.message);
-        console.log("⚠️  ระบบจะทำงานแบบ file logging เท่านั้น");
+        console.log(
+          `⚠️  ระบบจะทำงานแบบ spool/file logging และลองเชื่อมต่อใหม่ทุก ${config.database.retryMs / 1000}s`
+        );
         this.databaseService = null;
+        this.retryDatabase = true;
       }
     }
 
+    // Created regardless of the connection so readings taken while the
+    // database is down are kept and written once it connects
+    if (config.spool.enabled) {
+      this.spool = new ReadingSpool(this.databaseService, {
+        path: this.options.spoolPath,
+        flushMs: config.spool.flushMs,
+      });
+    }
+
     // Load station configurations dynamically
-    config.stations = await this.loadStationsFromDatabase();
+    config.stations = this.selectStations(await this.loadStationsFromDatabase());
 
     console.log(`📡 สถานีทั้งหมด: ${config.stations.length}`);
     console.log(`⏱️  อัตราการอัพเดท: ${config.updateRate}ms`);
@@ -750,29 +1191,197 @@ class MonitorController {
 
     // Create monitors with database service (WebSocket or API based)
     for (const stationConfig of config.stations) {
-      if (ApiDataFetcher.isApiStation(stationConfig)) {
-        console.log(`📡 Creating API monitor for: ${stationConfig.name}`);
-        const apiMonitor = new ApiDataFetcher(
-          stationConfig,
-          this.databaseService
-        );
-        this.monitors.push(apiMonitor);
-      } else {
-        console.log(`📡 Creating WebSocket monitor for: ${stationConfig.name}`);
-        const wsMonitor = new StationMonitor(
-          stationConfig,
-          this.databaseService
-        );
-        this.monitors.push(wsMonitor);
+      this.addMonitor(stationConfig);
+    }
+  }
+
+  // Connect a new DatabaseService (throws when the database is unavailable)
+  async connectDatabase() {
+    const databaseService = new DatabaseService();
+    try {
+      await databaseService.connect();
+      const dbInfo = await databaseService.getDatabaseInfo();
+      console.log(
+        `💾 ฐานข้อมูลพร้อมใช้งาน - สถานี: ${dbInfo.stationCount}, บันทึก: ${dbInfo.readingCount}`
+      );
+      return databaseService;
+    } catch (error) {
+      await databaseService.disconnect();
+      throw error;
+    }
+  }
+
+  // Retry the database connection while running without one
+  scheduleDatabaseRetry() {
+    this.databaseRetryTimer = setTimeout(async () => {
+      this.databaseRetryTimer = null;
+      try {
+        const databaseService = await this.connectDatabase();
+        if (!this.isRunning) {
+          await databaseService.disconnect();
+          return;
+        }
+        await this.attachDatabase(databaseService);
+      } catch (error) {
+        console.error("❌ ฐานข้อมูลยังไม่พร้อมใช้งาน:", error.message);
+        if (this.isRunning) {
+          this.scheduleDatabaseRetry();
+        }
       }
+    }, config.database.retryMs);
+  }
+
+  // Use a database that connected after monitoring started: monitors get
+  // their station records, the background jobs start and the spool writes
+  // what it kept in the meantime
+  async attachDatabase(databaseService) {
+    this.databaseService = databaseService;
+    this.retryDatabase = false;
+    for (const monitor of this.monitors) {
+      await monitor.attachDatabase(databaseService);
+    }
+    this.startBackgroundJobs();
+    if (this.spool) {
+      this.spool.setDatabase(databaseService, this.rollupService);
+    }
+    if (this.apiServer) {
+      this.apiServer.setDatabase(databaseService);
+    }
+  }
+
+  // Start background jobs (rollups and retention need the database)
+  startBackgroundJobs() {
+    const jobs = this.options.backgroundJobs;
+
+    if (this.retryDatabase && !this.databaseService && !this.databaseRetryTimer) {
+      this.scheduleDatabaseRetry();
+    }
+
+    if (jobs && this.databaseService && config.rollup.enabled && !this.rollupService) {
+      this.rollupService = new RollupService(this.databaseService, {
+        intervalMs: config.rollup.intervalMs,
+      });
+      this.rollupService.start();
+      console.log(
+        `📚 Rollup job started (every ${config.rollup.intervalMs / 1000}s)`
+      );
+    }
+
+    // Replays readings left over from the last run, so start it after rollups
+    if (this.spool && !this.spool.timer) {
+      this.spool
+        .start(this.rollupService)
+        .then(() => console.log(`💽 Reading spool: ${this.spool.path}`));
+    }
+
+    if (this.databaseService && config.reload.enabled && !this.reloadTimer) {
+      this.reloadTimer = setInterval(
+        () =>
+          this.reloadConfiguration().catch((error) =>
+            console.error("❌ Configuration reload failed:", error.message)
+          ),
+        config.reload.intervalMs
+      );
+      console.log(
+        `🔧 Configuration reload every ${config.reload.intervalMs / 1000}s`
+      );
+    }
+
+    if (!jobs) {
+      return;
+    }
+
+    if (this.databaseService && config.retention.enabled && !this.retentionService) {
+      this.retentionService = new RetentionService(this.databaseService, {
+        intervalMs: config.retention.intervalMs,
+        vacuum: config.retention.vacuum,
+      });
+      this.retentionService.start();
+      console.log(
+        `🧹 Retention job scheduled (every ${config.retention.intervalMs / 3600000}h)`
+      );
+    }
+
+    // Maintenance windows mute alerts and mark off-air incidents as planned
+    if (this.databaseService && !this.maintenanceSchedule) {
+      this.maintenanceSchedule = new MaintenanceSchedule(this.databaseService);
+      this.maintenanceSchedule.start();
+    }
+
+    if (this.databaseService && config.alerts.enabled && !this.alertEngine) {
+      this.alertEngine = new AlertEngine(this.databaseService, {
+        tickMs: config.alerts.tickMs,
+        maintenance: this.maintenanceSchedule,
+      });
+      try {
+        const notifierConfig = NotificationService.loadConfig(config.alerts.notifiers);
+        if (notifierConfig) {
+          this.notificationService = new NotificationService(notifierConfig);
+          this.notificationService.attach(this.alertEngine);
+          console.log(
+            `📣 Alert notifications: ${[...this.notificationService.channels.keys()].join(", ") || "no channels"}`
+          );
+        }
+      } catch (error) {
+        console.error("❌ Alert notifications disabled:", error.message);
+      }
+      this.alertEngine
+        .start(this.liveFeed)
+        .then(() =>
+          console.log(
+            `🔔 Alert engine started (${this.alertEngine.rules.length} rules)`
+          )
+        );
+    }
+
+    if (this.databaseService && config.offAir.enabled && !this.offAirDetector) {
+      this.offAirDetector = new OffAirDetector(this.databaseService, {
+        tickMs: config.offAir.tickMs,
+        maintenance: this.maintenanceSchedule,
+      });
+      this.offAirDetector.start(this.liveFeed).then(() => {
+        const watched = [...this.offAirDetector.profiles.values()].filter(
+          (profile) => profile.loaded
+        ).length;
+        console.log(`📴 Off-air detection started (${watched} loaded channels)`);
+      });
+    }
+
+    if (config.api.enabled && !this.apiServer) {
+      this.apiServer = new ApiServer({
+        databaseService: this.databaseService,
+        port: config.api.port,
+        host: config.api.host,
+        statusProvider: () => this.getCircuitStates(),
+        liveFeed: this.liveFeed,
+      });
+      this.apiServer
+        .start()
+        .then((url) => {
+          console.log(`🌐 API server listening on ${url}/api`);
+          console.log(`📊 Dashboard: ${url}/`);
+          console.log(`📡 Live feed: ${url.replace("http", "ws")}/api/live`);
+        })
+        .catch((error) => {
+          console.error("❌ API server failed to start:", error.message);
+          this.apiServer = null;
+        });
     }
   }
 
   // Start monitoring with rotation
   async startRotation() {
     this.isRunning = true;
+    this.mode = "rotation";
+    this.startBackgroundJobs();
 
     while (this.isRunning) {
+      if (this.monitors.length === 0) {
+        await this.sleep(config.cycleDelay);
+        continue;
+      }
+      // Stations can be added or removed by a configuration reload
+      this.currentIndex = this.currentIndex % this.monitors.length;
       const monitor = this.monitors[this.currentIndex];
 
       try {
@@ -791,12 +1400,15 @@ class MonitorController {
         monitor.disconnect();
 
         // Move to next station
-        this.currentIndex = (this.currentIndex + 1) % this.monitors.length;
+        this.currentIndex = (this.currentIndex + 1) % (this.monitors.length || 1);
 
         console.log(`\n🔄 เปลี่ยนไปสถานีถัดไป...\n`);
       } catch (error) {
         console.error(`✗ เกิดข้อผิดพลาด:`, error.message);
-        this.currentIndex = (this.currentIndex + 1) % this.monitors.length;
+        if (!(monitor instanceof ApiDataFetcher)) {
+          monitor.disconnect();
+        }
+        this.currentIndex = (this.currentIndex + 1) % (this.monitors.length || 1);
       }
     }
   }
@@ -804,10 +1416,9 @@ class MonitorController {
   // Start monitoring all stations simultaneously
   async startSimultaneous() {
     this.isRunning = true;
+    this.mode = "simultaneous";
     console.log("🔄 เริ่มการ Monitor ทุกสถานีพร้อมกัน\n");
-
-    // Start Chiang Mai station (chaigmai.js)
-    await this.startChiangMaiStation();
+    this.startBackgroundJobs();
 
     const promises = this.monitors.map(async (monitor) => {
       try {
@@ -821,16 +1432,29 @@ class MonitorController {
         }
       } catch (error) {
         console.error(`✗ ${monitor.config.name} ล้มเหลว:`, error.message);
+
+        // Keep retrying WebSocket stations in the background
+        if (!(monitor instanceof ApiDataFetcher)) {
+          monitor.closeClient();
+          monitor.handleReconnect(error);
+        }
       }
     });
 
     await Promise.allSettled(promises);
 
     console.log(
-      "\n✓ ทุกสถานีพร้อมทำงาน (รวมเชียงใหม่) - กด Ctrl+C เพื่อหยุด\n"
+      "\n✓ ทุกสถานีพร้อมทำงาน - กด Ctrl+C เพื่อหยุด\n"
     );
   }
 
+  // Get circuit state of every WebSocket station
+  getCircuitStates() {
+    return this.monitors
+      .filter((monitor) => !(monitor instanceof ApiDataFetcher))
+      .map((monitor) => monitor.getCircuitState());
+  }
+
   // Get summary report
   getSummary() {
     console.log("\n📊 สรุปข้อมูลทั้งหมด");
@@ -850,65 +1474,6 @@ class MonitorController {
     });
   }
 
-  // Start Chiang Mai station process
-  async startChiangMaiStation() {
-    try {
-      console.log("🏢 เริ่มต้นสถานีเชียงใหม่...");
-
-      // Ensure Chiang Mai station exists in database
-      if (this.databaseService) {
-        const chiangMaiConfig = {
-          name: "เชียงใหม่",
-          ip: "ws://10.7.1.5/ws",
-          scene: "d0cf3a77-e9dd-4419-bec0-b54ecad3e541",
-        };
-
-        await this.databaseService.findOrCreateStation(chiangMaiConfig);
-        console.log("💾 สถานีเชียงใหม่พร้อมในฐานข้อมูล");
-      }
-
-      // Start chaigmai.js process
-      this.chiangMaiProcess = spawn("node", ["chaigmai.js"], {
-        stdio: ["pipe", "pipe", "pipe"],
-        cwd: process.cwd(),
-      });
-
-      // Handle process output
-      this.chiangMaiProcess.stdout.on("data", (data) => {
-        const output = data.toString().trim();
-        if (output) {
-          console.log(`[เชียงใหม่] ${output}`);
-        }
-      });
-
-      this.chiangMaiProcess.stderr.on("data", (data) => {
-        const error = data.toString().trim();
-        if (error) {
-          console.error(`[เชียงใหม่] ERROR: ${error}`);
-        }
-      });
-
-      this.chiangMaiProcess.on("close", (code) => {
-        console.log(`[เชียงใหม่] Process exited with code ${code}`);
-        if (this.isRunning && code !== 0) {
-          // Restart if it crashed and we're still running
-          setTimeout(() => {
-            console.log("[เชียงใหม่] Restarting...");
-            this.startChiangMaiStation();
-          }, 5000);
-        }
-      });
-
-      this.chiangMaiProcess.on("error", (error) => {
-        console.error(`[เชียงใหม่] Failed to start process:`, error.message);
-      });
-
-      console.log("✓ สถานีเชียงใหม่เริ่มทำงานแล้ว");
-    } catch (error) {
-      console.error("❌ ไม่สามารถเริ่มสถานีเชียงใหม่:", error.message);
-    }
-  }
-
   // Sleep utility
   sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
@@ -917,12 +1482,13 @@ class MonitorController {
   // Stop monitoring
   async stop() {
     this.isRunning = false;
-
-    // Stop Chiang Mai process
-    if (this.chiangMaiProcess) {
-      console.log("⏹️  หยุดสถานีเชียงใหม่...");
-      this.chiangMaiProcess.kill("SIGTERM");
-      this.chiangMaiProcess = null;
+    if (this.reloadTimer) {
+      clearInterval(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+    if (this.databaseRetryTimer) {
+      clearTimeout(this.databaseRetryTimer);
+      this.databaseRetryTimer = null;
     }
 
     this.monitors.forEach((monitor) => {
@@ -933,6 +1499,31 @@ class MonitorController {
       }
     });
 
+    if (this.rollupService) {
+      this.rollupService.stop();
+    }
+    if (this.retentionService) {
+      this.retentionService.stop();
+    }
+    if (this.alertEngine) {
+      this.alertEngine.stop();
+    }
+    if (this.notificationService) {
+      this.notificationService.detach();
+    }
+    if (this.offAirDetector) {
+      this.offAirDetector.stop();
+    }
+    if (this.maintenanceSchedule) {
+      this.maintenanceSchedule.stop();
+    }
+    if (this.spool) {
+      await this.spool.stop();
+    }
+    if (this.apiServer) {
+      await this.apiServer.stop();
+    }
+
     // Disconnect from database
     if (this.databaseService) {
       await this.databaseService.disconnect();
@@ -967,8 +1558,12 @@ async function main() {
   });
 }
 
-// Run
-main().catch((error) => {
-  console.error("❌ Fatal Error:", error);
-  process.exit(1);
-});
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Fatal Error:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { StationMonitor, MonitorController, config };
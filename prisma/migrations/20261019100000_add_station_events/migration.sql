@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "station_events" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "stationId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "message" TEXT,
+    "errorCode" TEXT,
+    "source" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "station_events_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "station_events_stationId_timestamp_idx" ON "station_events"("stationId", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "station_events_type_idx" ON "station_events"("type");
@@ -0,0 +1,151 @@
+-- CreateTable
+CREATE TABLE "power_rollups_1m" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "stationId" TEXT NOT NULL,
+    "bucketStart" DATETIME NOT NULL,
+    "sampleCount" INTEGER NOT NULL,
+    "activePower1Min" REAL,
+    "activePower1Max" REAL,
+    "activePower1Avg" REAL,
+    "activePower2Min" REAL,
+    "activePower2Max" REAL,
+    "activePower2Avg" REAL,
+    "activePower3Min" REAL,
+    "activePower3Max" REAL,
+    "activePower3Avg" REAL,
+    "activePower4Min" REAL,
+    "activePower4Max" REAL,
+    "activePower4Avg" REAL,
+    "activePower5Min" REAL,
+    "activePower5Max" REAL,
+    "activePower5Avg" REAL,
+    "activePower6Min" REAL,
+    "activePower6Max" REAL,
+    "activePower6Avg" REAL,
+    "muxPower1First" REAL,
+    "muxPower1Last" REAL,
+    "muxPower2First" REAL,
+    "muxPower2Last" REAL,
+    "muxPower3First" REAL,
+    "muxPower3Last" REAL,
+    "muxPower4First" REAL,
+    "muxPower4Last" REAL,
+    "muxPower5First" REAL,
+    "muxPower5Last" REAL,
+    "muxPower6First" REAL,
+    "muxPower6Last" REAL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "power_rollups_1m_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "power_rollups_1h" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "stationId" TEXT NOT NULL,
+    "bucketStart" DATETIME NOT NULL,
+    "sampleCount" INTEGER NOT NULL,
+    "activePower1Min" REAL,
+    "activePower1Max" REAL,
+    "activePower1Avg" REAL,
+    "activePower2Min" REAL,
+    "activePower2Max" REAL,
+    "activePower2Avg" REAL,
+    "activePower3Min" REAL,
+    "activePower3Max" REAL,
+    "activePower3Avg" REAL,
+    "activePower4Min" REAL,
+    "activePower4Max" REAL,
+    "activePower4Avg" REAL,
+    "activePower5Min" REAL,
+    "activePower5Max" REAL,
+    "activePower5Avg" REAL,
+    "activePower6Min" REAL,
+    "activePower6Max" REAL,
+    "activePower6Avg" REAL,
+    "muxPower1First" REAL,
+    "muxPower1Last" REAL,
+    "muxPower2First" REAL,
+    "muxPower2Last" REAL,
+    "muxPower3First" REAL,
+    "muxPower3Last" REAL,
+    "muxPower4First" REAL,
+    "muxPower4Last" REAL,
+    "muxPower5First" REAL,
+    "muxPower5Last" REAL,
+    "muxPower6First" REAL,
+    "muxPower6Last" REAL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "power_rollups_1h_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "power_rollups_1d" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "stationId" TEXT NOT NULL,
+    "bucketStart" DATETIME NOT NULL,
+    "sampleCount" INTEGER NOT NULL,
+    "activePower1Min" REAL,
+    "activePower1Max" REAL,
+    "activePower1Avg" REAL,
+    "activePower2Min" REAL,
+    "activePower2Max" REAL,
+    "activePower2Avg" REAL,
+    "activePower3Min" REAL,
+    "activePower3Max" REAL,
+    "activePower3Avg" REAL,
+    "activePower4Min" REAL,
+    "activePower4Max" REAL,
+    "activePower4Avg" REAL,
+    "activePower5Min" REAL,
+    "activePower5Max" REAL,
+    "activePower5Avg" REAL,
+    "activePower6Min" REAL,
+    "activePower6Max" REAL,
+    "activePower6Avg" REAL,
+    "muxPower1First" REAL,
+    "muxPower1Last" REAL,
+    "muxPower2First" REAL,
+    "muxPower2Last" REAL,
+    "muxPower3First" REAL,
+    "muxPower3Last" REAL,
+    "muxPower4First" REAL,
+    "muxPower4Last" REAL,
+    "muxPower5First" REAL,
+    "muxPower5Last" REAL,
+    "muxPower6First" REAL,
+    "muxPower6Last" REAL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "power_rollups_1d_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "rollup_watermarks" (
+    "stationId" TEXT NOT NULL,
+    "resolution" TEXT NOT NULL,
+    "processedUntil" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("stationId", "resolution"),
+    CONSTRAINT "rollup_watermarks_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "power_rollups_1m_bucketStart_idx" ON "power_rollups_1m"("bucketStart");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "power_rollups_1m_stationId_bucketStart_key" ON "power_rollups_1m"("stationId", "bucketStart");
+
+-- CreateIndex
+CREATE INDEX "power_rollups_1h_bucketStart_idx" ON "power_rollups_1h"("bucketStart");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "power_rollups_1h_stationId_bucketStart_key" ON "power_rollups_1h"("stationId", "bucketStart");
+
+-- CreateIndex
+CREATE INDEX "power_rollups_1d_bucketStart_idx" ON "power_rollups_1d"("bucketStart");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "power_rollups_1d_stationId_bucketStart_key" ON "power_rollups_1d"("stationId", "bucketStart");
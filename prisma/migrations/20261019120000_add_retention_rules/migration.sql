@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "retention_rules" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "stationId" TEXT,
+    "dataset" TEXT NOT NULL,
+    "keepDays" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "retention_rules_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "retention_rules_stationId_dataset_key" ON "retention_rules"("stationId", "dataset");
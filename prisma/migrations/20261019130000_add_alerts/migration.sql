@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "alert_rules" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "stationId" TEXT,
+    "field" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "threshold" REAL,
+    "forSeconds" INTEGER NOT NULL DEFAULT 60,
+    "clearSeconds" INTEGER NOT NULL DEFAULT 60,
+    "severity" TEXT NOT NULL DEFAULT 'warning',
+    "name" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "alert_rules_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "alerts" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "ruleId" TEXT NOT NULL,
+    "stationId" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "state" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "value" REAL,
+    "threshold" REAL,
+    "raisedAt" DATETIME NOT NULL,
+    "lastRaisedAt" DATETIME NOT NULL,
+    "clearedAt" DATETIME,
+    "acknowledgedAt" DATETIME,
+    "acknowledgedBy" TEXT,
+    "occurrences" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "alerts_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "alert_rules" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "alerts_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "alert_rules_stationId_idx" ON "alert_rules"("stationId");
+
+-- CreateIndex
+CREATE INDEX "alerts_stationId_raisedAt_idx" ON "alerts"("stationId", "raisedAt");
+
+-- CreateIndex
+CREATE INDEX "alerts_state_idx" ON "alerts"("state");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "off_air_incidents" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "stationId" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "startedAt" DATETIME NOT NULL,
+    "endedAt" DATETIME,
+    "durationSeconds" INTEGER,
+    "planned" BOOLEAN NOT NULL DEFAULT false,
+    "reason" TEXT,
+    "normalLevel" REAL,
+    "lowestValue" REAL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "off_air_incidents_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "off_air_incidents_stationId_startedAt_idx" ON "off_air_incidents"("stationId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "off_air_incidents_startedAt_idx" ON "off_air_incidents"("startedAt");
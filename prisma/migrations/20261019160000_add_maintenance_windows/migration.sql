@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "power_readings" ADD COLUMN "maintenance" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "maintenance_windows" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "stationId" TEXT NOT NULL,
+    "field" TEXT,
+    "startsAt" DATETIME NOT NULL,
+    "endsAt" DATETIME NOT NULL,
+    "reason" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "maintenance_windows_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "maintenance_windows_stationId_startsAt_idx" ON "maintenance_windows"("stationId", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "maintenance_windows_endsAt_idx" ON "maintenance_windows"("endsAt");
@@ -0,0 +1,29 @@
+-- Merge existing duplicates into the first row of each station/timestamp:
+-- the latest non-null value of every field wins (the default "merge" policy)
+UPDATE "power_readings" SET
+    "activePower1" = (SELECT d."activePower1" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."activePower1" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "activePower2" = (SELECT d."activePower2" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."activePower2" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "activePower3" = (SELECT d."activePower3" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."activePower3" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "activePower4" = (SELECT d."activePower4" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."activePower4" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "activePower5" = (SELECT d."activePower5" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."activePower5" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "activePower6" = (SELECT d."activePower6" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."activePower6" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "muxPower1" = (SELECT d."muxPower1" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."muxPower1" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "muxPower2" = (SELECT d."muxPower2" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."muxPower2" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "muxPower3" = (SELECT d."muxPower3" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."muxPower3" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "muxPower4" = (SELECT d."muxPower4" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."muxPower4" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "muxPower5" = (SELECT d."muxPower5" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."muxPower5" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1),
+    "muxPower6" = (SELECT d."muxPower6" FROM "power_readings" d WHERE d."stationId" = "power_readings"."stationId" AND d."timestamp" = "power_readings"."timestamp" AND d."muxPower6" IS NOT NULL ORDER BY d.rowid DESC LIMIT 1)
+WHERE rowid IN (
+    SELECT MIN(rowid) FROM "power_readings" GROUP BY "stationId", "timestamp" HAVING COUNT(*) > 1
+);
+
+DELETE FROM "power_readings"
+WHERE rowid NOT IN (
+    SELECT MIN(rowid) FROM "power_readings" GROUP BY "stationId", "timestamp"
+);
+
+-- DropIndex
+DROP INDEX "power_readings_stationId_timestamp_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "power_readings_stationId_timestamp_key" ON "power_readings"("stationId", "timestamp");
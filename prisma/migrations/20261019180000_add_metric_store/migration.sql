@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "metric_definitions" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "unit" TEXT,
+    "description" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "metric_readings" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "stationId" TEXT NOT NULL,
+    "metricKey" TEXT NOT NULL,
+    "timestamp" DATETIME NOT NULL,
+    "value" REAL NOT NULL,
+    "unit" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "metric_readings_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "stations" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "metric_readings_metricKey_fkey" FOREIGN KEY ("metricKey") REFERENCES "metric_definitions" ("key") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "metric_readings_stationId_metricKey_timestamp_key" ON "metric_readings"("stationId", "metricKey", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "metric_readings_metricKey_timestamp_idx" ON "metric_readings"("metricKey", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "metric_readings_timestamp_idx" ON "metric_readings"("timestamp");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "station_events" ADD COLUMN "objectId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "station_events_stationId_objectId_idx" ON "station_events"("stationId", "objectId");
@@ -0,0 +1,369 @@
+const EventEmitter = require("events");
+const {
+  AlertStates,
+  getRuleType,
+  matchesField,
+  describeRule,
+} = require("./AlertRuleTypes");
+const { fieldUnit } = require("../server/LiveFeed");
+
+/**
+ * AlertEngine - Evaluates AlertRule rows against live readings
+ *
+ * Every (rule, station, field) pair is a series with its own state machine:
+ *
+ *   ok ──condition holds──▶ pending ──for forSeconds──▶ raised (Alert row, "raised")
+ *   raised ──condition false for clearSeconds──▶ ok (Alert cleared, "cleared")
+ *
+ * A raised alert can be acknowledged ("acknowledged"); it stays open until the
+ * condition clears. Flapping is deduplicated: a series that raises again within
+ * `reopenWindowMs` of clearing reopens the previous alert (occurrences + 1)
+ * instead of creating a new one, and emits "reopened".
+ *
+ * Readings come from the LiveFeed "readings" event; a timer re-evaluates every
+ * series because stations only report values that changed.
+ */
+class AlertEngine extends EventEmitter {
+  /**
+   * @param {DatabaseService} databaseService - Database service
+   * @param {Object} options - Engine options
+   * @param {number} options.tickMs - How often series are re-evaluated (default 15s)
+   * @param {number} options.ruleRefreshMs - How often rules are reloaded (default 60s)
+   * @param {number} options.reopenWindowMs - Re-raises within this window reopen the last alert (default 15 min)
+   * @param {MaintenanceSchedule} options.maintenance - Windows during which no alerts are raised
+   */
+  constructor(databaseService, options = {}) {
+    super();
+    this.db = databaseService;
+    this.options = {
+      tickMs: 15000,
+      ruleRefreshMs: 60000,
+      reopenWindowMs: 15 * 60 * 1000,
+      maintenance: null,
+      ...options,
+    };
+    this.rules = [];
+    this.series = new Map(); // "ruleId|stationId|field" -> series state
+    this.restoredAlerts = new Map(); // Open alerts loaded at start, keyed like series
+    this.timer = null;
+    this.lastRuleRefresh = 0;
+    this.liveFeed = null;
+    this.queue = Promise.resolve();
+    this.onReadings = (readings) => this.enqueue(() => this.handleReadings(readings));
+  }
+
+  /**
+   * Run evaluations one at a time so a series never raises twice while a
+   * database write is in flight
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch((error) => {
+      console.error("❌ Alert evaluation failed:", error.message);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Load rules and open alerts, then evaluate readings from the live feed
+   * @param {LiveFeed} liveFeed - Feed to subscribe to (optional)
+   */
+  async start(liveFeed = null) {
+    await this.loadRules();
+    await this.restoreOpenAlerts();
+
+    if (liveFeed) {
+      this.liveFeed = liveFeed;
+      liveFeed.on("readings", this.onReadings);
+    }
+    this.timer = setInterval(
+      () => this.enqueue(() => this.tick()),
+      this.options.tickMs
+    );
+  }
+
+  /**
+   * Stop evaluating
+   */
+  stop() {
+    if (this.liveFeed) {
+      this.liveFeed.removeListener("readings", this.onReadings);
+      this.liveFeed = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Reload enabled rules; series of removed or disabled rules are cleared
+   */
+  async loadRules() {
+    try {
+      this.rules = await this.db.getAlertRules({ enabledOnly: true });
+      this.lastRuleRefresh = Date.now();
+    } catch (error) {
+      console.error("❌ Failed to load alert rules:", error.message);
+      return;
+    }
+
+    const ruleIds = new Set(this.rules.map((rule) => rule.id));
+    for (const [key, series] of this.series) {
+      if (!ruleIds.has(series.rule.id)) {
+        if (series.alert) {
+          await this.clear(series, new Date(), "rule removed");
+        }
+        this.series.delete(key);
+      } else {
+        // Pick up threshold and duration changes
+        series.rule = this.rules.find((rule) => rule.id === series.rule.id);
+      }
+    }
+  }
+
+  /**
+   * Re-attach alerts that were open when the monitor last stopped, so a
+   * restart does not raise them again
+   */
+  async restoreOpenAlerts() {
+    try {
+      const alerts = await this.db.getOpenAlerts();
+      alerts.forEach((alert) => {
+        this.restoredAlerts.set(
+          this.seriesKey(alert.ruleId, alert.stationId, alert.field),
+          alert
+        );
+      });
+    } catch (error) {
+      console.error("❌ Failed to load open alerts:", error.message);
+    }
+  }
+
+  seriesKey(ruleId, stationId, field) {
+    return `${ruleId}|${stationId}|${field}`;
+  }
+
+  /**
+   * Evaluate readings published by the live feed
+   * @param {Array} readings - [{ station, stationId, field, value, timestamp }]
+   */
+  async handleReadings(readings) {
+    if (Date.now() - this.lastRuleRefresh > this.options.ruleRefreshMs) {
+      await this.loadRules();
+    }
+
+    for (const reading of readings) {
+      if (!reading.stationId) {
+        continue; // Alerts are stored per station record
+      }
+      const now = new Date(reading.timestamp);
+
+      for (const rule of this.rules) {
+        if (
+          (rule.stationId && rule.stationId !== reading.stationId) ||
+          !matchesField(rule.field, reading.field)
+        ) {
+          continue;
+        }
+
+        const series = this.getSeries(rule, reading);
+        this.recordValue(series, reading.value, now);
+        await this.evaluate(series, now, true);
+      }
+    }
+  }
+
+  /**
+   * Re-evaluate every series against the current time
+   * @param {Date} now - Current time
+   */
+  async tick(now = new Date()) {
+    if (Date.now() - this.lastRuleRefresh > this.options.ruleRefreshMs) {
+      await this.loadRules();
+    }
+    for (const series of this.series.values()) {
+      await this.evaluate(series, now, false);
+    }
+  }
+
+  getSeries(rule, reading) {
+    const key = this.seriesKey(rule.id, reading.stationId, reading.field);
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        key,
+        rule,
+        stationId: reading.stationId,
+        station: reading.station,
+        field: reading.field,
+        value: null,
+        valueAt: null,
+        previousValue: null,
+        previousAt: null,
+        lastIncreaseAt: null,
+        conditionSince: null,
+        clearSince: null,
+        alert: this.restoredAlerts.get(key) || null,
+        lastCleared: null,
+      });
+      this.restoredAlerts.delete(key);
+    }
+    return this.series.get(key);
+  }
+
+  recordValue(series, value, now) {
+    series.previousValue = series.value;
+    series.previousAt = series.valueAt;
+    series.value = value;
+    series.valueAt = now;
+    if (series.previousValue === null || value > series.previousValue) {
+      series.lastIncreaseAt = now;
+    }
+  }
+
+  /**
+   * Advance the state machine of one series
+   * @param {Object} series - Series state
+   * @param {Date} now - Evaluation time
+   * @param {boolean} isReading - A reading just arrived
+   */
+  async evaluate(series, now, isReading) {
+    if (series.value === null) {
+      return;
+    }
+    const ruleType = getRuleType(series.rule.type);
+    const holds = ruleType.test(series, series.rule, now, isReading);
+
+    if (holds) {
+      series.clearSince = null;
+      if (
+        !series.alert &&
+        this.options.maintenance &&
+        this.options.maintenance.find(series.stationId, series.field, now)
+      ) {
+        // Muted: the hold time starts again once maintenance is over
+        series.conditionSince = null;
+        return;
+      }
+      if (!series.conditionSince) {
+        series.conditionSince = now;
+      }
+      const holdMs = ruleType.selfTimed ? 0 : series.rule.forSeconds * 1000;
+      if (!series.alert && now - series.conditionSince >= holdMs) {
+        await this.raise(series, now);
+      }
+    } else {
+      series.conditionSince = null;
+      if (series.alert) {
+        if (!series.clearSince) {
+          series.clearSince = now;
+        }
+        if (now - series.clearSince >= series.rule.clearSeconds * 1000) {
+          await this.clear(series, now);
+        }
+      }
+    }
+  }
+
+  buildMessage(series) {
+    const unit = fieldUnit(series.field) || "";
+    return `${series.station} ${series.field} ${describeRule(series.rule, unit)} (now ${series.value} ${unit})`.trim();
+  }
+
+  async raise(series, now) {
+    const previous = series.lastCleared;
+    const reopen =
+      previous && now - new Date(previous.clearedAt) < this.options.reopenWindowMs;
+
+    const data = reopen
+      ? {
+          state: AlertStates.ACTIVE,
+          lastRaisedAt: now,
+          clearedAt: null,
+          acknowledgedAt: null,
+          acknowledgedBy: null,
+          occurrences: previous.occurrences + 1,
+          value: series.value,
+          message: this.buildMessage(series),
+        }
+      : {
+          ruleId: series.rule.id,
+          stationId: series.stationId,
+          field: series.field,
+          severity: series.rule.severity,
+          state: AlertStates.ACTIVE,
+          message: this.buildMessage(series),
+          value: series.value,
+          threshold: series.rule.threshold,
+          raisedAt: now,
+          lastRaisedAt: now,
+          occurrences: 1,
+        };
+
+    // Keep the state machine moving even if the database write fails
+    series.alert = { ...(reopen ? previous : {}), ...data, id: reopen ? previous.id : null };
+    series.lastCleared = null;
+    try {
+      series.alert = reopen
+        ? await this.db.updateAlert(previous.id, data)
+        : await this.db.createAlert(data);
+    } catch (error) {
+      console.error(`❌ Failed to store alert for ${series.station}:`, error.message);
+    }
+
+    console.log(`🚨 ${series.alert.message}`);
+    this.emit(reopen ? "reopened" : "raised", series.alert, series);
+  }
+
+  async clear(series, now, reason = null) {
+    const data = { state: AlertStates.CLEARED, clearedAt: now };
+    let alert = { ...series.alert, ...data };
+    try {
+      if (series.alert.id) {
+        alert = await this.db.updateAlert(series.alert.id, data);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to clear alert for ${series.station}:`, error.message);
+    }
+
+    series.alert = null;
+    series.clearSince = null;
+    series.lastCleared = alert;
+    console.log(
+      `✅ Cleared: ${series.station} ${series.field}${reason ? ` (${reason})` : ""}`
+    );
+    this.emit("cleared", alert, series);
+  }
+
+  /**
+   * Acknowledge an open alert
+   * @param {string} alertId - Alert ID
+   * @param {string} acknowledgedBy - Who acknowledged it
+   * @returns {Promise<Object|null>} Alert, or null if it is not active
+   */
+  async acknowledge(alertId, acknowledgedBy = null) {
+    const alert = await this.db.acknowledgeAlert(alertId, acknowledgedBy);
+    if (!alert) {
+      return null;
+    }
+
+    for (const series of this.series.values()) {
+      if (series.alert && series.alert.id === alertId) {
+        series.alert = alert;
+        this.emit("acknowledged", alert, series);
+      }
+    }
+    return alert;
+  }
+
+  /**
+   * Open alerts held by the engine
+   * @returns {Array} Alerts
+   */
+  getOpenAlerts() {
+    return [...this.series.values()]
+      .filter((series) => series.alert)
+      .map((series) => ({ ...series.alert, station: series.station }));
+  }
+}
+
+module.exports = AlertEngine;
@@ -0,0 +1,141 @@
+/**
+ * Alert rule types stored in AlertRule.type
+ *
+ * Each type tests one series (a station field such as activePower1) and
+ * returns whether its condition currently holds. `test` is called when a
+ * reading arrives (`isReading` true) and on every engine tick, because
+ * WebSocket stations only report values that changed: a channel stuck at 0 W
+ * or a counter that stopped counting sends nothing at all.
+ */
+
+const AlertStates = Object.freeze({
+  ACTIVE: "active",
+  ACKNOWLEDGED: "acknowledged",
+  CLEARED: "cleared",
+});
+
+const SEVERITIES = ["info", "warning", "critical"];
+
+const RULE_TYPES = {
+  // Value stays below the threshold (e.g. a transmitter dropping to 0 W)
+  below: {
+    needsThreshold: true,
+    defaultForSeconds: 60,
+    test: (series, rule) => series.value < rule.threshold,
+    describe: (rule, unit) => `below ${rule.threshold} ${unit}`,
+    describeTh: (rule, unit) => `ต่ำกว่า ${rule.threshold} ${unit}`,
+  },
+
+  // Value stays above the threshold
+  above: {
+    needsThreshold: true,
+    defaultForSeconds: 60,
+    test: (series, rule) => series.value > rule.threshold,
+    describe: (rule, unit) => `above ${rule.threshold} ${unit}`,
+    describeTh: (rule, unit) => `สูงกว่า ${rule.threshold} ${unit}`,
+  },
+
+  // Value changes faster than threshold units per minute; only true at the
+  // reading that made the jump, so it raises at once and clears after calm
+  rate: {
+    needsThreshold: true,
+    defaultForSeconds: 0,
+    test: (series, rule, now, isReading) => {
+      if (!isReading || series.previousValue === null) {
+        return false;
+      }
+      const minutes = Math.max(series.valueAt - series.previousAt, 1000) / 60000;
+      return Math.abs(series.value - series.previousValue) / minutes > rule.threshold;
+    },
+    describe: (rule, unit) => `changing faster than ${rule.threshold} ${unit}/min`,
+    describeTh: (rule, unit) => `เปลี่ยนแปลงเร็วกว่า ${rule.threshold} ${unit}/นาที`,
+  },
+
+  // Cumulative counter (muxPower) has not increased for forSeconds; the type
+  // times itself from the last increase, so the engine raises as soon as it holds
+  stalled: {
+    needsThreshold: false,
+    defaultForSeconds: 15 * 60,
+    selfTimed: true,
+    test: (series, rule, now) =>
+      now - series.lastIncreaseAt >= rule.forSeconds * 1000,
+    describe: () => "not increasing",
+    describeTh: () => "ไม่เพิ่มขึ้น",
+  },
+};
+
+/**
+ * Look up a rule type
+ * @param {string} type - Rule type
+ * @returns {Object} Type definition
+ */
+function getRuleType(type) {
+  const ruleType = RULE_TYPES[type];
+  if (!ruleType) {
+    throw new Error(
+      `Unknown alert rule type "${type}", expected one of: ${Object.keys(RULE_TYPES).join(", ")}`
+    );
+  }
+  return ruleType;
+}
+
+/**
+ * Check a rule before saving it
+ * @param {Object} rule - { field, type, threshold, severity }
+ * @throws {Error} If the rule is incomplete
+ */
+function validateRule(rule) {
+  const ruleType = getRuleType(rule.type);
+  if (!rule.field) {
+    throw new Error("Alert rule needs a field (e.g. activePower1 or activePower*)");
+  }
+  if (ruleType.needsThreshold && (rule.threshold === null || rule.threshold === undefined || isNaN(rule.threshold))) {
+    throw new Error(`Alert rule type "${rule.type}" needs a numeric threshold`);
+  }
+  if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Invalid severity "${rule.severity}", expected one of: ${SEVERITIES.join(", ")}`);
+  }
+}
+
+/**
+ * Match a field against a rule field ("activePower*" matches every channel)
+ * @param {string} pattern - Rule field
+ * @param {string} field - Reading field
+ * @returns {boolean}
+ */
+function matchesField(pattern, field) {
+  return pattern.endsWith("*")
+    ? field.startsWith(pattern.slice(0, -1))
+    : pattern === field;
+}
+
+/**
+ * Human readable condition, e.g. "below 100 W for 5 min" / "ต่ำกว่า 100 W นาน 5 นาที"
+ * @param {Object} rule - Alert rule
+ * @param {string} unit - Unit of the field
+ * @param {string} language - "en" or "th"
+ * @returns {string}
+ */
+function describeRule(rule, unit = "", language = "en") {
+  const ruleType = getRuleType(rule.type);
+  const thai = language === "th";
+  const condition = (thai ? ruleType.describeTh : ruleType.describe)(rule, unit).trim();
+  if (rule.forSeconds <= 0) {
+    return condition;
+  }
+  const minutes = rule.forSeconds % 60 === 0;
+  if (thai) {
+    return `${condition} นาน ${minutes ? `${rule.forSeconds / 60} นาที` : `${rule.forSeconds} วินาที`}`;
+  }
+  return `${condition} for ${minutes ? `${rule.forSeconds / 60} min` : `${rule.forSeconds}s`}`;
+}
+
+module.exports = {
+  AlertStates,
+  SEVERITIES,
+  RULE_TYPES,
+  getRuleType,
+  validateRule,
+  matchesField,
+  describeRule,
+};
@@ -0,0 +1,360 @@
+const fs = require("fs");
+const path = require("path");
+const { SEVERITIES, describeRule } = require("./AlertRuleTypes");
+const { getFieldLabel } = require("../database/FieldLabels");
+const { fieldUnit } = require("../server/LiveFeed");
+const WebhookNotifier = require("./notifiers/WebhookNotifier");
+const LineNotifier = require("./notifiers/LineNotifier");
+const EmailNotifier = require("./notifiers/EmailNotifier");
+const FileNotifier = require("./notifiers/FileNotifier");
+const SyslogNotifier = require("./notifiers/SyslogNotifier");
+
+const NOTIFIER_TYPES = {
+  webhook: WebhookNotifier,
+  line: LineNotifier,
+  email: EmailNotifier,
+  file: FileNotifier,
+  syslog: SyslogNotifier,
+};
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "../../notifiers.json");
+
+const ENGINE_EVENTS = ["raised", "reopened", "cleared", "acknowledged"];
+
+const SEVERITY_LABELS = {
+  en: { info: "INFO", warning: "WARNING", critical: "CRITICAL" },
+  th: { info: "แจ้งเพื่อทราบ", warning: "เตือน", critical: "วิกฤต" },
+};
+
+/**
+ * Message templates per language; {placeholders} are filled by render().
+ * notifiers.json can override any of them under "templates".
+ */
+const DEFAULT_TEMPLATES = {
+  en: {
+    subject: "[{severity}] {station} - {label}",
+    raised: "🚨 [{severity}] {station} - {label}\n{condition} (now {value} {unit})\nSince {time}",
+    reopened:
+      "🔁 [{severity}] {station} - {label}\n{condition} again (now {value} {unit}, {occurrences} times)\nAt {time}",
+    cleared: "✅ Back to normal: {station} - {label}\nNow {value} {unit}\nAt {time}",
+    acknowledged: "👀 Acknowledged by {acknowledgedBy}: {station} - {label}\n{condition}",
+    test: "🔔 Test notification from {station} via channel \"{channel}\"",
+  },
+  th: {
+    subject: "[{severity}] {station} - {label}",
+    raised: "🚨 [{severity}] {station} - {label}\n{condition} (ค่าปัจจุบัน {value} {unit})\nตั้งแต่ {time}",
+    reopened:
+      "🔁 [{severity}] {station} - {label}\n{condition} อีกครั้ง (ค่าปัจจุบัน {value} {unit}, ครั้งที่ {occurrences})\nเวลา {time}",
+    cleared: "✅ กลับสู่ปกติ: {station} - {label}\nค่าปัจจุบัน {value} {unit}\nเวลา {time}",
+    acknowledged: "👀 {acknowledgedBy} รับทราบแล้ว: {station} - {label}\n{condition}",
+    test: "🔔 ทดสอบการแจ้งเตือนจาก {station} ผ่านช่องทาง \"{channel}\"",
+  },
+};
+
+/**
+ * Create a notifier from its notifiers.json entry
+ * @param {string} name - Channel name
+ * @param {Object} options - Channel options with a `type`
+ * @returns {Notifier}
+ */
+function createNotifier(name, options) {
+  const NotifierClass = NOTIFIER_TYPES[options.type];
+  if (!NotifierClass) {
+    throw new Error(
+      `Notifier "${name}" has unknown type "${options.type}", expected one of: ${Object.keys(NOTIFIER_TYPES).join(", ")}`
+    );
+  }
+  return new NotifierClass(name, options);
+}
+
+/**
+ * Split AlertRule.channels ("line-noc, log") into channel names
+ * @param {string|null} channels - Stored value
+ * @returns {Array<string>|null} Names, or null for the default channels
+ */
+function parseChannels(channels) {
+  if (!channels) {
+    return null;
+  }
+  return channels
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * NotificationService - Delivers AlertEngine events to notification channels
+ *
+ * Channels are configured in notifiers.json (see notifiers.example.json):
+ *
+ *   channels.<name>: { type, default, language, minSeverity, events, ...options }
+ *   rateLimit:       { perChannel, windowMinutes, perAlertMinutes }
+ *   language:        default message language ("th" or "en")
+ *   templates:       { th: { raised: "..." }, en: { ... } }
+ *
+ * An alert goes to the channels listed in its rule (AlertRule.channels) or,
+ * when the rule lists none, to every channel marked `default`. Each channel
+ * sends at most `perChannel` messages per window and repeats the same event
+ * for the same alert at most once per `perAlertMinutes`, so a flapping
+ * transmitter cannot flood a LINE group. Suppressed messages are counted and
+ * reported with the next message that goes through.
+ */
+class NotificationService {
+  /**
+   * @param {Object} config - Parsed notifiers.json
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.language = config.language || "th";
+    this.rateLimit = {
+      perChannel: 20,
+      windowMinutes: 60,
+      perAlertMinutes: 10,
+      ...config.rateLimit,
+    };
+    this.templates = {
+      en: { ...DEFAULT_TEMPLATES.en, ...(config.templates || {}).en },
+      th: { ...DEFAULT_TEMPLATES.th, ...(config.templates || {}).th },
+    };
+
+    this.channels = new Map(); // name -> { name, settings, notifier }
+    Object.entries(config.channels || {}).forEach(([name, settings]) => {
+      this.channels.set(name, {
+        name,
+        settings,
+        notifier: createNotifier(name, settings),
+      });
+    });
+
+    this.sentAt = new Map(); // channel name -> send times within the window
+    this.lastAlertEvent = new Map(); // "channel|alertId|event" -> time
+    this.suppressed = new Map(); // channel name -> messages dropped since the last send
+    this.warnedChannels = new Set();
+    this.engine = null;
+    this.listeners = ENGINE_EVENTS.map((event) => [
+      event,
+      (alert, series) => this.notify(event, alert, series),
+    ]);
+  }
+
+  /**
+   * Load notifiers.json
+   * @param {string} filePath - Config path (default NOTIFIERS_CONFIG or ./notifiers.json)
+   * @returns {Object|null} Config, or null if the file does not exist
+   */
+  static loadConfig(filePath = process.env.NOTIFIERS_CONFIG || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid notifier config ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send notifications for an AlertEngine's events
+   * @param {AlertEngine} engine - Alert engine
+   */
+  attach(engine) {
+    this.engine = engine;
+    this.listeners.forEach(([event, listener]) => engine.on(event, listener));
+  }
+
+  /**
+   * Stop listening and close the channels
+   */
+  detach() {
+    if (this.engine) {
+      this.listeners.forEach(([event, listener]) =>
+        this.engine.removeListener(event, listener)
+      );
+      this.engine = null;
+    }
+    this.channels.forEach((channel) => channel.notifier.close());
+  }
+
+  /**
+   * Channels an alert event should go to
+   * @param {Object} rule - Alert rule
+   * @param {string} event - Engine event
+   * @param {string} severity - Alert severity
+   * @returns {Array<Object>} Channels
+   */
+  route(rule, event, severity) {
+    const names = parseChannels(rule && rule.channels);
+    let channels;
+    if (names) {
+      channels = names
+        .map((name) => {
+          const channel = this.channels.get(name);
+          if (!channel && !this.warnedChannels.has(name)) {
+            this.warnedChannels.add(name);
+            console.warn(`⚠️  Alert rule ${rule.id} uses unknown notifier channel "${name}"`);
+          }
+          return channel;
+        })
+        .filter(Boolean);
+    } else {
+      channels = [...this.channels.values()].filter((channel) => channel.settings.default);
+    }
+
+    return channels.filter(({ settings }) => {
+      const events = settings.events || ["raised", "reopened", "cleared"];
+      const minSeverity = SEVERITIES.indexOf(settings.minSeverity || SEVERITIES[0]);
+      return events.includes(event) && SEVERITIES.indexOf(severity) >= minSeverity;
+    });
+  }
+
+  /**
+   * Check and record the rate limits of a channel
+   * @returns {boolean} Whether the message may be sent
+   */
+  allow(channelName, alertId, event, now = Date.now()) {
+    const alertKey = `${channelName}|${alertId}|${event}`;
+    const lastSent = this.lastAlertEvent.get(alertKey);
+    const windowStart = now - this.rateLimit.windowMinutes * 60000;
+    const recent = (this.sentAt.get(channelName) || []).filter((time) => time > windowStart);
+    this.sentAt.set(channelName, recent);
+
+    if (
+      (alertId && lastSent && now - lastSent < this.rateLimit.perAlertMinutes * 60000) ||
+      recent.length >= this.rateLimit.perChannel
+    ) {
+      this.suppressed.set(channelName, (this.suppressed.get(channelName) || 0) + 1);
+      return false;
+    }
+
+    recent.push(now);
+    if (alertId) {
+      this.lastAlertEvent.set(alertKey, now);
+    }
+    return true;
+  }
+
+  /**
+   * Render a notification for one language
+   * @param {string} event - Engine event (or "test")
+   * @param {Object} alert - Alert row
+   * @param {Object} series - AlertEngine series ({ rule, station, field, value })
+   * @param {string} language - "th" or "en"
+   * @param {Object} extra - Additional placeholders
+   * @returns {Object} Notification for Notifier.send
+   */
+  render(event, alert, series, language, extra = {}) {
+    const field = series.field || alert.field;
+    const unit = fieldUnit(field) || "";
+    const severity = alert.severity || (series.rule && series.rule.severity) || "info";
+    const locale = language === "th" ? "th-TH" : "en-GB";
+    const time = new Date(
+      event === "cleared" ? alert.clearedAt || Date.now() : alert.lastRaisedAt || alert.raisedAt || Date.now()
+    );
+    const values = {
+      station: series.station || (alert.station && alert.station.name) || alert.stationId,
+      label: getFieldLabel(field, language),
+      field,
+      severity: SEVERITY_LABELS[language][severity] || severity,
+      condition: series.rule ? describeRule(series.rule, unit, language) : alert.message,
+      value: series.value ?? alert.value ?? "-",
+      unit,
+      occurrences: alert.occurrences || 1,
+      acknowledgedBy: alert.acknowledgedBy || (language === "th" ? "ผู้ดูแล" : "operator"),
+      time: time.toLocaleString(locale),
+      ...extra,
+    };
+    const fill = (template) =>
+      template.replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] === undefined || values[key] === null ? match : String(values[key])
+      );
+
+    const templates = this.templates[language];
+    return {
+      event,
+      severity,
+      station: values.station,
+      stationId: series.stationId || alert.stationId,
+      field,
+      label: values.label,
+      language,
+      subject: fill(templates.subject),
+      text: fill(templates[event]).replace(/ +$/gm, ""),
+      alert,
+    };
+  }
+
+  /**
+   * Deliver one engine event to its channels
+   * @param {string} event - "raised", "reopened", "cleared" or "acknowledged"
+   * @param {Object} alert - Alert row
+   * @param {Object} series - AlertEngine series
+   * @returns {Promise<Object>} { sent, suppressed, failed } channel names
+   */
+  async notify(event, alert, series) {
+    const result = { sent: [], suppressed: [], failed: [] };
+    const channels = this.route(series.rule, event, alert.severity);
+
+    await Promise.all(
+      channels.map(async (channel) => {
+        if (!this.allow(channel.name, alert.id || series.key, event)) {
+          result.suppressed.push(channel.name);
+          return;
+        }
+        await this.deliver(channel, this.render(event, alert, series, this.channelLanguage(channel)), result);
+      })
+    );
+    return result;
+  }
+
+  channelLanguage(channel) {
+    return channel.settings.language === "en" || channel.settings.language === "th"
+      ? channel.settings.language
+      : this.language;
+  }
+
+  async deliver(channel, notification, result) {
+    const dropped = this.suppressed.get(channel.name) || 0;
+    if (dropped > 0) {
+      notification.text +=
+        notification.language === "th"
+          ? `\n(ระงับการแจ้งเตือนไป ${dropped} ข้อความ)`
+          : `\n(${dropped} notifications suppressed)`;
+    }
+
+    try {
+      await channel.notifier.send(notification);
+      this.suppressed.set(channel.name, 0);
+      result.sent.push(channel.name);
+    } catch (error) {
+      result.failed.push(channel.name);
+      console.error(`❌ Notification via ${channel.name} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Send a test message through channels, bypassing routing and rate limits
+   * @param {Array<string>} names - Channel names (default: every channel)
+   * @returns {Promise<Object>} { sent, suppressed, failed } channel names
+   */
+  async sendTest(names = [...this.channels.keys()]) {
+    const result = { sent: [], suppressed: [], failed: [] };
+    for (const name of names) {
+      const channel = this.channels.get(name);
+      if (!channel) {
+        throw new Error(`Unknown notifier channel "${name}"`);
+      }
+      const alert = { id: null, severity: "info", field: "activePower1", raisedAt: new Date() };
+      const series = { station: "Power Monitor", field: "activePower1", value: null };
+      const notification = this.render("test", alert, series, this.channelLanguage(channel), {
+        channel: name,
+      });
+      await this.deliver(channel, notification, result);
+    }
+    return result;
+  }
+}
+
+module.exports = NotificationService;
+module.exports.NOTIFIER_TYPES = NOTIFIER_TYPES;
+module.exports.createNotifier = createNotifier;
+module.exports.parseChannels = parseChannels;
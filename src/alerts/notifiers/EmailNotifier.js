@@ -0,0 +1,218 @@
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const Notifier = require("./Notifier");
+
+/**
+ * EmailNotifier - Sends notifications over SMTP
+ *
+ * A minimal SMTP client (EHLO, optional STARTTLS, AUTH PLAIN, one message per
+ * connection) so alert mail needs no extra dependencies.
+ *
+ * Options: { host, port (default 25, or 465 with secure), secure (implicit
+ * TLS), starttls, user, pass, from, to (string or array), timeoutMs }
+ */
+class EmailNotifier extends Notifier {
+  constructor(name, options = {}) {
+    super(name, {
+      port: options.secure ? 465 : 25,
+      timeoutMs: 15000,
+      ...options,
+    });
+    if (!options.host || !options.from || !options.to) {
+      throw new Error(`Notifier "${name}" needs host, from and to`);
+    }
+    this.recipients = [].concat(options.to);
+  }
+
+  async send(notification) {
+    const session = await SmtpSession.open(this.options);
+    try {
+      await session.expect(220);
+      await this.hello(session);
+
+      if (this.options.starttls && !this.options.secure) {
+        await session.command("STARTTLS", 220);
+        await session.upgrade(this.options);
+        await this.hello(session);
+      }
+      if (this.options.user) {
+        const credentials = Buffer.from(
+          `\0${this.options.user}\0${this.options.pass || ""}`
+        ).toString("base64");
+        await session.command(`AUTH PLAIN ${credentials}`, 235);
+      }
+
+      // "Power Monitor <alerts@example.com>" -> alerts@example.com
+      const sender = (/<([^>]+)>/.exec(this.options.from) || [])[1] || this.options.from;
+      await session.command(`MAIL FROM:<${sender}>`, 250);
+      for (const recipient of this.recipients) {
+        await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await session.command("DATA", 354);
+      await session.command(`${this.buildMessage(notification)}\r\n.`, 250);
+      await session.command("QUIT", 221).catch(() => {});
+    } finally {
+      session.close();
+    }
+  }
+
+  hello(session) {
+    return session.command(`EHLO ${os.hostname()}`, 250);
+  }
+
+  /**
+   * Build a UTF-8 message; the body is base64 so Thai text and lines starting
+   * with "." need no further escaping
+   * @param {Object} notification - Rendered notification
+   * @returns {string}
+   */
+  buildMessage(notification) {
+    const encodeHeader = (value) =>
+      /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+    const body = Buffer.from(notification.text, "utf8")
+      .toString("base64")
+      .replace(/.{76}/g, "$&\r\n");
+
+    return [
+      `From: ${this.options.from}`,
+      `To: ${this.recipients.join(", ")}`,
+      `Subject: ${encodeHeader(notification.subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=UTF-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      body,
+    ].join("\r\n");
+  }
+}
+
+/**
+ * One SMTP connection: sends commands and reads (possibly multi-line) replies
+ */
+class SmtpSession {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = "";
+    this.lines = [];
+    this.replies = []; // Replies that arrived before anyone waited for them
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  static open(options) {
+    return new Promise((resolve, reject) => {
+      const connectOptions = { host: options.host, port: options.port };
+      const socket = options.secure
+        ? tls.connect({ ...connectOptions, servername: options.host })
+        : net.connect(connectOptions);
+      const event = options.secure ? "secureConnect" : "connect";
+      socket.setTimeout(options.timeoutMs);
+      socket.once("timeout", () =>
+        socket.destroy(new Error(`SMTP timeout connecting to ${options.host}`))
+      );
+      socket.once("error", reject);
+      socket.once(event, () => {
+        socket.removeListener("error", reject);
+        resolve(new SmtpSession(socket, options.timeoutMs));
+      });
+    });
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.timeoutMs);
+    socket.on("data", (chunk) => this.onData(chunk));
+    socket.on("timeout", () => socket.destroy(new Error("SMTP timeout")));
+    socket.on("error", (error) => this.fail(error));
+    socket.on("close", () => this.fail(new Error("SMTP connection closed")));
+  }
+
+  /**
+   * Switch the connection to TLS after STARTTLS
+   */
+  upgrade(options) {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners("data");
+      plain.removeAllListeners("close");
+      plain.removeAllListeners("error");
+      plain.removeAllListeners("timeout");
+      this.error = null;
+      const secure = tls.connect({ socket: plain, servername: options.host }, () => {
+        secure.removeListener("error", reject);
+        this.attach(secure);
+        resolve();
+      });
+      secure.once("error", reject);
+    });
+  }
+
+  onData(chunk) {
+    this.buffer += chunk.toString("utf8");
+    let index;
+    while ((index = this.buffer.indexOf("\r\n")) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), text: this.lines.join("\n") };
+        this.lines = [];
+        if (this.waiting) {
+          const { resolve } = this.waiting;
+          this.waiting = null;
+          resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  /**
+   * Wait for the next reply and check its code
+   * @param {number|Array<number>} expected - Accepted reply codes
+   */
+  async expect(expected) {
+    const reply = this.replies.length
+      ? this.replies.shift()
+      : await new Promise((resolve, reject) => {
+          if (this.error) {
+            reject(this.error);
+            return;
+          }
+          this.waiting = { resolve, reject };
+        });
+    if (![].concat(expected).includes(reply.code)) {
+      throw new Error(`SMTP error: ${reply.text}`);
+    }
+    return reply;
+  }
+
+  command(line, expected) {
+    const reply = this.expect(expected);
+    this.socket.write(`${line}\r\n`);
+    return reply;
+  }
+
+  close() {
+    this.waiting = null;
+    this.socket.destroy();
+  }
+}
+
+module.exports = EmailNotifier;
@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const Notifier = require("./Notifier");
+
+/**
+ * FileNotifier - Appends notifications to a local file
+ *
+ * Options: { path (default logs/alerts.log), format: "text" | "json" }
+ */
+class FileNotifier extends Notifier {
+  constructor(name, options = {}) {
+    super(name, { path: "logs/alerts.log", format: "text", ...options });
+  }
+
+  async send(notification) {
+    const time = new Date().toISOString();
+    const line =
+      this.options.format === "json"
+        ? JSON.stringify({
+            time,
+            event: notification.event,
+            severity: notification.severity,
+            station: notification.station,
+            field: notification.field,
+            alertId: notification.alert ? notification.alert.id : null,
+            message: notification.text,
+          })
+        : `${time} [${notification.severity}] ${notification.event}: ${notification.text.replace(/\n/g, " | ")}`;
+
+    await fs.promises.mkdir(path.dirname(path.resolve(this.options.path)), {
+      recursive: true,
+    });
+    await fs.promises.appendFile(this.options.path, `${line}\n`, "utf8");
+  }
+}
+
+module.exports = FileNotifier;
@@ -0,0 +1,28 @@
+const WebhookNotifier = require("./WebhookNotifier");
+
+/**
+ * LineNotifier - LINE Notify style token webhook
+ *
+ * Sends `message=<text>` form-encoded with `Authorization: Bearer <token>`.
+ * Options: { token, url (default LINE Notify), timeoutMs }
+ */
+class LineNotifier extends WebhookNotifier {
+  constructor(name, options = {}) {
+    super(name, { url: "https://notify-api.line.me/api/notify", ...options });
+    if (!options.token) {
+      throw new Error(`Notifier "${name}" needs a token`);
+    }
+  }
+
+  async send(notification) {
+    // LINE shows the message under the token's name, so a leading newline
+    // keeps the first line of the alert on its own line
+    const body = new URLSearchParams({ message: `\n${notification.text}` }).toString();
+    await this.post(body, {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Authorization: `Bearer ${this.options.token}`,
+    });
+  }
+}
+
+module.exports = LineNotifier;
@@ -0,0 +1,43 @@
+/**
+ * Notifier - Base class for alert notification channels
+ *
+ * A notifier delivers one rendered notification:
+ *
+ *   {
+ *     event: "raised" | "reopened" | "cleared" | "acknowledged" | "test",
+ *     severity, station, stationId, field, label, language,
+ *     subject,  // one line
+ *     text,     // full message
+ *     alert     // Alert row
+ *   }
+ *
+ * `send` resolves once the channel accepted the message and rejects otherwise.
+ * Routing and rate limiting live in NotificationService; failed deliveries
+ * are logged, not retried.
+ */
+class Notifier {
+  /**
+   * @param {string} name - Channel name from notifiers.json
+   * @param {Object} options - Channel options
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * Deliver a notification
+   * @param {Object} notification - Rendered notification
+   * @returns {Promise<void>}
+   */
+  async send(notification) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  /**
+   * Release resources (sockets, file handles)
+   */
+  close() {}
+}
+
+module.exports = Notifier;
@@ -0,0 +1,62 @@
+const dgram = require("dgram");
+const os = require("os");
+const Notifier = require("./Notifier");
+
+// Syslog severities (RFC 5424)
+const SYSLOG_SEVERITY = { critical: 2, warning: 4, info: 6 };
+const FACILITY_LOCAL0 = 16;
+
+/**
+ * SyslogNotifier - Sends notifications to a syslog server over UDP
+ *
+ * Options: { host (default 127.0.0.1), port (default 514), facility (default
+ * 16 = local0), appName (default power-monitor) }
+ */
+class SyslogNotifier extends Notifier {
+  constructor(name, options = {}) {
+    super(name, {
+      host: "127.0.0.1",
+      port: 514,
+      facility: FACILITY_LOCAL0,
+      appName: "power-monitor",
+      ...options,
+    });
+    this.socket = null;
+  }
+
+  /**
+   * Format an RFC 5424 message
+   * @param {Object} notification - Rendered notification
+   * @returns {string}
+   */
+  format(notification) {
+    // Clearing is good news: report it as notice (5) whatever the rule severity
+    const severity =
+      notification.event === "cleared" ? 5 : SYSLOG_SEVERITY[notification.severity] ?? 5;
+    const priority = this.options.facility * 8 + severity;
+    const text = notification.text.replace(/\n/g, " | ");
+    return `<${priority}>1 ${new Date().toISOString()} ${os.hostname()} ${this.options.appName} - ${notification.event} - ${text}`;
+  }
+
+  async send(notification) {
+    if (!this.socket) {
+      this.socket = dgram.createSocket(this.options.host.includes(":") ? "udp6" : "udp4");
+      this.socket.unref();
+    }
+    const message = Buffer.from(this.format(notification), "utf8");
+    await new Promise((resolve, reject) => {
+      this.socket.send(message, this.options.port, this.options.host, (error) =>
+        error ? reject(error) : resolve()
+      );
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = SyslogNotifier;
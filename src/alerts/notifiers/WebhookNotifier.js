@@ -0,0 +1,94 @@
+const http = require("http");
+const https = require("https");
+const Notifier = require("./Notifier");
+
+/**
+ * WebhookNotifier - POSTs each notification as JSON
+ *
+ * Options: { url, headers, timeoutMs }
+ */
+class WebhookNotifier extends Notifier {
+  constructor(name, options = {}) {
+    super(name, options);
+    if (!options.url) {
+      throw new Error(`Notifier "${name}" needs a url`);
+    }
+  }
+
+  async send(notification) {
+    const { alert } = notification;
+    const body = JSON.stringify({
+      event: notification.event,
+      severity: notification.severity,
+      station: notification.station,
+      field: notification.field,
+      label: notification.label,
+      subject: notification.subject,
+      message: notification.text,
+      alert: alert
+        ? {
+            id: alert.id,
+            ruleId: alert.ruleId,
+            state: alert.state,
+            value: alert.value,
+            threshold: alert.threshold,
+            occurrences: alert.occurrences,
+            raisedAt: alert.raisedAt,
+            clearedAt: alert.clearedAt || null,
+            acknowledgedBy: alert.acknowledgedBy || null,
+          }
+        : null,
+    });
+    await this.post(body, { "Content-Type": "application/json; charset=utf-8" });
+  }
+
+  /**
+   * POST a body to the configured URL
+   * @param {string} body - Request body
+   * @param {Object} headers - Extra headers
+   * @returns {Promise<string>} Response body
+   */
+  post(body, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(this.options.url);
+      const client = url.protocol === "https:" ? https : http;
+
+      const req = client.request(
+        {
+          hostname: url.hostname,
+          port: url.port || (url.protocol === "https:" ? 443 : 80),
+          path: url.pathname + url.search,
+          method: "POST",
+          timeout: this.options.timeoutMs || 10000,
+          headers: {
+            "User-Agent": "PowerMonitor/1.0",
+            "Content-Length": Buffer.byteLength(body),
+            ...headers,
+            ...this.options.headers,
+          },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (chunk) => {
+            data += chunk;
+          });
+          res.on("end", () => {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+              reject(new Error(`HTTP ${res.statusCode} from ${url.host}`));
+              return;
+            }
+            resolve(data);
+          });
+        }
+      );
+
+      req.on("error", reject);
+      req.on("timeout", () => {
+        req.destroy(new Error(`Timeout posting to ${url.host}`));
+      });
+      req.end(body);
+    });
+  }
+}
+
+module.exports = WebhookNotifier;
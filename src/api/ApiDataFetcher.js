@@ -1,19 +1,22 @@
 const http = require('http');
 const https = require('https');
 const { URL } = require('url');
+const StationEventTypes = require('../database/StationEventTypes');
 
 /**
  * ApiDataFetcher - Handles HTTP API data fetching for stations
  * Supports stations with HTTP endpoints instead of WebSocket connections
  */
 class ApiDataFetcher {
-    constructor(stationConfig, databaseService = null) {
+    constructor(stationConfig, databaseService = null, liveFeed = null, spool = null) {
         // Normalize the config to use ipAddress consistently
         this.config = {
             ...stationConfig,
             ipAddress: stationConfig.ipAddress || stationConfig.ip
         };
         this.databaseService = databaseService;
+        this.liveFeed = liveFeed;
+        this.spool = spool; // Write-ahead spool (ReadingSpool); readings go straight to the database without one
         this.stationRecord = null;
         this.isRunning = false;
         this.fetchInterval = null;
@@ -22,6 +25,7 @@ class ApiDataFetcher {
         this.lastData = null;
         this.errorCount = 0;
         this.maxErrors = 5;
+        this.isResponding = null; // null until the first fetch completes
     }
 
     /**
@@ -52,6 +56,15 @@ class ApiDataFetcher {
         }
     }
 
+    /**
+     * Use a database that connected after the station started
+     * @param {DatabaseService} databaseService - Connected database service
+     */
+    async attachDatabase(databaseService) {
+        this.databaseService = databaseService;
+        await this.initializeStationInDatabase();
+    }
+
     /**
      * Fetch data from HTTP API
      * @returns {Promise<Object>} API response data
@@ -85,43 +98,79 @@ class ApiDataFetcher {
                     res.on('end', () => {
                         try {
                             if (res.statusCode !== 200) {
-                                reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
+                                reject(this.createFetchError(`HTTP ${res.statusCode}: ${res.statusMessage}`, `HTTP_${res.statusCode}`));
                                 return;
                             }
 
                             const jsonData = JSON.parse(data);
                             resolve(jsonData);
                         } catch (parseError) {
-                            reject(new Error(`JSON parse error: ${parseError.message}`));
+                            reject(this.createFetchError(`JSON parse error: ${parseError.message}`, 'INVALID_JSON'));
                         }
                     });
                 });
 
                 req.on('error', (error) => {
                     if (error.code === 'ECONNREFUSED') {
-                        reject(new Error(`Connection refused - API server not available at ${this.config.ipAddress}`));
+                        reject(this.createFetchError(`Connection refused - API server not available at ${this.config.ipAddress}`, error.code));
                     } else if (error.code === 'ENOTFOUND') {
-                        reject(new Error(`Host not found - ${url.hostname} is not reachable`));
+                        reject(this.createFetchError(`Host not found - ${url.hostname} is not reachable`, error.code));
                     } else if (error.code === 'ETIMEDOUT') {
-                        reject(new Error(`Connection timeout - API server not responding`));
+                        reject(this.createFetchError(`Connection timeout - API server not responding`, error.code));
                     } else {
-                        reject(new Error(`Request error: ${error.message}`));
+                        reject(this.createFetchError(`Request error: ${error.message}`, error.code || 'REQUEST_ERROR'));
                     }
                 });
 
                 req.on('timeout', () => {
                     req.destroy();
-                    reject(new Error('Request timeout'));
+                    reject(this.createFetchError('Request timeout', 'TIMEOUT'));
                 });
 
                 req.end();
 
             } catch (error) {
-                reject(new Error(`URL error: ${error.message}`));
+                reject(this.createFetchError(`URL error: ${error.message}`, 'INVALID_URL'));
             }
         });
     }
 
+    /**
+     * Create a fetch error carrying a short code for the event log
+     * @param {string} message - Error message
+     * @param {string} code - Error code (e.g. ECONNREFUSED, HTTP_503)
+     * @returns {Error}
+     */
+    createFetchError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Persist a station event (never throws)
+     * @param {string} type - StationEventTypes value
+     * @param {string} message - Event message
+     * @param {string|null} errorCode - Error code, if any
+     */
+    async recordEvent(type, message, errorCode = null) {
+        if (!this.databaseService || !this.stationRecord) {
+            return;
+        }
+
+        try {
+            await this.databaseService.createStationEvent({
+                stationId: this.stationRecord.id,
+                type,
+                message,
+                errorCode,
+                source: 'api'
+            });
+        } catch (error) {
+            console.error(`[${this.config.name}] ❌ Failed to record ${type} event:`, error.message);
+        }
+    }
+
     /**
      * Transform API data to database format
      * @param {Object} apiData - Raw API data
@@ -230,8 +279,18 @@ class ApiDataFetcher {
             // Display data
             this.displayData(apiData, transformedData);
 
-            // Save to database if enabled
-            if (this.databaseService && this.stationRecord) {
+            // Re-publish to live feed subscribers
+            if (this.liveFeed) {
+                this.liveFeed.publish({
+                    station: this.config.name,
+                    stationId: this.stationRecord ? this.stationRecord.id : null,
+                    source: 'api',
+                    values: transformedData
+                });
+            }
+
+            // Save to database if enabled (the spool keeps readings until it is reachable)
+            if (this.spool || (this.databaseService && this.stationRecord)) {
                 await this.saveToDatabase(transformedData);
             }
 
@@ -251,12 +310,17 @@ class ApiDataFetcher {
     async saveToDatabase(transformedData) {
         try {
             const readingData = {
-                stationId: this.stationRecord.id,
+                stationId: this.stationRecord ? this.stationRecord.id : null,
+                station: this.config.name, // Resolved by the spool while the record is not known
                 timestamp: new Date(),
                 powerData: transformedData
             };
 
-            await this.databaseService.createPowerReading(readingData);
+            if (this.spool) {
+                this.spool.append(readingData);
+            } else {
+                await this.databaseService.createPowerReading(readingData);
+            }
             
             // Log successful saves occasionally
             if (Math.random() < 0.2) { // Log ~20% of saves
@@ -347,14 +411,25 @@ class ApiDataFetcher {
 
             const apiData = await this.fetchApiData();
             this.lastFetch = new Date();
+            if (this.isResponding !== true) {
+                this.isResponding = true;
+                await this.recordEvent(StationEventTypes.CONNECTED, 'API responding');
+            }
             await this.processApiData(apiData);
 
         } catch (error) {
             this.errorCount++;
             console.error(`[${this.config.name}] ❌ API fetch failed (${this.errorCount}/${this.maxErrors}):`, error.message);
-            
+            await this.recordEvent(StationEventTypes.API_FETCH_ERROR, error.message, error.code || null);
+
+            if (this.isResponding === true) {
+                await this.recordEvent(StationEventTypes.DISCONNECTED, 'API stopped responding', error.code || null);
+            }
+            this.isResponding = false;
+
             if (this.errorCount >= this.maxErrors) {
                 console.error(`[${this.config.name}] ❌ Max errors reached, stopping API fetching`);
+                await this.recordEvent(StationEventTypes.API_STOPPED, `Stopped after ${this.errorCount} consecutive errors`, error.code || null);
                 this.stop();
             }
         }
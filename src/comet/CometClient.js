@@ -0,0 +1,385 @@
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const {
+  CometError,
+  RequestTimeoutError,
+  ConnectionClosedError,
+  AuthFailedError,
+  SceneNotFoundError,
+  RegisterRejectedError,
+} = require("./errors");
+
+// Headers the devices expect from their own browser client
+const BROWSER_HEADERS = {
+  Connection: "Upgrade",
+  Upgrade: "websocket",
+  Origin: "*",
+  "User-Agent":
+    "Mozilla/5.0 (Linux; Android 8.0.0; SM-G955U Build/R16NW) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Mobile Safari/537.36",
+  "Accept-Language": "en-US,en;q=0.9",
+  "Cache-Control": "no-cache",
+  Pragma: "no-cache",
+};
+
+/**
+ * CometClient - WebSocket client for the Comet/ScriptEngine JSON-RPC protocol
+ * Shared by every WebSocket station (StationMonitor and SceneDiscovery)
+ *
+ * Requests get auto-incrementing ids and are matched to replies through a pending
+ * request map, so calls resolve as soon as the device answers. Failures reject with
+ * the typed errors in ./errors (AuthFailedError, SceneNotFoundError, ...).
+ *
+ * Events:
+ *   "open"          - connection established
+ *   "close"         - connection closed
+ *   "error"         - socket error (Error)
+ *   "message"       - every parsed message from the device (Object)
+ *   "notification"  - every notification (provider, value)
+ *   "sync"          - ScriptEngine sync payload (Object of objectId → value)
+ */
+class CometClient extends EventEmitter {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.name - Station name (used in error messages)
+   * @param {string} options.url - Device WebSocket URL (ws://host/ws)
+   * @param {string} options.username - Sign-in user
+   * @param {string} options.password - Sign-in password
+   * @param {number} options.connectionTimeout - Connection timeout (ms)
+   * @param {number} options.replyTimeout - Time to wait for each reply (ms)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      username: "Admin",
+      password: "admin",
+      connectionTimeout: 10000,
+      replyTimeout: 5000,
+      ...options,
+    };
+    this.ws = null;
+    this.USID = null;
+    this.isConnected = false;
+    this.nextRequestId = 0;
+    this.pendingRequests = new Map(); // Request id → { method, resolve, reject, timer }
+  }
+
+  /**
+   * Open the WebSocket connection
+   * @returns {Promise<void>}
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const { url, connectionTimeout } = this.options;
+
+      this.ws = new WebSocket(url, {
+        headers: BROWSER_HEADERS,
+        perMessageDeflate: false,
+        handshakeTimeout: connectionTimeout,
+      });
+
+      const timeout = setTimeout(() => {
+        this.ws.terminate();
+        reject(new Error("Connection timeout"));
+      }, connectionTimeout);
+
+      this.ws.on("open", () => {
+        clearTimeout(timeout);
+        this.isConnected = true;
+        this.emit("open");
+        resolve();
+      });
+
+      this.ws.on("error", (error) => {
+        clearTimeout(timeout);
+        // Only surface errors once someone listens, to avoid unhandled "error" events
+        if (this.listenerCount("error") > 0) {
+          this.emit("error", error);
+        }
+        reject(error);
+      });
+
+      this.ws.on("close", () => {
+        clearTimeout(timeout);
+        this.isConnected = false;
+        this.USID = null;
+        this.rejectAllPending();
+        this.emit("close");
+      });
+
+      this.ws.on("message", (data) => this.handleMessage(data));
+    });
+  }
+
+  /**
+   * Parse an incoming message and dispatch it to listeners
+   * @param {Buffer|string} data - Raw WebSocket frame
+   */
+  handleMessage(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (error) {
+      // Ignore frames that are not JSON
+      return;
+    }
+
+    this.emit("message", msg);
+
+    if (this.resolvePending(msg)) {
+      return;
+    }
+
+    if (msg.notification) {
+      const { provider, value } = msg.notification;
+      this.emit("notification", provider, value);
+
+      if (provider === "ScriptEngine" && value?.sync) {
+        this.emit("sync", value.sync);
+      }
+    }
+  }
+
+  /**
+   * Send an RPC request and wait for the reply with the same id
+   * @param {string} method - RPC method name
+   * @param {Array} params - RPC parameters
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Reply timeout (ms), defaults to replyTimeout
+   * @returns {Promise<Object>} The device response
+   */
+  call(method, params = [], { timeout = this.options.replyTimeout } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        reject(new ConnectionClosedError(method));
+        return;
+      }
+
+      const id = this.nextRequestId++;
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new RequestTimeoutError(method, timeout));
+      }, timeout);
+
+      this.pendingRequests.set(id, { method, resolve, reject, timer });
+      this.ws.send(JSON.stringify({ id, method, params }) + "\n");
+    });
+  }
+
+  /**
+   * Resolve the pending request a response belongs to
+   * @param {Object} msg - Parsed response
+   * @returns {boolean} True if the message answered a pending request
+   */
+  resolvePending(msg) {
+    if (msg.id === undefined || !this.pendingRequests.has(msg.id)) {
+      return false;
+    }
+
+    const pending = this.pendingRequests.get(msg.id);
+    this.pendingRequests.delete(msg.id);
+    clearTimeout(pending.timer);
+    pending.resolve(msg);
+    return true;
+  }
+
+  /**
+   * Reject every outstanding request (connection lost)
+   */
+  rejectAllPending() {
+    this.pendingRequests.forEach((pending) => {
+      clearTimeout(pending.timer);
+      pending.reject(new ConnectionClosedError(pending.method));
+    });
+    this.pendingRequests.clear();
+  }
+
+  // ==================== Comet / ScriptEngine Methods ====================
+
+  /**
+   * Sign in and obtain a USID
+   * @returns {Promise<string>} USID
+   * @throws {AuthFailedError} If the device does not return a USID
+   */
+  async signIn() {
+    const response = await this.call("comet.signIn", [
+      { $class: "com.wcs.comet.shared.CoreGTLoginContext" },
+      this.options.username,
+      this.options.password,
+      {
+        $className: "com.wcs.comet.shared.ClientInfo",
+        userLevel: -1,
+        ConnectionTimeStamp: 0,
+        DataTimeout: 0,
+        IpAddress: null,
+        Protocol: null,
+        ProtocolVersion: 0,
+        SID: -1,
+        USID: null,
+        UserAgent: "GWT Comet Client",
+        UserAgentVersion: 2,
+        UserLevel: -1,
+        UserName: "WebApp Client",
+        Admin: false,
+        Guest: false,
+        Logged: false,
+      },
+      30,
+      30,
+    ]);
+
+    if (!response.result?.USID) {
+      throw new AuthFailedError(response);
+    }
+
+    this.USID = response.result.USID;
+    return this.USID;
+  }
+
+  /**
+   * Subscribe to notifications from a provider
+   * @param {string} provider - Notification provider
+   * @returns {Promise<void>}
+   */
+  async subscribeNotification(provider = "ScriptEngine") {
+    const method = "comet.subscribeNotification";
+    const response = await this.call(method, [
+      this.USID,
+      provider,
+      { displayName: this.options.username },
+    ]);
+    this.expectTrue(method, response);
+  }
+
+  /**
+   * Set how often the device pushes sync notifications
+   * @param {number} updateRate - Update rate (ms)
+   * @returns {Promise<void>}
+   */
+  async setUpdateRate(updateRate) {
+    const method = "ScriptEngine.setUpdateRate";
+    const response = await this.call(method, [this.USID, updateRate]);
+    this.expectTrue(method, response);
+  }
+
+  /**
+   * Load script information
+   * @returns {Promise<Object>}
+   */
+  async loadScriptInfo() {
+    return this.expectNoError(
+      "ScriptEngine.loadScriptInfo",
+      await this.call("ScriptEngine.loadScriptInfo", [])
+    );
+  }
+
+  /**
+   * Load dashboards
+   * @returns {Promise<Object>}
+   */
+  async loadDashboards() {
+    return this.expectNoError(
+      "ScriptEngine.loadDashboards",
+      await this.call("ScriptEngine.loadDashboards", [])
+    );
+  }
+
+  /**
+   * Load a scene by UUID
+   * @param {string} scene - Scene UUID
+   * @returns {Promise<Object>}
+   * @throws {SceneNotFoundError} If the device does not know the scene
+   */
+  async loadScene(scene) {
+    const response = await this.call("ScriptEngine.loadScene", [scene]);
+    const isEmpty = response.result === null || response.result === false;
+
+    if (response.error || (isEmpty && !response.cached)) {
+      throw new SceneNotFoundError(scene, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Register the objects whose values should be pushed in sync notifications
+   * @param {Array<number>} objectIds - ScriptEngine object IDs
+   * @returns {Promise<void>}
+   * @throws {RegisterRejectedError} If the device does not accept the registration
+   */
+  async registerActiveObjects(objectIds) {
+    const response = await this.call("ScriptEngine.registerActiveObjects", [
+      this.USID,
+      [...objectIds, -1],
+    ]);
+
+    if (response.result !== true) {
+      throw new RegisterRejectedError(objectIds, response);
+    }
+  }
+
+  /**
+   * Ensure a response carries `result: true`
+   * @param {string} method - RPC method name
+   * @param {Object} response - Device response
+   */
+  expectTrue(method, response) {
+    if (response.result !== true) {
+      throw new CometError(
+        `${method} rejected: ${response.error?.message || JSON.stringify(response.result)}`,
+        { code: "RPC_REJECTED", method, response }
+      );
+    }
+  }
+
+  /**
+   * Ensure a response carries no error
+   * @param {string} method - RPC method name
+   * @param {Object} response - Device response
+   * @returns {Object} The response
+   */
+  expectNoError(method, response) {
+    if (response.error) {
+      throw new CometError(`${method} failed: ${response.error.message}`, {
+        method,
+        response,
+      });
+    }
+    return response;
+  }
+
+  /**
+   * Run the complete handshake the device web client performs
+   * @param {Object} session - Session parameters
+   * @param {string} session.scene - Scene UUID
+   * @param {number} session.updateRate - Update rate (ms)
+   * @param {Array<number>} session.objectIds - Objects to register
+   * @returns {Promise<string>} USID
+   */
+  async openSession({ scene, updateRate, objectIds }) {
+    await this.signIn();
+    await this.subscribeNotification();
+    await this.setUpdateRate(updateRate);
+    await this.loadScriptInfo();
+    await this.loadDashboards();
+    await this.loadScriptInfo();
+    await this.loadScene(scene);
+    await this.registerActiveObjects(objectIds);
+    return this.USID;
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.rejectAllPending();
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+    this.isConnected = false;
+    this.USID = null;
+  }
+}
+
+module.exports = CometClient;
+module.exports.errors = require("./errors");
@@ -0,0 +1,184 @@
+const EventEmitter = require("events");
+
+/**
+ * ObjectSyncTracker - Compares the object IDs registered with the device against
+ * the keys that actually arrive in `sync` notifications
+ *
+ * After a scene edit the device renumbers its objects; registerActiveObjects
+ * still succeeds but the old IDs never appear in a sync. Once the grace period
+ * after registration has passed, an object that has not reported is flagged
+ * "missing", and one whose value has been null (or not a number) for the whole
+ * grace period is flagged "null". Emits "drift" with { objectId, status,
+ * lastSeenAt, lastValueAt } when an object is flagged and "restored" with
+ * { objectId, previousStatus } when a flagged object reports a value again.
+ *
+ * Objects that stop changing are not flagged: sync only carries changed values.
+ * Total silence is the SyncWatchdog's job, so nothing is flagged before the
+ * first sync of a registration.
+ */
+class ObjectSyncTracker extends EventEmitter {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {number} options.updateRate - Expected sync interval (ms)
+   * @param {number} options.graceIntervals - Update intervals an object may stay silent after registration
+   * @param {number} options.checkInterval - How often to check (ms), defaults to updateRate
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      updateRate: 3000,
+      graceIntervals: 20,
+      ...options,
+    };
+    this.options.checkInterval =
+      this.options.checkInterval || this.options.updateRate;
+    this.objects = new Map(); // objectId -> tracking entry
+    this.registeredAt = null;
+    this.syncCount = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Start tracking after registerActiveObjects. Counters restart, but objects
+   * already flagged keep their status so a re-registration does not repeat
+   * the same drift event.
+   * @param {Array<number>} objectIds - Registered object IDs
+   */
+  start(objectIds) {
+    this.stop();
+    const previous = this.objects;
+    this.objects = new Map();
+    objectIds.forEach((objectId) => {
+      const id = Number(objectId);
+      const known = previous.get(id);
+      this.objects.set(id, {
+        objectId: id,
+        status: known && known.status !== "ok" ? known.status : "pending",
+        syncs: 0,
+        nulls: 0,
+        lastValue: null,
+        lastSeenAt: null,
+        lastValueAt: null,
+        nullSince: null,
+      });
+    });
+    this.registeredAt = new Date();
+    this.syncCount = 0;
+    this.timer = setInterval(() => this.check(), this.options.checkInterval);
+  }
+
+  /**
+   * Stop checking (the report keeps the last state)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Record the keys of a sync notification
+   * @param {Object} syncData - { objectId: value }
+   */
+  record(syncData) {
+    const now = new Date();
+    this.syncCount++;
+
+    Object.entries(syncData || {}).forEach(([key, value]) => {
+      const entry = this.objects.get(Number(key));
+      if (!entry) {
+        return;
+      }
+      entry.syncs++;
+      entry.lastSeenAt = now;
+      entry.lastValue = value;
+
+      if (isNaN(parseFloat(value))) {
+        entry.nulls++;
+        entry.nullSince = entry.nullSince || now;
+        return;
+      }
+
+      entry.lastValueAt = now;
+      entry.nullSince = null;
+      if (entry.status === "missing" || entry.status === "null") {
+        const previousStatus = entry.status;
+        entry.status = "ok";
+        this.emit("restored", { objectId: entry.objectId, previousStatus });
+      } else {
+        entry.status = "ok";
+      }
+    });
+  }
+
+  /**
+   * Time an object may go without a value after registration
+   * @returns {number} Milliseconds
+   */
+  get graceMs() {
+    return this.options.updateRate * this.options.graceIntervals;
+  }
+
+  /**
+   * Flag objects that never reported or only report nulls
+   */
+  check() {
+    if (!this.registeredAt || this.syncCount === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - this.registeredAt.getTime() < this.graceMs) {
+      return;
+    }
+
+    this.objects.forEach((entry) => {
+      let status = null;
+      if (entry.syncs === 0) {
+        status = "missing";
+      } else if (entry.nullSince && now - entry.nullSince.getTime() >= this.graceMs) {
+        status = "null";
+      }
+      // Already flagged (possibly before a re-registration): report it once
+      if (!status || entry.status === "missing" || entry.status === "null") {
+        return;
+      }
+
+      entry.status = status;
+      this.emit("drift", {
+        objectId: entry.objectId,
+        status,
+        lastSeenAt: entry.lastSeenAt,
+        lastValueAt: entry.lastValueAt,
+      });
+    });
+  }
+
+  /**
+   * Per-object tracking state
+   * @returns {Array<Object>} { objectId, status, syncs, nulls, lastValue, lastSeenAt, lastValueAt }
+   */
+  getReport() {
+    return [...this.objects.values()].map(({ nullSince, ...entry }) => ({ ...entry }));
+  }
+
+  /**
+   * Counts for status displays
+   * @returns {Object} { registered, reporting, pending, missing: [ids], null: [ids] }
+   */
+  getSummary() {
+    const report = this.getReport();
+    const ids = (status) =>
+      report.filter((entry) => entry.status === status).map((entry) => entry.objectId);
+    return {
+      registered: report.length,
+      reporting: ids("ok").length,
+      pending: ids("pending").length,
+      missing: ids("missing"),
+      null: ids("null"),
+    };
+  }
+}
+
+module.exports = ObjectSyncTracker;
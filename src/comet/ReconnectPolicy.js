@@ -0,0 +1,150 @@
+/**
+ * ReconnectPolicy - Indefinite reconnection with exponential backoff and jitter
+ * Also tracks the circuit state of a station so other parts of the system can query it:
+ *   "idle"        - not started or intentionally stopped
+ *   "connected"   - session established
+ *   "backing-off" - connection lost, waiting to retry
+ *   "down"        - still failing after `downAfterAttempts` retries
+ */
+class ReconnectPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {number} options.initialDelay - Delay before the first retry (ms)
+   * @param {number} options.maxDelay - Upper bound for the delay (ms)
+   * @param {number} options.multiplier - Growth factor per attempt
+   * @param {number} options.jitter - Random spread as a fraction of the delay (0.2 = ±20%)
+   * @param {number} options.downAfterAttempts - Failed retries before the station counts as down
+   * @param {Function} options.random - Random source (injectable for tests)
+   */
+  constructor(options = {}) {
+    this.options = {
+      initialDelay: 5000,
+      maxDelay: 300000,
+      multiplier: 2,
+      jitter: 0.2,
+      downAfterAttempts: 5,
+      random: Math.random,
+      ...options,
+    };
+    this.attempts = 0;
+    this.state = "idle";
+    this.since = new Date();
+    this.downSince = null;
+    this.nextRetryAt = null;
+    this.lastError = null;
+    this.timer = null;
+    this.inFlight = false;
+  }
+
+  /**
+   * Delay before the given retry attempt
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const { initialDelay, maxDelay, multiplier, jitter, random } = this.options;
+    const base = Math.min(
+      maxDelay,
+      initialDelay * Math.pow(multiplier, Math.max(0, attempt - 1))
+    );
+    const spread = base * jitter * (random() * 2 - 1);
+    return Math.max(0, Math.min(maxDelay, Math.round(base + spread)));
+  }
+
+  /**
+   * Record a successful connection and reset the backoff
+   */
+  recordConnected() {
+    this.cancelTimer();
+    this.attempts = 0;
+    this.downSince = null;
+    this.nextRetryAt = null;
+    this.lastError = null;
+    this.setState("connected");
+  }
+
+  /**
+   * Schedule a reconnect attempt; repeats until the task succeeds or cancel() is called
+   * Calls while a retry is already pending or running are ignored
+   * @param {Function} task - Async function that reconnects (throws on failure)
+   * @param {Error} error - Error that caused the disconnect (optional)
+   * @returns {number|null} Delay until the attempt (ms), or null if already scheduled
+   */
+  schedule(task, error = null) {
+    if (this.timer || this.inFlight) {
+      return null;
+    }
+
+    if (error) {
+      this.lastError = error.code ? `[${error.code}] ${error.message}` : error.message;
+    }
+    if (!this.downSince) {
+      this.downSince = new Date();
+    }
+
+    this.attempts++;
+    const delay = this.getDelay(this.attempts);
+    this.nextRetryAt = new Date(Date.now() + delay);
+    this.setState(
+      this.attempts > this.options.downAfterAttempts ? "down" : "backing-off"
+    );
+
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      this.inFlight = true;
+      try {
+        await task(this.attempts);
+        this.inFlight = false;
+      } catch (taskError) {
+        this.inFlight = false;
+        if (this.state !== "idle") {
+          this.schedule(task, taskError);
+        }
+      }
+    }, delay);
+
+    return delay;
+  }
+
+  /**
+   * Stop retrying (intentional disconnect)
+   */
+  cancel() {
+    this.cancelTimer();
+    this.attempts = 0;
+    this.nextRetryAt = null;
+    this.downSince = null;
+    this.setState("idle");
+  }
+
+  cancelTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  setState(state) {
+    if (this.state !== state) {
+      this.state = state;
+      this.since = new Date();
+    }
+  }
+
+  /**
+   * Current circuit state
+   * @returns {Object} State snapshot
+   */
+  getState() {
+    return {
+      state: this.state,
+      since: this.since,
+      downSince: this.downSince,
+      attempts: this.attempts,
+      nextRetryAt: this.nextRetryAt,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = ReconnectPolicy;
@@ -0,0 +1,272 @@
+const CometClient = require("./CometClient");
+const { DEFAULT_OBJECT_FIELDS } = require("../database/ObjectMapping");
+
+/**
+ * SceneDiscovery - Lists the ScriptEngine objects of a station's scene and
+ * proposes which of them carry the activePower/muxPower readings
+ *
+ * Connects like the monitor does, loads the script info and the scene, and
+ * collects every node that names an object (objectId/objId/oid with a label,
+ * name or caption and a unit). Plain `id` keys are not trusted, they also
+ * number widgets and dashboards. Current values come from one round of sync
+ * notifications for all discovered objects.
+ */
+
+const ID_KEYS = ["objectId", "objId", "oid"];
+const LABEL_KEYS = ["label", "name", "caption", "title", "text"];
+const UNIT_KEYS = ["unit", "units", "unitName"];
+const ID_LIST_KEYS = ["objects", "objectIds"];
+
+// Broadcasters carried on each MUX, for meters labelled by channel only
+const MUX_BROADCASTERS = [
+  { pattern: /\btv\s*5\b|ททบ/i, index: 1 },
+  { pattern: /\bmcot\b|อสมท/i, index: 2 },
+  { pattern: /\bprd\b|\bnbt\b|กรมประชาสัมพันธ์/i, index: 3 },
+  { pattern: /\b(?:thai\s*)?t?pbs\b|ไทยพีบีเอส/i, index: 4 },
+];
+
+const LABEL_SCORE = 2;
+const STANDARD_ID_SCORE = 1;
+
+/**
+ * Collect the objects named in scene / script info results
+ * @param {...Object} results - `result` of loadScriptInfo, loadScene, ...
+ * @returns {Array<Object>} { objectId, label, unit, value } ordered by ID
+ */
+function extractSceneObjects(...results) {
+  const found = new Map();
+  const pick = (node, keys) => {
+    const key = keys.find(
+      (name) => node[name] !== undefined && node[name] !== null && typeof node[name] !== "object"
+    );
+    return key ? node[key] : null;
+  };
+  const add = (objectId, info = {}) => {
+    const id = Number(objectId);
+    if (!Number.isInteger(id) || id <= 0) {
+      return;
+    }
+    const entry = found.get(id) || { objectId: id, label: null, unit: null, value: null };
+    ["label", "unit", "value"].forEach((key) => {
+      if (entry[key] === null && info[key] !== null && info[key] !== undefined && info[key] !== "") {
+        entry[key] = info[key];
+      }
+    });
+    found.set(id, entry);
+  };
+  const walk = (node, key) => {
+    if (Array.isArray(node)) {
+      node.forEach((item) =>
+        typeof item === "number" && ID_LIST_KEYS.includes(key) ? add(item) : walk(item, key)
+      );
+      return;
+    }
+    if (!node || typeof node !== "object") {
+      return;
+    }
+    const objectId = pick(node, ID_KEYS);
+    if (objectId !== null) {
+      add(objectId, {
+        label: pick(node, LABEL_KEYS),
+        unit: pick(node, UNIT_KEYS),
+        value: pick(node, ["value"]),
+      });
+    }
+    Object.entries(node).forEach(([childKey, child]) => walk(child, childKey));
+  };
+
+  results.forEach((result) => walk(result, null));
+  return [...found.values()].sort((a, b) => a.objectId - b.objectId);
+}
+
+/**
+ * Reading field suggested by an object's label and unit
+ * @param {string} label - Object label
+ * @param {string} unit - Object unit (W, kW, kWh, ...)
+ * @returns {string|null} activePowerN / muxPowerN
+ */
+function matchLabel(label, unit) {
+  if (!label) {
+    return null;
+  }
+  const text = String(label);
+  const energy = unit ? /wh$/i.test(String(unit).trim()) : null;
+
+  const active = /(?:active\s*power|กำลังไฟ(?:ฟ้า)?)\s*#?\s*([1-6])(?!\d)/i.exec(text);
+  if (active && energy !== true) {
+    return `activePower${active[1]}`;
+  }
+
+  const mux = /mux\s*#?\s*([1-6])(?!\d)/i.exec(text);
+  if (mux && energy !== false) {
+    return `muxPower${mux[1]}`;
+  }
+
+  if (energy === true || /meter|มิเตอร์/i.test(text)) {
+    const broadcaster = MUX_BROADCASTERS.find((entry) => entry.pattern.test(text));
+    if (broadcaster) {
+      return `muxPower${broadcaster.index}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Metric whose key or name is the object's label
+ * @param {string} label - Object label
+ * @param {Array<Object>} definitions - MetricDefinitions
+ * @returns {string|null} Metric key
+ */
+function matchMetric(label, definitions) {
+  if (!label) {
+    return null;
+  }
+  const normalize = (text) => String(text).toLowerCase().replace(/[\s_-]+/g, "");
+  const wanted = normalize(label);
+  const definition = definitions.find(
+    (entry) => normalize(entry.key) === wanted || normalize(entry.name) === wanted
+  );
+  return definition ? definition.key : null;
+}
+
+/**
+ * Propose a mapping for discovered objects. Labels win over the standard IDs;
+ * when several objects claim a field the first (best) one gets it and the
+ * others are marked with `conflict`.
+ * @param {Array<Object>} objects - From extractSceneObjects
+ * @param {Array<Object>} definitions - MetricDefinitions to match labels against
+ * @returns {Object} { mapping: { objectType: objectId }, objects: [{ ...object,
+ *   field, reason, conflict }] }
+ */
+function proposeMapping(objects, definitions = []) {
+  const proposals = objects.map((object) => {
+    const labelField = matchLabel(object.label, object.unit);
+    const metric = labelField ? null : matchMetric(object.label, definitions);
+    const standard = DEFAULT_OBJECT_FIELDS[object.objectId] || null;
+    if (labelField || metric) {
+      return { ...object, field: labelField || metric, reason: "label", score: LABEL_SCORE, conflict: null };
+    }
+    if (standard) {
+      return { ...object, field: standard, reason: "standard ID", score: STANDARD_ID_SCORE, conflict: null };
+    }
+    return { ...object, field: null, reason: null, score: 0, conflict: null };
+  });
+
+  const mapping = {};
+  [...proposals]
+    .sort((a, b) => b.score - a.score)
+    .forEach((proposal) => {
+      if (!proposal.field) {
+        return;
+      }
+      if (mapping[proposal.field] === undefined) {
+        mapping[proposal.field] = proposal.objectId;
+      } else {
+        proposal.conflict = mapping[proposal.field];
+      }
+    });
+
+  return {
+    mapping,
+    objects: proposals.map(({ score, ...proposal }) => proposal),
+  };
+}
+
+class SceneDiscovery {
+  /**
+   * @param {Object} options - Discovery options
+   * @param {string} options.name - Station name (used in error messages)
+   * @param {string} options.url - Device WebSocket URL (ws://host/ws)
+   * @param {string} options.scene - Scene UUID
+   * @param {string} options.username - Sign-in user (default: CometClient's)
+   * @param {string} options.password - Sign-in password (default: CometClient's)
+   * @param {number} options.connectionTimeout - Connection timeout (ms)
+   * @param {number} options.updateRate - Sync interval requested while reading values (ms)
+   * @param {number} options.valueTimeout - How long to wait for current values (ms)
+   */
+  constructor(options = {}) {
+    this.options = {
+      connectionTimeout: 10000,
+      updateRate: 1000,
+      valueTimeout: 10000,
+      ...options,
+    };
+  }
+
+  /**
+   * Load the scene and read the current value of every object in it
+   * @returns {Promise<Array<Object>>} { objectId, label, unit, value }
+   */
+  async discover() {
+    const { name, url, username, password, connectionTimeout } = this.options;
+    const client = new CometClient({
+      name,
+      url,
+      connectionTimeout,
+      ...(username ? { username } : {}),
+      ...(password ? { password } : {}),
+    });
+
+    try {
+      await client.connect();
+      await client.signIn();
+      await client.subscribeNotification();
+      await client.setUpdateRate(this.options.updateRate);
+      const scriptInfo = await client.loadScriptInfo();
+      const scene = await client.loadScene(this.options.scene);
+
+      const objects = extractSceneObjects(scriptInfo.result, scene.result);
+      if (objects.length > 0) {
+        await this.readValues(client, objects);
+      }
+      return objects;
+    } finally {
+      client.close();
+    }
+  }
+
+  /**
+   * Register every object and take the values of the first sync notifications
+   * @param {CometClient} client - Signed-in client
+   * @param {Array<Object>} objects - Objects to fill in (updated in place)
+   */
+  async readValues(client, objects) {
+    const pending = new Set(objects.map((object) => object.objectId));
+    const byId = new Map(objects.map((object) => [object.objectId, object]));
+
+    await new Promise((resolve) => {
+      const finish = () => {
+        clearTimeout(timer);
+        client.removeListener("sync", onSync);
+        client.removeListener("close", finish);
+        resolve();
+      };
+      const onSync = (sync) => {
+        Object.entries(sync).forEach(([objectId, value]) => {
+          const object = byId.get(Number(objectId));
+          if (object) {
+            object.value = value;
+            pending.delete(object.objectId);
+          }
+        });
+        if (pending.size === 0) {
+          finish();
+        }
+      };
+      // Objects the device never reports keep the value from the scene (or none)
+      const timer = setTimeout(finish, this.options.valueTimeout);
+
+      client.on("sync", onSync);
+      client.once("close", finish);
+      client.registerActiveObjects([...byId.keys()]).catch((error) => {
+        console.warn(`⚠️  Could not read current values: ${error.message}`);
+        finish();
+      });
+    });
+  }
+}
+
+module.exports = SceneDiscovery;
+module.exports.extractSceneObjects = extractSceneObjects;
+module.exports.proposeMapping = proposeMapping;
+module.exports.matchLabel = matchLabel;
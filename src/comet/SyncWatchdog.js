@@ -0,0 +1,107 @@
+const EventEmitter = require("events");
+
+/**
+ * SyncWatchdog - Detects a station whose WebSocket stays open but stops sending `sync`
+ * notifications (seen after the device reloads its scene)
+ *
+ * Emits "stall" with { lastSyncAt, silentForMs, missedIntervals } once the station has
+ * been silent for `maxMissedIntervals` update intervals, and again for every further
+ * `maxMissedIntervals` of silence until a sync arrives.
+ */
+class SyncWatchdog extends EventEmitter {
+  /**
+   * @param {Object} options - Watchdog options
+   * @param {number} options.updateRate - Expected sync interval (ms)
+   * @param {number} options.maxMissedIntervals - Missed intervals before a stall is raised
+   * @param {number} options.checkInterval - How often to check (ms), defaults to updateRate
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      updateRate: 3000,
+      maxMissedIntervals: 10,
+      ...options,
+    };
+    this.options.checkInterval =
+      this.options.checkInterval || this.options.updateRate;
+    this.lastSyncAt = null;
+    this.lastStallAt = null;
+    this.stallCount = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Start watching (the silence clock starts now)
+   */
+  start() {
+    this.stop();
+    this.lastSyncAt = new Date();
+    this.lastStallAt = null;
+    this.timer = setInterval(() => this.check(), this.options.checkInterval);
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Record that a sync notification arrived
+   */
+  recordSync() {
+    this.lastSyncAt = new Date();
+    this.lastStallAt = null;
+  }
+
+  /**
+   * Time allowed without a sync before raising a stall
+   * @returns {number} Milliseconds
+   */
+  get stallThresholdMs() {
+    return this.options.updateRate * this.options.maxMissedIntervals;
+  }
+
+  /**
+   * Check for a stall and emit "stall" if the station has gone silent
+   */
+  check() {
+    if (!this.lastSyncAt) {
+      return;
+    }
+
+    const now = Date.now();
+    const reference = this.lastStallAt || this.lastSyncAt;
+    if (now - reference.getTime() < this.stallThresholdMs) {
+      return;
+    }
+
+    const silentForMs = now - this.lastSyncAt.getTime();
+    this.lastStallAt = new Date(now);
+    this.stallCount++;
+    this.emit("stall", {
+      lastSyncAt: this.lastSyncAt,
+      silentForMs,
+      missedIntervals: Math.floor(silentForMs / this.options.updateRate),
+    });
+  }
+
+  /**
+   * Current watchdog status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      running: Boolean(this.timer),
+      lastSyncAt: this.lastSyncAt,
+      silentForMs: this.lastSyncAt ? Date.now() - this.lastSyncAt.getTime() : null,
+      stallCount: this.stallCount,
+    };
+  }
+}
+
+module.exports = SyncWatchdog;
@@ -0,0 +1,75 @@
+/**
+ * Error types raised by the Comet client
+ * Every error carries a stable `code` so callers can log or persist it
+ */
+
+class CometError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - Stable error code
+   * @param {string} details.method - RPC method that failed
+   * @param {Object} details.response - Raw device response, if any
+   */
+  constructor(message, { code = "RPC_ERROR", method = null, response = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.method = method;
+    this.response = response;
+  }
+}
+
+class RequestTimeoutError extends CometError {
+  constructor(method, timeoutMs) {
+    super(`${method} timed out after ${timeoutMs}ms`, { code: "TIMEOUT", method });
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class ConnectionClosedError extends CometError {
+  constructor(method = null) {
+    super(
+      method ? `Connection closed before ${method} completed` : "WebSocket is not open",
+      { code: "CONNECTION_CLOSED", method }
+    );
+  }
+}
+
+class AuthFailedError extends CometError {
+  constructor(response) {
+    super(
+      `Sign-in failed: ${response?.error?.message || "no USID returned"}`,
+      { code: "AUTH_FAILED", method: "comet.signIn", response }
+    );
+  }
+}
+
+class SceneNotFoundError extends CometError {
+  constructor(scene, response) {
+    super(
+      `Scene not found: ${scene}${response?.error?.message ? ` (${response.error.message})` : ""}`,
+      { code: "SCENE_NOT_FOUND", method: "ScriptEngine.loadScene", response }
+    );
+    this.scene = scene;
+  }
+}
+
+class RegisterRejectedError extends CometError {
+  constructor(objectIds, response) {
+    super(
+      `registerActiveObjects rejected for ${objectIds.length} objects`,
+      { code: "REGISTER_REJECTED", method: "ScriptEngine.registerActiveObjects", response }
+    );
+    this.objectIds = objectIds;
+  }
+}
+
+module.exports = {
+  CometError,
+  RequestTimeoutError,
+  ConnectionClosedError,
+  AuthFailedError,
+  SceneNotFoundError,
+  RegisterRejectedError,
+};
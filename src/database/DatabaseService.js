@@ -1,16 +1,60 @@
 const { PrismaClient } = require("@prisma/client");
+const StationEventTypes = require("./StationEventTypes");
+const {
+  DEFAULT_OBJECT_FIELDS,
+  validateMetricKey,
+  buildObjectFields,
+  buildObjectMetrics,
+  mapPowerData,
+} = require("./ObjectMapping");
+const {
+  DuplicatePolicies,
+  resolveDuplicatePolicy,
+  duplicateUpdate,
+  collapseDuplicates,
+  READING_FIELDS,
+} = require("./DuplicatePolicies");
+const EnergyService = require("../services/EnergyService");
+const { MUX_FIELDS } = EnergyService;
+const {
+  RESOLUTIONS,
+  ACTIVE_POWER_FIELDS,
+  MUX_POWER_FIELDS,
+  getResolution,
+  aggregateReadings,
+} = require("../services/RollupService");
+const {
+  mergePeriods,
+  overlapMs,
+  windowPeriods,
+} = require("../services/MaintenanceSchedule");
 
 /**
  * DatabaseService - Handles all database operations for power monitoring system
  * Provides connection management, error handling, and data operations
  */
 class DatabaseService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.duplicatePolicy - How a reading for an already stored
+   *   station/timestamp is handled: "first", "last" or "merge" (default, or
+   *   READING_DUPLICATE_POLICY)
+   */
+  constructor(options = {}) {
+    this.duplicatePolicy = resolveDuplicatePolicy(
+      options.duplicatePolicy ||
+        process.env.READING_DUPLICATE_POLICY ||
+        DuplicatePolicies.MERGE
+    );
     this.prisma = null;
     this.isConnected = false;
+    this.objectFieldsCache = new Map(); // stationId -> { fields, metrics }
+    this.metricDefinitions = null; // key -> MetricDefinition, loaded on first use
+    this.unmappedObjects = new Map(); // "stationId|objectId" -> sightings
     this.connectionRetries = 0;
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second
+    this.energyService = new EnergyService();
   }
 
   /**
@@ -328,6 +372,20 @@ class DatabaseService {
         );
       }
 
+      // Connection history and rollups are meaningless without the station
+      await prisma.stationEvent.deleteMany({ where: { stationId } });
+      for (const resolution of RESOLUTIONS) {
+        await prisma[resolution.model].deleteMany({ where: { stationId } });
+      }
+      await prisma.rollupWatermark.deleteMany({ where: { stationId } });
+      await prisma.retentionRule.deleteMany({ where: { stationId } });
+      await prisma.alert.deleteMany({ where: { stationId } });
+      await prisma.alert.deleteMany({ where: { rule: { stationId } } });
+      await prisma.alertRule.deleteMany({ where: { stationId } });
+      await prisma.offAirIncident.deleteMany({ where: { stationId } });
+      await prisma.maintenanceWindow.deleteMany({ where: { stationId } });
+      await prisma.metricReading.deleteMany({ where: { stationId } });
+
       const station = await prisma.station.delete({
         where: { id: stationId },
       });
@@ -477,6 +535,7 @@ class DatabaseService {
         });
       }
 
+      this.invalidateObjectFields(stationId);
       console.log(`✅ Updated ${objectsToCreate.length} monitored objects for station ${stationId}`);
       return objectsToCreate.length;
     }, "Update station monitored objects");
@@ -490,9 +549,10 @@ class DatabaseService {
    * @param {string} readingData.stationId - Station ID
    * @param {Date} readingData.timestamp - Reading timestamp
    * @param {Object} readingData.powerData - Power readings object
-   * @returns {Promise<Object>} Created power reading
+   * @param {Object} options - { duplicatePolicy } (default: the service's policy)
+   * @returns {Promise<Object>} Created (or merged) power reading
    */
-  async createPowerReading(readingData) {
+  async createPowerReading(readingData, options = {}) {
     return this.executeOperation(async (prisma) => {
       const { stationId, timestamp, powerData } = readingData;
 
@@ -507,14 +567,35 @@ class DatabaseService {
         throw new Error("Invalid timestamp provided");
       }
 
-      // Transform power data to database format
-      const dbData = this.transformPowerData(powerData);
+      // Transform power data with the station's object mapping
+      const { values: dbData, metrics } = await this.mapStationPowerData(
+        stationId,
+        powerData,
+        readingTimestamp
+      );
+      const maintenance = await prisma.maintenanceWindow.findFirst({
+        where: {
+          stationId,
+          startsAt: { lte: readingTimestamp },
+          endsAt: { gt: readingTimestamp },
+        },
+        select: { id: true },
+      });
 
-      const powerReading = await prisma.powerReading.create({
-        data: {
+      // A reading already stored for this timestamp is resolved by the policy
+      const policy = resolveDuplicatePolicy(
+        options.duplicatePolicy || this.duplicatePolicy
+      );
+      const powerReading = await prisma.powerReading.upsert({
+        where: {
+          stationId_timestamp: { stationId, timestamp: readingTimestamp },
+        },
+        update: duplicateUpdate(dbData, policy),
+        create: {
           stationId,
           timestamp: readingTimestamp,
           ...dbData,
+          maintenance: maintenance !== null,
         },
         include: {
           station: {
@@ -522,6 +603,11 @@ class DatabaseService {
           },
         },
       });
+      await this.saveMetricReadings(
+        prisma,
+        [{ stationId, timestamp: readingTimestamp, metrics }],
+        policy
+      );
 
       return powerReading;
     }, "Create power reading");
@@ -529,17 +615,21 @@ class DatabaseService {
 
   /**
    * Create multiple power readings in batch
-   * @param {Array} readingsData - Array of power reading data
-   * @returns {Promise<number>} Number of created readings
+   * @param {Array} readingsData - Array of power reading data, in arrival order
+   * @param {Object} options - { duplicatePolicy } (default: the service's policy)
+   * @returns {Promise<number>} Number of created readings (duplicates are merged
+   *   into the stored reading per the policy, not counted)
    */
-  async createBatchPowerReadings(readingsData) {
+  async createBatchPowerReadings(readingsData, options = {}) {
     return this.executeOperation(async (prisma) => {
       if (!Array.isArray(readingsData) || readingsData.length === 0) {
         return 0;
       }
 
-      // Transform all readings to database format
-      const dbReadings = readingsData.map((reading) => {
+      // Transform all readings with their station's object mapping
+      const dbReadings = [];
+      const metricSamples = [];
+      for (const reading of readingsData) {
         const { stationId, timestamp, powerData } = reading;
 
         // Validate required fields
@@ -554,111 +644,217 @@ class DatabaseService {
           throw new Error("Invalid timestamp in batch data");
         }
 
-        return {
+        const { values, metrics } = await this.mapStationPowerData(
           stationId,
-          timestamp: readingTimestamp,
-          ...this.transformPowerData(powerData),
-        };
-      });
+          powerData,
+          readingTimestamp
+        );
+        dbReadings.push({ stationId, timestamp: readingTimestamp, ...values });
+        metricSamples.push({ stationId, timestamp: readingTimestamp, metrics });
+      }
 
-      // Use transaction for batch insert
-      const result = await prisma.powerReading.createMany({
-        data: dbReadings,
-        skipDuplicates: true, // Skip if duplicate timestamp+station exists
-      });
+      // Mark readings that fall in a maintenance window
+      const stationIds = [...new Set(dbReadings.map((reading) => reading.stationId))];
+      for (const stationId of stationIds) {
+        const times = dbReadings
+          .filter((reading) => reading.stationId === stationId)
+          .map((reading) => reading.timestamp.getTime());
+        const windows = await prisma.maintenanceWindow.findMany({
+          where: {
+            stationId,
+            startsAt: { lte: new Date(Math.max(...times)) },
+            endsAt: { gt: new Date(Math.min(...times)) },
+          },
+        });
+        dbReadings
+          .filter((reading) => reading.stationId === stationId)
+          .forEach((reading) => {
+            reading.maintenance = windows.some(
+              (window) =>
+                window.startsAt <= reading.timestamp && reading.timestamp < window.endsAt
+            );
+          });
+      }
+
+      // Duplicates within the batch, then against stored readings
+      const policy = resolveDuplicatePolicy(
+        options.duplicatePolicy || this.duplicatePolicy
+      );
+      const collapsed = collapseDuplicates(dbReadings, policy);
+      const fresh = [];
+      const existing = [];
+      for (const stationId of stationIds) {
+        const readings = collapsed.readings.filter(
+          (reading) => reading.stationId === stationId
+        );
+        const stored = await prisma.powerReading.findMany({
+          where: {
+            stationId,
+            timestamp: { in: readings.map((reading) => reading.timestamp) },
+          },
+          select: { timestamp: true },
+        });
+        const storedTimes = new Set(stored.map((row) => row.timestamp.getTime()));
+        readings.forEach((reading) => {
+          (storedTimes.has(reading.timestamp.getTime()) ? existing : fresh).push(reading);
+        });
+      }
+
+      const result = await prisma.powerReading.createMany({ data: fresh });
+      const updates = existing
+        .map((reading) => ({ reading, data: duplicateUpdate(reading, policy) }))
+        .filter(({ data }) => Object.keys(data).length > 0);
+      if (updates.length > 0) {
+        await prisma.$transaction(
+          updates.map(({ reading, data }) =>
+            prisma.powerReading.update({
+              where: {
+                stationId_timestamp: {
+                  stationId: reading.stationId,
+                  timestamp: reading.timestamp,
+                },
+              },
+              data,
+            })
+          )
+        );
+      }
 
-      console.log(`✅ Batch created ${result.count} power readings`);
+      await this.saveMetricReadings(prisma, metricSamples, policy);
+
+      const duplicates = collapsed.duplicates + existing.length;
+      console.log(
+        `✅ Batch created ${result.count} power readings` +
+          (duplicates > 0 ? ` (${duplicates} duplicates, policy "${policy}")` : "")
+      );
       return result.count;
     }, "Create batch power readings");
   }
 
   /**
    * Transform power data from monitor format to database format
-   * @param {Object} powerData - Power data from monitor
-   * @returns {Object} Transformed data for database
+   * @param {Object} powerData - { objectId or field: value }
+   * @param {Object} objectFields - objectId -> field (default: the standard IDs;
+   *   see getObjectMapping for a station's own mapping)
+   * @returns {Object} Reading fields
    */
-  transformPowerData(powerData) {
-    if (!powerData || typeof powerData !== "object") {
-      return {};
-    }
-
-    const dbData = {};
+  transformPowerData(powerData, objectFields = DEFAULT_OBJECT_FIELDS) {
+    return mapPowerData(powerData, objectFields).values;
+  }
 
-    // Map Active Power readings (IDs 8684-8689)
-    const activePowerMap = {
-      8684: "activePower1",
-      8685: "activePower2",
-      8686: "activePower3",
-      8687: "activePower4",
-      8688: "activePower5",
-      8689: "activePower6",
-    };
+  /**
+   * A station's object mapping, cached until invalidateObjectFields
+   * @param {string} stationId - Station ID
+   * @returns {Promise<Object>} { fields: objectId -> reading field,
+   *   metrics: objectId -> metric key }
+   */
+  async getObjectMapping(stationId) {
+    if (!this.objectFieldsCache.has(stationId)) {
+      const { objectMap } = await this.getStationMonitoredObjects(stationId);
+      const definitions = await this.loadMetricDefinitions();
+      this.objectFieldsCache.set(stationId, {
+        fields: buildObjectFields(objectMap),
+        metrics: buildObjectMetrics(objectMap, [...definitions.keys()]),
+      });
+    }
+    return this.objectFieldsCache.get(stationId);
+  }
 
-    // Map MUX Power Meter readings (IDs 18069, 18070, 73909, 73910, 75428, 75429, 224272, 18053, etc.)
-    const muxPowerMap = {
-      18069: "muxPower1", // TV5
-      18070: "muxPower2", // MCOT
-      73909: "muxPower3", // PRD
-      73910: "muxPower4", // TPBS
-      75428: "muxPower5", // MUX#5
-      75429: "muxPower6", // MUX#6
-      224272: "muxPower5", // ระนอง MUX#5 (alternative ID)
-      18053: "muxPower6", // สกลนคร MUX#6 (alternative ID)
-      75432: "muxPower5", // ร้อยเอ็ด MUX#5 (alternative ID)
-      75441: "muxPower5", // สุโขทัย MUX#5 (alternative ID)
-      75483: "muxPower5", // ภูเก็ต MUX#5 (alternative ID)
-      75484: "muxPower6", // ภูเก็ต MUX#6 (alternative ID)
-      75519: "muxPower6", // สิงห์บุรี MUX#6 (alternative ID)
-    };
+  /**
+   * Drop cached mappings so the next reading reloads them
+   * @param {string} stationId - Station ID (all stations when omitted)
+   */
+  invalidateObjectFields(stationId = null) {
+    if (stationId) {
+      this.objectFieldsCache.delete(stationId);
+    } else {
+      this.objectFieldsCache.clear();
+    }
+  }
 
-    // Transform Active Power readings
-    Object.entries(activePowerMap).forEach(([id, field]) => {
-      if (powerData.hasOwnProperty(id)) {
-        const value = parseFloat(powerData[id]);
-        dbData[field] = isNaN(value) ? null : value;
-      }
-    });
+  /**
+   * Map a station's power data with its own mapping, reporting object IDs
+   * the mapping does not know
+   * @param {string} stationId - Station ID
+   * @param {Object} powerData - { objectId or field: value }
+   * @param {Date} timestamp - Reading time
+   * @returns {Promise<Object>} { values: reading fields, metrics: { key: value } }
+   */
+  async mapStationPowerData(stationId, powerData, timestamp) {
+    const { fields, metrics: objectMetrics } = await this.getObjectMapping(stationId);
+    const { values, metrics, unmapped } = mapPowerData(
+      powerData,
+      fields,
+      objectMetrics
+    );
+    if (Object.keys(unmapped).length > 0) {
+      await this.reportUnmappedObjects(stationId, unmapped, timestamp);
+    }
+    return { values, metrics };
+  }
 
-    // Transform MUX Power readings
-    Object.entries(muxPowerMap).forEach(([id, field]) => {
-      if (powerData.hasOwnProperty(id)) {
-        const value = parseFloat(powerData[id]);
-        dbData[field] = isNaN(value) ? null : value;
+  /**
+   * Count object IDs a station sends that its mapping does not cover. The first
+   * sighting of each is logged and recorded as an UNMAPPED_OBJECT event.
+   * @param {string} stationId - Station ID
+   * @param {Object} unmapped - { objectId: value }
+   * @param {Date} timestamp - Reading time
+   */
+  async reportUnmappedObjects(stationId, unmapped, timestamp) {
+    for (const [objectId, value] of Object.entries(unmapped)) {
+      const key = `${stationId}|${objectId}`;
+      const known = this.unmappedObjects.get(key);
+      if (known) {
+        known.count++;
+        known.lastSeen = timestamp;
+        known.lastValue = value;
+        continue;
       }
-    });
 
-    // Handle direct API format (muxPower1, activePower1, etc.)
-    const directFields = [
-      "activePower1",
-      "activePower2",
-      "activePower3",
-      "activePower4",
-      "activePower5",
-      "activePower6",
-      "muxPower1",
-      "muxPower2",
-      "muxPower3",
-      "muxPower4",
-      "muxPower5",
-      "muxPower6",
-    ];
-
-    directFields.forEach((field) => {
-      if (powerData.hasOwnProperty(field)) {
-        const value = parseFloat(powerData[field]);
-        dbData[field] = isNaN(value) ? null : value;
+      this.unmappedObjects.set(key, {
+        stationId,
+        objectId,
+        count: 1,
+        firstSeen: timestamp,
+        lastSeen: timestamp,
+        lastValue: value,
+      });
+      console.warn(
+        `⚠️  Station ${stationId} sent object ${objectId} (${value}) which is not in its mapping`
+      );
+      try {
+        await this.createStationEvent({
+          stationId,
+          type: StationEventTypes.UNMAPPED_OBJECT,
+          timestamp,
+          message: `Object ${objectId} is not mapped to a reading field or metric (value ${value})`,
+          objectId: /^\d+$/.test(objectId) ? Number(objectId) : null,
+        });
+      } catch (error) {
+        // Already logged by executeOperation; the reading is still stored
       }
-    });
+    }
+  }
 
-    return dbData;
+  /**
+   * Object IDs seen since start that no mapping covers
+   * @param {string} stationId - Station ID (all stations when omitted)
+   * @returns {Array<Object>} { stationId, objectId, count, firstSeen, lastSeen, lastValue }
+   */
+  getUnmappedObjects(stationId = null) {
+    return [...this.unmappedObjects.values()].filter(
+      (entry) => !stationId || entry.stationId === stationId
+    );
   }
 
+
   /**
    * Validate power reading data
    * @param {Object} powerData - Power data to validate
+   * @param {Object} objectFields - objectId -> field, to know which values are W and which kWh
    * @returns {Object} Validation result
    */
-  validatePowerData(powerData) {
+  validatePowerData(powerData, objectFields = DEFAULT_OBJECT_FIELDS) {
     const result = {
       isValid: true,
       errors: [],
@@ -687,16 +883,16 @@ class DatabaseService {
         }
       } else {
         // Check for reasonable ranges
-        const idNum = parseInt(id);
+        const field = objectFields[id] || id;
 
-        if (idNum >= 8684 && idNum <= 8689) {
+        if (field.startsWith("activePower")) {
           // Active Power should be positive and reasonable (0-100000 W)
           if (numValue < 0 || numValue > 100000) {
             result.warnings.push(
               `Active Power ID ${id} value seems out of range: ${numValue}W`
             );
           }
-        } else if ([18069, 18070, 73909, 73910, 75428, 75429].includes(idNum)) {
+        } else if (field.startsWith("muxPower")) {
           // MUX Power should be positive and reasonable (0-1000000000 kWh)
           if (numValue < 0 || numValue > 1000000000) {
             result.warnings.push(
@@ -771,6 +967,27 @@ class DatabaseService {
     }, "Get power readings by time range");
   }
 
+  /**
+   * Count power readings in a time range (for pagination)
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {Promise<number>} Number of readings
+   */
+  async countPowerReadingsByTimeRange(stationId, startDate, endDate) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.powerReading.count({
+        where: {
+          stationId,
+          timestamp: {
+            gte: new Date(startDate),
+            lte: new Date(endDate),
+          },
+        },
+      });
+    }, "Count power readings by time range");
+  }
+
   /**
    * Get power reading statistics for a station
    * @param {string} stationId - Station ID
@@ -812,6 +1029,1438 @@ class DatabaseService {
       };
     }, "Get power reading statistics");
   }
+
+  /**
+   * Get data coverage for a station from its PowerReading timestamps
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date (capped at now)
+   * @param {Object} options - { intervalMs, gapThresholdMs }
+   * @returns {Promise<Object>} Coverage statistics and gaps
+   */
+  async getReadingCoverage(stationId, startDate, endDate, options = {}) {
+    return this.executeOperation(async (prisma) => {
+      const start = new Date(startDate);
+      const end = new Date(Math.min(new Date(endDate).getTime(), Date.now()));
+      const batchSize = 10000;
+      const timestamps = [];
+
+      // Only timestamps are needed; page through them to keep memory flat
+      for (let skip = 0; ; skip += batchSize) {
+        const batch = await prisma.powerReading.findMany({
+          where: { stationId, timestamp: { gte: start, lte: end } },
+          select: { timestamp: true },
+          orderBy: { timestamp: "asc" },
+          take: batchSize,
+          skip,
+        });
+        batch.forEach((reading) => timestamps.push(reading.timestamp));
+        if (batch.length < batchSize) break;
+      }
+
+      // Station-wide maintenance is not held against the station
+      const windows = await this.getMaintenanceWindows({
+        stationId,
+        startDate: start,
+        endDate: end,
+      });
+
+      return {
+        stationId,
+        ...this.calculateCoverage(timestamps, start, end, {
+          excludedPeriods: windowPeriods(windows),
+          ...options,
+        }),
+      };
+    }, "Get reading coverage");
+  }
+
+  /**
+   * Count how many of a station's readings carry a value for each field/metric
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {Object} options - { fields: reading columns, metricKeys: metrics }
+   * @returns {Promise<Object>} { total, filled: { fieldOrMetric: count } }
+   */
+  async getFieldCoverage(stationId, startDate, endDate, options = {}) {
+    return this.executeOperation(async (prisma) => {
+      const { fields = READING_FIELDS, metricKeys = [] } = options;
+      const timestamp = { gte: new Date(startDate), lte: new Date(endDate) };
+
+      const total = await prisma.powerReading.count({
+        where: { stationId, timestamp },
+      });
+      const filled = {};
+      for (const field of fields) {
+        filled[field] = await prisma.powerReading.count({
+          where: { stationId, timestamp, [field]: { not: null } },
+        });
+      }
+      for (const metricKey of metricKeys) {
+        filled[metricKey] = await prisma.metricReading.count({
+          where: { stationId, metricKey, timestamp },
+        });
+      }
+
+      return { total, filled };
+    }, "Get field coverage");
+  }
+
+  /**
+   * Calculate data coverage from ordered reading timestamps
+   * Gaps include the stretch before the first and after the last reading,
+   * so a station that was dark for the whole period shows one full-length gap.
+   * @param {Array<Date>} timestamps - Reading timestamps in ascending order
+   * @param {Date} start - Period start
+   * @param {Date} end - Period end
+   * @param {Object} options - Calculation options
+   * @param {number} options.intervalMs - Expected save interval (default 10s)
+   * @param {number} options.gapThresholdMs - Gaps longer than this count as outages (default 5 min)
+   * @param {Array<Object>} options.excludedPeriods - Maintenance [{ start, end }] left out of the period and gaps
+   * @returns {Object} { expectedReadings, receivedReadings, readingsPercent, availabilityPercent, maintenanceMs, longestGap, gapCount, gaps }
+   */
+  calculateCoverage(timestamps, start, end, options = {}) {
+    const {
+      intervalMs = 10000,
+      gapThresholdMs = 5 * 60 * 1000,
+      excludedPeriods = [],
+    } = options;
+    const excluded = mergePeriods(excludedPeriods);
+    const maintenanceMs = overlapMs(start, end, excluded);
+    const periodMs = Math.max(0, end.getTime() - start.getTime() - maintenanceMs);
+    const expectedReadings = Math.floor(periodMs / intervalMs);
+    const gaps = [];
+    let longestGap = null;
+    let previous = start;
+
+    const recordGap = (gapStart, gapEnd) => {
+      const durationMs =
+        gapEnd.getTime() -
+        gapStart.getTime() -
+        (excluded.length > 0 ? overlapMs(gapStart, gapEnd, excluded) : 0);
+      if (!longestGap || durationMs > longestGap.durationMs) {
+        longestGap = { start: gapStart, end: gapEnd, durationMs };
+      }
+      if (durationMs > gapThresholdMs) {
+        gaps.push({ start: gapStart, end: gapEnd, durationMs });
+      }
+    };
+
+    timestamps.forEach((timestamp) => {
+      const current = new Date(timestamp);
+      recordGap(previous, current);
+      previous = current;
+    });
+    recordGap(previous, end);
+
+    const downtimeMs = gaps.reduce((total, gap) => total + gap.durationMs, 0);
+
+    return {
+      periodMs,
+      intervalMs,
+      gapThresholdMs,
+      expectedReadings,
+      receivedReadings: timestamps.length,
+      readingsPercent:
+        expectedReadings > 0
+          ? Math.min(100, (timestamps.length / expectedReadings) * 100)
+          : 0,
+      availabilityPercent:
+        periodMs > 0 ? ((periodMs - downtimeMs) / periodMs) * 100 : 0,
+      downtimeMs,
+      maintenanceMs,
+      longestGap,
+      gapCount: gaps.length,
+      gaps,
+    };
+  }
+
+  // ==================== Rollup Operations ====================
+
+  /**
+   * Get how far a station has been rolled up at a resolution
+   * @param {string} stationId - Station ID
+   * @param {string} resolution - "1m", "1h" or "1d"
+   * @returns {Promise<Date|null>} End of the last complete bucket, or null
+   */
+  async getRollupWatermark(stationId, resolution) {
+    return this.executeOperation(async (prisma) => {
+      const watermark = await prisma.rollupWatermark.findUnique({
+        where: { stationId_resolution: { stationId, resolution } },
+      });
+      return watermark ? watermark.processedUntil : null;
+    }, "Get rollup watermark");
+  }
+
+  /**
+   * Move a station's rollup watermark
+   * @param {string} stationId - Station ID
+   * @param {string} resolution - "1m", "1h" or "1d"
+   * @param {Date} processedUntil - End of the last complete bucket
+   * @returns {Promise<Object>} Watermark
+   */
+  async setRollupWatermark(stationId, resolution, processedUntil) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.rollupWatermark.upsert({
+        where: { stationId_resolution: { stationId, resolution } },
+        update: { processedUntil },
+        create: { stationId, resolution, processedUntil },
+      });
+    }, "Set rollup watermark");
+  }
+
+  /**
+   * Earliest timestamp available to roll up from
+   * @param {string} stationId - Station ID
+   * @param {string} source - "raw" for PowerReading, otherwise a rollup resolution
+   * @returns {Promise<Date|null>}
+   */
+  async getEarliestRollupSourceTime(stationId, source) {
+    return this.executeOperation(async (prisma) => {
+      if (source === "raw") {
+        const reading = await prisma.powerReading.findFirst({
+          where: { stationId },
+          orderBy: { timestamp: "asc" },
+          select: { timestamp: true },
+        });
+        return reading ? reading.timestamp : null;
+      }
+
+      const rollup = await prisma[getResolution(source).model].findFirst({
+        where: { stationId },
+        orderBy: { bucketStart: "asc" },
+        select: { bucketStart: true },
+      });
+      return rollup ? rollup.bucketStart : null;
+    }, "Get earliest rollup source time");
+  }
+
+  /**
+   * Get raw readings in [startDate, endDate) for rolling up
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start (inclusive)
+   * @param {Date} endDate - End (exclusive)
+   * @returns {Promise<Array>} Readings, oldest first
+   */
+  async getReadingsForRollup(stationId, startDate, endDate) {
+    return this.executeOperation(async (prisma) => {
+      const select = { timestamp: true };
+      [...ACTIVE_POWER_FIELDS, ...MUX_POWER_FIELDS].forEach((field) => {
+        select[field] = true;
+      });
+
+      return await prisma.powerReading.findMany({
+        where: {
+          stationId,
+          timestamp: { gte: new Date(startDate), lt: new Date(endDate) },
+        },
+        orderBy: { timestamp: "asc" },
+        select,
+      });
+    }, "Get readings for rollup");
+  }
+
+  /**
+   * Get rollup rows with bucketStart in [startDate, endDate)
+   * @param {string} stationId - Station ID
+   * @param {string} resolution - "1m", "1h" or "1d"
+   * @param {Date} startDate - Start (inclusive)
+   * @param {Date} endDate - End (exclusive)
+   * @returns {Promise<Array>} Rollups, oldest first
+   */
+  async getRollups(stationId, resolution, startDate, endDate) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma[getResolution(resolution).model].findMany({
+        where: {
+          stationId,
+          bucketStart: { gte: new Date(startDate), lt: new Date(endDate) },
+        },
+        orderBy: { bucketStart: "asc" },
+      });
+    }, "Get rollups");
+  }
+
+  /**
+   * Insert or replace rollup buckets
+   * @param {string} stationId - Station ID
+   * @param {string} resolution - "1m", "1h" or "1d"
+   * @param {Array<Object>} rows - Rollup rows from RollupService
+   * @returns {Promise<number>} Rows written
+   */
+  async upsertRollups(stationId, resolution, rows) {
+    return this.executeOperation(async (prisma) => {
+      const model = prisma[getResolution(resolution).model];
+      await prisma.$transaction(
+        rows.map((row) =>
+          model.upsert({
+            where: {
+              stationId_bucketStart: { stationId, bucketStart: row.bucketStart },
+            },
+            update: row,
+            create: { ...row, stationId },
+          })
+        )
+      );
+      return rows.length;
+    }, "Upsert rollups");
+  }
+
+  /**
+   * Get power history at a resolution that fits the requested range
+   * Picks the finest of raw / 1m / 1h / 1d that returns at most `maxPoints`
+   * points. Buckets newer than the rollup watermark are aggregated on the fly
+   * from raw readings, so the latest data is always included.
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {Object} options - { maxPoints = 1000, resolution: "auto"|"raw"|"1m"|"1h"|"1d", rawIntervalMs = 10000 }
+   * @returns {Promise<Object>} { resolution, points }
+   */
+  async getPowerHistory(stationId, startDate, endDate, options = {}) {
+    const {
+      maxPoints = 1000,
+      resolution: requested = "auto",
+      rawIntervalMs = 10000,
+    } = options;
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const rangeMs = end.getTime() - start.getTime();
+
+    let resolution = requested;
+    if (resolution === "auto") {
+      const fitting = RESOLUTIONS.find(
+        (entry) => rangeMs / entry.bucketMs <= maxPoints
+      );
+      resolution =
+        rangeMs / rawIntervalMs <= maxPoints
+          ? "raw"
+          : fitting
+          ? fitting.name
+          : RESOLUTIONS[RESOLUTIONS.length - 1].name;
+    }
+
+    if (resolution === "raw") {
+      const readings = await this.getReadingsForRollup(stationId, start, end);
+      return { resolution, points: readings };
+    }
+
+    const watermark = await this.getRollupWatermark(stationId, resolution);
+    const rolledUntil =
+      watermark && watermark > start ? (watermark < end ? watermark : end) : start;
+
+    const stored =
+      rolledUntil > start
+        ? await this.getRollups(stationId, resolution, start, rolledUntil)
+        : [];
+    const live =
+      rolledUntil < end
+        ? aggregateReadings(
+            await this.getReadingsForRollup(stationId, rolledUntil, end),
+            resolution
+          )
+        : [];
+
+    return {
+      resolution,
+      points: [...stored, ...live].map((row) => this.formatRollupPoint(row)),
+    };
+  }
+
+  /**
+   * Flatten a rollup row into a history point
+   * activePowerN is the bucket average, muxPowerN the last counter value.
+   * @param {Object} row - Rollup row
+   * @returns {Object} Point
+   */
+  formatRollupPoint(row) {
+    const point = { timestamp: row.bucketStart, sampleCount: row.sampleCount };
+    ACTIVE_POWER_FIELDS.forEach((field) => {
+      point[field] = row[`${field}Avg`];
+      point[`${field}Min`] = row[`${field}Min`];
+      point[`${field}Max`] = row[`${field}Max`];
+    });
+    MUX_POWER_FIELDS.forEach((field) => {
+      point[field] = row[`${field}Last`];
+      point[`${field}First`] = row[`${field}First`];
+    });
+    return point;
+  }
+
+  // ==================== Retention Operations ====================
+
+  /**
+   * Get all retention rules
+   * @returns {Promise<Array>} Rules with their station name
+   */
+  async getRetentionRules() {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.retentionRule.findMany({
+        include: { station: { select: { name: true } } },
+        orderBy: [{ stationId: "asc" }, { dataset: "asc" }],
+      });
+    }, "Get retention rules");
+  }
+
+  /**
+   * Create or update a retention rule
+   * @param {string|null} stationId - Station ID, null for the global rule
+   * @param {string} dataset - "raw", "1m", "1h", "1d" or "events"
+   * @param {number|null} keepDays - Days to keep, null for forever
+   * @returns {Promise<Object>} Rule
+   */
+  async setRetentionRule(stationId, dataset, keepDays) {
+    return this.executeOperation(async (prisma) => {
+      // SQLite treats NULLs as distinct in unique indexes, so look global rules up explicitly
+      const existing = await prisma.retentionRule.findFirst({
+        where: { stationId, dataset },
+      });
+
+      if (existing) {
+        return await prisma.retentionRule.update({
+          where: { id: existing.id },
+          data: { keepDays },
+        });
+      }
+
+      return await prisma.retentionRule.create({
+        data: { stationId, dataset, keepDays },
+      });
+    }, "Set retention rule");
+  }
+
+  /**
+   * Remove a retention rule
+   * @param {string|null} stationId - Station ID, null for the global rule
+   * @param {string} dataset - Dataset name
+   * @returns {Promise<number>} Rules removed
+   */
+  async deleteRetentionRule(stationId, dataset) {
+    return this.executeOperation(async (prisma) => {
+      const result = await prisma.retentionRule.deleteMany({
+        where: { stationId, dataset },
+      });
+      return result.count;
+    }, "Delete retention rule");
+  }
+
+  /**
+   * Count a station's rows older than a cutoff
+   * @param {Object} dataset - Dataset definition from RetentionService
+   * @param {string} stationId - Station ID
+   * @param {Date} cutoff - Rows before this are counted
+   * @returns {Promise<number>}
+   */
+  async countRowsBefore(dataset, stationId, cutoff) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma[dataset.model].count({
+        where: { stationId, [dataset.timeField]: { lt: new Date(cutoff) } },
+      });
+    }, "Count rows before cutoff");
+  }
+
+  /**
+   * Delete a station's rows older than a cutoff, one day at a time so the
+   * monitor's writes are not blocked behind one huge delete
+   * @param {Object} dataset - Dataset definition from RetentionService
+   * @param {string} stationId - Station ID
+   * @param {Date} cutoff - Rows before this are deleted
+   * @returns {Promise<number>} Rows deleted
+   */
+  async deleteRowsBefore(dataset, stationId, cutoff) {
+    return this.executeOperation(async (prisma) => {
+      const model = prisma[dataset.model];
+      const end = new Date(cutoff);
+      const oldest = await model.findFirst({
+        where: { stationId, [dataset.timeField]: { lt: end } },
+        orderBy: { [dataset.timeField]: "asc" },
+        select: { [dataset.timeField]: true },
+      });
+      if (!oldest) {
+        return 0;
+      }
+
+      const dayMs = 24 * 60 * 60 * 1000;
+      let deleted = 0;
+      for (
+        let from = oldest[dataset.timeField].getTime();
+        from < end.getTime();
+        from += dayMs
+      ) {
+        const to = Math.min(from + dayMs, end.getTime());
+        const result = await model.deleteMany({
+          where: {
+            stationId,
+            [dataset.timeField]: { gte: new Date(from), lt: new Date(to) },
+          },
+        });
+        deleted += result.count;
+      }
+
+      return deleted;
+    }, "Delete rows before cutoff");
+  }
+
+  /**
+   * Reclaim free pages after large deletes (SQLite VACUUM)
+   * @returns {Promise<void>}
+   */
+  async vacuum() {
+    return this.executeOperation(async (prisma) => {
+      await prisma.$executeRawUnsafe("VACUUM");
+    }, "Vacuum database");
+  }
+
+  // ==================== Energy Consumption Operations ====================
+
+  /**
+   * Get per-MUX energy consumption (kWh) from the cumulative MUX counters
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {Object} options - { period: "hour"|"day"|"month", fields, maxKw, rolloverAt, jitterKwh, gapThresholdMs }
+   * @returns {Promise<Object>} { stationId, start, end, period, muxes }
+   */
+  async getEnergyConsumption(stationId, startDate, endDate, options = {}) {
+    return this.executeOperation(async (prisma) => {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      const accumulator = this.energyService.createAccumulator({
+        ...options,
+        start,
+        end,
+      });
+      const select = { timestamp: true };
+      MUX_FIELDS.forEach((field) => {
+        select[field] = true;
+      });
+
+      // Readings just outside the range let us attribute the edges of the period
+      const [before, after] = await Promise.all([
+        prisma.powerReading.findFirst({
+          where: { stationId, timestamp: { lt: start } },
+          orderBy: { timestamp: "desc" },
+          select,
+        }),
+        prisma.powerReading.findFirst({
+          where: { stationId, timestamp: { gt: end } },
+          orderBy: { timestamp: "asc" },
+          select,
+        }),
+      ]);
+
+      if (before) accumulator.add(before);
+
+      const batchSize = 10000;
+      for (let skip = 0; ; skip += batchSize) {
+        const batch = await prisma.powerReading.findMany({
+          where: { stationId, timestamp: { gte: start, lte: end } },
+          orderBy: { timestamp: "asc" },
+          select,
+          take: batchSize,
+          skip,
+        });
+        batch.forEach((reading) => accumulator.add(reading));
+        if (batch.length < batchSize) break;
+      }
+
+      if (after) accumulator.add(after);
+
+      return { stationId, ...accumulator.finish() };
+    }, "Get energy consumption");
+  }
+
+  /**
+   * Get opening and closing MUX meter readings for a period
+   * Opening is the last reading at or before the start (or the first reading in
+   * the period if there is none); closing is the last reading at or before the end.
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Promise<Object>} { muxPower1: { opening: { value, timestamp }, closing }, ... }
+   */
+  async getMuxMeterReadings(stationId, startDate, endDate) {
+    return this.executeOperation(async (prisma) => {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      const meters = {};
+
+      for (const field of MUX_FIELDS) {
+        const select = { timestamp: true, [field]: true };
+        const notNull = { [field]: { not: null } };
+
+        const [before, firstInPeriod, closing] = await Promise.all([
+          prisma.powerReading.findFirst({
+            where: { stationId, ...notNull, timestamp: { lte: start } },
+            orderBy: { timestamp: "desc" },
+            select,
+          }),
+          prisma.powerReading.findFirst({
+            where: { stationId, ...notNull, timestamp: { gt: start, lte: end } },
+            orderBy: { timestamp: "asc" },
+            select,
+          }),
+          prisma.powerReading.findFirst({
+            where: { stationId, ...notNull, timestamp: { lte: end } },
+            orderBy: { timestamp: "desc" },
+            select,
+          }),
+        ]);
+
+        const opening = before || firstInPeriod;
+        meters[field] = {
+          opening: opening
+            ? { value: opening[field], timestamp: opening.timestamp }
+            : null,
+          closing: closing
+            ? { value: closing[field], timestamp: closing.timestamp }
+            : null,
+        };
+      }
+
+      return meters;
+    }, "Get MUX meter readings");
+  }
+
+  /**
+   * Get energy consumption for every station
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {Object} options - See getEnergyConsumption
+   * @returns {Promise<Array>} [{ station, consumption }]
+   */
+  async getAllStationsEnergyConsumption(startDate, endDate, options = {}) {
+    const stations = await this.getAllStations();
+    const results = [];
+
+    for (const station of stations) {
+      const consumption = await this.getEnergyConsumption(
+        station.id,
+        startDate,
+        endDate,
+        options
+      );
+      results.push({ station: station.name, consumption });
+    }
+
+    return results;
+  }
+
+  // ==================== Station Event Operations ====================
+
+  /**
+   * Record a connection/session event for a station
+   * @param {Object} eventData - Event data
+   * @param {string} eventData.stationId - Station ID
+   * @param {string} eventData.type - Event type (see StationEventTypes)
+   * @param {Date} eventData.timestamp - When it happened (defaults to now)
+   * @param {string} eventData.message - Human readable description
+   * @param {string} eventData.errorCode - Error code, if the event is a failure
+   * @param {string} eventData.source - "websocket", "api" or "config" (configuration reload)
+   * @param {number} eventData.objectId - Device object the event is about, if any
+   * @returns {Promise<Object>} Created event
+   */
+  async createStationEvent(eventData) {
+    return this.executeOperation(async (prisma) => {
+      const { stationId, type, timestamp, message, errorCode, source, objectId } =
+        eventData;
+
+      if (!stationId || !type) {
+        throw new Error("Missing required event fields: stationId, type");
+      }
+
+      return await prisma.stationEvent.create({
+        data: {
+          stationId,
+          type,
+          timestamp: timestamp ? new Date(timestamp) : new Date(),
+          message: message || null,
+          errorCode: errorCode ? String(errorCode) : null,
+          source: source || null,
+          objectId:
+            objectId !== undefined && objectId !== null ? Number(objectId) : null,
+        },
+      });
+    }, "Create station event");
+  }
+
+  /**
+   * Get events for a station
+   * @param {string} stationId - Station ID
+   * @param {Object} options - Query options (startDate, endDate, types, limit, offset)
+   * @returns {Promise<Array>} Events, newest first
+   */
+  async getStationEvents(stationId, options = {}) {
+    return this.executeOperation(async (prisma) => {
+      const {
+        startDate = null,
+        endDate = null,
+        types = null,
+        limit = 500,
+        offset = 0,
+      } = options;
+
+      const where = { stationId };
+      if (startDate || endDate) {
+        where.timestamp = {};
+        if (startDate) where.timestamp.gte = new Date(startDate);
+        if (endDate) where.timestamp.lte = new Date(endDate);
+      }
+      if (types && types.length > 0) {
+        where.type = { in: types };
+      }
+
+      return await prisma.stationEvent.findMany({
+        where,
+        orderBy: { timestamp: "desc" },
+        take: limit,
+        skip: offset,
+      });
+    }, "Get station events");
+  }
+
+  /**
+   * Get per-station uptime from CONNECTED/DISCONNECTED events
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {Promise<Object>} Uptime statistics and outages
+   */
+  async getStationUptime(stationId, startDate, endDate) {
+    return this.executeOperation(async (prisma) => {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      const transitionTypes = [
+        StationEventTypes.CONNECTED,
+        StationEventTypes.DISCONNECTED,
+      ];
+
+      const [previous, transitions] = await Promise.all([
+        prisma.stationEvent.findFirst({
+          where: {
+            stationId,
+            type: { in: transitionTypes },
+            timestamp: { lt: start },
+          },
+          orderBy: { timestamp: "desc" },
+        }),
+        prisma.stationEvent.findMany({
+          where: {
+            stationId,
+            type: { in: transitionTypes },
+            timestamp: { gte: start, lte: end },
+          },
+          orderBy: { timestamp: "asc" },
+        }),
+      ]);
+
+      const initiallyUp = previous?.type === StationEventTypes.CONNECTED;
+      const windows = await this.getMaintenanceWindows({
+        stationId,
+        startDate: start,
+        endDate: end,
+      });
+      return {
+        stationId,
+        ...this.calculateUptime(
+          transitions,
+          initiallyUp,
+          start,
+          end,
+          windowPeriods(windows)
+        ),
+      };
+    }, "Get station uptime");
+  }
+
+  /**
+   * Calculate uptime from ordered CONNECTED/DISCONNECTED events
+   * @param {Array} transitions - Events ordered by timestamp
+   * @param {boolean} initiallyUp - State at the start of the period
+   * @param {Date} start - Period start
+   * @param {Date} end - Period end
+   * @param {Array<Object>} excludedPeriods - Maintenance [{ start, end }] left out of the statistics
+   * @returns {Object} { uptimeMs, downtimeMs, uptimePercent, maintenanceMs, outages }
+   */
+  calculateUptime(transitions, initiallyUp, start, end, excludedPeriods = []) {
+    const excluded = mergePeriods(excludedPeriods);
+    const maintenanceMs = overlapMs(start, end, excluded);
+    const periodMs = Math.max(0, end.getTime() - start.getTime() - maintenanceMs);
+    const outages = [];
+    let isUp = initiallyUp;
+    let outageStart = initiallyUp ? null : start;
+    let uptimeMs = 0;
+    let lastChange = start;
+
+    transitions.forEach((event) => {
+      const eventTime = new Date(event.timestamp);
+      const goesUp = event.type === StationEventTypes.CONNECTED;
+      if (goesUp === isUp) {
+        return; // Repeated event, no transition
+      }
+
+      if (isUp) {
+        uptimeMs += eventTime - lastChange;
+        outageStart = eventTime;
+      } else {
+        outages.push({
+          start: outageStart,
+          end: eventTime,
+          durationMs: eventTime - outageStart,
+        });
+        outageStart = null;
+      }
+
+      isUp = goesUp;
+      lastChange = eventTime;
+    });
+
+    if (isUp) {
+      uptimeMs += end - lastChange;
+    } else {
+      outages.push({
+        start: outageStart,
+        end: null, // Still dark at the end of the period
+        durationMs: end - outageStart,
+      });
+    }
+
+    // Outage time inside maintenance windows counts as neither up nor down
+    let downtimeMs = periodMs + maintenanceMs - uptimeMs;
+    if (excluded.length > 0) {
+      downtimeMs = outages.reduce((total, outage) => {
+        const outageEnd = outage.end || end;
+        return total + outage.durationMs - overlapMs(outage.start, outageEnd, excluded);
+      }, 0);
+      uptimeMs = periodMs - downtimeMs;
+    }
+
+    return {
+      uptimeMs,
+      downtimeMs,
+      uptimePercent: periodMs > 0 ? (uptimeMs / periodMs) * 100 : 0,
+      maintenanceMs,
+      outages,
+    };
+  }
+
+  // ==================== Alert Operations ====================
+
+  /**
+   * Get alert rules
+   * @param {Object} options - { enabledOnly }
+   * @returns {Promise<Array>} Rules with their station name
+   */
+  async getAlertRules(options = {}) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.alertRule.findMany({
+        where: options.enabledOnly ? { enabled: true } : {},
+        include: { station: { select: { name: true } } },
+        orderBy: [{ stationId: "asc" }, { field: "asc" }, { createdAt: "asc" }],
+      });
+    }, "Get alert rules");
+  }
+
+  /**
+   * Create an alert rule
+   * @param {Object} ruleData - { stationId, field, type, threshold, forSeconds, clearSeconds, severity, name }
+   * @returns {Promise<Object>} Rule
+   */
+  async createAlertRule(ruleData) {
+    return this.executeOperation(async (prisma) => {
+      const { field, type } = ruleData;
+      if (!field || !type) {
+        throw new Error("Missing required alert rule fields: field, type");
+      }
+
+      return await prisma.alertRule.create({
+        data: {
+          stationId: ruleData.stationId || null,
+          field,
+          type,
+          threshold:
+            ruleData.threshold === undefined ? null : ruleData.threshold,
+          forSeconds: ruleData.forSeconds ?? 60,
+          clearSeconds: ruleData.clearSeconds ?? 60,
+          severity: ruleData.severity || "warning",
+          name: ruleData.name || null,
+          channels: ruleData.channels || null,
+          enabled: ruleData.enabled ?? true,
+        },
+      });
+    }, "Create alert rule");
+  }
+
+  /**
+   * Update an alert rule
+   * @param {string} ruleId - Rule ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Rule
+   */
+  async updateAlertRule(ruleId, updateData) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.alertRule.update({
+        where: { id: ruleId },
+        data: updateData,
+      });
+    }, "Update alert rule");
+  }
+
+  /**
+   * Delete an alert rule together with its alert history
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<number>} Number of alerts deleted with the rule
+   */
+  async deleteAlertRule(ruleId) {
+    return this.executeOperation(async (prisma) => {
+      const { count } = await prisma.alert.deleteMany({ where: { ruleId } });
+      await prisma.alertRule.delete({ where: { id: ruleId } });
+      return count;
+    }, "Delete alert rule");
+  }
+
+  /**
+   * Create an alert
+   * @param {Object} alertData - Alert fields
+   * @returns {Promise<Object>} Alert
+   */
+  async createAlert(alertData) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.alert.create({ data: alertData });
+    }, "Create alert");
+  }
+
+  /**
+   * Update an alert
+   * @param {string} alertId - Alert ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Alert
+   */
+  async updateAlert(alertId, updateData) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.alert.update({
+        where: { id: alertId },
+        data: updateData,
+      });
+    }, "Update alert");
+  }
+
+  /**
+   * Get alerts, newest first
+   * @param {Object} options - Query options (stationId, states, startDate, endDate, limit, offset)
+   * @returns {Promise<Array>} Alerts with station and rule names
+   */
+  async getAlerts(options = {}) {
+    return this.executeOperation(async (prisma) => {
+      const {
+        stationId = null,
+        states = null,
+        startDate = null,
+        endDate = null,
+        limit = 100,
+        offset = 0,
+      } = options;
+
+      const where = {};
+      if (stationId) where.stationId = stationId;
+      if (states && states.length > 0) where.state = { in: states };
+      if (startDate || endDate) {
+        where.raisedAt = {};
+        if (startDate) where.raisedAt.gte = new Date(startDate);
+        if (endDate) where.raisedAt.lte = new Date(endDate);
+      }
+
+      return await prisma.alert.findMany({
+        where,
+        include: {
+          station: { select: { name: true } },
+          rule: { select: { name: true, type: true } },
+        },
+        orderBy: { raisedAt: "desc" },
+        take: limit,
+        skip: offset,
+      });
+    }, "Get alerts");
+  }
+
+  /**
+   * Get alerts that are not cleared yet
+   * @returns {Promise<Array>} Active and acknowledged alerts
+   */
+  async getOpenAlerts() {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.alert.findMany({
+        where: { state: { in: ["active", "acknowledged"] } },
+        include: { station: { select: { name: true } } },
+        orderBy: { raisedAt: "asc" },
+      });
+    }, "Get open alerts");
+  }
+
+  /**
+   * Acknowledge an active alert
+   * @param {string} alertId - Alert ID
+   * @param {string} acknowledgedBy - Who acknowledged it
+   * @returns {Promise<Object|null>} Alert, or null if it is not active
+   */
+  async acknowledgeAlert(alertId, acknowledgedBy = null) {
+    return this.executeOperation(async (prisma) => {
+      const { count } = await prisma.alert.updateMany({
+        where: { id: alertId, state: "active" },
+        data: {
+          state: "acknowledged",
+          acknowledgedAt: new Date(),
+          acknowledgedBy,
+        },
+      });
+      return count > 0
+        ? await prisma.alert.findUnique({ where: { id: alertId } })
+        : null;
+    }, "Acknowledge alert");
+  }
+
+  // ==================== Off-Air Operations ====================
+
+  /**
+   * Record the start of an off-air incident
+   * @param {Object} incidentData - { stationId, field, startedAt, planned, reason, normalLevel, lowestValue }
+   * @returns {Promise<Object>} Incident
+   */
+  async createOffAirIncident(incidentData) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.offAirIncident.create({ data: incidentData });
+    }, "Create off-air incident");
+  }
+
+  /**
+   * Update an off-air incident (e.g. when the channel comes back)
+   * @param {string} incidentId - Incident ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Incident
+   */
+  async updateOffAirIncident(incidentId, updateData) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.offAirIncident.update({
+        where: { id: incidentId },
+        data: updateData,
+      });
+    }, "Update off-air incident");
+  }
+
+  /**
+   * Get off-air incidents that overlap a period, oldest first
+   * @param {Object} options - { stationId, field, startDate, endDate, planned, limit }
+   * @returns {Promise<Array>} Incidents with their station name
+   */
+  async getOffAirIncidents(options = {}) {
+    return this.executeOperation(async (prisma) => {
+      const {
+        stationId = null,
+        field = null,
+        startDate = null,
+        endDate = null,
+        planned = null,
+        limit = undefined,
+      } = options;
+
+      const where = {};
+      if (stationId) {
+        where.stationId = stationId;
+      }
+      if (field) {
+        where.field = field;
+      }
+      if (planned !== null) {
+        where.planned = planned;
+      }
+      if (endDate) {
+        where.startedAt = { lt: new Date(endDate) };
+      }
+      if (startDate) {
+        // Still open, or ended after the period started
+        where.OR = [{ endedAt: null }, { endedAt: { gt: new Date(startDate) } }];
+      }
+
+      return await prisma.offAirIncident.findMany({
+        where,
+        include: { station: { select: { name: true } } },
+        orderBy: { startedAt: "asc" },
+        take: limit,
+      });
+    }, "Get off-air incidents");
+  }
+
+  /**
+   * Get incidents that have not ended
+   * @returns {Promise<Array>} Open incidents
+   */
+  async getOpenOffAirIncidents() {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.offAirIncident.findMany({
+        where: { endedAt: null },
+        orderBy: { startedAt: "asc" },
+      });
+    }, "Get open off-air incidents");
+  }
+
+  /**
+   * Delete a station's incidents that started in [startDate, endDate), before
+   * re-detecting the period from history
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start (inclusive)
+   * @param {Date} endDate - End (exclusive)
+   * @returns {Promise<number>} Incidents deleted
+   */
+  async deleteOffAirIncidents(stationId, startDate, endDate) {
+    return this.executeOperation(async (prisma) => {
+      const { count } = await prisma.offAirIncident.deleteMany({
+        where: {
+          stationId,
+          startedAt: { gte: new Date(startDate), lt: new Date(endDate) },
+        },
+      });
+      return count;
+    }, "Delete off-air incidents");
+  }
+
+  // ==================== Maintenance Operations ====================
+
+  /**
+   * Get maintenance windows that overlap a period, earliest first
+   * @param {Object} options - { stationId, startDate, endDate }
+   * @returns {Promise<Array>} Windows with their station name
+   */
+  async getMaintenanceWindows(options = {}) {
+    return this.executeOperation(async (prisma) => {
+      const { stationId = null, startDate = null, endDate = null } = options;
+
+      const where = {};
+      if (stationId) {
+        where.stationId = stationId;
+      }
+      if (startDate) {
+        where.endsAt = { gt: new Date(startDate) };
+      }
+      if (endDate) {
+        where.startsAt = { lt: new Date(endDate) };
+      }
+
+      return await prisma.maintenanceWindow.findMany({
+        where,
+        include: { station: { select: { name: true } } },
+        orderBy: { startsAt: "asc" },
+      });
+    }, "Get maintenance windows");
+  }
+
+  /**
+   * Create a maintenance window and mark the readings it already covers
+   * @param {Object} windowData - { stationId, field, startsAt, endsAt, reason }
+   * @returns {Promise<Object>} Window
+   */
+  async createMaintenanceWindow(windowData) {
+    const { stationId, startsAt, endsAt } = windowData;
+    if (!stationId || !startsAt || !endsAt) {
+      throw new Error("Missing required maintenance fields: stationId, startsAt, endsAt");
+    }
+    if (new Date(endsAt) <= new Date(startsAt)) {
+      throw new Error("Maintenance must end after it starts");
+    }
+
+    const window = await this.executeOperation(async (prisma) => {
+      return await prisma.maintenanceWindow.create({
+        data: {
+          stationId,
+          field: windowData.field || null,
+          startsAt: new Date(startsAt),
+          endsAt: new Date(endsAt),
+          reason: windowData.reason || null,
+        },
+      });
+    }, "Create maintenance window");
+
+    await this.markMaintenanceReadings(stationId, window.startsAt, window.endsAt);
+    return window;
+  }
+
+  /**
+   * Change a maintenance window (e.g. end it early) and re-mark readings
+   * @param {string} windowId - Window ID
+   * @param {Object} updateData - { startsAt, endsAt, field, reason }
+   * @returns {Promise<Object>} Window
+   */
+  async updateMaintenanceWindow(windowId, updateData) {
+    const { previous, window } = await this.executeOperation(async (prisma) => {
+      const previous = await prisma.maintenanceWindow.findUnique({
+        where: { id: windowId },
+      });
+      if (!previous) {
+        throw new Error(`Maintenance window ${windowId} not found`);
+      }
+      const window = await prisma.maintenanceWindow.update({
+        where: { id: windowId },
+        data: updateData,
+      });
+      return { previous, window };
+    }, "Update maintenance window");
+
+    await this.markMaintenanceReadings(
+      window.stationId,
+      new Date(Math.min(previous.startsAt, window.startsAt)),
+      new Date(Math.max(previous.endsAt, window.endsAt))
+    );
+    return window;
+  }
+
+  /**
+   * Delete a maintenance window and unmark its readings
+   * @param {string} windowId - Window ID
+   * @returns {Promise<Object>} Deleted window
+   */
+  async deleteMaintenanceWindow(windowId) {
+    const window = await this.executeOperation(async (prisma) => {
+      return await prisma.maintenanceWindow.delete({ where: { id: windowId } });
+    }, "Delete maintenance window");
+
+    await this.markMaintenanceReadings(window.stationId, window.startsAt, window.endsAt);
+    return window;
+  }
+
+  /**
+   * End a station's running windows now (unmute)
+   * @param {string} stationId - Station ID
+   * @param {Date} at - End time (default now)
+   * @returns {Promise<number>} Windows ended
+   */
+  async endMaintenanceWindows(stationId, at = new Date()) {
+    const running = await this.executeOperation(async (prisma) => {
+      return await prisma.maintenanceWindow.findMany({
+        where: { stationId, startsAt: { lte: at }, endsAt: { gt: at } },
+      });
+    }, "Get running maintenance windows");
+
+    for (const window of running) {
+      await this.updateMaintenanceWindow(window.id, { endsAt: at });
+    }
+    return running.length;
+  }
+
+  /**
+   * Recompute PowerReading.maintenance for a station period from its windows
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start (inclusive)
+   * @param {Date} endDate - End (exclusive)
+   * @returns {Promise<number>} Readings now marked
+   */
+  async markMaintenanceReadings(stationId, startDate, endDate) {
+    return this.executeOperation(async (prisma) => {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      await prisma.powerReading.updateMany({
+        where: { stationId, timestamp: { gte: start, lt: end }, maintenance: true },
+        data: { maintenance: false },
+      });
+
+      const windows = await prisma.maintenanceWindow.findMany({
+        where: { stationId, startsAt: { lt: end }, endsAt: { gt: start } },
+      });
+      let marked = 0;
+      const periods = mergePeriods(
+        windows.map((window) => ({ start: window.startsAt, end: window.endsAt }))
+      );
+      for (const period of periods) {
+        const { count } = await prisma.powerReading.updateMany({
+          where: {
+            stationId,
+            timestamp: {
+              gte: new Date(Math.max(period.start, start)),
+              lt: new Date(Math.min(period.end, end)),
+            },
+          },
+          data: { maintenance: true },
+        });
+        marked += count;
+      }
+      return marked;
+    }, "Mark maintenance readings");
+  }
+
+  // ==================== Metric Operations ====================
+
+  /**
+   * Registered metric definitions, cached until the registry changes
+   * @returns {Promise<Map>} key -> MetricDefinition
+   */
+  async loadMetricDefinitions() {
+    if (!this.metricDefinitions) {
+      const definitions = await this.getMetricDefinitions();
+      this.metricDefinitions = new Map(
+        definitions.map((definition) => [definition.key, definition])
+      );
+    }
+    return this.metricDefinitions;
+  }
+
+  /**
+   * Re-read the metric definitions, which another process (metric-define,
+   * metric-remove) may have changed. Station mappings are rebuilt only when
+   * the definitions differ from the cached ones.
+   * @returns {Promise<boolean>} Whether the definitions changed
+   */
+  async refreshMetricDefinitions() {
+    const definitions = await this.getMetricDefinitions();
+    const cached = this.metricDefinitions;
+    const changed =
+      cached !== null &&
+      (cached.size !== definitions.length ||
+        definitions.some(
+          (definition) =>
+            JSON.stringify(cached.get(definition.key)) !== JSON.stringify(definition)
+        ));
+
+    this.metricDefinitions = new Map(
+      definitions.map((definition) => [definition.key, definition])
+    );
+    if (changed) {
+      this.invalidateObjectFields();
+    }
+    return changed;
+  }
+
+  /**
+   * Get all metric definitions
+   * @returns {Promise<Array>} Definitions ordered by key
+   */
+  async getMetricDefinitions() {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.metricDefinition.findMany({
+        orderBy: { key: "asc" },
+      });
+    }, "Get metric definitions");
+  }
+
+  /**
+   * Register a metric, or update its name, unit and description
+   * @param {Object} definitionData - { key, name, unit, description }
+   * @returns {Promise<Object>} Definition
+   */
+  async defineMetric(definitionData) {
+    const { key, name, unit = null, description = null } = definitionData;
+    validateMetricKey(key);
+    if (!name) {
+      throw new Error("Missing required field: name");
+    }
+
+    return this.executeOperation(async (prisma) => {
+      const definition = await prisma.metricDefinition.upsert({
+        where: { key },
+        update: { name, unit, description },
+        create: { key, name, unit, description },
+      });
+
+      // Station mappings that use the key as objectType start capturing it
+      this.metricDefinitions = null;
+      this.invalidateObjectFields();
+      return definition;
+    }, "Define metric");
+  }
+
+  /**
+   * Remove a metric definition
+   * @param {string} key - Metric key
+   * @param {Object} options - { deleteReadings } to drop its samples as well
+   * @returns {Promise<number>} Samples deleted
+   */
+  async deleteMetricDefinition(key, options = {}) {
+    return this.executeOperation(async (prisma) => {
+      const readingCount = await prisma.metricReading.count({
+        where: { metricKey: key },
+      });
+      if (readingCount > 0 && !options.deleteReadings) {
+        throw new Error(
+          `Cannot delete metric: ${readingCount} samples exist. Delete them with the definition.`
+        );
+      }
+
+      await prisma.metricReading.deleteMany({ where: { metricKey: key } });
+      await prisma.metricDefinition.delete({ where: { key } });
+
+      this.metricDefinitions = null;
+      this.invalidateObjectFields();
+      return readingCount;
+    }, "Delete metric definition");
+  }
+
+  /**
+   * Write metric samples taken with power readings. A sample already stored
+   * for the station, metric and timestamp is kept ("first") or replaced.
+   * @param {PrismaClient} prisma - Client of the calling operation
+   * @param {Array} samples - [{ stationId, timestamp, metrics: { key: value } }]
+   * @param {string} policy - Duplicate policy
+   * @returns {Promise<number>} Samples written
+   */
+  async saveMetricReadings(prisma, samples, policy) {
+    const definitions = await this.loadMetricDefinitions();
+    const upserts = [];
+    samples.forEach(({ stationId, timestamp, metrics }) => {
+      Object.entries(metrics || {}).forEach(([metricKey, value]) => {
+        const { unit } = definitions.get(metricKey) || {};
+        upserts.push(
+          prisma.metricReading.upsert({
+            where: {
+              stationId_metricKey_timestamp: { stationId, metricKey, timestamp },
+            },
+            update:
+              policy === DuplicatePolicies.KEEP_FIRST ? {} : { value, unit },
+            create: { stationId, metricKey, timestamp, value, unit },
+          })
+        );
+      });
+    });
+
+    if (upserts.length > 0) {
+      await prisma.$transaction(upserts);
+    }
+    return upserts.length;
+  }
+
+  /**
+   * Get a station's metric samples in a time range
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {Object} options - { metricKey, limit, orderDirection }
+   * @returns {Promise<Array>} Samples
+   */
+  async getMetricReadings(stationId, startDate, endDate, options = {}) {
+    return this.executeOperation(async (prisma) => {
+      const { metricKey = null, limit = 1000, orderDirection = "asc" } = options;
+      return await prisma.metricReading.findMany({
+        where: {
+          stationId,
+          ...(metricKey ? { metricKey } : {}),
+          timestamp: { gte: new Date(startDate), lte: new Date(endDate) },
+        },
+        orderBy: [{ timestamp: orderDirection }, { metricKey: "asc" }],
+        take: limit,
+      });
+    }, "Get metric readings");
+  }
+
+  /**
+   * Latest sample of each metric a station has reported
+   * @param {string} stationId - Station ID
+   * @returns {Promise<Array>} One sample per metric key
+   */
+  async getLatestMetrics(stationId) {
+    return this.executeOperation(async (prisma) => {
+      return await prisma.metricReading.findMany({
+        where: { stationId },
+        orderBy: [{ metricKey: "asc" }, { timestamp: "desc" }],
+        distinct: ["metricKey"],
+      });
+    }, "Get latest metrics");
+  }
 }
 
 module.exports = DatabaseService;
@@ -0,0 +1,84 @@
+const {
+  ACTIVE_POWER_FIELDS,
+  MUX_POWER_FIELDS,
+} = require("../services/RollupService");
+
+/**
+ * What happens when a reading arrives for a station and timestamp that is
+ * already stored (PowerReading is unique on stationId + timestamp).
+ * "First" and "last" are in arrival order, not timestamp order, so replayed
+ * or re-imported data is handled the same however late it arrives.
+ */
+const DuplicatePolicies = Object.freeze({
+  KEEP_FIRST: "first", // Ignore the later reading
+  KEEP_LAST: "last", // Replace every value with the later reading's
+  MERGE: "merge", // Later non-null values win, nulls never erase a value
+});
+
+const READING_FIELDS = [...ACTIVE_POWER_FIELDS, ...MUX_POWER_FIELDS];
+
+/**
+ * Validate a policy name
+ * @param {string} policy - "first", "last" or "merge"
+ * @returns {string} Policy
+ */
+function resolveDuplicatePolicy(policy) {
+  if (!Object.values(DuplicatePolicies).includes(policy)) {
+    throw new Error(
+      `Unknown duplicate policy "${policy}", expected ${Object.values(DuplicatePolicies).join(", ")}`
+    );
+  }
+  return policy;
+}
+
+/**
+ * Values to write over a stored reading when the same reading arrives again
+ * @param {Object} incoming - Power fields of the later reading
+ * @param {string} policy - Duplicate policy
+ * @returns {Object} Update data (empty when nothing changes)
+ */
+function duplicateUpdate(incoming, policy) {
+  const update = {};
+  if (policy === DuplicatePolicies.KEEP_LAST) {
+    READING_FIELDS.forEach((field) => {
+      update[field] = incoming[field] ?? null;
+    });
+  } else if (policy === DuplicatePolicies.MERGE) {
+    READING_FIELDS.forEach((field) => {
+      if (incoming[field] !== null && incoming[field] !== undefined) {
+        update[field] = incoming[field];
+      }
+    });
+  }
+  return update;
+}
+
+/**
+ * Collapse readings that share a station and timestamp, in arrival order
+ * @param {Array<Object>} readings - { stationId, timestamp: Date, ...fields }
+ * @param {string} policy - Duplicate policy
+ * @returns {Object} { readings, duplicates }
+ */
+function collapseDuplicates(readings, policy) {
+  const byKey = new Map();
+  readings.forEach((reading) => {
+    const key = `${reading.stationId}|${reading.timestamp.getTime()}`;
+    const earlier = byKey.get(key);
+    byKey.set(
+      key,
+      earlier ? { ...earlier, ...duplicateUpdate(reading, policy) } : reading
+    );
+  });
+  return {
+    readings: [...byKey.values()],
+    duplicates: readings.length - byKey.size,
+  };
+}
+
+module.exports = {
+  DuplicatePolicies,
+  READING_FIELDS,
+  resolveDuplicatePolicy,
+  duplicateUpdate,
+  collapseDuplicates,
+};
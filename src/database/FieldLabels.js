@@ -0,0 +1,47 @@
+/**
+ * Display labels for PowerReading fields, as shown by StationMonitor and in
+ * alert notifications
+ */
+const FIELD_LABELS = Object.freeze({
+  en: {
+    activePower1: "Active Power 1",
+    activePower2: "Active Power 2",
+    activePower3: "Active Power 3",
+    activePower4: "Active Power 4",
+    activePower5: "Active Power 5",
+    activePower6: "Active Power 6",
+    muxPower1: "MUX#1 Power Meter",
+    muxPower2: "MUX#2 Power Meter",
+    muxPower3: "MUX#3 Power Meter",
+    muxPower4: "MUX#4 Power Meter",
+    muxPower5: "MUX#5 Power Meter",
+    muxPower6: "MUX#6 Power Meter",
+  },
+  th: {
+    activePower1: "กำลังไฟฟ้า 1",
+    activePower2: "กำลังไฟฟ้า 2",
+    activePower3: "กำลังไฟฟ้า 3",
+    activePower4: "กำลังไฟฟ้า 4",
+    activePower5: "กำลังไฟฟ้า 5",
+    activePower6: "กำลังไฟฟ้า 6",
+    muxPower1: "มิเตอร์ MUX#1",
+    muxPower2: "มิเตอร์ MUX#2",
+    muxPower3: "มิเตอร์ MUX#3",
+    muxPower4: "มิเตอร์ MUX#4",
+    muxPower5: "มิเตอร์ MUX#5",
+    muxPower6: "มิเตอร์ MUX#6",
+  },
+});
+
+/**
+ * Label for a field
+ * @param {string} field - Field name (activePower1, muxPower3, ...)
+ * @param {string} language - "en" or "th"
+ * @returns {string} Label, or the field name if unknown
+ */
+function getFieldLabel(field, language = "en") {
+  const labels = FIELD_LABELS[language] || FIELD_LABELS.en;
+  return labels[field] || field;
+}
+
+module.exports = { FIELD_LABELS, getFieldLabel };
@@ -0,0 +1,201 @@
+const { READING_FIELDS } = require("./DuplicatePolicies");
+const StationEventTypes = require("./StationEventTypes");
+
+/**
+ * Translation of raw device object IDs to PowerReading columns
+ *
+ * Each station's StationMonitoredObject rows (objectType -> objectId, imported
+ * from monitorObjectId.csv) say which object carries which reading, so a
+ * province whose MUX meters have their own IDs only needs its rows changed.
+ * Stations without rows use the IDs most devices ship with.
+ */
+
+// objectId -> reading field for stations without their own mapping
+const DEFAULT_OBJECT_FIELDS = Object.freeze({
+  8684: "activePower1",
+  8685: "activePower2",
+  8686: "activePower3",
+  8687: "activePower4",
+  8688: "activePower5",
+  8689: "activePower6",
+  18069: "muxPower1", // TV5
+  18070: "muxPower2", // MCOT
+  73909: "muxPower3", // PRD
+  73910: "muxPower4", // TPBS
+  75428: "muxPower5",
+  75429: "muxPower6",
+});
+
+// Metric keys are identifiers that are not PowerReading columns
+const METRIC_KEY_PATTERN = /^[a-z][A-Za-z0-9_]*$/;
+
+/**
+ * Check a metric key before it is registered
+ * @param {string} key - Metric key
+ * @throws {Error} If the key is malformed or names a PowerReading column
+ */
+function validateMetricKey(key) {
+  if (!METRIC_KEY_PATTERN.test(String(key))) {
+    throw new Error(
+      `Invalid metric key "${key}", expected a camelCase identifier such as voltageL1`
+    );
+  }
+  if (READING_FIELDS.includes(key)) {
+    throw new Error(`"${key}" is a PowerReading column, not a metric`);
+  }
+}
+
+/**
+ * Invert a station's objectType -> objectId map
+ * @param {Object} objectMap - From getStationMonitoredObjects
+ * @returns {Object} objectId -> reading field (defaults when the map is empty)
+ */
+function buildObjectFields(objectMap) {
+  const entries = Object.entries(objectMap || {}).filter(
+    ([field, objectId]) => READING_FIELDS.includes(field) && objectId !== null
+  );
+  if (entries.length === 0) {
+    return DEFAULT_OBJECT_FIELDS;
+  }
+
+  const objectFields = {};
+  entries.forEach(([field, objectId]) => {
+    objectFields[objectId] = field;
+  });
+  return objectFields;
+}
+
+/**
+ * Objects of a station that carry registered metrics
+ * @param {Object} objectMap - From getStationMonitoredObjects
+ * @param {Array<string>} metricKeys - Registered MetricDefinition keys
+ * @returns {Object} objectId -> metric key
+ */
+function buildObjectMetrics(objectMap, metricKeys) {
+  const objectMetrics = {};
+  Object.entries(objectMap || {}).forEach(([objectType, objectId]) => {
+    if (metricKeys.includes(objectType) && objectId !== null) {
+      objectMetrics[objectId] = objectType;
+    }
+  });
+  return objectMetrics;
+}
+
+/**
+ * Map raw power data to reading fields and metrics
+ * Keys are object IDs (looked up in `objectFields`, then `objectMetrics`) or
+ * reading field names (API stations already send activePower1, muxPower1, ...).
+ * @param {Object} powerData - { objectId or field: value }
+ * @param {Object} objectFields - objectId -> reading field
+ * @param {Object} objectMetrics - objectId -> metric key
+ * @returns {Object} { values: { field: number|null }, metrics: { key: number },
+ *   unmapped: { key: value } }
+ */
+function mapPowerData(powerData, objectFields = DEFAULT_OBJECT_FIELDS, objectMetrics = {}) {
+  const values = {};
+  const metrics = {};
+  const unmapped = {};
+  if (!powerData || typeof powerData !== "object") {
+    return { values, metrics, unmapped };
+  }
+
+  Object.entries(powerData).forEach(([key, raw]) => {
+    const field = objectFields[key] || (READING_FIELDS.includes(key) ? key : null);
+    const value = parseFloat(raw);
+    if (field) {
+      values[field] = isNaN(value) ? null : value;
+    } else if (objectMetrics[key]) {
+      // MetricReading has no nulls; a sample that is not a number is skipped
+      if (!isNaN(value)) {
+        metrics[objectMetrics[key]] = value;
+      }
+    } else {
+      unmapped[key] = raw;
+    }
+  });
+  return { values, metrics, unmapped };
+}
+
+// Latest monitor event per object -> drift status it leaves the object in
+const DRIFT_EVENT_STATUS = {
+  [StationEventTypes.OBJECT_MISSING]: "missing",
+  [StationEventTypes.OBJECT_NULL]: "null",
+  [StationEventTypes.OBJECT_RESTORED]: null,
+};
+
+/**
+ * Mapping health of a station: how often each mapped object filled its field
+ * in stored readings, whether the monitor currently flags it as drifted, and
+ * which unmapped objects the device sent instead
+ * @param {Object} options - Inputs
+ * @param {Object} options.objectMap - objectType -> objectId (empty: standard IDs)
+ * @param {Object} options.coverage - { total, filled } from getFieldCoverage
+ * @param {Array<Object>} options.events - OBJECT_* and UNMAPPED_OBJECT events, newest first
+ * @param {number} options.sparseBelow - Fill percentage under which a field is "sparse"
+ * @returns {Object} { objects: [{ field, objectId, filled, total, percent, status,
+ *   flaggedAt }], unmapped: [{ objectId, lastSeen, message }] }
+ */
+function summarizeMappingHealth({ objectMap, coverage, events = [], sparseBelow = 90 }) {
+  let entries = Object.entries(objectMap || {}).filter(([, objectId]) => objectId !== null);
+  if (entries.length === 0) {
+    entries = Object.entries(DEFAULT_OBJECT_FIELDS).map(([objectId, field]) => [field, Number(objectId)]);
+  }
+
+  const latest = new Map();
+  events.forEach((event) => {
+    if (event.objectId !== null && event.objectId !== undefined && !latest.has(event.objectId)) {
+      latest.set(event.objectId, event);
+    }
+  });
+
+  const objects = entries.map(([field, objectId]) => {
+    const filled = coverage.filled[field];
+    const total = coverage.total;
+    const percent = filled === undefined || total === 0 ? null : (filled / total) * 100;
+    const event = latest.get(Number(objectId));
+    const drift = event ? DRIFT_EVENT_STATUS[event.type] : null;
+
+    let status;
+    if (drift) {
+      status = drift;
+    } else if (filled === undefined) {
+      status = "not stored";
+    } else if (total === 0) {
+      status = "no data";
+    } else if (filled === 0) {
+      status = "empty";
+    } else {
+      status = percent < sparseBelow ? "sparse" : "ok";
+    }
+    return {
+      field,
+      objectId: Number(objectId),
+      filled: filled === undefined ? null : filled,
+      total,
+      percent,
+      status,
+      flaggedAt: drift ? event.timestamp : null,
+    };
+  });
+
+  const mappedIds = new Set(objects.map((object) => object.objectId));
+  const unmapped = [];
+  events
+    .filter((event) => event.type === StationEventTypes.UNMAPPED_OBJECT && event.objectId !== null)
+    .forEach((event) => {
+      if (!mappedIds.has(event.objectId) && !unmapped.some((entry) => entry.objectId === event.objectId)) {
+        unmapped.push({ objectId: event.objectId, lastSeen: event.timestamp, message: event.message });
+      }
+    });
+
+  return { objects, unmapped };
+}
+
+module.exports = {
+  DEFAULT_OBJECT_FIELDS,
+  validateMetricKey,
+  buildObjectFields,
+  buildObjectMetrics,
+  mapPowerData,
+  summarizeMappingHealth,
+};
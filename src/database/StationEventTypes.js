@@ -0,0 +1,22 @@
+/**
+ * Station event types stored in StationEvent.type
+ * CONNECTED and DISCONNECTED mark availability transitions; the others are informational
+ */
+const StationEventTypes = Object.freeze({
+  CONNECTED: "CONNECTED", // Session established / API responding again
+  DISCONNECTED: "DISCONNECTED", // Connection lost / API stopped responding
+  CONNECT_FAILED: "CONNECT_FAILED", // WebSocket could not be opened
+  HANDSHAKE_FAILED: "HANDSHAKE_FAILED", // signIn → registerActiveObjects failed
+  RECONNECT_ATTEMPT: "RECONNECT_ATTEMPT",
+  SYNC_STALL: "SYNC_STALL", // Connection open but no sync notifications
+  SESSION_REINIT_FAILED: "SESSION_REINIT_FAILED",
+  API_FETCH_ERROR: "API_FETCH_ERROR",
+  API_STOPPED: "API_STOPPED", // Fetching stopped after too many errors
+  UNMAPPED_OBJECT: "UNMAPPED_OBJECT", // Reading had an object ID missing from the station's mapping
+  OBJECT_MISSING: "OBJECT_MISSING", // Registered object never appeared in a sync
+  OBJECT_NULL: "OBJECT_NULL", // Registered object only reports null / non-numeric values
+  OBJECT_RESTORED: "OBJECT_RESTORED", // Flagged object reports values again
+  CONFIG_APPLIED: "CONFIG_APPLIED", // Monitor started, stopped, reconnected or re-registered by a configuration reload
+});
+
+module.exports = StationEventTypes;
@@ -0,0 +1,584 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { URL } = require("url");
+const DatabaseService = require("../database/DatabaseService");
+const { RESOLUTIONS } = require("../services/RollupService");
+const { parseStationFilter } = require("./LiveFeed");
+
+/**
+ * Error with an HTTP status, returned to the client as JSON
+ */
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const MAX_PAGE_SIZE = 1000;
+const HISTORY_RESOLUTIONS = ["auto", "raw", ...RESOLUTIONS.map((entry) => entry.name)];
+const PUBLIC_DIR = path.join(__dirname, "public");
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+};
+
+/**
+ * ApiServer - Read-only JSON API over the collected readings, plus the web
+ * dashboard (src/server/public) at /
+ * Runs alongside monitor.js (config.api), which also serves the live feed, or
+ * standalone (npm run api).
+ * See API.md for the endpoints and response schema.
+ */
+class ApiServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {DatabaseService} options.databaseService - Connected database service
+   * @param {number} options.port - Port to listen on (default 3000, 0 = random)
+   * @param {string} options.host - Host to bind (default 127.0.0.1, 0.0.0.0 for every interface)
+   * @param {Function} options.statusProvider - Returns live monitor status (optional)
+   * @param {LiveFeed} options.liveFeed - Live reading feed to serve (optional)
+   */
+  constructor(options = {}) {
+    this.db = options.databaseService;
+    this.options = {
+      port: 3000,
+      host: "127.0.0.1",
+      ...options,
+    };
+    this.statusProvider = options.statusProvider || null;
+    this.liveFeed = options.liveFeed || null;
+    this.server = null;
+    // `database: false` routes work without a database (monitor in file-logging mode)
+    this.routes = [
+      { pattern: "/", database: false, raw: true, handler: (params, query, req, res) => this.serveStatic(res, "index.html") },
+      { pattern: "/assets/:file", database: false, raw: true, handler: (params, query, req, res) => this.serveStatic(res, params.file) },
+      { pattern: "/api", database: false, handler: () => this.getIndex() },
+      { pattern: "/api/health", database: false, handler: () => this.getHealth() },
+      { pattern: "/api/status", database: false, handler: () => this.getStatus() },
+      { pattern: "/api/live/snapshot", database: false, handler: (params, query) => this.getLiveSnapshot(query) },
+      { pattern: "/api/live/events", database: false, raw: true, handler: (params, query, req, res) => this.streamLive(req, res, query) },
+      { pattern: "/api/stations", handler: () => this.listStations() },
+      { pattern: "/api/latest", handler: () => this.getLatestForAll() },
+      { pattern: "/api/alerts", handler: (params, query) => this.getAlerts(query) },
+      { pattern: "/api/metrics", handler: () => this.listMetrics() },
+      { pattern: "/api/stations/:station", handler: (params) => this.getStation(params) },
+      { pattern: "/api/stations/:station/objects", handler: (params) => this.getObjects(params) },
+      { pattern: "/api/stations/:station/latest", handler: (params) => this.getLatest(params) },
+      { pattern: "/api/stations/:station/readings", handler: (params, query) => this.getReadings(params, query) },
+      { pattern: "/api/stations/:station/history", handler: (params, query) => this.getHistory(params, query) },
+      { pattern: "/api/stations/:station/stats", handler: (params, query) => this.getStats(params, query) },
+      { pattern: "/api/stations/:station/metrics", handler: (params) => this.getLatestMetrics(params) },
+      { pattern: "/api/stations/:station/metrics/:metric", handler: (params, query) => this.getMetricReadings(params, query) },
+    ].map((route) => ({
+      database: true,
+      ...route,
+      regex: new RegExp(`^${route.pattern.replace(/:(\w+)/g, "(?<$1>[^/]+)")}/?$`),
+    }));
+  }
+
+  /**
+   * Serve the database routes from a database that connected after the server started
+   * @param {DatabaseService} databaseService - Connected database service
+   */
+  setDatabase(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      if (this.liveFeed) {
+        this.liveFeed.attach(this.server);
+      }
+      this.server.once("error", reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.removeListener("error", reject);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      if (this.liveFeed) {
+        this.liveFeed.detach();
+      }
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  get url() {
+    if (!this.server) {
+      return null;
+    }
+    const { port } = this.server.address();
+    const host = this.options.host === "0.0.0.0" ? "127.0.0.1" : this.options.host;
+    return `http://${host}:${port}`;
+  }
+
+  /**
+   * Route a request and write the JSON response
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (req.method === "OPTIONS") {
+        this.send(res, 204, null);
+        return;
+      }
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        throw new HttpError(405, "METHOD_NOT_ALLOWED", "This API is read-only");
+      }
+
+      const route = this.routes.find((entry) => entry.regex.test(url.pathname));
+      if (!route) {
+        throw new HttpError(404, "NOT_FOUND", `No endpoint at ${url.pathname}`);
+      }
+      if (route.database && !this.db) {
+        throw new HttpError(503, "DATABASE_UNAVAILABLE", "The database is not connected");
+      }
+
+      const params = {};
+      Object.entries(route.regex.exec(url.pathname).groups || {}).forEach(
+        ([key, value]) => {
+          try {
+            params[key] = decodeURIComponent(value);
+          } catch (error) {
+            throw new HttpError(400, "INVALID_PARAMETER", `Malformed ${key} "${value}"`);
+          }
+        }
+      );
+      const query = Object.fromEntries(url.searchParams.entries());
+
+      if (route.raw) {
+        await route.handler(params, query, req, res);
+        return;
+      }
+      this.send(res, 200, await route.handler(params, query));
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        console.error(`❌ API ${req.method} ${url.pathname} failed:`, error.message);
+      }
+      this.send(res, status, {
+        error: {
+          code: error instanceof HttpError ? error.code : "INTERNAL_ERROR",
+          message: status === 500 ? "Internal server error" : error.message,
+        },
+      });
+    }
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, {
+      "Content-Type": "application/json; charset=utf-8",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, HEAD, OPTIONS",
+      "Cache-Control": "no-store",
+    });
+    // HEAD answers with the headers of the GET response only
+    res.end(body === null || res.req.method === "HEAD" ? undefined : JSON.stringify(body));
+  }
+
+  /**
+   * Serve a dashboard file from src/server/public
+   * @throws {HttpError} 404 for unknown files
+   */
+  async serveStatic(res, file) {
+    const contentType = CONTENT_TYPES[path.extname(file)];
+    if (!contentType || path.basename(file) !== file) {
+      throw new HttpError(404, "NOT_FOUND", `No file ${file}`);
+    }
+
+    let content;
+    try {
+      content = await fs.promises.readFile(path.join(PUBLIC_DIR, file));
+    } catch (error) {
+      throw new HttpError(404, "NOT_FOUND", `No file ${file}`);
+    }
+    res.writeHead(200, {
+      "Content-Type": contentType,
+      "Cache-Control": "no-cache",
+    });
+    res.end(res.req.method === "HEAD" ? undefined : content);
+  }
+
+  // ==================== Request Parsing ====================
+
+  /**
+   * Find a station by ID or name
+   * @throws {HttpError} 404 if not found
+   */
+  async findStation(idOrName) {
+    const station =
+      (await this.db.getStationById(idOrName)) ||
+      (await this.db.getStationByName(idOrName));
+    if (!station) {
+      throw new HttpError(404, "STATION_NOT_FOUND", `Station "${idOrName}" not found`);
+    }
+    return station;
+  }
+
+  /**
+   * Parse ?from=&to= (ISO 8601 or epoch ms); defaults to the last 24 hours
+   * @throws {HttpError} 400 on invalid dates
+   */
+  parseRange(query) {
+    const parse = (value, name) => {
+      const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new HttpError(400, "INVALID_PARAMETER", `Invalid ${name} date "${value}"`);
+      }
+      return date;
+    };
+
+    const to = query.to ? parse(query.to, "to") : new Date();
+    const from = query.from ? parse(query.from, "from") : new Date(to.getTime() - DEFAULT_RANGE_MS);
+    if (from > to) {
+      throw new HttpError(400, "INVALID_PARAMETER", "from must be before to");
+    }
+    return { from, to };
+  }
+
+  /**
+   * Parse a non-negative integer query parameter
+   * @throws {HttpError} 400 if invalid or above max
+   */
+  parseInteger(query, name, defaultValue, max = Infinity) {
+    if (query[name] === undefined) {
+      return defaultValue;
+    }
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      throw new HttpError(
+        400,
+        "INVALID_PARAMETER",
+        `${name} must be an integer between 0 and ${max}`
+      );
+    }
+    return value;
+  }
+
+  // ==================== Formatting ====================
+
+  formatStation(station) {
+    return {
+      id: station.id,
+      name: station.name,
+      ipAddress: station.ipAddress,
+      scene: station.scene,
+      readingCount: station._count ? station._count.powerReadings : undefined,
+      createdAt: station.createdAt,
+      updatedAt: station.updatedAt,
+    };
+  }
+
+  formatMetricReading({ id, stationId, createdAt, ...sample }) {
+    return sample;
+  }
+
+  formatReading(reading) {
+    if (!reading) {
+      return null;
+    }
+    const { station, createdAt, ...fields } = reading;
+    return fields;
+  }
+
+  // ==================== Handlers ====================
+
+  getIndex() {
+    return {
+      name: "Power Meter Monitoring API",
+      documentation: "API.md",
+      endpoints: this.routes
+        .filter((route) => route.pattern.startsWith("/api"))
+        .map((route) => `GET ${route.pattern}`),
+      live: this.liveFeed ? `${this.liveFeed.options.path} (WebSocket)` : null,
+    };
+  }
+
+  async getHealth() {
+    const database = this.db ? await this.db.healthCheck() : false;
+    return {
+      status: database ? "ok" : "degraded",
+      database,
+      liveSubscribers: this.liveFeed ? this.liveFeed.subscribers.size : null,
+      time: new Date(),
+    };
+  }
+
+  requireLiveFeed() {
+    if (!this.liveFeed) {
+      throw new HttpError(404, "NOT_AVAILABLE", "The live feed is only available when the API runs inside monitor.js");
+    }
+    return this.liveFeed;
+  }
+
+  getLiveSnapshot(query) {
+    return { data: this.requireLiveFeed().getSnapshot(parseStationFilter(query.stations)) };
+  }
+
+  streamLive(req, res, query) {
+    const liveFeed = this.requireLiveFeed();
+    if (req.method === "HEAD") {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-store",
+        "Access-Control-Allow-Origin": "*",
+      });
+      res.end();
+      return;
+    }
+    liveFeed.handleSse(req, res, query);
+  }
+
+  getStatus() {
+    if (!this.statusProvider) {
+      throw new HttpError(404, "NOT_AVAILABLE", "Live status is only available when the API runs inside monitor.js");
+    }
+    return { data: this.statusProvider() };
+  }
+
+  async listStations() {
+    const stations = await this.db.getAllStations();
+    return { data: stations.map((station) => this.formatStation(station)) };
+  }
+
+  async getStation({ station: idOrName }) {
+    return { data: this.formatStation(await this.findStation(idOrName)) };
+  }
+
+  async getObjects({ station: idOrName }) {
+    const station = await this.findStation(idOrName);
+    const objects = await this.db.getStationMonitoredObjects(station.id);
+    return {
+      station: station.name,
+      data: Object.entries(objects.objectMap).map(([objectType, objectId]) => ({
+        objectType,
+        objectId,
+      })),
+    };
+  }
+
+  async getLatest({ station: idOrName }) {
+    const station = await this.findStation(idOrName);
+    return {
+      station: station.name,
+      data: this.formatReading(await this.db.getLatestPowerReading(station.id)),
+    };
+  }
+
+  async getLatestForAll() {
+    const stations = await this.db.getAllStations();
+    const data = [];
+    for (const station of stations) {
+      data.push({
+        station: station.name,
+        reading: this.formatReading(await this.db.getLatestPowerReading(station.id)),
+      });
+    }
+    return { data };
+  }
+
+  async getReadings({ station: idOrName }, query) {
+    const station = await this.findStation(idOrName);
+    const { from, to } = this.parseRange(query);
+    const limit = this.parseInteger(query, "limit", 100, MAX_PAGE_SIZE);
+    const offset = this.parseInteger(query, "offset", 0);
+    const order = query.order || "desc";
+    if (order !== "asc" && order !== "desc") {
+      throw new HttpError(400, "INVALID_PARAMETER", "order must be asc or desc");
+    }
+
+    const [readings, total] = await Promise.all([
+      this.db.getPowerReadingsByTimeRange(station.id, from, to, {
+        limit,
+        offset,
+        orderDirection: order,
+      }),
+      this.db.countPowerReadingsByTimeRange(station.id, from, to),
+    ]);
+
+    return {
+      station: station.name,
+      from,
+      to,
+      data: readings.map((reading) => this.formatReading(reading)),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + readings.length < total,
+        nextOffset: offset + readings.length < total ? offset + readings.length : null,
+      },
+    };
+  }
+
+  async getHistory({ station: idOrName }, query) {
+    const station = await this.findStation(idOrName);
+    const { from, to } = this.parseRange(query);
+    const resolution = query.resolution || "auto";
+    if (!HISTORY_RESOLUTIONS.includes(resolution)) {
+      throw new HttpError(
+        400,
+        "INVALID_PARAMETER",
+        `resolution must be one of: ${HISTORY_RESOLUTIONS.join(", ")}`
+      );
+    }
+    const maxPoints = this.parseInteger(query, "maxPoints", 1000, 10000);
+
+    const history = await this.db.getPowerHistory(station.id, from, to, {
+      resolution,
+      maxPoints: maxPoints || 1,
+    });
+    return {
+      station: station.name,
+      from,
+      to,
+      resolution: history.resolution,
+      data: history.points,
+    };
+  }
+
+  async getAlerts(query) {
+    const state = query.state || "open";
+    if (!["open", "all"].includes(state)) {
+      throw new HttpError(400, "INVALID_PARAMETER", "state must be open or all");
+    }
+    const station = query.station ? await this.findStation(query.station) : null;
+    const range = query.from || query.to ? this.parseRange(query) : null;
+    const limit = this.parseInteger(query, "limit", 100, MAX_PAGE_SIZE);
+
+    const alerts = await this.db.getAlerts({
+      stationId: station ? station.id : null,
+      states: state === "open" ? ["active", "acknowledged"] : null,
+      startDate: range ? range.from : null,
+      endDate: range ? range.to : null,
+      limit,
+    });
+    return {
+      data: alerts.map(({ station: alertStation, rule, ...alert }) => ({
+        ...alert,
+        station: alertStation ? alertStation.name : null,
+        rule: rule ? rule.name : null,
+      })),
+    };
+  }
+
+  async listMetrics() {
+    const definitions = await this.db.getMetricDefinitions();
+    return {
+      data: definitions.map(({ key, name, unit, description }) => ({ key, name, unit, description })),
+    };
+  }
+
+  async getLatestMetrics({ station: idOrName }) {
+    const station = await this.findStation(idOrName);
+    const samples = await this.db.getLatestMetrics(station.id);
+    return {
+      station: station.name,
+      data: samples.map((sample) => this.formatMetricReading(sample)),
+    };
+  }
+
+  async getMetricReadings({ station: idOrName, metric }, query) {
+    const station = await this.findStation(idOrName);
+    const definitions = await this.db.getMetricDefinitions();
+    const definition = definitions.find((entry) => entry.key === metric);
+    if (!definition) {
+      throw new HttpError(404, "METRIC_NOT_FOUND", `Metric "${metric}" is not defined`);
+    }
+    const { from, to } = this.parseRange(query);
+    const limit = this.parseInteger(query, "limit", 1000, MAX_PAGE_SIZE);
+
+    const samples = await this.db.getMetricReadings(station.id, from, to, {
+      metricKey: metric,
+      limit,
+    });
+    return {
+      station: station.name,
+      metric: definition.key,
+      unit: definition.unit,
+      from,
+      to,
+      data: samples.map(({ timestamp, value }) => ({ timestamp, value })),
+    };
+  }
+
+  async getStats({ station: idOrName }, query) {
+    const station = await this.findStation(idOrName);
+    const range = query.from || query.to ? this.parseRange(query) : null;
+    const stats = await this.db.getPowerReadingStats(
+      station.id,
+      range ? range.from : null,
+      range ? range.to : null
+    );
+    return {
+      station: station.name,
+      from: range ? range.from : null,
+      to: range ? range.to : null,
+      data: stats,
+    };
+  }
+}
+
+// Run standalone: node src/server/ApiServer.js [--port 3000] [--host 127.0.0.1]
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  const databaseService = new DatabaseService();
+  await databaseService.connect();
+
+  const server = new ApiServer({
+    databaseService,
+    port: Number(option("port", process.env.API_PORT || 3000)),
+    host: option("host", process.env.API_HOST || "127.0.0.1"),
+  });
+  const url = await server.start();
+  console.log(`🌐 API server listening on ${url}/api`);
+  console.log(`📊 Dashboard: ${url}/`);
+
+  process.on("SIGINT", async () => {
+    await server.stop();
+    await databaseService.disconnect();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Failed to start API server:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = ApiServer;
+module.exports.HttpError = HttpError;
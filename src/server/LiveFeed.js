@@ -0,0 +1,263 @@
+const EventEmitter = require("events");
+const { URL } = require("url");
+const { WebSocketServer, WebSocket } = require("ws");
+
+/**
+ * Unit of a normalized reading field
+ * @param {string} field - Field name (activePower1, muxPower3, ...)
+ * @returns {string|null}
+ */
+function fieldUnit(field) {
+  if (field.startsWith("activePower")) return "W";
+  if (field.startsWith("muxPower")) return "kWh";
+  return null;
+}
+
+/**
+ * Parse a station filter ("แพร่,น่าน" or an array) into a Set, null = all stations
+ * @param {string|Array|null} value - Station names or IDs
+ * @returns {Set<string>|null}
+ */
+function parseStationFilter(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const names = (Array.isArray(value) ? value : String(value).split(","))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+  return names.length > 0 ? new Set(names) : null;
+}
+
+/**
+ * LiveFeed - Re-publishes normalized station readings to WebSocket and
+ * Server-Sent Events clients
+ *
+ * Monitors call publish() with the fields that changed; every subscriber whose
+ * station filter matches receives { type: "readings", data: [{ station,
+ * stationId, field, value, unit, timestamp, source }] }. New subscribers first
+ * get a "snapshot" of the latest value of every field. The feed also emits
+ * "readings" locally so in-process consumers can use the same stream.
+ *
+ *   WebSocket: ws://host:port/api/live?stations=แพร่,น่าน
+ *              send { "type": "subscribe", "stations": ["แพร่"] } to change the filter
+ *   SSE:       GET /api/live/events?stations=แพร่
+ */
+class LiveFeed extends EventEmitter {
+  /**
+   * @param {Object} options - Feed options
+   * @param {string} options.path - WebSocket upgrade path (default /api/live)
+   * @param {number} options.heartbeatMs - Ping/keep-alive interval (default 15s)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      path: "/api/live",
+      heartbeatMs: 15000,
+      ...options,
+    };
+    this.latest = new Map(); // station name -> Map(field -> reading)
+    this.subscribers = new Set();
+    this.wss = new WebSocketServer({ noServer: true });
+    this.heartbeat = null;
+    this.server = null;
+    this.onUpgrade = (req, socket, head) => this.handleUpgrade(req, socket, head);
+  }
+
+  /**
+   * Publish readings from a station
+   * @param {Object} update - { station, stationId, source, timestamp, values: { field: value } }
+   * @returns {Array} Normalized readings that were published
+   */
+  publish(update) {
+    const timestamp = new Date(update.timestamp || Date.now()).toISOString();
+    const readings = Object.entries(update.values || {})
+      .filter(([, value]) => value !== null && value !== undefined && !isNaN(value))
+      .map(([field, value]) => ({
+        station: update.station,
+        stationId: update.stationId || null,
+        field,
+        value: Number(value),
+        unit: fieldUnit(field),
+        timestamp,
+        source: update.source || null,
+      }));
+
+    if (readings.length === 0) {
+      return readings;
+    }
+
+    if (!this.latest.has(update.station)) {
+      this.latest.set(update.station, new Map());
+    }
+    const stationLatest = this.latest.get(update.station);
+    readings.forEach((reading) => stationLatest.set(reading.field, reading));
+
+    this.emit("readings", readings);
+    const message = { type: "readings", data: readings };
+    this.subscribers.forEach((subscriber) => {
+      if (this.matches(subscriber, readings[0])) {
+        subscriber.send(message);
+      }
+    });
+    return readings;
+  }
+
+  /**
+   * Latest value of every field, optionally filtered by station
+   * @param {Set<string>|null} stations - Station filter
+   * @returns {Array} Readings
+   */
+  getSnapshot(stations = null) {
+    const readings = [];
+    this.latest.forEach((fields) => {
+      fields.forEach((reading) => {
+        if (this.matches({ stations }, reading)) {
+          readings.push(reading);
+        }
+      });
+    });
+    return readings;
+  }
+
+  matches(subscriber, reading) {
+    return (
+      !subscriber.stations ||
+      subscriber.stations.has(reading.station) ||
+      (reading.stationId !== null && subscriber.stations.has(reading.stationId))
+    );
+  }
+
+  // ==================== Transport ====================
+
+  /**
+   * Accept WebSocket upgrades on an HTTP server
+   * @param {http.Server} server - HTTP server
+   */
+  attach(server) {
+    this.detach();
+    this.server = server;
+    server.on("upgrade", this.onUpgrade);
+    this.heartbeat = setInterval(
+      () => this.subscribers.forEach((subscriber) => subscriber.ping()),
+      this.options.heartbeatMs
+    );
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop accepting upgrades and disconnect every subscriber
+   */
+  detach() {
+    if (this.server) {
+      this.server.removeListener("upgrade", this.onUpgrade);
+      this.server = null;
+    }
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+    this.subscribers.forEach((subscriber) => subscriber.close());
+    this.subscribers.clear();
+  }
+
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname.replace(/\/$/, "") !== this.options.path) {
+      socket.destroy();
+      return;
+    }
+    this.wss.handleUpgrade(req, socket, head, (ws) =>
+      this.addWebSocket(ws, url.searchParams.get("stations"))
+    );
+  }
+
+  addWebSocket(ws, stations) {
+    const subscriber = {
+      stations: parseStationFilter(stations),
+      alive: true,
+      send: (message) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify(message));
+        }
+      },
+      ping: () => {
+        if (!subscriber.alive) {
+          ws.terminate();
+          return;
+        }
+        subscriber.alive = false;
+        ws.ping();
+      },
+      close: () => ws.terminate(),
+    };
+
+    ws.on("pong", () => {
+      subscriber.alive = true;
+    });
+    ws.on("message", (data) => this.handleMessage(subscriber, data));
+    ws.on("close", () => this.subscribers.delete(subscriber));
+    ws.on("error", () => this.subscribers.delete(subscriber));
+
+    this.subscribers.add(subscriber);
+    this.sendSnapshot(subscriber);
+  }
+
+  /**
+   * Handle a WebSocket client message ({ type: "subscribe", stations: [...] })
+   */
+  handleMessage(subscriber, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      subscriber.send({ type: "error", message: "Messages must be JSON" });
+      return;
+    }
+
+    if (message.type === "subscribe") {
+      subscriber.stations = parseStationFilter(message.stations);
+      this.sendSnapshot(subscriber);
+    } else {
+      subscriber.send({ type: "error", message: `Unknown message type "${message.type}"` });
+    }
+  }
+
+  /**
+   * Serve a Server-Sent Events stream
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} query - { stations }
+   */
+  handleSse(req, res, query) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-store",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.write("retry: 5000\n\n");
+
+    const subscriber = {
+      stations: parseStationFilter(query.stations),
+      send: (message) => res.write(`event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`),
+      ping: () => res.write(": ping\n\n"),
+      close: () => res.end(),
+    };
+
+    req.on("close", () => this.subscribers.delete(subscriber));
+    this.subscribers.add(subscriber);
+    this.sendSnapshot(subscriber);
+  }
+
+  sendSnapshot(subscriber) {
+    subscriber.send({
+      type: "snapshot",
+      stations: subscriber.stations ? [...subscriber.stations] : null,
+      data: this.getSnapshot(subscriber.stations),
+    });
+  }
+}
+
+module.exports = LiveFeed;
+module.exports.fieldUnit = fieldUnit;
+module.exports.parseStationFilter = parseStationFilter;
@@ -0,0 +1,384 @@
+/**
+ * Live dashboard - station list from the REST API, current values from the
+ * monitor's live feed (/api/live) and sparklines from stored history.
+ * Routes: #/ (all stations) and #/station/<name> (station detail).
+ */
+
+const FRESH_MS = 30 * 1000; // Newest value younger than this is "live"
+const STALE_MS = 5 * 60 * 1000; // Older than this the station is "offline"
+const OVERVIEW_HOURS = 6;
+const HISTORY_REFRESH_MS = 10 * 60 * 1000;
+const CHANNELS = [1, 2, 3, 4, 5, 6];
+const MUX_LABELS = {
+  muxPower1: "MUX#1 TV5",
+  muxPower2: "MUX#2 MCOT",
+  muxPower3: "MUX#3 PRD",
+  muxPower4: "MUX#4 TPBS",
+  muxPower5: "MUX#5",
+  muxPower6: "MUX#6",
+};
+
+const state = {
+  stations: [], // [{ id, name, ipAddress, readingCount }]
+  latest: {}, // station name -> { field: reading }
+  history: {}, // "name|hours" -> { resolution, points, loadedAt }
+  circuits: {}, // station name -> reconnect state
+  feedConnected: false,
+  renderQueued: false,
+};
+
+const elements = {
+  overview: document.getElementById("overview"),
+  detail: document.getElementById("detail"),
+  grid: document.getElementById("stationGrid"),
+  filter: document.getElementById("filter"),
+  summary: document.getElementById("summary"),
+  feedStatus: document.getElementById("feedStatus"),
+  clock: document.getElementById("clock"),
+  detailName: document.getElementById("detailName"),
+  detailBadge: document.getElementById("detailBadge"),
+  detailRange: document.getElementById("detailRange"),
+  detailInfo: document.getElementById("detailInfo"),
+  detailPower: document.getElementById("detailPower"),
+  detailMux: document.querySelector("#detailMux tbody"),
+};
+
+// ==================== Helpers ====================
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[char]);
+}
+
+function formatNumber(value, digits = 1) {
+  if (value === null || value === undefined || isNaN(value)) {
+    return "-";
+  }
+  return Number(value).toLocaleString("th-TH", {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+}
+
+function formatAge(ms) {
+  if (ms === null) return "no data";
+  if (ms < 60 * 1000) return `${Math.round(ms / 1000)}s ago`;
+  if (ms < 60 * 60 * 1000) return `${Math.round(ms / 60000)}m ago`;
+  if (ms < 24 * 60 * 60 * 1000) return `${Math.round(ms / 3600000)}h ago`;
+  return `${Math.round(ms / 86400000)}d ago`;
+}
+
+async function api(path) {
+  const response = await fetch(path);
+  const body = await response.json();
+  if (!response.ok) {
+    const error = new Error(body.error ? body.error.message : response.statusText);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+function stationPath(name) {
+  return `/api/stations/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Age of the newest value a station reported
+ */
+function stationAge(name) {
+  const fields = Object.values(state.latest[name] || {});
+  if (fields.length === 0) {
+    return null;
+  }
+  const newest = Math.max(...fields.map((reading) => new Date(reading.timestamp).getTime()));
+  return Date.now() - newest;
+}
+
+function freshness(age) {
+  if (age === null || age > STALE_MS) return "offline";
+  return age > FRESH_MS ? "stale" : "fresh";
+}
+
+function freshnessLabel(level) {
+  return { fresh: "Live", stale: "Delayed", offline: "Offline" }[level];
+}
+
+/**
+ * Inline SVG sparkline of one field
+ */
+function sparkline(points, field) {
+  const values = points
+    .map((point) => [new Date(point.timestamp).getTime(), point[field]])
+    .filter(([, value]) => value !== null && value !== undefined);
+  if (values.length < 2) {
+    return '<svg class="sparkline"></svg>';
+  }
+
+  const times = values.map(([time]) => time);
+  const numbers = values.map(([, value]) => value);
+  const minTime = Math.min(...times);
+  const spanTime = Math.max(...times) - minTime || 1;
+  const min = Math.min(...numbers);
+  const span = Math.max(...numbers) - min || 1;
+  const coordinates = values
+    .map(([time, value]) => `${(((time - minTime) / spanTime) * 100).toFixed(2)},${(28 - ((value - min) / span) * 26).toFixed(2)}`)
+    .join(" ");
+
+  return `<svg class="sparkline" viewBox="0 0 100 30" preserveAspectRatio="none"><polyline points="${coordinates}" vector-effect="non-scaling-stroke"/></svg>`;
+}
+
+// ==================== Data Loading ====================
+
+async function loadStations() {
+  try {
+    const body = await api("/api/stations");
+    state.stations = body.data;
+  } catch (error) {
+    // Monitor without a database: fall back to the stations seen on the live feed
+    state.stations = Object.keys(state.latest).map((name) => ({ id: null, name }));
+  }
+}
+
+async function loadCircuits() {
+  try {
+    const body = await api("/api/status");
+    state.circuits = {};
+    body.data.forEach((circuit) => {
+      state.circuits[circuit.station] = circuit;
+    });
+  } catch (error) {
+    state.circuits = {};
+  }
+}
+
+/**
+ * Load stored history for a station (cached per range)
+ */
+async function loadHistory(name, hours, maxPoints) {
+  const key = `${name}|${hours}`;
+  const cached = state.history[key];
+  if (cached && Date.now() - cached.loadedAt < HISTORY_REFRESH_MS) {
+    return cached;
+  }
+
+  const from = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  try {
+    const body = await api(`${stationPath(name)}/history?from=${from}&maxPoints=${maxPoints}`);
+    state.history[key] = { resolution: body.resolution, points: body.data, loadedAt: Date.now(), hours };
+  } catch (error) {
+    state.history[key] = { resolution: null, points: [], loadedAt: Date.now(), hours };
+  }
+  return state.history[key];
+}
+
+/**
+ * Append live readings to every loaded history series of the station
+ */
+function appendHistory(readings) {
+  Object.entries(state.history).forEach(([key, history]) => {
+    if (key.split("|")[0] !== readings[0].station) {
+      return;
+    }
+    const point = { timestamp: readings[0].timestamp };
+    readings.forEach((reading) => {
+      point[reading.field] = reading.value;
+    });
+    history.points.push(point);
+
+    const windowStart = Date.now() - history.hours * 60 * 60 * 1000;
+    while (history.points.length > 0 && new Date(history.points[0].timestamp).getTime() < windowStart) {
+      history.points.shift();
+    }
+  });
+}
+
+// ==================== Live Feed ====================
+
+function connectFeed() {
+  const protocol = location.protocol === "https:" ? "wss:" : "ws:";
+  const ws = new WebSocket(`${protocol}//${location.host}/api/live`);
+
+  ws.onopen = () => {
+    state.feedConnected = true;
+    scheduleRender();
+  };
+
+  ws.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === "snapshot") {
+      state.latest = {};
+    }
+    if (message.type === "snapshot" || message.type === "readings") {
+      message.data.forEach((reading) => {
+        state.latest[reading.station] = state.latest[reading.station] || {};
+        state.latest[reading.station][reading.field] = reading;
+      });
+    }
+    if (message.type === "readings" && message.data.length > 0) {
+      appendHistory(message.data);
+    }
+    if (message.type === "snapshot" && state.stations.every((station) => station.id === null)) {
+      loadStations().then(scheduleRender);
+    }
+    scheduleRender();
+  };
+
+  ws.onclose = () => {
+    state.feedConnected = false;
+    scheduleRender();
+    setTimeout(connectFeed, 5000);
+  };
+}
+
+// ==================== Rendering ====================
+
+function scheduleRender() {
+  if (state.renderQueued) {
+    return;
+  }
+  state.renderQueued = true;
+  requestAnimationFrame(() => {
+    state.renderQueued = false;
+    render();
+  });
+}
+
+function currentRoute() {
+  const match = /^#\/station\/(.+)$/.exec(location.hash);
+  return match ? { view: "detail", station: decodeURIComponent(match[1]) } : { view: "overview" };
+}
+
+function render() {
+  elements.feedStatus.className = `badge ${state.feedConnected ? "fresh" : "offline"}`;
+  elements.feedStatus.textContent = state.feedConnected ? "Live feed: connected" : "Live feed: reconnecting";
+  elements.clock.textContent = new Date().toLocaleTimeString("th-TH");
+
+  const route = currentRoute();
+  elements.overview.hidden = route.view !== "overview";
+  elements.detail.hidden = route.view !== "detail";
+
+  if (route.view === "detail") {
+    renderDetail(route.station);
+  } else {
+    renderOverview();
+  }
+}
+
+function renderOverview() {
+  const filter = elements.filter.value.trim().toLowerCase();
+  const stations = state.stations.filter((station) => station.name.toLowerCase().includes(filter));
+  const counts = { fresh: 0, stale: 0, offline: 0 };
+
+  elements.grid.innerHTML = stations
+    .map((station) => {
+      const latest = state.latest[station.name] || {};
+      const age = stationAge(station.name);
+      const level = freshness(age);
+      counts[level]++;
+      const history = state.history[`${station.name}|${OVERVIEW_HOURS}`];
+      const points = history ? history.points : [];
+
+      const channels = CHANNELS.map((i) => {
+        const field = `activePower${i}`;
+        const reading = latest[field];
+        return `<div class="row${reading ? "" : " empty"}"><span>Power ${i}</span>${sparkline(points, field)}<span class="value">${formatNumber(reading && reading.value)} W</span></div>`;
+      }).join("");
+
+      const mux = Object.entries(MUX_LABELS)
+        .filter(([field]) => latest[field])
+        .map(([field, label]) => `<span>${label}: ${formatNumber(latest[field].value, 0)} kWh</span>`)
+        .join("");
+
+      return `<a class="card ${level}" href="#/station/${encodeURIComponent(station.name)}">
+        <h2>${escapeHtml(station.name)} <span class="age">${freshnessLabel(level)} · ${formatAge(age)}</span></h2>
+        ${channels}
+        ${mux ? `<div class="mux">${mux}</div>` : ""}
+      </a>`;
+    })
+    .join("");
+
+  elements.summary.textContent = `${stations.length} stations · ${counts.fresh} live · ${counts.stale} delayed · ${counts.offline} offline`;
+}
+
+function renderDetail(name) {
+  const station = state.stations.find((entry) => entry.name === name) || { name };
+  const latest = state.latest[name] || {};
+  const age = stationAge(name);
+  const level = freshness(age);
+  const hours = Number(elements.detailRange.value);
+  const history = state.history[`${name}|${hours}`];
+  const points = history ? history.points : [];
+  const circuit = state.circuits[name];
+
+  elements.detailName.textContent = name;
+  elements.detailBadge.className = `badge ${level}`;
+  elements.detailBadge.textContent = `${freshnessLabel(level)} · ${formatAge(age)}`;
+
+  const info = [];
+  if (station.ipAddress) info.push(`Address: ${escapeHtml(station.ipAddress)}`);
+  if (station.readingCount !== undefined) info.push(`Stored readings: ${formatNumber(station.readingCount, 0)}`);
+  if (circuit) info.push(`Connection: ${escapeHtml(circuit.state)}${circuit.lastError ? ` (${escapeHtml(circuit.lastError)})` : ""}`);
+  if (history && history.resolution) info.push(`History: ${points.length} points at ${history.resolution}`);
+  elements.detailInfo.innerHTML = info.join(" · ");
+
+  elements.detailPower.innerHTML = CHANNELS.map((i) => {
+    const field = `activePower${i}`;
+    const values = points.map((point) => point[field]).filter((value) => value !== null && value !== undefined);
+    const range = values.length > 0
+      ? `min ${formatNumber(Math.min(...values))} · max ${formatNumber(Math.max(...values))} W`
+      : "no history";
+    return `<div class="card">
+      <h2>Active Power ${i} <span class="age">${range}</span></h2>
+      <div class="value">${formatNumber(latest[field] && latest[field].value)} W</div>
+      ${sparkline(points, field)}
+    </div>`;
+  }).join("");
+
+  elements.detailMux.innerHTML = Object.entries(MUX_LABELS)
+    .map(([field, label]) => {
+      const reading = latest[field];
+      const first = points.find((point) => point[`${field}First`] !== undefined && point[`${field}First`] !== null);
+      const opening = first ? first[`${field}First`] : (points.find((point) => point[field] !== null && point[field] !== undefined) || {})[field];
+      const used = reading && opening !== undefined && reading.value >= opening ? reading.value - opening : null;
+      return `<tr>
+        <td>${label}</td>
+        <td class="number">${formatNumber(reading && reading.value, 2)}</td>
+        <td class="number">${formatNumber(used, 2)}</td>
+        <td>${reading ? formatAge(Date.now() - new Date(reading.timestamp).getTime()) : "-"}</td>
+      </tr>`;
+    })
+    .join("");
+}
+
+// ==================== Startup ====================
+
+async function showRoute() {
+  const route = currentRoute();
+  render();
+  if (route.view === "detail") {
+    await Promise.all([loadHistory(route.station, Number(elements.detailRange.value), 500), loadCircuits()]);
+  } else {
+    await Promise.all(state.stations.map((station) => loadHistory(station.name, OVERVIEW_HOURS, 72)));
+  }
+  scheduleRender();
+}
+
+async function start() {
+  connectFeed();
+  await loadStations();
+  await showRoute();
+
+  window.addEventListener("hashchange", showRoute);
+  elements.filter.addEventListener("input", scheduleRender);
+  elements.detailRange.addEventListener("change", showRoute);
+  setInterval(scheduleRender, 5000); // Keep ages and freshness current
+  setInterval(showRoute, HISTORY_REFRESH_MS);
+}
+
+start();
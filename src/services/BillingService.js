@@ -0,0 +1,264 @@
+const { MUX_FIELDS, MUX_LABELS } = require("./EnergyService");
+
+/**
+ * BillingService - Monthly per-MUX energy bills for the tenant broadcasters
+ *
+ * Each MUX column is one broadcaster's multiplexer. For every station the bill
+ * shows opening/closing meter readings, the consumed kWh (from EnergyService, so
+ * resets and gaps are handled) and, with a tariff, the cost. TOU tariffs split
+ * the hourly consumption into peak and off-peak kWh.
+ */
+
+const DEFAULT_TOU = {
+  peakStartHour: 9, // 09:00
+  peakEndHour: 22, // 22:00
+  peakDays: [1, 2, 3, 4, 5], // Monday-Friday
+};
+
+class BillingService {
+  /**
+   * @param {DatabaseService} databaseService - Database service
+   * @param {Object} tariff - Tariff (see normalizeTariff), null for kWh only
+   */
+  constructor(databaseService, tariff = null) {
+    this.db = databaseService;
+    this.tariff = this.normalizeTariff(tariff);
+  }
+
+  /**
+   * Validate a tariff and fill in TOU defaults
+   * Flat: { rate, currency }
+   * TOU:  { peakRate, offPeakRate, peakStartHour, peakEndHour, peakDays, holidays, currency }
+   * Either form may add a fixed monthly `serviceCharge` per MUX.
+   * @param {Object|null} tariff - Tariff definition
+   * @returns {Object|null} Normalized tariff
+   */
+  normalizeTariff(tariff) {
+    if (!tariff) {
+      return null;
+    }
+
+    const currency = tariff.currency || "THB";
+    const serviceCharge = Number(tariff.serviceCharge || 0);
+
+    if (tariff.peakRate !== undefined || tariff.offPeakRate !== undefined) {
+      const peakRate = Number(tariff.peakRate);
+      const offPeakRate = Number(tariff.offPeakRate);
+      if (!(peakRate >= 0) || !(offPeakRate >= 0)) {
+        throw new Error("TOU tariff needs numeric peakRate and offPeakRate");
+      }
+
+      return {
+        type: "tou",
+        currency,
+        serviceCharge,
+        peakRate,
+        offPeakRate,
+        peakStartHour: tariff.peakStartHour ?? DEFAULT_TOU.peakStartHour,
+        peakEndHour: tariff.peakEndHour ?? DEFAULT_TOU.peakEndHour,
+        peakDays: tariff.peakDays || DEFAULT_TOU.peakDays,
+        holidays: new Set(tariff.holidays || []),
+      };
+    }
+
+    const rate = Number(tariff.rate);
+    if (!(rate >= 0)) {
+      throw new Error("Flat tariff needs a numeric rate");
+    }
+    return { type: "flat", currency, serviceCharge, rate };
+  }
+
+  /**
+   * Whether an hour (local time) is billed at the peak rate
+   * @param {Date} hourStart - Start of the hour
+   * @returns {boolean}
+   */
+  isPeakHour(hourStart) {
+    const tariff = this.tariff;
+    if (!tariff || tariff.type !== "tou") {
+      return false;
+    }
+
+    const pad = (value) => String(value).padStart(2, "0");
+    const day = `${hourStart.getFullYear()}-${pad(hourStart.getMonth() + 1)}-${pad(hourStart.getDate())}`;
+    if (tariff.holidays.has(day) || !tariff.peakDays.includes(hourStart.getDay())) {
+      return false;
+    }
+
+    const hour = hourStart.getHours();
+    return hour >= tariff.peakStartHour && hour < tariff.peakEndHour;
+  }
+
+  /**
+   * Calendar month boundaries (local time)
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {Object} { start, end, label }
+   */
+  getMonthPeriod(year, month) {
+    return {
+      start: new Date(year, month - 1, 1),
+      end: new Date(year, month, 1),
+      label: `${year}-${String(month).padStart(2, "0")}`,
+    };
+  }
+
+  /**
+   * Build one station's bill from its hourly consumption and meter readings
+   * @param {string} stationName - Station name
+   * @param {Object} consumption - EnergyService result with period "hour"
+   * @param {Object} meters - DatabaseService.getMuxMeterReadings result
+   * @returns {Object} { station, muxes, totals }
+   */
+  buildStationBill(stationName, consumption, meters) {
+    const muxes = [];
+
+    MUX_FIELDS.forEach((field) => {
+      const mux = consumption.muxes[field];
+      const meter = meters[field] || { opening: null, closing: null };
+      if (!mux || (mux.readings === 0 && !meter.opening)) {
+        return; // MUX not metered at this station
+      }
+
+      let peakKwh = 0;
+      let offPeakKwh = 0;
+      mux.buckets.forEach((bucket) => {
+        if (this.isPeakHour(bucket.start)) {
+          peakKwh += bucket.kwh;
+        } else {
+          offPeakKwh += bucket.kwh;
+        }
+      });
+
+      const notes = [];
+      if (mux.buckets.some((bucket) => bucket.estimated)) {
+        notes.push("includes interpolated gaps");
+      }
+      mux.resets.forEach((reset) => {
+        notes.push(`meter ${reset.kind} ${reset.at.toISOString()}`);
+      });
+      if (mux.discarded.length > 0) {
+        notes.push(`${mux.discarded.length} implausible step(s) ignored`);
+      }
+
+      muxes.push({
+        field,
+        label: MUX_LABELS[field],
+        opening: meter.opening,
+        closing: meter.closing,
+        consumedKwh: mux.totalKwh,
+        peakKwh,
+        offPeakKwh,
+        cost: this.calculateCost(peakKwh, offPeakKwh),
+        notes,
+      });
+    });
+
+    return {
+      station: stationName,
+      muxes,
+      totals: this.sumBills(muxes),
+    };
+  }
+
+  /**
+   * Cost for peak and off-peak kWh under the configured tariff
+   * @returns {number|null} Cost, or null without a tariff
+   */
+  calculateCost(peakKwh, offPeakKwh) {
+    const tariff = this.tariff;
+    if (!tariff) {
+      return null;
+    }
+
+    const energyCost =
+      tariff.type === "tou"
+        ? peakKwh * tariff.peakRate + offPeakKwh * tariff.offPeakRate
+        : (peakKwh + offPeakKwh) * tariff.rate;
+    return Math.round((energyCost + tariff.serviceCharge) * 100) / 100;
+  }
+
+  /**
+   * Sum consumption and cost over bill lines
+   * @param {Array} lines - Bill lines
+   * @returns {Object} { consumedKwh, peakKwh, offPeakKwh, cost }
+   */
+  sumBills(lines) {
+    return lines.reduce(
+      (totals, line) => ({
+        consumedKwh: totals.consumedKwh + line.consumedKwh,
+        peakKwh: totals.peakKwh + line.peakKwh,
+        offPeakKwh: totals.offPeakKwh + line.offPeakKwh,
+        cost:
+          line.cost === null || totals.cost === null
+            ? null
+            : Math.round((totals.cost + line.cost) * 100) / 100,
+      }),
+      { consumedKwh: 0, peakKwh: 0, offPeakKwh: 0, cost: this.tariff ? 0 : null }
+    );
+  }
+
+  /**
+   * Per-broadcaster totals across all stations
+   * @param {Array} stationBills - Station bills
+   * @returns {Array} [{ field, label, stations, consumedKwh, peakKwh, offPeakKwh, cost }]
+   */
+  summarizeByMux(stationBills) {
+    return MUX_FIELDS.map((field) => {
+      const lines = stationBills.flatMap((bill) =>
+        bill.muxes.filter((line) => line.field === field)
+      );
+      return {
+        field,
+        label: MUX_LABELS[field],
+        stations: lines.length,
+        ...this.sumBills(lines),
+      };
+    }).filter((summary) => summary.stations > 0);
+  }
+
+  /**
+   * Generate the monthly billing report
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {Object} options - { stationName, maxKw, rolloverAt }
+   * @returns {Promise<Object>} { period, tariff, stations, byMux, generatedAt }
+   */
+  async generateMonthlyReport(year, month, options = {}) {
+    const { stationName = null, ...energyOptions } = options;
+    const period = this.getMonthPeriod(year, month);
+
+    let stations;
+    if (stationName) {
+      const station = await this.db.getStationByName(stationName);
+      if (!station) {
+        throw new Error(`Station "${stationName}" not found`);
+      }
+      stations = [station];
+    } else {
+      stations = await this.db.getAllStations();
+    }
+
+    const stationBills = [];
+    for (const station of stations) {
+      const [consumption, meters] = await Promise.all([
+        this.db.getEnergyConsumption(station.id, period.start, period.end, {
+          ...energyOptions,
+          period: "hour",
+        }),
+        this.db.getMuxMeterReadings(station.id, period.start, period.end),
+      ]);
+      stationBills.push(this.buildStationBill(station.name, consumption, meters));
+    }
+
+    return {
+      period,
+      tariff: this.tariff,
+      stations: stationBills,
+      byMux: this.summarizeByMux(stationBills),
+      generatedAt: new Date(),
+    };
+  }
+}
+
+module.exports = BillingService;
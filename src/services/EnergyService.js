@@ -0,0 +1,324 @@
+/**
+ * EnergyService - Turns cumulative MUX kWh meter totals into consumption
+ *
+ * muxPower1-6 are cumulative counters, so consumption over a period is the
+ * counter difference. Each difference between two consecutive readings is spread
+ * linearly over the time between them and split across hour/day/month buckets,
+ * which also covers gaps in the data (the counter keeps counting while we are dark).
+ *
+ * Counter drops are classified as:
+ *   - jitter: a tiny negative step (ignored, the baseline is kept)
+ *   - rollover: the counter wrapped at `rolloverAt` (consumption = wrap + new value)
+ *   - reset: the meter was reset or replaced (consumption = new value, if plausible)
+ * Steps larger than `maxKw` × elapsed hours are treated as glitches and discarded;
+ * if the following reading confirms the new level, the counter is re-based there.
+ */
+
+const MUX_FIELDS = [
+  "muxPower1",
+  "muxPower2",
+  "muxPower3",
+  "muxPower4",
+  "muxPower5",
+  "muxPower6",
+];
+
+const MUX_LABELS = {
+  muxPower1: "MUX#1 TV5",
+  muxPower2: "MUX#2 MCOT",
+  muxPower3: "MUX#3 PRD",
+  muxPower4: "MUX#4 TPBS",
+  muxPower5: "MUX#5",
+  muxPower6: "MUX#6",
+};
+
+const PERIODS = ["hour", "day", "month"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Accumulates consumption for one period from readings fed in timestamp order
+ */
+class EnergyAccumulator {
+  /**
+   * @param {Object} options - See EnergyService.createAccumulator
+   */
+  constructor(service, options) {
+    this.service = service;
+    this.options = options;
+    this.start = new Date(options.start);
+    this.end = new Date(options.end);
+    this.fields = {};
+
+    options.fields.forEach((field) => {
+      this.fields[field] = {
+        previous: null, // { time, value }
+        suspect: null, // Reading after a discarded step, kept until confirmed
+        buckets: new Map(), // bucket start (ms) → { kwh, estimated }
+        resets: [],
+        gaps: [],
+        discarded: [],
+        readings: 0,
+      };
+    });
+  }
+
+  /**
+   * Add a reading (must be newer than the previous one)
+   * @param {Object} reading - { timestamp, muxPower1, ... }
+   */
+  add(reading) {
+    const time = new Date(reading.timestamp).getTime();
+
+    Object.entries(this.fields).forEach(([field, state]) => {
+      const value = reading[field];
+      if (value === null || value === undefined || isNaN(value)) {
+        return;
+      }
+
+      state.readings++;
+      if (
+        state.previous &&
+        time > state.previous.time &&
+        !this.addStep(state, state.previous, { time, value })
+      ) {
+        return; // Jitter or discarded step, keep the previous baseline
+      }
+      state.previous = { time, value };
+    });
+  }
+
+  /**
+   * Attribute the consumption between two readings
+   * @returns {boolean} False if the baseline should stay at `from`
+   */
+  addStep(state, from, to) {
+    const { maxKw, rolloverAt, jitterKwh, gapThresholdMs } = this.options;
+    const elapsedMs = to.time - from.time;
+    const maxPlausibleKwh = maxKw * (elapsedMs / HOUR_MS);
+    let kwh = to.value - from.value;
+
+    if (kwh < 0) {
+      if (-kwh <= jitterKwh) {
+        state.suspect = null;
+        return false;
+      }
+
+      if (rolloverAt && from.value >= rolloverAt * 0.9) {
+        kwh = rolloverAt - from.value + to.value;
+        state.resets.push(this.describeStep("rollover", from, to, kwh));
+      } else {
+        // New or reset meter: it has counted to.value since it restarted
+        kwh = to.value <= maxPlausibleKwh ? to.value : 0;
+        state.resets.push(this.describeStep("reset", from, to, kwh));
+      }
+    }
+
+    if (kwh > maxPlausibleKwh) {
+      const suspect = state.suspect;
+      if (suspect && to.time > suspect.time && this.isPlausible(suspect, to)) {
+        // The counter stayed at the new level: re-based (e.g. replaced meter)
+        state.suspect = null;
+        state.resets.push(this.describeStep("rebase", from, suspect, 0));
+        return this.addStep(state, suspect, to);
+      }
+
+      state.discarded.push(this.describeStep("implausible", from, to, kwh));
+      state.suspect = to;
+      return false;
+    }
+    state.suspect = null;
+
+    const isGap = elapsedMs > gapThresholdMs;
+    if (isGap && from.time < this.end.getTime() && to.time > this.start.getTime()) {
+      state.gaps.push({
+        start: new Date(from.time),
+        end: new Date(to.time),
+        durationMs: elapsedMs,
+        kwh,
+      });
+    }
+
+    this.spread(state, from.time, to.time, kwh, isGap);
+    return true;
+  }
+
+  /**
+   * Whether a forward step between two readings is within the plausible load
+   */
+  isPlausible(from, to) {
+    const kwh = to.value - from.value;
+    return (
+      kwh >= -this.options.jitterKwh &&
+      kwh <= this.options.maxKw * ((to.time - from.time) / HOUR_MS)
+    );
+  }
+
+  /**
+   * Spread kWh linearly over [fromMs, toMs], clipped to the report period
+   */
+  spread(state, fromMs, toMs, kwh, estimated) {
+    const rangeStart = Math.max(fromMs, this.start.getTime());
+    const rangeEnd = Math.min(toMs, this.end.getTime());
+    const ratePerMs = kwh / (toMs - fromMs);
+    let cursor = rangeStart;
+
+    while (cursor < rangeEnd) {
+      const bucketStart = this.service.bucketStart(new Date(cursor), this.options.period);
+      const bucketEnd = this.service.nextBucket(bucketStart, this.options.period);
+      const sliceEnd = Math.min(bucketEnd.getTime(), rangeEnd);
+      const key = bucketStart.getTime();
+      const bucket = state.buckets.get(key) || { kwh: 0, estimated: false };
+
+      bucket.kwh += ratePerMs * (sliceEnd - cursor);
+      bucket.estimated = bucket.estimated || estimated;
+      state.buckets.set(key, bucket);
+      cursor = sliceEnd;
+    }
+  }
+
+  describeStep(kind, from, to, kwh) {
+    return {
+      kind,
+      at: new Date(to.time),
+      from: from.value,
+      to: to.value,
+      kwh,
+    };
+  }
+
+  /**
+   * Build the result
+   * @returns {Object} { start, end, period, muxes }
+   */
+  finish() {
+    const muxes = {};
+
+    Object.entries(this.fields).forEach(([field, state]) => {
+      const buckets = [...state.buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([key, bucket]) => {
+          const start = new Date(key);
+          return {
+            start,
+            end: this.service.nextBucket(start, this.options.period),
+            kwh: bucket.kwh,
+            estimated: bucket.estimated,
+          };
+        });
+
+      muxes[field] = {
+        label: MUX_LABELS[field] || field,
+        totalKwh: buckets.reduce((total, bucket) => total + bucket.kwh, 0),
+        readings: state.readings,
+        buckets,
+        resets: state.resets,
+        gaps: state.gaps,
+        discarded: state.discarded,
+      };
+    });
+
+    return {
+      start: this.start,
+      end: this.end,
+      period: this.options.period,
+      muxes,
+    };
+  }
+}
+
+class EnergyService {
+  /**
+   * @param {Object} defaults - Default calculation options
+   * @param {number} defaults.maxKw - Highest plausible MUX load (kW), default 200
+   * @param {number} defaults.rolloverAt - Counter wrap value (kWh), null if the meters never wrap
+   * @param {number} defaults.jitterKwh - Negative steps up to this size are ignored, default 0.5
+   * @param {number} defaults.gapThresholdMs - Steps longer than this are flagged as estimated, default 15 min
+   */
+  constructor(defaults = {}) {
+    this.defaults = {
+      maxKw: 200,
+      rolloverAt: null,
+      jitterKwh: 0.5,
+      gapThresholdMs: 15 * 60 * 1000,
+      ...defaults,
+    };
+  }
+
+  /**
+   * Create an accumulator for readings fed in timestamp order
+   * Include the last reading before `start` and the first after `end` so the
+   * edges of the period are attributed correctly.
+   * @param {Object} options - { start, end, period, fields, maxKw, rolloverAt, jitterKwh, gapThresholdMs }
+   * @returns {EnergyAccumulator}
+   */
+  createAccumulator(options) {
+    const merged = {
+      period: "day",
+      fields: MUX_FIELDS,
+      ...this.defaults,
+      ...options,
+    };
+
+    if (!PERIODS.includes(merged.period)) {
+      throw new Error(
+        `Invalid period "${merged.period}", expected one of: ${PERIODS.join(", ")}`
+      );
+    }
+
+    return new EnergyAccumulator(this, merged);
+  }
+
+  /**
+   * Compute per-MUX consumption from readings
+   * @param {Array<Object>} readings - Readings in timestamp order
+   * @param {Object} options - See createAccumulator
+   * @returns {Object} { start, end, period, muxes }
+   */
+  computeConsumption(readings, options) {
+    const accumulator = this.createAccumulator(options);
+    readings.forEach((reading) => accumulator.add(reading));
+    return accumulator.finish();
+  }
+
+  /**
+   * Start of the (local time) bucket containing a date
+   * @param {Date} date - Date
+   * @param {string} period - "hour", "day" or "month"
+   * @returns {Date}
+   */
+  bucketStart(date, period) {
+    const start = new Date(date);
+    start.setMinutes(0, 0, 0);
+    if (period === "day" || period === "month") {
+      start.setHours(0);
+    }
+    if (period === "month") {
+      start.setDate(1);
+    }
+    return start;
+  }
+
+  /**
+   * Start of the following bucket
+   * @param {Date} bucketStart - Bucket start
+   * @param {string} period - "hour", "day" or "month"
+   * @returns {Date}
+   */
+  nextBucket(bucketStart, period) {
+    const next = new Date(bucketStart);
+    if (period === "hour") {
+      next.setHours(next.getHours() + 1);
+    } else if (period === "day") {
+      next.setDate(next.getDate() + 1);
+    } else {
+      next.setMonth(next.getMonth() + 1);
+    }
+    return next;
+  }
+}
+
+module.exports = EnergyService;
+module.exports.MUX_FIELDS = MUX_FIELDS;
+module.exports.MUX_LABELS = MUX_LABELS;
+module.exports.PERIODS = PERIODS;
@@ -0,0 +1,137 @@
+/**
+ * MaintenanceSchedule - In-memory view of MaintenanceWindow rows
+ *
+ * A window covers either a whole station (field null) or one channel. The
+ * alert engine and the off-air detector ask `find()` for every evaluation, so
+ * the windows are cached and reloaded every `refreshMs` rather than queried
+ * per reading. Station muting is a window that starts now.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Merge overlapping periods
+ * @param {Array<Object>} periods - [{ start, end }]
+ * @returns {Array<Object>} Sorted, non-overlapping periods
+ */
+function mergePeriods(periods) {
+  const sorted = periods
+    .map((period) => ({ start: new Date(period.start), end: new Date(period.end) }))
+    .filter((period) => period.end > period.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  sorted.forEach((period) => {
+    const last = merged[merged.length - 1];
+    if (last && period.start <= last.end) {
+      last.end = new Date(Math.max(last.end, period.end));
+    } else {
+      merged.push(period);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Time in [start, end) covered by periods
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Array<Object>} periods - Non-overlapping [{ start, end }] (see mergePeriods)
+ * @returns {number} Milliseconds
+ */
+function overlapMs(start, end, periods) {
+  let total = 0;
+  for (const period of periods) {
+    const from = Math.max(new Date(start).getTime(), new Date(period.start).getTime());
+    const to = Math.min(new Date(end).getTime(), new Date(period.end).getTime());
+    total += Math.max(0, to - from);
+  }
+  return total;
+}
+
+/**
+ * Windows as periods, optionally only those that apply to a channel
+ * @param {Array} windows - MaintenanceWindow rows
+ * @param {string|null} field - Channel; null keeps station-wide windows only
+ * @returns {Array<Object>} [{ start, end }]
+ */
+function windowPeriods(windows, field = null) {
+  return windows
+    .filter((window) => !window.field || (field && window.field === field))
+    .map((window) => ({ start: window.startsAt, end: window.endsAt }));
+}
+
+class MaintenanceSchedule {
+  /**
+   * @param {DatabaseService} databaseService - Database service
+   * @param {Object} options - { refreshMs (default 60s) }
+   */
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.options = { refreshMs: 60000, ...options };
+    this.windows = [];
+    this.timer = null;
+  }
+
+  /**
+   * Load windows and keep them fresh
+   */
+  async start() {
+    await this.load();
+    this.timer = setInterval(() => this.load(), this.options.refreshMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Load the windows overlapping a period (default: the last day onwards)
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end (null for no limit)
+   */
+  async load(startDate = new Date(Date.now() - DAY_MS), endDate = null) {
+    try {
+      this.windows = await this.db.getMaintenanceWindows({ startDate, endDate });
+    } catch (error) {
+      console.error("❌ Failed to load maintenance windows:", error.message);
+    }
+  }
+
+  /**
+   * Window covering a station channel at a time
+   * @param {string} stationId - Station ID
+   * @param {string|null} field - Channel (null: only station-wide windows match)
+   * @param {Date} time - Time
+   * @returns {Object|null} MaintenanceWindow
+   */
+  find(stationId, field, time) {
+    const at = new Date(time);
+    return (
+      this.windows.find(
+        (window) =>
+          window.stationId === stationId &&
+          (!window.field || window.field === field) &&
+          new Date(window.startsAt) <= at &&
+          at < new Date(window.endsAt)
+      ) || null
+    );
+  }
+
+  /**
+   * Loaded windows of one station
+   * @param {string} stationId - Station ID
+   * @returns {Array} MaintenanceWindow rows
+   */
+  forStation(stationId) {
+    return this.windows.filter((window) => window.stationId === stationId);
+  }
+}
+
+module.exports = MaintenanceSchedule;
+module.exports.mergePeriods = mergePeriods;
+module.exports.overlapMs = overlapMs;
+module.exports.windowPeriods = windowPeriods;
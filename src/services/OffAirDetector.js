@@ -0,0 +1,569 @@
+const EventEmitter = require("events");
+const { ACTIVE_POWER_FIELDS } = require("./RollupService");
+const { getFieldLabel } = require("../database/FieldLabels");
+const MaintenanceSchedule = require("./MaintenanceSchedule");
+const { mergePeriods, overlapMs, windowPeriods } = MaintenanceSchedule;
+
+/**
+ * OffAirDetector - Detects transmitters going off-air from active power
+ *
+ * A broadcast channel that normally carries load and drops to ~0 W means the
+ * transmitter is off-air. Each activePower channel gets a profile learned from
+ * the last `learnDays` of hourly rollups:
+ *
+ *   - loaded:        most hours average above `loadedWatts` (idle channels are ignored)
+ *   - band:          10th-90th percentile of the loaded hourly averages
+ *   - offAirBelow:   `offAirFraction` of the band's low edge (never below `offAirFloorWatts`)
+ *   - scheduled:     hour-of-week slots where the channel dropped in most weeks
+ *                    (weekly maintenance, nightly sign-off)
+ *
+ * A channel below `offAirBelow` for `confirmSeconds` opens an OffAirIncident;
+ * the first reading back above closes it. Incidents that start inside a
+ * maintenance window (`options.maintenance`) or a scheduled slot are recorded
+ * as planned, so reports can separate them from unplanned drops.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const DEFAULT_OPTIONS = {
+  learnDays: 28, // History the profiles are learned from
+  minHistoryHours: 48, // Hourly rollups needed before a channel is watched
+  loadedWatts: 50, // An hour averaging above this counts as loaded
+  loadedRatio: 0.5, // Share of loaded hours for a normally loaded channel
+  offAirFraction: 0.1, // Off-air below 10% of the band's low edge...
+  offAirFloorWatts: 10, // ...but never below this (noise on an idle output)
+  confirmSeconds: 60, // Stay low this long before an incident opens
+  scheduledRatio: 0.75, // Share of weeks a slot must be off to count as scheduled
+  minScheduledWeeks: 2, // Weeks a slot must be observed before it can be scheduled
+  tickMs: 15000, // Re-check channels whose value has not changed
+  relearnMs: 6 * HOUR_MS, // Refresh the profiles
+  maintenance: null, // MaintenanceSchedule of announced windows
+  log: true,
+};
+
+function percentile(sorted, fraction) {
+  return sorted[Math.round((sorted.length - 1) * fraction)];
+}
+
+/**
+ * Hour of the week in local time (0 = Sunday 00:00)
+ * @param {Date} date - Time
+ * @returns {number} 0-167
+ */
+function hourOfWeek(date) {
+  const time = new Date(date);
+  return time.getDay() * 24 + time.getHours();
+}
+
+/**
+ * Learn a channel's operating band from hourly rollups
+ * @param {Array} rollups - PowerRollupHour rows, oldest first
+ * @param {string} field - activePower field
+ * @param {Object} options - Detector options
+ * @returns {Object|null} Profile, or null without enough history
+ */
+function learnChannelProfile(rollups, field, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const hours = rollups.filter(
+    (row) => row[`${field}Avg`] !== null && row[`${field}Avg`] !== undefined
+  );
+  if (hours.length < settings.minHistoryHours) {
+    return null;
+  }
+
+  const loadedAverages = hours
+    .map((row) => row[`${field}Avg`])
+    .filter((value) => value >= settings.loadedWatts)
+    .sort((a, b) => a - b);
+  const profile = {
+    field,
+    hours: hours.length,
+    loaded: loadedAverages.length / hours.length >= settings.loadedRatio,
+    bandLow: null,
+    bandHigh: null,
+    normalLevel: null,
+    offAirBelow: null,
+    scheduledSlots: [],
+  };
+  if (!profile.loaded) {
+    return profile;
+  }
+
+  profile.bandLow = percentile(loadedAverages, 0.1);
+  profile.normalLevel = percentile(loadedAverages, 0.5);
+  profile.bandHigh = percentile(loadedAverages, 0.9);
+  profile.offAirBelow = Math.max(
+    settings.offAirFloorWatts,
+    profile.bandLow * settings.offAirFraction
+  );
+
+  // An hour counts as off when its minimum dropped, so short weekly
+  // maintenance inside an otherwise loaded hour is still learned
+  const slots = new Map();
+  hours.forEach((row) => {
+    const slot = hourOfWeek(row.bucketStart);
+    const stats = slots.get(slot) || { weeks: 0, off: 0 };
+    const lowest = row[`${field}Min`] ?? row[`${field}Avg`];
+    stats.weeks++;
+    if (lowest < profile.offAirBelow) {
+      stats.off++;
+    }
+    slots.set(slot, stats);
+  });
+  profile.scheduledSlots = [...slots.entries()]
+    .filter(
+      ([, stats]) =>
+        stats.weeks >= settings.minScheduledWeeks &&
+        stats.off / stats.weeks >= settings.scheduledRatio
+    )
+    .map(([slot]) => slot)
+    .sort((a, b) => a - b);
+
+  return profile;
+}
+
+/**
+ * Describe scheduled hour-of-week slots, e.g. ["Tue 01:00-04:00"]
+ * @param {Array<number>} slots - Sorted hour-of-week slots
+ * @returns {Array<string>}
+ */
+function describeScheduledSlots(slots) {
+  const windows = [];
+  slots.forEach((slot) => {
+    const last = windows[windows.length - 1];
+    if (last && last.end === slot) {
+      last.end = slot + 1;
+    } else {
+      windows.push({ start: slot, end: slot + 1 });
+    }
+  });
+
+  const time = (slot) => `${String(slot % 24).padStart(2, "0")}:00`;
+  return windows.map(
+    (window) =>
+      `${DAY_NAMES[Math.floor(window.start / 24)]} ${time(window.start)}-${window.end % 24 === 0 ? "24:00" : time(window.end)}`
+  );
+}
+
+/**
+ * Total off-air time per station and channel, clipped to a period
+ * @param {Array} incidents - OffAirIncident rows (with station name)
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end
+ * @param {Array} windows - MaintenanceWindow rows; unplanned time inside them
+ *   counts as planned (windows added after the incident was recorded)
+ * @returns {Array<Object>} { stationId, station, field, incidents, planned,
+ *   unplannedMs, plannedMs, longestMs, onAirPercent }
+ */
+function summarizeIncidents(incidents, start, end, windows = []) {
+  const periodMs = end - start;
+  const channels = new Map();
+
+  incidents.forEach((incident) => {
+    const key = `${incident.stationId}|${incident.field}`;
+    if (!channels.has(key)) {
+      channels.set(key, {
+        stationId: incident.stationId,
+        station: incident.station ? incident.station.name : incident.stationId,
+        field: incident.field,
+        incidents: 0,
+        planned: 0,
+        unplannedMs: 0,
+        plannedMs: 0,
+        longestMs: 0,
+      });
+    }
+    const summary = channels.get(key);
+    const from = Math.max(new Date(incident.startedAt).getTime(), start.getTime());
+    const to = Math.min(
+      incident.endedAt ? new Date(incident.endedAt).getTime() : Date.now(),
+      end.getTime()
+    );
+    const durationMs = Math.max(0, to - from);
+
+    if (incident.planned) {
+      summary.planned++;
+      summary.plannedMs += durationMs;
+    } else {
+      const maintenanceMs =
+        durationMs > 0
+          ? overlapMs(
+              new Date(from),
+              new Date(to),
+              mergePeriods(
+                windowPeriods(
+                  windows.filter((window) => window.stationId === incident.stationId),
+                  incident.field
+                )
+              )
+            )
+          : 0;
+      summary.incidents++;
+      summary.unplannedMs += durationMs - maintenanceMs;
+      summary.plannedMs += maintenanceMs;
+      summary.longestMs = Math.max(summary.longestMs, durationMs - maintenanceMs);
+    }
+  });
+
+  return [...channels.values()].map((summary) => ({
+    ...summary,
+    // Planned time is not held against the channel
+    onAirPercent: periodMs > 0 ? (1 - summary.unplannedMs / periodMs) * 100 : 100,
+  }));
+}
+
+class OffAirDetector extends EventEmitter {
+  /**
+   * @param {DatabaseService} databaseService - Database service
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(databaseService, options = {}) {
+    super();
+    this.db = databaseService;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.profiles = new Map(); // "stationId|field" -> profile
+    this.channels = new Map(); // "stationId|field" -> channel state
+    this.restoredIncidents = new Map(); // Open incidents loaded at start
+    this.timer = null;
+    this.lastLearned = 0;
+    this.liveFeed = null;
+    this.queue = Promise.resolve();
+    this.onReadings = (readings) => this.enqueue(() => this.handleReadings(readings));
+  }
+
+  /**
+   * Run detections one at a time so an incident is never opened twice while a
+   * database write is in flight
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch((error) => {
+      console.error("❌ Off-air detection failed:", error.message);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Learn profiles and restore open incidents, then watch the live feed
+   * @param {LiveFeed} liveFeed - Feed to subscribe to (optional)
+   */
+  async start(liveFeed = null) {
+    await this.learnProfiles();
+    await this.restoreOpenIncidents();
+
+    if (liveFeed) {
+      this.liveFeed = liveFeed;
+      liveFeed.on("readings", this.onReadings);
+    }
+    this.timer = setInterval(
+      () => this.enqueue(() => this.tick()),
+      this.options.tickMs
+    );
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    if (this.liveFeed) {
+      this.liveFeed.removeListener("readings", this.onReadings);
+      this.liveFeed = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  key(stationId, field) {
+    return `${stationId}|${field}`;
+  }
+
+  /**
+   * Learn every station's channel profiles from hourly rollups
+   * @param {Date} now - End of the learning window
+   */
+  async learnProfiles(now = new Date()) {
+    try {
+      const stations = await this.db.getAllStations();
+      const start = new Date(now.getTime() - this.options.learnDays * DAY_MS);
+      const profiles = new Map();
+
+      for (const station of stations) {
+        const rollups = await this.db.getRollups(station.id, "1h", start, now);
+        ACTIVE_POWER_FIELDS.forEach((field) => {
+          const profile = learnChannelProfile(rollups, field, this.options);
+          if (profile) {
+            profiles.set(this.key(station.id, field), profile);
+          }
+        });
+      }
+
+      this.profiles = profiles;
+      this.lastLearned = Date.now();
+    } catch (error) {
+      console.error("❌ Failed to learn off-air profiles:", error.message);
+    }
+  }
+
+  async relearnIfDue() {
+    if (Date.now() - this.lastLearned > this.options.relearnMs) {
+      await this.learnProfiles();
+    }
+  }
+
+  /**
+   * Re-attach incidents that were open when the monitor last stopped
+   */
+  async restoreOpenIncidents() {
+    try {
+      const incidents = await this.db.getOpenOffAirIncidents();
+      incidents.forEach((incident) => {
+        this.restoredIncidents.set(this.key(incident.stationId, incident.field), incident);
+      });
+    } catch (error) {
+      console.error("❌ Failed to load open off-air incidents:", error.message);
+    }
+  }
+
+  /**
+   * Whether an incident starting at this time falls in a maintenance window
+   * or a learned scheduled slot
+   * @param {Object} channel - Channel state
+   * @param {Object} profile - Channel profile
+   * @param {Date} time - Incident start
+   * @returns {string|null} Reason, or null for an unplanned drop
+   */
+  plannedReason(channel, profile, time) {
+    const { maintenance } = this.options;
+    if (maintenance && maintenance.find(channel.stationId, channel.field, time)) {
+      return "maintenance";
+    }
+    return profile.scheduledSlots.includes(hourOfWeek(time)) ? "scheduled" : null;
+  }
+
+  getChannel(reading) {
+    const key = this.key(reading.stationId, reading.field);
+    if (!this.channels.has(key)) {
+      const incident = this.restoredIncidents.get(key) || null;
+      this.restoredIncidents.delete(key);
+      this.channels.set(key, {
+        key,
+        stationId: reading.stationId,
+        station: reading.station,
+        field: reading.field,
+        value: null,
+        valueAt: null,
+        lowSince: incident ? new Date(incident.startedAt) : null,
+        lowest: incident ? incident.lowestValue : null,
+        incident,
+      });
+    }
+    return this.channels.get(key);
+  }
+
+  /**
+   * Check active power readings published by the live feed
+   * @param {Array} readings - [{ station, stationId, field, value, timestamp }]
+   */
+  async handleReadings(readings) {
+    await this.relearnIfDue();
+
+    for (const reading of readings) {
+      if (!reading.stationId || !ACTIVE_POWER_FIELDS.includes(reading.field)) {
+        continue;
+      }
+      const key = this.key(reading.stationId, reading.field);
+      if (!this.profiles.has(key) && !this.channels.has(key) && !this.restoredIncidents.has(key)) {
+        continue; // Not enough history to know what normal looks like
+      }
+
+      const channel = this.getChannel(reading);
+      channel.value = reading.value;
+      channel.valueAt = new Date(reading.timestamp);
+      await this.evaluate(channel, channel.valueAt);
+    }
+  }
+
+  /**
+   * Re-check every channel against the current time (values that stay at 0 W
+   * are not re-published)
+   * @param {Date} now - Current time
+   */
+  async tick(now = new Date()) {
+    await this.relearnIfDue();
+    for (const channel of this.channels.values()) {
+      await this.evaluate(channel, now);
+    }
+  }
+
+  /**
+   * Open or close the channel's incident
+   * @param {Object} channel - Channel state
+   * @param {Date} now - Evaluation time
+   */
+  async evaluate(channel, now) {
+    if (channel.value === null) {
+      return;
+    }
+    const profile = this.profiles.get(channel.key);
+    if (!profile || !profile.loaded) {
+      // No longer a normally loaded channel: nothing to be off-air from
+      if (channel.incident) {
+        await this.end(channel, now);
+      }
+      channel.lowSince = null;
+      return;
+    }
+
+    if (channel.value < profile.offAirBelow) {
+      if (!channel.lowSince) {
+        channel.lowSince = channel.valueAt;
+        channel.lowest = channel.value;
+      }
+      channel.lowest = Math.min(channel.lowest ?? channel.value, channel.value);
+      if (
+        !channel.incident &&
+        now - channel.lowSince >= this.options.confirmSeconds * 1000
+      ) {
+        await this.begin(channel, profile);
+      }
+    } else {
+      channel.lowSince = null;
+      if (channel.incident) {
+        await this.end(channel, channel.valueAt);
+      }
+    }
+  }
+
+  async begin(channel, profile) {
+    const reason = this.plannedReason(channel, profile, channel.lowSince);
+    const data = {
+      stationId: channel.stationId,
+      field: channel.field,
+      startedAt: channel.lowSince,
+      planned: reason !== null,
+      reason,
+      normalLevel: profile.normalLevel,
+      lowestValue: channel.lowest,
+    };
+
+    // Keep tracking the incident even if the database write fails
+    channel.incident = { id: null, ...data };
+    try {
+      channel.incident = await this.db.createOffAirIncident(data);
+    } catch (error) {
+      console.error(`❌ Failed to store off-air incident for ${channel.station}:`, error.message);
+    }
+
+    if (this.options.log) {
+      console.log(
+        `📴 ${channel.station} ${getFieldLabel(channel.field)} off-air since ${channel.lowSince.toLocaleString("th-TH")}${reason ? ` (${reason})` : ""}`
+      );
+    }
+    this.emit("started", channel.incident, channel);
+  }
+
+  async end(channel, endedAt) {
+    const incident = channel.incident;
+    const data = {
+      endedAt,
+      durationSeconds: Math.max(0, Math.round((endedAt - new Date(incident.startedAt)) / 1000)),
+      lowestValue: channel.lowest,
+    };
+    let ended = { ...incident, ...data };
+    try {
+      if (incident.id) {
+        ended = await this.db.updateOffAirIncident(incident.id, data);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to close off-air incident for ${channel.station}:`, error.message);
+    }
+
+    channel.incident = null;
+    channel.lowest = null;
+    if (this.options.log) {
+      console.log(
+        `📶 ${channel.station} ${getFieldLabel(channel.field)} back on air after ${Math.round(data.durationSeconds / 60)} min`
+      );
+    }
+    this.emit("ended", ended, channel);
+  }
+
+  /**
+   * Re-detect a period from stored readings (for history recorded while the
+   * detector was not running). Incidents that started in the period are
+   * replaced; one still open at the end of the period is closed there.
+   * @param {Object} station - { id, name }
+   * @param {Date} startDate - Start (inclusive)
+   * @param {Date} endDate - End (exclusive)
+   * @returns {Promise<Object>} { deleted, recorded, profiles }
+   */
+  async scan(station, startDate, endDate) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const maintenance = new MaintenanceSchedule(this.db);
+    await maintenance.load(start, end);
+    const scanner = new OffAirDetector(this.db, {
+      ...this.options,
+      relearnMs: Infinity,
+      maintenance,
+      log: false,
+    });
+
+    // Profiles come from the history leading up to the end of the period
+    const rollups = await this.db.getRollups(
+      station.id,
+      "1h",
+      new Date(end.getTime() - this.options.learnDays * DAY_MS),
+      end
+    );
+    const profiles = {};
+    ACTIVE_POWER_FIELDS.forEach((field) => {
+      const profile = learnChannelProfile(rollups, field, this.options);
+      if (profile) {
+        profiles[field] = profile;
+        scanner.profiles.set(scanner.key(station.id, field), profile);
+      }
+    });
+
+    const deleted = await this.db.deleteOffAirIncidents(station.id, start, end);
+    let recorded = 0;
+    scanner.on("started", () => recorded++);
+
+    // A day at a time keeps memory flat on long ranges
+    for (let from = start; from < end; from = new Date(from.getTime() + DAY_MS)) {
+      const to = new Date(Math.min(from.getTime() + DAY_MS, end.getTime()));
+      const readings = await this.db.getReadingsForRollup(station.id, from, to);
+      for (const row of readings) {
+        await scanner.handleReadings(
+          ACTIVE_POWER_FIELDS.filter((field) => row[field] !== null && row[field] !== undefined).map(
+            (field) => ({
+              station: station.name,
+              stationId: station.id,
+              field,
+              value: row[field],
+              timestamp: row.timestamp,
+            })
+          )
+        );
+      }
+    }
+
+    for (const channel of scanner.channels.values()) {
+      if (channel.incident) {
+        await scanner.end(channel, end);
+      }
+    }
+
+    return { deleted, recorded, profiles };
+  }
+}
+
+module.exports = OffAirDetector;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.learnChannelProfile = learnChannelProfile;
+module.exports.describeScheduledSlots = describeScheduledSlots;
+module.exports.summarizeIncidents = summarizeIncidents;
+module.exports.hourOfWeek = hourOfWeek;
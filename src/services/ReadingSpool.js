@@ -0,0 +1,444 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * ReadingSpool - Write-ahead spool between the collectors and the database
+ *
+ * Collectors append every reading to an append-only file (one JSON line per
+ * reading) and return immediately; a timer flushes the file to the database in
+ * batches through createBatchPowerReadings. The byte offset of the last flushed
+ * line is kept next to the spool (`<path>.offset`), so readings that could not
+ * be written - locked SQLite file, migration, database down - stay on disk and
+ * are replayed on the next flush or the next start. Once everything is
+ * flushed the file is truncated.
+ *
+ * Readings replayed after an outage land in buckets the rollup job has already
+ * processed, so those ranges are rebuilt once the spool has drained.
+ *
+ * Only transient errors (locked or busy file, lost connection) hold the offset.
+ * When the database rejects a batch, the batch is written one reading at a
+ * time; readings that are still refused move to `<path>.rejected` with the
+ * error, and the spool carries on past them.
+ *
+ * The spool also works without a database: readings taken before the station
+ * record is known are spooled by station name and resolved once setDatabase
+ * provides a connected database.
+ */
+
+const DEFAULT_OPTIONS = {
+  path: "spool/readings.jsonl",
+  flushMs: 5000, // How often the spool is written to the database
+  batchSize: 500, // Readings per createBatchPowerReadings call
+  readBytes: 1024 * 1024, // Bytes read from the spool per batch
+};
+
+// Errors that clear up by themselves: retry the batch later
+const TRANSIENT_ERROR =
+  /locked|busy|timed? ?out|connect|ECONN|unable to open the database file/i;
+const TRANSIENT_CODES = ["P1001", "P1002", "P1008", "P1017", "P2024"];
+
+/**
+ * Check whether a write error is worth retrying as is
+ * @param {Error} error - Error from the database
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  return (
+    TRANSIENT_CODES.includes(error.code) ||
+    TRANSIENT_ERROR.test(error.message || "")
+  );
+}
+
+class ReadingSpool {
+  /**
+   * @param {DatabaseService|null} databaseService - Database service, or null until setDatabase
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.path = path.resolve(this.options.path);
+    this.offsetPath = `${this.path}.offset`;
+    this.rejectedPath = `${this.path}.rejected`;
+    this.stationIds = new Map(); // station name -> stationId
+    this.offset = 0;
+    this.opened = false;
+    this.rollupService = null;
+    this.timer = null;
+    this.flushing = null;
+    this.failing = false; // Last flush failed; the backlog is being replayed
+    this.replayed = new Map(); // stationId -> { start, end } flushed while behind
+    this.lastFlush = null;
+    this.lastError = null;
+    this.rejected = 0;
+    this.lastRejection = null;
+  }
+
+  /**
+   * Use a database that connected after the spool was created; the next
+   * flush writes what was spooled in the meantime
+   * @param {DatabaseService} databaseService - Connected database service
+   * @param {RollupService} rollupService - Rebuilds rollups over replayed ranges (optional)
+   */
+  setDatabase(databaseService, rollupService = this.rollupService) {
+    this.db = databaseService;
+    this.rollupService = rollupService;
+  }
+
+  /**
+   * Replay what an earlier run left behind, then flush on a timer
+   * @param {RollupService} rollupService - Rebuilds rollups over replayed ranges (optional)
+   */
+  async start(rollupService = null) {
+    this.rollupService = rollupService;
+    if (!this.opened) {
+      this.open();
+    }
+    const pending = this.pendingBytes();
+    if (pending > 0) {
+      console.log(`💽 Replaying ${pending} bytes of spooled readings`);
+      this.failing = true; // Anything left over is older than the rollups
+      await this.flush();
+    }
+    this.timer = setInterval(() => this.flush(), this.options.flushMs);
+  }
+
+  /**
+   * Stop the timer and make a last attempt to write what is spooled
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+  }
+
+  /**
+   * Create the spool file if needed and load the flushed offset
+   */
+  open() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    if (!fs.existsSync(this.path)) {
+      fs.writeFileSync(this.path, "");
+    }
+    try {
+      this.offset = Number(fs.readFileSync(this.offsetPath, "utf8")) || 0;
+    } catch (error) {
+      this.offset = 0;
+    }
+    if (this.offset > fs.statSync(this.path).size) {
+      this.offset = 0; // Spool was replaced; replay all of it
+    }
+    this.opened = true;
+  }
+
+  /**
+   * Spool a reading. Synchronous, so the reading is on disk before the
+   * collector moves on.
+   * @param {Object} reading - { stationId, timestamp, powerData } as for createPowerReading,
+   *   or { station, timestamp, powerData } with the station name when the record is not known yet
+   */
+  append(reading) {
+    if (!this.opened) {
+      this.open();
+    }
+    const line = JSON.stringify({
+      stationId: reading.stationId || undefined,
+      station: reading.stationId ? undefined : reading.station,
+      timestamp: new Date(reading.timestamp).toISOString(),
+      powerData: reading.powerData,
+    });
+    fs.appendFileSync(this.path, `${line}\n`);
+  }
+
+  /**
+   * Bytes appended but not yet written to the database
+   * @returns {number}
+   */
+  pendingBytes() {
+    try {
+      return Math.max(0, fs.statSync(this.path).size - this.offset);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Read the next batch of complete lines after the offset
+   * @returns {Object} { readings, bytes }
+   */
+  readBatch() {
+    const fd = fs.openSync(this.path, "r");
+    try {
+      const buffer = Buffer.alloc(this.options.readBytes);
+      const read = fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+      const readings = [];
+      let bytes = 0;
+      let lineStart = 0;
+
+      for (let i = 0; i < read && readings.length < this.options.batchSize; i++) {
+        if (buffer[i] !== 0x0a) {
+          continue;
+        }
+        const line = buffer.toString("utf8", lineStart, i);
+        let reading = null;
+        try {
+          reading = JSON.parse(line);
+        } catch (error) {
+          // Torn or corrupt line; handled below
+        }
+        // A line the database would reject would block the spool for good
+        if (
+          reading &&
+          (reading.stationId || reading.station) &&
+          !isNaN(new Date(reading.timestamp))
+        ) {
+          readings.push(reading);
+        } else {
+          console.error(`❌ Skipping unreadable spool line: ${line.slice(0, 80)}`);
+        }
+        lineStart = i + 1;
+        bytes = lineStart;
+      }
+
+      // A single line longer than readBytes can never complete; skip it
+      if (bytes === 0 && read === buffer.length) {
+        console.error("❌ Skipping oversized spool line");
+        return { readings: [], bytes: read };
+      }
+      return { readings, bytes };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  saveOffset() {
+    const temporary = `${this.offsetPath}.tmp`;
+    fs.writeFileSync(temporary, String(this.offset));
+    fs.renameSync(temporary, this.offsetPath);
+  }
+
+  /**
+   * Write everything spooled to the database (one flush at a time)
+   * @returns {Promise<number>} Readings written
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.flushPending().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async flushPending() {
+    let written = 0;
+    try {
+      for (;;) {
+        const { readings, bytes } = this.readBatch();
+        if (bytes === 0) {
+          break;
+        }
+        if (readings.length > 0) {
+          written += await this.writeBatch(readings);
+        }
+        this.offset += bytes;
+        this.saveOffset();
+      }
+
+      this.compact();
+      this.lastFlush = new Date();
+      this.lastError = null;
+      if (this.failing) {
+        this.failing = false;
+        console.log(`💽 Spool drained, database writes resumed`);
+        await this.rebuildReplayed();
+      }
+    } catch (error) {
+      if (!this.failing) {
+        console.error(
+          `❌ Database write failed, spooling readings (${error.message})`
+        );
+      }
+      this.failing = true;
+      this.lastError = error.message;
+    }
+    return written;
+  }
+
+  /**
+   * Write one batch. A transient error is thrown so the batch stays spooled;
+   * any other error isolates the rejected readings.
+   * @param {Array<Object>} readings - Readings read from the spool
+   * @returns {Promise<number>} Readings written
+   */
+  async writeBatch(readings) {
+    if (!this.db) {
+      throw new Error("Database not connected");
+    }
+    const rejected = await this.resolveStations(readings);
+    const accepted = readings.filter((reading) => reading.stationId);
+
+    try {
+      if (accepted.length > 0) {
+        await this.db.createBatchPowerReadings(accepted);
+      }
+      if (this.failing) {
+        this.trackReplayed(accepted);
+      }
+      this.reject(rejected);
+      return accepted.length;
+    } catch (error) {
+      if (isTransientError(error)) {
+        throw error;
+      }
+    }
+
+    // Find the readings the database refuses; retried readings that did get
+    // written the first time are handled by the duplicate policy
+    let written = 0;
+    for (const reading of accepted) {
+      try {
+        await this.db.createBatchPowerReadings([reading]);
+        if (this.failing) {
+          this.trackReplayed([reading]);
+        }
+        written++;
+      } catch (error) {
+        if (isTransientError(error)) {
+          throw error;
+        }
+        rejected.push({ reading, error });
+      }
+    }
+    this.reject(rejected);
+    return written;
+  }
+
+  /**
+   * Look up the stationId of readings spooled by station name
+   * @param {Array<Object>} readings - Readings read from the spool (updated in place)
+   * @returns {Promise<Array<Object>>} { reading, error } for names with no station
+   */
+  async resolveStations(readings) {
+    const rejected = [];
+    for (const reading of readings) {
+      if (reading.stationId) {
+        continue;
+      }
+      if (!this.stationIds.has(reading.station)) {
+        const station = await this.db.getStationByName(reading.station);
+        if (station) {
+          this.stationIds.set(reading.station, station.id);
+        }
+      }
+      reading.stationId = this.stationIds.get(reading.station) || null;
+      if (!reading.stationId) {
+        rejected.push({
+          reading,
+          error: new Error(`Station "${reading.station}" not found`),
+        });
+      }
+    }
+    return rejected;
+  }
+
+  /**
+   * Move readings the database refused to the rejected file and record the error
+   * @param {Array<Object>} rejected - { reading, error }
+   */
+  reject(rejected) {
+    if (rejected.length === 0) {
+      return;
+    }
+    const rejectedAt = new Date().toISOString();
+    const lines = rejected.map(({ reading, error }) =>
+      JSON.stringify({ ...reading, error: error.message, rejectedAt })
+    );
+    fs.appendFileSync(this.rejectedPath, `${lines.join("\n")}\n`);
+
+    const { reading, error } = rejected[rejected.length - 1];
+    this.rejected += rejected.length;
+    this.lastRejection = {
+      at: rejectedAt,
+      stationId: reading.stationId || null,
+      station: reading.station || null,
+      error: error.message,
+    };
+    console.error(
+      `❌ Database rejected ${rejected.length} spooled reading(s), moved to ${this.rejectedPath} (${error.message})`
+    );
+  }
+
+  /**
+   * Truncate the spool once everything in it has been written. Appends are
+   * synchronous, so none can slip in between the size check and the truncate.
+   */
+  compact() {
+    if (this.offset > 0 && this.pendingBytes() === 0) {
+      fs.truncateSync(this.path, 0);
+      this.offset = 0;
+      this.saveOffset();
+    }
+  }
+
+  trackReplayed(readings) {
+    readings.forEach((reading) => {
+      const time = new Date(reading.timestamp);
+      const range = this.replayed.get(reading.stationId);
+      if (!range) {
+        this.replayed.set(reading.stationId, { start: time, end: time });
+      } else {
+        if (time < range.start) range.start = time;
+        if (time > range.end) range.end = time;
+      }
+    });
+  }
+
+  /**
+   * Recompute rollups over the ranges written while catching up
+   */
+  async rebuildReplayed() {
+    const { rollupService } = this;
+    const ranges = [...this.replayed.entries()];
+    this.replayed.clear();
+    if (!rollupService) {
+      return;
+    }
+
+    for (const [stationId, range] of ranges) {
+      try {
+        await rollupService.rebuild(
+          stationId,
+          range.start,
+          new Date(range.end.getTime() + 1)
+        );
+      } catch (error) {
+        console.error(
+          `❌ Failed to rebuild rollups after replay for ${stationId}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Current spool status
+   * @returns {Object} { pendingBytes, failing, lastFlush, lastError, rejected, lastRejection }
+   */
+  getStatus() {
+    return {
+      pendingBytes: this.pendingBytes(),
+      failing: this.failing,
+      lastFlush: this.lastFlush,
+      lastError: this.lastError,
+      rejected: this.rejected,
+      lastRejection: this.lastRejection,
+    };
+  }
+}
+
+module.exports = ReadingSpool;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.isTransientError = isTransientError;
@@ -0,0 +1,266 @@
+/**
+ * RetentionService - Prunes old readings, rollups, events and metrics by retention rule
+ *
+ * Rules are stored in RetentionRule per dataset, either for one station or
+ * globally (stationId null); a station rule overrides the global one and a
+ * dataset without any rule is kept forever. A dataset that feeds a coarser
+ * rollup is never pruned past that rollup's watermark, so raw readings are only
+ * deleted once their 1-minute buckets exist (and 1m once 1h exists, and so on).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `guardedBy` is the rollup resolution that must have consumed the data first
+const DATASETS = [
+  { name: "raw", model: "powerReading", timeField: "timestamp", guardedBy: "1m" },
+  { name: "1m", model: "powerRollupMinute", timeField: "bucketStart", guardedBy: "1h" },
+  { name: "1h", model: "powerRollupHour", timeField: "bucketStart", guardedBy: "1d" },
+  { name: "1d", model: "powerRollupDay", timeField: "bucketStart", guardedBy: null },
+  { name: "events", model: "stationEvent", timeField: "timestamp", guardedBy: null },
+  { name: "metrics", model: "metricReading", timeField: "timestamp", guardedBy: null },
+];
+
+// "keep raw 30 days, 1-minute 90 days, hourly 2 years, daily forever, events 1 year,
+// metrics 90 days" (metrics are not rolled up, so they outlive raw readings)
+const DEFAULT_RULES = {
+  raw: 30,
+  "1m": 90,
+  "1h": 730,
+  "1d": null,
+  events: 365,
+  metrics: 90,
+};
+
+const UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+
+/**
+ * Look up a dataset by name
+ * @param {string} name - Dataset name
+ * @returns {Object} Dataset definition
+ */
+function getDataset(name) {
+  const dataset = DATASETS.find((entry) => entry.name === name);
+  if (!dataset) {
+    throw new Error(
+      `Unknown dataset "${name}", expected one of: ${DATASETS.map((entry) => entry.name).join(", ")}`
+    );
+  }
+  return dataset;
+}
+
+/**
+ * Parse a retention period such as "30d", "12w", "6m", "2y" or "forever"
+ * @param {string} value - Retention period
+ * @returns {number|null} Days to keep, null for forever
+ */
+function parseRetention(value) {
+  const text = String(value).trim().toLowerCase();
+  if (text === "forever" || text === "inf") {
+    return null;
+  }
+
+  const match = /^(\d+)\s*([dwmy])?$/.exec(text);
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(
+      `Invalid retention "${value}", expected e.g. 30d, 12w, 6m, 2y or forever`
+    );
+  }
+  return Number(match[1]) * UNIT_DAYS[match[2] || "d"];
+}
+
+/**
+ * Format days to keep for display
+ * @param {number|null} keepDays - Days to keep
+ * @returns {string}
+ */
+function formatRetention(keepDays) {
+  if (keepDays === null || keepDays === undefined) {
+    return "forever";
+  }
+  if (keepDays % 365 === 0) return `${keepDays / 365}y`;
+  if (keepDays % 30 === 0) return `${keepDays / 30}m`;
+  if (keepDays % 7 === 0) return `${keepDays / 7}w`;
+  return `${keepDays}d`;
+}
+
+class RetentionService {
+  /**
+   * @param {DatabaseService} databaseService - Database service
+   * @param {Object} options - Service options
+   * @param {number} options.intervalMs - How often the scheduled job runs (default 6 hours)
+   * @param {number} options.initialDelayMs - Delay before the first scheduled run (default 5 minutes)
+   * @param {boolean} options.vacuum - VACUUM the database after deleting rows (default true)
+   */
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.options = {
+      intervalMs: 6 * 60 * 60 * 1000,
+      initialDelayMs: 5 * 60 * 1000,
+      vacuum: true,
+      ...options,
+    };
+    this.timer = null;
+    this.initialTimer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the scheduled pruning job
+   */
+  start() {
+    if (this.timer || this.initialTimer) {
+      return;
+    }
+    this.initialTimer = setTimeout(() => {
+      this.initialTimer = null;
+      this.runScheduled();
+      this.timer = setInterval(() => this.runScheduled(), this.options.intervalMs);
+    }, this.options.initialDelayMs);
+  }
+
+  /**
+   * Stop the scheduled pruning job
+   */
+  stop() {
+    if (this.initialTimer) {
+      clearTimeout(this.initialTimer);
+      this.initialTimer = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runScheduled() {
+    const result = await this.prune();
+    if (result && result.deleted > 0) {
+      console.log(
+        `🧹 Retention: deleted ${result.deleted.toLocaleString()} rows${result.vacuumed ? " and vacuumed the database" : ""}`
+      );
+    }
+  }
+
+  /**
+   * Pick the rule for a station and dataset (station rule, then global rule)
+   * @param {Array} rules - All retention rules
+   * @param {string} stationId - Station ID
+   * @param {string} dataset - Dataset name
+   * @returns {Object|null} Rule, or null if the dataset is kept forever
+   */
+  resolveRule(rules, stationId, dataset) {
+    return (
+      rules.find((rule) => rule.stationId === stationId && rule.dataset === dataset) ||
+      rules.find((rule) => rule.stationId === null && rule.dataset === dataset) ||
+      null
+    );
+  }
+
+  /**
+   * Work out what pruning would delete
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} [{ stationId, station, dataset, keepDays, scope, cutoff, effectiveCutoff, heldBack, rows }]
+   */
+  async plan(now = new Date()) {
+    const [stations, rules] = await Promise.all([
+      this.db.getAllStations(),
+      this.db.getRetentionRules(),
+    ]);
+    const entries = [];
+
+    for (const station of stations) {
+      for (const dataset of DATASETS) {
+        const rule = this.resolveRule(rules, station.id, dataset.name);
+        if (!rule || rule.keepDays === null) {
+          continue;
+        }
+
+        const cutoff = new Date(now.getTime() - rule.keepDays * DAY_MS);
+        let effectiveCutoff = cutoff;
+        let heldBack = false;
+
+        if (dataset.guardedBy) {
+          const watermark = await this.db.getRollupWatermark(
+            station.id,
+            dataset.guardedBy
+          );
+          if (!watermark || watermark < cutoff) {
+            effectiveCutoff = watermark || null;
+            heldBack = true;
+          }
+        }
+
+        const rows = effectiveCutoff
+          ? await this.db.countRowsBefore(dataset, station.id, effectiveCutoff)
+          : 0;
+
+        entries.push({
+          stationId: station.id,
+          station: station.name,
+          dataset: dataset.name,
+          keepDays: rule.keepDays,
+          scope: rule.stationId ? "station" : "global",
+          cutoff,
+          effectiveCutoff,
+          heldBack,
+          rows,
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Delete everything older than the retention rules allow
+   * @param {Object} options - { dryRun, vacuum, now }
+   * @returns {Promise<Object|null>} { plan, deleted, vacuumed } or null if a run is in progress
+   */
+  async prune(options = {}) {
+    const { dryRun = false, vacuum = this.options.vacuum, now = new Date() } =
+      options;
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const plan = await this.plan(now);
+      let deleted = 0;
+
+      if (!dryRun) {
+        for (const entry of plan) {
+          if (entry.rows === 0) continue;
+          entry.deleted = await this.db.deleteRowsBefore(
+            getDataset(entry.dataset),
+            entry.stationId,
+            entry.effectiveCutoff
+          );
+          deleted += entry.deleted;
+        }
+      }
+
+      let vacuumed = false;
+      if (!dryRun && vacuum && deleted > 0) {
+        await this.db.vacuum();
+        vacuumed = true;
+      }
+
+      this.lastRun = new Date();
+      return { plan, deleted, vacuumed, dryRun };
+    } catch (error) {
+      console.error("❌ Retention pruning failed:", error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = RetentionService;
+module.exports.DATASETS = DATASETS;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.getDataset = getDataset;
+module.exports.parseRetention = parseRetention;
+module.exports.formatRetention = formatRetention;
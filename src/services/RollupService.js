@@ -0,0 +1,357 @@
+/**
+ * RollupService - Maintains 1-minute, 1-hour and 1-day aggregates of PowerReading
+ *
+ * Raw readings roll up into 1m buckets, 1m into 1h and 1h into 1d. Each station
+ * and resolution has a watermark (RollupWatermark.processedUntil); every run only
+ * aggregates complete buckets after the watermark, so the work is incremental.
+ * Buckets are written with upserts, so re-running a range (see rebuild) is safe.
+ */
+
+const ACTIVE_POWER_FIELDS = [1, 2, 3, 4, 5, 6].map((i) => `activePower${i}`);
+const MUX_POWER_FIELDS = [1, 2, 3, 4, 5, 6].map((i) => `muxPower${i}`);
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ordered finest first; `source` is what each resolution is aggregated from
+const RESOLUTIONS = [
+  { name: "1m", model: "powerRollupMinute", bucketMs: MINUTE_MS, source: "raw", chunkMs: 6 * HOUR_MS },
+  { name: "1h", model: "powerRollupHour", bucketMs: HOUR_MS, source: "1m", chunkMs: 7 * DAY_MS },
+  { name: "1d", model: "powerRollupDay", bucketMs: DAY_MS, source: "1h", chunkMs: 90 * DAY_MS },
+];
+
+/**
+ * Look up a resolution by name
+ * @param {string} name - "1m", "1h" or "1d"
+ * @returns {Object} Resolution definition
+ */
+function getResolution(name) {
+  const resolution = RESOLUTIONS.find((entry) => entry.name === name);
+  if (!resolution) {
+    throw new Error(
+      `Unknown rollup resolution "${name}", expected one of: ${RESOLUTIONS.map((entry) => entry.name).join(", ")}`
+    );
+  }
+  return resolution;
+}
+
+/**
+ * Start of the bucket containing a date (local time, so days start at local midnight)
+ * @param {Date} date - Date
+ * @param {string} name - Resolution name
+ * @returns {Date}
+ */
+function bucketStart(date, name) {
+  const start = new Date(date);
+  if (name === "1d") {
+    start.setHours(0, 0, 0, 0);
+  } else if (name === "1h") {
+    start.setMinutes(0, 0, 0);
+  } else {
+    getResolution(name); // Throws for unknown resolutions
+    start.setSeconds(0, 0);
+  }
+  return start;
+}
+
+/**
+ * Start of the bucket after the one starting at `start`
+ * @param {Date} start - Bucket start
+ * @param {string} name - Resolution name
+ * @returns {Date}
+ */
+function nextBucket(start, name) {
+  const next = new Date(start);
+  if (name === "1d") {
+    next.setDate(next.getDate() + 1);
+  } else if (name === "1h") {
+    next.setHours(next.getHours() + 1);
+  } else {
+    next.setMinutes(next.getMinutes() + 1);
+  }
+  return next;
+}
+
+/**
+ * Aggregate raw readings (ascending by timestamp) into buckets
+ * @param {Array<Object>} readings - PowerReading rows
+ * @param {string} name - Target resolution
+ * @returns {Array<Object>} Rollup rows (without stationId)
+ */
+function aggregateReadings(readings, name) {
+  const groups = new Map();
+  readings.forEach((reading) => {
+    const key = bucketStart(reading.timestamp, name).getTime();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(reading);
+  });
+
+  return [...groups.entries()].map(([key, rows]) => {
+    const rollup = { bucketStart: new Date(key), sampleCount: rows.length };
+
+    ACTIVE_POWER_FIELDS.forEach((field) => {
+      const values = rows
+        .map((row) => row[field])
+        .filter((value) => value !== null && value !== undefined);
+      rollup[`${field}Min`] = values.length ? Math.min(...values) : null;
+      rollup[`${field}Max`] = values.length ? Math.max(...values) : null;
+      rollup[`${field}Avg`] = values.length
+        ? values.reduce((total, value) => total + value, 0) / values.length
+        : null;
+    });
+
+    MUX_POWER_FIELDS.forEach((field) => {
+      const values = rows
+        .map((row) => row[field])
+        .filter((value) => value !== null && value !== undefined);
+      rollup[`${field}First`] = values.length ? values[0] : null;
+      rollup[`${field}Last`] = values.length ? values[values.length - 1] : null;
+    });
+
+    return rollup;
+  });
+}
+
+/**
+ * Aggregate finer rollup rows (ascending by bucketStart) into coarser buckets
+ * Averages are weighted by sampleCount.
+ * @param {Array<Object>} rollups - Rollup rows
+ * @param {string} name - Target resolution
+ * @returns {Array<Object>} Rollup rows (without stationId)
+ */
+function aggregateRollups(rollups, name) {
+  const groups = new Map();
+  rollups.forEach((row) => {
+    const key = bucketStart(row.bucketStart, name).getTime();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return [...groups.entries()].map(([key, rows]) => {
+    const rollup = {
+      bucketStart: new Date(key),
+      sampleCount: rows.reduce((total, row) => total + row.sampleCount, 0),
+    };
+
+    ACTIVE_POWER_FIELDS.forEach((field) => {
+      const withData = rows.filter((row) => row[`${field}Avg`] !== null);
+      const weight = withData.reduce((total, row) => total + row.sampleCount, 0);
+      rollup[`${field}Min`] = withData.length
+        ? Math.min(...withData.map((row) => row[`${field}Min`]))
+        : null;
+      rollup[`${field}Max`] = withData.length
+        ? Math.max(...withData.map((row) => row[`${field}Max`]))
+        : null;
+      rollup[`${field}Avg`] =
+        weight > 0
+          ? withData.reduce((total, row) => total + row[`${field}Avg`] * row.sampleCount, 0) / weight
+          : null;
+    });
+
+    MUX_POWER_FIELDS.forEach((field) => {
+      const firsts = rows.filter((row) => row[`${field}First`] !== null);
+      const lasts = rows.filter((row) => row[`${field}Last`] !== null);
+      rollup[`${field}First`] = firsts.length ? firsts[0][`${field}First`] : null;
+      rollup[`${field}Last`] = lasts.length ? lasts[lasts.length - 1][`${field}Last`] : null;
+    });
+
+    return rollup;
+  });
+}
+
+class RollupService {
+  /**
+   * @param {DatabaseService} databaseService - Database service
+   * @param {Object} options - Service options
+   * @param {number} options.intervalMs - How often the background job runs (default 1 min)
+   * @param {number} options.settleMs - Wait this long after a minute ends before rolling it up (default 30s)
+   */
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.options = {
+      intervalMs: 60 * 1000,
+      settleMs: 30 * 1000,
+      ...options,
+    };
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the background rollup job
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.runOnce(), this.options.intervalMs);
+    this.runOnce();
+  }
+
+  /**
+   * Stop the background rollup job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Roll up every station once (skipped if a run is still in progress)
+   * @returns {Promise<Object|null>} { stations, buckets } or null if skipped
+   */
+  async runOnce(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const stations = await this.db.getAllStations();
+      let buckets = 0;
+      for (const station of stations) {
+        buckets += await this.rollupStation(station.id, now);
+      }
+      this.lastRun = new Date();
+      return { stations: stations.length, buckets };
+    } catch (error) {
+      console.error("❌ Rollup failed:", error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Roll up one station's complete buckets after each watermark
+   * @param {string} stationId - Station ID
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Buckets written
+   */
+  async rollupStation(stationId, now = new Date()) {
+    let written = 0;
+    // Coarser resolutions can only include buckets their source has completed
+    let sourceComplete = new Date(now.getTime() - this.options.settleMs);
+
+    for (const resolution of RESOLUTIONS) {
+      const until = bucketStart(sourceComplete, resolution.name);
+      let from = await this.db.getRollupWatermark(stationId, resolution.name);
+
+      if (!from) {
+        const earliest = await this.db.getEarliestRollupSourceTime(
+          stationId,
+          resolution.source
+        );
+        if (!earliest) {
+          break; // Nothing to roll up yet
+        }
+        from = bucketStart(earliest, resolution.name);
+      }
+
+      while (from < until) {
+        const end = this.chunkEnd(from, until, resolution);
+        written += await this.rollupRange(stationId, resolution, from, end);
+        await this.db.setRollupWatermark(stationId, resolution.name, end);
+        from = end;
+      }
+
+      sourceComplete = from;
+    }
+
+    return written;
+  }
+
+  /**
+   * Recompute buckets covering [startDate, endDate) at every resolution
+   * Use after importing or replaying readings older than the watermark.
+   * @param {string} stationId - Station ID
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {Promise<number>} Buckets written
+   */
+  async rebuild(stationId, startDate, endDate) {
+    let written = 0;
+
+    for (const resolution of RESOLUTIONS) {
+      const watermark = await this.db.getRollupWatermark(stationId, resolution.name);
+      const from = bucketStart(startDate, resolution.name);
+      let until = nextBucket(bucketStart(new Date(new Date(endDate).getTime() - 1), resolution.name), resolution.name);
+
+      // Never run ahead of the incremental job
+      if (watermark && until > watermark) {
+        until = watermark;
+      }
+      if (!watermark || from >= until) {
+        continue;
+      }
+
+      for (let chunk = from; chunk < until; ) {
+        const end = this.chunkEnd(chunk, until, resolution);
+        written += await this.rollupRange(stationId, resolution, chunk, end);
+        chunk = end;
+      }
+    }
+
+    return written;
+  }
+
+  /**
+   * End of the chunk starting at `from`, on a bucket boundary and at most `until`
+   * @returns {Date}
+   */
+  chunkEnd(from, until, resolution) {
+    const end = bucketStart(
+      new Date(from.getTime() + resolution.chunkMs),
+      resolution.name
+    );
+    return end < until ? end : until;
+  }
+
+  /**
+   * Aggregate [from, to) from the source resolution and store the buckets
+   * @returns {Promise<number>} Buckets written
+   */
+  async rollupRange(stationId, resolution, from, to) {
+    const rows =
+      resolution.source === "raw"
+        ? aggregateReadings(
+            await this.db.getReadingsForRollup(stationId, from, to),
+            resolution.name
+          )
+        : aggregateRollups(
+            await this.db.getRollups(stationId, resolution.source, from, to),
+            resolution.name
+          );
+
+    if (rows.length > 0) {
+      await this.db.upsertRollups(stationId, resolution.name, rows);
+    }
+    return rows.length;
+  }
+
+  /**
+   * Current job status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      running: Boolean(this.timer),
+      busy: this.running,
+      lastRun: this.lastRun,
+    };
+  }
+}
+
+module.exports = RollupService;
+module.exports.RESOLUTIONS = RESOLUTIONS;
+module.exports.ACTIVE_POWER_FIELDS = ACTIVE_POWER_FIELDS;
+module.exports.MUX_POWER_FIELDS = MUX_POWER_FIELDS;
+module.exports.getResolution = getResolution;
+module.exports.bucketStart = bucketStart;
+module.exports.nextBucket = nextBucket;
+module.exports.aggregateReadings = aggregateReadings;
+module.exports.aggregateRollups = aggregateRollups;
@@ -0,0 +1,562 @@
+#!/usr/bin/env node
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+
+const DEFAULT_SCENE = "d0cf3a77-e9dd-4419-bec0-b54ecad3e541";
+
+/**
+ * Build a value generator from a curve specification
+ * @param {number|Function|Object} spec - Constant, `(elapsedMs, tick) => value` or curve options
+ * @param {string} spec.type - "constant", "sine", "ramp" or "random"
+ * @param {string} spec.label - Name the scene shows for the object (optional)
+ * @param {string} spec.unit - Unit the scene shows for the object (optional)
+ * @returns {Function} Generator called with (elapsedMs, tick)
+ */
+function createValueCurve(spec) {
+  if (typeof spec === "function") {
+    return spec;
+  }
+
+  if (typeof spec === "number" || spec === null) {
+    return () => spec;
+  }
+
+  const {
+    type = "constant",
+    base = 0,
+    amplitude = 0,
+    periodMs = 60000,
+    ratePerSecond = 0,
+    noise = 0,
+    decimals = 1,
+  } = spec;
+
+  const round = (value) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  };
+
+  switch (type) {
+    case "constant":
+      return () => base;
+    case "sine":
+      return (elapsedMs) =>
+        round(base + amplitude * Math.sin((2 * Math.PI * elapsedMs) / periodMs));
+    case "ramp":
+      // Cumulative counters (MUX kWh meters) only ever increase
+      return (elapsedMs) => round(base + (ratePerSecond * elapsedMs) / 1000);
+    case "random":
+      return () => round(base + (Math.random() * 2 - 1) * noise);
+    default:
+      throw new Error(`Unknown value curve type: ${type}`);
+  }
+}
+
+/**
+ * CometDeviceSimulator - Local stand-in for a Comet/ScriptEngine device
+ * Speaks the same JSON-RPC dialect as the real stations (signIn, subscribeNotification,
+ * setUpdateRate, loadScriptInfo, loadDashboards, loadScene, registerActiveObjects)
+ * and pushes ScriptEngine `sync` notifications for the registered objects.
+ */
+class CometDeviceSimulator extends EventEmitter {
+  /**
+   * @param {Object} options - Simulator options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Interface to bind
+   * @param {string} options.path - WebSocket path (devices use "/ws")
+   * @param {string} options.username - Accepted sign-in user
+   * @param {string} options.password - Accepted sign-in password
+   * @param {Array<string>} options.scenes - Scene UUIDs that loadScene accepts
+   * @param {Object} options.objects - Map of object ID to value curve specification
+   *   (a `label` and `unit` in the specification are listed by loadScene)
+   * @param {number} options.updateRate - Sync interval until the client sets one (ms)
+   * @param {Object} options.replyDelays - Map of method name to reply delay (ms)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      port: 0,
+      host: "127.0.0.1",
+      path: "/ws",
+      username: "Admin",
+      password: "admin",
+      scenes: [DEFAULT_SCENE],
+      updateRate: 3000,
+      ...options,
+    };
+    this.objects = {};
+    this.objectInfo = {}; // objectId -> { label, unit } listed in the scene
+    this.replyDelays = { ...(options.replyDelays || {}) };
+    this.server = null;
+    this.sessions = new Set();
+    this.syncPaused = false;
+    this.startedAt = null;
+
+    Object.entries(options.objects || {}).forEach(([objectId, spec]) => {
+      this.setObject(objectId, spec);
+    });
+  }
+
+  /**
+   * Start listening for WebSocket clients
+   * @returns {Promise<string>} WebSocket URL of the simulator
+   */
+  async start() {
+    if (this.server) {
+      return this.url;
+    }
+
+    this.startedAt = Date.now();
+
+    await new Promise((resolve, reject) => {
+      this.server = new WebSocket.Server({
+        port: this.options.port,
+        host: this.options.host,
+        path: this.options.path,
+      });
+      this.server.once("listening", resolve);
+      this.server.once("error", reject);
+    });
+
+    this.server.on("connection", (ws) => this.handleConnection(ws));
+    return this.url;
+  }
+
+  /**
+   * Stop the simulator and close all client connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    this.sessions.forEach((session) => this.endSession(session));
+    this.sessions.forEach((session) => session.ws.terminate());
+
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  /**
+   * WebSocket URL clients should connect to
+   * @returns {string|null}
+   */
+  get url() {
+    if (!this.server) {
+      return null;
+    }
+
+    const { port } = this.server.address();
+    return `ws://${this.options.host}:${port}${this.options.path}`;
+  }
+
+  /**
+   * Define or replace the value curve of an object
+   * @param {number|string} objectId - ScriptEngine object ID
+   * @param {number|Function|Object} spec - Curve specification (see createValueCurve)
+   */
+  setObject(objectId, spec) {
+    this.objects[objectId.toString()] = createValueCurve(spec);
+    if (spec && typeof spec === "object" && (spec.label || spec.unit)) {
+      this.objectInfo[objectId.toString()] = {
+        label: spec.label || null,
+        unit: spec.unit || null,
+      };
+    } else {
+      delete this.objectInfo[objectId.toString()];
+    }
+  }
+
+  /**
+   * Remove an object, as if the scene no longer contained it
+   * @param {number|string} objectId - ScriptEngine object ID
+   */
+  removeObject(objectId) {
+    delete this.objects[objectId.toString()];
+    delete this.objectInfo[objectId.toString()];
+  }
+
+  /**
+   * Delay replies to a method, e.g. to exercise client timeouts
+   * @param {string} method - RPC method name
+   * @param {number} delayMs - Delay in milliseconds (0 removes it)
+   */
+  setReplyDelay(method, delayMs) {
+    if (delayMs > 0) {
+      this.replyDelays[method] = delayMs;
+    } else {
+      delete this.replyDelays[method];
+    }
+  }
+
+  /**
+   * Stop sending sync notifications while keeping connections open
+   */
+  pauseSync() {
+    this.syncPaused = true;
+  }
+
+  /**
+   * Resume sync notifications after pauseSync()
+   */
+  resumeSync() {
+    this.syncPaused = false;
+  }
+
+  /**
+   * Simulate the device reloading its scene: connections stay open but every
+   * session loses its registered objects, so sync notifications stop until the
+   * client registers them again
+   */
+  reloadScene() {
+    this.sessions.forEach((session) => {
+      session.registeredObjects = [];
+      this.scheduleSync(session);
+    });
+  }
+
+  /**
+   * Forcibly drop every connected client
+   * @param {Object} options - Disconnect options
+   * @param {boolean} options.graceful - Send a close frame instead of terminating the socket
+   */
+  dropConnections({ graceful = false } = {}) {
+    this.sessions.forEach((session) => {
+      this.endSession(session);
+      if (graceful) {
+        session.ws.close(1001, "Simulated disconnect");
+      } else {
+        session.ws.terminate();
+      }
+    });
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number}
+   */
+  get connectionCount() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Current value of every simulated object
+   * @returns {Object} Map of object ID to value
+   */
+  readValues() {
+    const elapsedMs = Date.now() - (this.startedAt || Date.now());
+    const values = {};
+    Object.entries(this.objects).forEach(([objectId, curve]) => {
+      values[objectId] = curve(elapsedMs);
+    });
+    return values;
+  }
+
+  // ==================== Protocol Handling ====================
+
+  handleConnection(ws) {
+    const session = {
+      ws,
+      USID: null,
+      subscribed: false,
+      updateRate: this.options.updateRate,
+      registeredObjects: [],
+      syncTimer: null,
+      tick: 0,
+    };
+
+    this.sessions.add(session);
+    this.emit("connection", session);
+
+    ws.on("message", (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (error) {
+        this.emit("invalidMessage", data.toString());
+        return;
+      }
+
+      this.emit("request", msg);
+      const delay = this.replyDelays[msg.method] || 0;
+      if (delay > 0) {
+        setTimeout(() => this.handleRequest(session, msg), delay);
+      } else {
+        this.handleRequest(session, msg);
+      }
+    });
+
+    ws.on("close", () => {
+      this.endSession(session);
+      this.sessions.delete(session);
+      this.emit("disconnect", session);
+    });
+
+    ws.on("error", () => {
+      // Client errors are surfaced through the close event
+    });
+  }
+
+  handleRequest(session, msg) {
+    const { id, method, params = [] } = msg;
+
+    switch (method) {
+      case "comet.signIn": {
+        const [, username, password] = params;
+        if (
+          username !== this.options.username ||
+          password !== this.options.password
+        ) {
+          return this.reply(session, {
+            id,
+            error: { code: 401, message: "Invalid user name or password" },
+          });
+        }
+        session.USID = crypto.randomBytes(16).toString("hex");
+        return this.reply(session, {
+          id,
+          result: {
+            $className: "com.wcs.comet.shared.ClientInfo",
+            USID: session.USID,
+            UserName: username,
+            Logged: true,
+          },
+        });
+      }
+
+      case "comet.subscribeNotification": {
+        const [USID, provider] = params;
+        const accepted = this.isValidSession(session, USID) && provider === "ScriptEngine";
+        session.subscribed = accepted;
+        this.reply(session, { id, result: accepted });
+        return this.scheduleSync(session);
+      }
+
+      case "ScriptEngine.setUpdateRate": {
+        const [USID, updateRate] = params;
+        const accepted = this.isValidSession(session, USID) && updateRate > 0;
+        if (accepted) {
+          session.updateRate = updateRate;
+        }
+        this.reply(session, { id, result: accepted });
+        return this.scheduleSync(session);
+      }
+
+      case "ScriptEngine.loadScriptInfo":
+        return this.reply(session, { id, cached: true, result: { scripts: [] } });
+
+      case "ScriptEngine.loadDashboards":
+        return this.reply(session, { id, cached: true, result: [] });
+
+      case "ScriptEngine.loadScene": {
+        const [scene] = params;
+        if (!this.options.scenes.includes(scene)) {
+          return this.reply(session, {
+            id,
+            error: { code: 404, message: `Scene not found: ${scene}` },
+          });
+        }
+        return this.reply(session, {
+          id,
+          cached: true,
+          result: {
+            uuid: scene,
+            objects: Object.keys(this.objects).map(Number),
+            elements: Object.entries(this.objectInfo).map(([objectId, info]) => ({
+              objectId: Number(objectId),
+              ...info,
+            })),
+          },
+        });
+      }
+
+      case "ScriptEngine.registerActiveObjects": {
+        const [USID, objectIds = []] = params;
+        if (!this.isValidSession(session, USID)) {
+          return this.reply(session, { id, result: false });
+        }
+        // The device protocol terminates the list with -1
+        session.registeredObjects = objectIds
+          .filter((objectId) => objectId !== -1)
+          .map((objectId) => objectId.toString());
+        this.reply(session, { id, result: true });
+        return this.scheduleSync(session);
+      }
+
+      default:
+        return this.reply(session, {
+          id,
+          error: { code: 400, message: `Unknown method: ${method}` },
+        });
+    }
+  }
+
+  isValidSession(session, USID) {
+    return Boolean(session.USID) && USID === session.USID;
+  }
+
+  reply(session, response) {
+    if (session.ws.readyState === WebSocket.OPEN) {
+      session.ws.send(JSON.stringify(response));
+    }
+  }
+
+  scheduleSync(session) {
+    if (session.syncTimer) {
+      clearInterval(session.syncTimer);
+      session.syncTimer = null;
+    }
+
+    if (!session.subscribed || session.registeredObjects.length === 0) {
+      return;
+    }
+
+    session.syncTimer = setInterval(() => this.sendSync(session), session.updateRate);
+  }
+
+  sendSync(session) {
+    if (this.syncPaused) {
+      return;
+    }
+
+    session.tick++;
+    const elapsedMs = Date.now() - this.startedAt;
+    const sync = {};
+
+    session.registeredObjects.forEach((objectId) => {
+      const curve = this.objects[objectId];
+      if (curve) {
+        sync[objectId] = curve(elapsedMs, session.tick);
+      }
+    });
+
+    this.reply(session, {
+      notification: {
+        provider: "ScriptEngine",
+        value: { sync },
+      },
+    });
+    this.emit("sync", sync);
+  }
+
+  endSession(session) {
+    if (session.syncTimer) {
+      clearInterval(session.syncTimer);
+      session.syncTimer = null;
+    }
+  }
+}
+
+/**
+ * Default objects: the standard Active Power and MUX meter IDs with plausible values
+ * @returns {Object} Map of object ID to curve specification
+ */
+function defaultObjects() {
+  return {
+    8684: { type: "sine", base: 10500, amplitude: 150, periodMs: 60000, label: "Active Power 1", unit: "W" },
+    8685: { type: "sine", base: 5200, amplitude: 80, periodMs: 45000, label: "Active Power 2", unit: "W" },
+    8686: { type: "random", base: 7900, noise: 20, label: "Active Power 3", unit: "W" },
+    8687: { type: "random", base: 5730, noise: 25, label: "Active Power 4", unit: "W" },
+    8688: { type: "constant", base: 0, label: "Active Power 5", unit: "W" },
+    8689: { type: "constant", base: 0, label: "Active Power 6", unit: "W" },
+    18069: { type: "ramp", base: 969561.5, ratePerSecond: 0.003, label: "MUX#1 TV5 Power Meter", unit: "kWh" },
+    18070: { type: "ramp", base: 419801.0, ratePerSecond: 0.0015, label: "MUX#2 MCOT Power Meter", unit: "kWh" },
+    73909: { type: "ramp", base: 612213.4, ratePerSecond: 0.002, label: "MUX#3 PRD Power Meter", unit: "kWh" },
+    73910: { type: "ramp", base: 500347.0, ratePerSecond: 0.0016, label: "MUX#4 TPBS Power Meter", unit: "kWh" },
+    75428: { type: "ramp", base: 37118.6, ratePerSecond: 0.0002, label: "MUX#5 Power Meter", unit: "kWh" },
+    75429: { type: "ramp", base: 22996.4, ratePerSecond: 0.0002, label: "MUX#6 Power Meter", unit: "kWh" },
+  };
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+  };
+
+  if (args.includes("help") || args.includes("--help")) {
+    console.log("📡 Comet Device Simulator\n");
+    console.log("Usage: node src/simulator/CometDeviceSimulator.js [options]\n");
+    console.log("Options:");
+    console.log("  --port <port>          - Port to listen on (default: 8080)");
+    console.log("  --host <host>          - Interface to bind (default: 127.0.0.1)");
+    console.log("  --scene <uuid>         - Scene UUID accepted by loadScene");
+    console.log("  --objects <id,id,...>  - Only simulate these object IDs");
+    console.log("  --reply-delay <ms>     - Delay every reply (slow device)");
+    console.log("  --drop-every <ms>      - Force a disconnect periodically\n");
+    console.log("Example:");
+    console.log("  node src/simulator/CometDeviceSimulator.js --port 8080 --objects 8684,18069");
+    return;
+  }
+
+  let objects = defaultObjects();
+  const objectFilter = getArg("objects", null);
+  if (objectFilter) {
+    const ids = objectFilter.split(",").map((id) => id.trim());
+    objects = Object.fromEntries(
+      ids.map((id) => [id, objects[id] || { type: "random", base: 1000, noise: 10 }])
+    );
+  }
+
+  const replyDelay = parseInt(getArg("reply-delay", "0"));
+  const replyDelays = {};
+  if (replyDelay > 0) {
+    [
+      "comet.signIn",
+      "comet.subscribeNotification",
+      "ScriptEngine.setUpdateRate",
+      "ScriptEngine.loadScriptInfo",
+      "ScriptEngine.loadDashboards",
+      "ScriptEngine.loadScene",
+      "ScriptEngine.registerActiveObjects",
+    ].forEach((method) => {
+      replyDelays[method] = replyDelay;
+    });
+  }
+
+  const simulator = new CometDeviceSimulator({
+    port: parseInt(getArg("port", "8080")),
+    host: getArg("host", "127.0.0.1"),
+    scenes: [getArg("scene", DEFAULT_SCENE)],
+    objects,
+    replyDelays,
+  });
+
+  simulator.on("connection", () => console.log("🔌 Client connected"));
+  simulator.on("disconnect", () => console.log("🔌 Client disconnected"));
+  simulator.on("request", (msg) => console.log(`📨 ${msg.method} (id ${msg.id})`));
+
+  const url = await simulator.start();
+  console.log(`✅ Simulator listening on ${url}`);
+  console.log(`   Objects: ${Object.keys(objects).join(", ")}`);
+
+  const dropEvery = parseInt(getArg("drop-every", "0"));
+  if (dropEvery > 0) {
+    setInterval(() => {
+      console.log("💥 Forcing disconnect of all clients");
+      simulator.dropConnections();
+    }, dropEvery);
+  }
+
+  process.on("SIGINT", async () => {
+    await simulator.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Simulator failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = CometDeviceSimulator;
+module.exports.createValueCurve = createValueCurve;
+module.exports.defaultObjects = defaultObjects;
+module.exports.DEFAULT_SCENE = DEFAULT_SCENE;
@@ -0,0 +1,336 @@
+const DatabaseService = require("../database/DatabaseService");
+const {
+  AlertStates,
+  RULE_TYPES,
+  SEVERITIES,
+  getRuleType,
+  validateRule,
+  describeRule,
+} = require("../alerts/AlertRuleTypes");
+const { fieldUnit } = require("../server/LiveFeed");
+const NotificationService = require("../alerts/NotificationService");
+const { parseChannels } = NotificationService;
+const { parseOptions, parseDuration, resolveDateRange } = require("./cli-options");
+
+/**
+ * Alert Manager - Manage alert rules and review alert history
+ */
+class AlertManager {
+  constructor() {
+    this.db = new DatabaseService();
+  }
+
+  async connect() {
+    await this.db.connect();
+  }
+
+  async disconnect() {
+    await this.db.disconnect();
+  }
+
+  /**
+   * Resolve --station to a station ID (null for every station)
+   */
+  async resolveStationId(stationName) {
+    if (!stationName) {
+      return null;
+    }
+    const station = await this.db.getStationByName(stationName);
+    if (!station) {
+      throw new Error(`Station "${stationName}" not found`);
+    }
+    return station.id;
+  }
+
+  /**
+   * List alert rules
+   */
+  async listRules() {
+    const rules = await this.db.getAlertRules();
+    if (rules.length === 0) {
+      console.log("🔔 No alert rules");
+      console.log('   Add one with: add-rule activePower* below 100 --for 5m --severity critical');
+      return;
+    }
+
+    console.log("🔔 Alert Rules\n");
+    console.log(
+      `   ${"ID".padEnd(27)}${"Scope".padEnd(20)}${"Field".padEnd(14)}${"Severity".padEnd(10)}Condition`
+    );
+    console.log("   " + "─".repeat(100));
+    rules.forEach((rule) => {
+      const scope = rule.station ? rule.station.name : "(all stations)";
+      const unit = fieldUnit(rule.field.replace("*", "")) || "";
+      console.log(
+        `   ${rule.id.padEnd(27)}${scope.padEnd(20)}${rule.field.padEnd(14)}${rule.severity.padEnd(10)}${describeRule(rule, unit)}, clears after ${rule.clearSeconds}s${rule.enabled ? "" : " (disabled)"}${rule.name ? ` - ${rule.name}` : ""}${rule.channels ? ` → ${rule.channels}` : ""}`
+      );
+    });
+  }
+
+  /**
+   * Add an alert rule
+   */
+  async addRule(field, type, threshold, options) {
+    const ruleType = getRuleType(type);
+    const rule = {
+      stationId: await this.resolveStationId(options.station),
+      field,
+      type,
+      threshold: threshold === undefined ? null : Number(threshold),
+      forSeconds:
+        options.for !== undefined ? parseDuration(options.for) : ruleType.defaultForSeconds,
+      clearSeconds: options.clear !== undefined ? parseDuration(options.clear) : 60,
+      severity: options.severity || "warning",
+      name: options.name || null,
+      channels: this.normalizeChannels(options.channels),
+    };
+    validateRule(rule);
+
+    const created = await this.db.createAlertRule(rule);
+    console.log(
+      `✅ Rule ${created.id}: ${options.station || "(all stations)"} ${field} ${describeRule(created, fieldUnit(field.replace("*", "")) || "")}`
+    );
+  }
+
+  /**
+   * Enable or disable a rule
+   */
+  async setRuleEnabled(ruleId, enabled) {
+    await this.db.updateAlertRule(ruleId, { enabled });
+    console.log(`✅ Rule ${ruleId} ${enabled ? "enabled" : "disabled"}`);
+  }
+
+  /**
+   * Normalise --channels and warn about names missing from notifiers.json
+   * @param {string|boolean} channels - Comma-separated channel names
+   * @returns {string|null} Stored value (null = default channels)
+   */
+  normalizeChannels(channels) {
+    if (!channels || channels === true || channels === "default") {
+      return null;
+    }
+    const names = parseChannels(channels);
+    const config = NotificationService.loadConfig();
+    const known = Object.keys((config && config.channels) || {});
+    names
+      .filter((name) => !known.includes(name))
+      .forEach((name) => console.warn(`⚠️  Channel "${name}" is not defined in notifiers.json`));
+    return names.join(",");
+  }
+
+  /**
+   * Route a rule's notifications to specific channels
+   */
+  async setRuleChannels(ruleId, channels) {
+    const value = this.normalizeChannels(channels);
+    await this.db.updateAlertRule(ruleId, { channels: value });
+    console.log(`✅ Rule ${ruleId} notifies ${value || "the default channels"}`);
+  }
+
+  /**
+   * Send a test message through notifier channels
+   */
+  async testNotify(names) {
+    const config = NotificationService.loadConfig();
+    if (!config) {
+      console.log("📣 No notifiers.json (copy notifiers.example.json to configure channels)");
+      return;
+    }
+    const service = new NotificationService(config);
+    try {
+      const result = await service.sendTest(names.length > 0 ? names : undefined);
+      result.sent.forEach((name) => console.log(`✅ ${name}: sent`));
+      result.failed.forEach((name) => console.log(`❌ ${name}: failed`));
+    } finally {
+      service.detach();
+    }
+  }
+
+  /**
+   * Remove a rule and its alert history
+   */
+  async removeRule(ruleId) {
+    const alerts = await this.db.deleteAlertRule(ruleId);
+    console.log(`✅ Rule ${ruleId} removed with ${alerts} alerts`);
+  }
+
+  /**
+   * List open alerts, or the alert history with --all
+   */
+  async listAlerts(options) {
+    const query = {
+      stationId: await this.resolveStationId(options.station),
+      limit: Number(options.limit || 50),
+    };
+    if (options.all) {
+      const { start, end } = resolveDateRange(options, { days: 7 });
+      query.startDate = start;
+      query.endDate = end;
+    } else {
+      query.states = [AlertStates.ACTIVE, AlertStates.ACKNOWLEDGED];
+    }
+
+    const alerts = await this.db.getAlerts(query);
+    if (alerts.length === 0) {
+      console.log(options.all ? "🔔 No alerts in this period" : "✅ No open alerts");
+      return;
+    }
+
+    console.log(`🔔 ${options.all ? "Alert history" : "Open alerts"} (${alerts.length})\n`);
+    alerts.forEach((alert) => {
+      const icon = { active: "🚨", acknowledged: "👀", cleared: "✅" }[alert.state] || "🔔";
+      console.log(`${icon} [${alert.severity}] ${alert.message}`);
+      console.log(
+        `   ${alert.id} · raised ${alert.raisedAt.toLocaleString("th-TH")}${alert.occurrences > 1 ? ` · ${alert.occurrences} occurrences` : ""}`
+      );
+      if (alert.acknowledgedAt) {
+        console.log(
+          `   acknowledged ${alert.acknowledgedAt.toLocaleString("th-TH")}${alert.acknowledgedBy ? ` by ${alert.acknowledgedBy}` : ""}`
+        );
+      }
+      if (alert.clearedAt) {
+        console.log(`   cleared ${alert.clearedAt.toLocaleString("th-TH")}`);
+      }
+    });
+  }
+
+  /**
+   * Acknowledge an alert
+   */
+  async acknowledge(alertId, by) {
+    const alert = await this.db.acknowledgeAlert(alertId, by || null);
+    console.log(
+      alert
+        ? `👀 Acknowledged: ${alert.message}`
+        : `📡 Alert ${alertId} is not active (already acknowledged, cleared or unknown)`
+    );
+  }
+
+  /**
+   * Show help
+   */
+  showHelp() {
+    console.log("🔔 Alert Manager - Threshold rules and alert history\n");
+    console.log("Usage: node src/utils/alert-manager.js <command> [arguments]\n");
+    console.log("Commands:");
+    console.log("  rules                                         - List alert rules");
+    console.log("  add-rule <field> <type> [threshold] [options] - Add a rule");
+    console.log("      --station name   Only this station (default: all stations)");
+    console.log("      --for 5m         Condition must hold this long (stalled: time without increase)");
+    console.log("      --clear 1m       Condition must be false this long before clearing");
+    console.log(`      --severity s     ${SEVERITIES.join(", ")} (default warning)`);
+    console.log("      --name text      Description");
+    console.log("      --channels a,b   Notifier channels from notifiers.json (default: channels marked default)");
+    console.log("  enable-rule <id> / disable-rule <id>          - Turn a rule on or off");
+    console.log("  set-channels <id> <a,b|default>               - Route a rule's notifications");
+    console.log("  remove-rule <id>                              - Delete a rule and its alerts");
+    console.log("  list [--station name]                         - Open alerts");
+    console.log("  list --all [--from --to | --month]            - Alert history (default last 7 days)");
+    console.log("  ack <alert-id> [--by name]                    - Acknowledge an alert");
+    console.log("  test-notify [channel ...]                     - Send a test message (default: every channel)");
+    console.log("  help                                          - Show this help\n");
+    console.log(`Types:  ${Object.keys(RULE_TYPES).join(", ")}`);
+    console.log("        below/above X W, rate X W per minute, stalled (counter not increasing)");
+    console.log("Fields: activePower1-6, muxPower1-6, or a wildcard such as activePower*\n");
+    console.log("Examples:");
+    console.log("  node src/utils/alert-manager.js add-rule 'activePower*' below 100 --for 5m --severity critical");
+    console.log('  node src/utils/alert-manager.js add-rule activePower1 above 5000 --station "แพร่"');
+    console.log("  node src/utils/alert-manager.js add-rule 'muxPower*' stalled --for 30m");
+    console.log("  node src/utils/alert-manager.js set-channels clx456 line-noc,log");
+    console.log("  node src/utils/alert-manager.js ack clx123 --by somchai");
+  }
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const options = parseOptions(args.slice(1));
+
+  if (!command || command === "help") {
+    new AlertManager().showHelp();
+    return;
+  }
+
+  // Notifier tests only need notifiers.json, not the database
+  if (command === "test-notify") {
+    try {
+      await new AlertManager().testNotify(options._);
+    } catch (error) {
+      console.error("❌ Error:", error.message);
+    }
+    return;
+  }
+
+  const manager = new AlertManager();
+
+  try {
+    await manager.connect();
+
+    switch (command) {
+      case "rules":
+        await manager.listRules();
+        break;
+
+      case "add-rule":
+        if (options._.length < 2) {
+          console.error("❌ Usage: add-rule <field> <type> [threshold] [--station name] [--for 5m]");
+          break;
+        }
+        await manager.addRule(options._[0], options._[1], options._[2], options);
+        break;
+
+      case "enable-rule":
+      case "disable-rule":
+        if (!options._[0]) {
+          console.error(`❌ Usage: ${command} <rule-id>`);
+          break;
+        }
+        await manager.setRuleEnabled(options._[0], command === "enable-rule");
+        break;
+
+      case "set-channels":
+        if (options._.length < 2) {
+          console.error("❌ Usage: set-channels <rule-id> <channel,channel|default>");
+          break;
+        }
+        await manager.setRuleChannels(options._[0], options._[1]);
+        break;
+
+      case "remove-rule":
+        if (!options._[0]) {
+          console.error("❌ Usage: remove-rule <rule-id>");
+          break;
+        }
+        await manager.removeRule(options._[0]);
+        break;
+
+      case "list":
+        await manager.listAlerts(options);
+        break;
+
+      case "ack":
+        if (!options._[0]) {
+          console.error("❌ Usage: ack <alert-id> [--by name]");
+          break;
+        }
+        await manager.acknowledge(options._[0], options.by);
+        break;
+
+      default:
+        console.error(`❌ Unknown command: ${command}`);
+        manager.showHelp();
+    }
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  } finally {
+    await manager.disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = AlertManager;
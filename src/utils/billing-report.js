@@ -0,0 +1,369 @@
+const fs = require("fs");
+const path = require("path");
+const DatabaseService = require("../database/DatabaseService");
+const BillingService = require("../services/BillingService");
+const { parseOptions, parseMonth } = require("./cli-options");
+
+/**
+ * Billing Report - Monthly per-MUX energy bills as CSV and printable HTML
+ */
+class BillingReport {
+  /**
+   * @param {Object} tariff - Tariff for BillingService (null for kWh only)
+   */
+  constructor(tariff = null) {
+    this.db = new DatabaseService();
+    this.billing = new BillingService(this.db, tariff);
+  }
+
+  async connect() {
+    await this.db.connect();
+  }
+
+  async disconnect() {
+    await this.db.disconnect();
+  }
+
+  /**
+   * Generate the report and write the CSV and HTML files
+   * @param {Object} options - { year, month, stationName, outputDir, maxKw, rolloverAt }
+   * @returns {Promise<Object>} { report, csvPath, htmlPath }
+   */
+  async generate(options) {
+    const { year, month, outputDir, ...reportOptions } = options;
+    const report = await this.billing.generateMonthlyReport(
+      year,
+      month,
+      reportOptions
+    );
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const suffix = reportOptions.stationName
+      ? `_${reportOptions.stationName.replace(/[\\/:*?"<>|\s]+/g, "_")}`
+      : "";
+    const csvPath = path.join(outputDir, `billing_${report.period.label}${suffix}.csv`);
+    const htmlPath = path.join(outputDir, `billing_${report.period.label}${suffix}.html`);
+
+    fs.writeFileSync(csvPath, this.toCsv(report));
+    fs.writeFileSync(htmlPath, this.toHtml(report));
+
+    this.printSummary(report);
+    console.log(`\n📄 CSV:  ${csvPath}`);
+    console.log(`📄 HTML: ${htmlPath}`);
+
+    return { report, csvPath, htmlPath };
+  }
+
+  /**
+   * Print per-broadcaster totals
+   */
+  printSummary(report) {
+    const currency = report.tariff ? report.tariff.currency : "";
+    console.log(
+      `\n🧾 Energy Billing ${report.period.label} (${report.stations.length} stations)`
+    );
+    console.log("─".repeat(80));
+    report.byMux.forEach((summary) => {
+      const cost =
+        summary.cost === null ? "" : `  ${this.formatNumber(summary.cost)} ${currency}`;
+      console.log(
+        `   ${summary.label.padEnd(14)} ${String(summary.stations).padStart(3)} stations  ${this.formatNumber(summary.consumedKwh).padStart(14)} kWh${cost}`
+      );
+    });
+  }
+
+  /**
+   * Build the CSV (one row per station and MUX)
+   * @param {Object} report - Billing report
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    const reading = (meter) => (meter ? meter.value : "");
+    const readingTime = (meter) => (meter ? meter.timestamp.toISOString() : "");
+    const lines = [
+      [
+        "month",
+        "station",
+        "mux",
+        "broadcaster",
+        "openingReading",
+        "openingTime",
+        "closingReading",
+        "closingTime",
+        "consumedKwh",
+        "peakKwh",
+        "offPeakKwh",
+        "cost",
+        "currency",
+        "notes",
+      ].join(","),
+    ];
+
+    report.stations.forEach((bill) => {
+      bill.muxes.forEach((line) => {
+        lines.push(
+          [
+            report.period.label,
+            quote(bill.station),
+            line.field,
+            quote(line.label),
+            reading(line.opening),
+            readingTime(line.opening),
+            reading(line.closing),
+            readingTime(line.closing),
+            line.consumedKwh.toFixed(3),
+            line.peakKwh.toFixed(3),
+            line.offPeakKwh.toFixed(3),
+            line.cost === null ? "" : line.cost.toFixed(2),
+            report.tariff ? report.tariff.currency : "",
+            quote(line.notes.join("; ")),
+          ].join(",")
+        );
+      });
+    });
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Build a printable HTML document
+   * @param {Object} report - Billing report
+   * @returns {string} HTML
+   */
+  toHtml(report) {
+    const tariff = report.tariff;
+    const showCost = Boolean(tariff);
+    const showTou = tariff && tariff.type === "tou";
+    const money = (value) =>
+      value === null ? "" : `${this.formatNumber(value)} ${tariff.currency}`;
+    const reading = (meter) =>
+      meter
+        ? `${this.formatNumber(meter.value)}<br><small>${this.escapeHtml(meter.timestamp.toLocaleString("th-TH"))}</small>`
+        : "-";
+
+    const tariffText = !tariff
+      ? "kWh only (no tariff)"
+      : tariff.type === "tou"
+      ? `TOU: peak ${tariff.peakRate} / off-peak ${tariff.offPeakRate} ${tariff.currency}/kWh (peak ${tariff.peakStartHour}:00-${tariff.peakEndHour}:00)`
+      : `Flat ${tariff.rate} ${tariff.currency}/kWh`;
+
+    const header = `
+          <tr>
+            <th>MUX</th><th>Opening</th><th>Closing</th><th>Consumed (kWh)</th>
+            ${showTou ? "<th>Peak (kWh)</th><th>Off-peak (kWh)</th>" : ""}
+            ${showCost ? "<th>Cost</th>" : ""}
+            <th>Notes</th>
+          </tr>`;
+
+    const stationSections = report.stations
+      .map((bill) => {
+        const rows = bill.muxes
+          .map(
+            (line) => `
+          <tr>
+            <td>${this.escapeHtml(line.label)}</td>
+            <td class="num">${reading(line.opening)}</td>
+            <td class="num">${reading(line.closing)}</td>
+            <td class="num">${this.formatNumber(line.consumedKwh)}</td>
+            ${showTou ? `<td class="num">${this.formatNumber(line.peakKwh)}</td><td class="num">${this.formatNumber(line.offPeakKwh)}</td>` : ""}
+            ${showCost ? `<td class="num">${money(line.cost)}</td>` : ""}
+            <td class="notes">${this.escapeHtml(line.notes.join("; "))}</td>
+          </tr>`
+          )
+          .join("");
+
+        return `
+      <section class="station">
+        <h2>${this.escapeHtml(bill.station)}</h2>
+        ${
+          bill.muxes.length === 0
+            ? "<p>No MUX meter readings for this month.</p>"
+            : `<table>${header}${rows}
+          <tr class="total">
+            <td colspan="3">Total</td>
+            <td class="num">${this.formatNumber(bill.totals.consumedKwh)}</td>
+            ${showTou ? `<td class="num">${this.formatNumber(bill.totals.peakKwh)}</td><td class="num">${this.formatNumber(bill.totals.offPeakKwh)}</td>` : ""}
+            ${showCost ? `<td class="num">${money(bill.totals.cost)}</td>` : ""}
+            <td></td>
+          </tr>
+        </table>`
+        }
+      </section>`;
+      })
+      .join("");
+
+    const summaryRows = report.byMux
+      .map(
+        (summary) => `
+          <tr>
+            <td>${this.escapeHtml(summary.label)}</td>
+            <td class="num">${summary.stations}</td>
+            <td class="num">${this.formatNumber(summary.consumedKwh)}</td>
+            ${showTou ? `<td class="num">${this.formatNumber(summary.peakKwh)}</td><td class="num">${this.formatNumber(summary.offPeakKwh)}</td>` : ""}
+            ${showCost ? `<td class="num">${money(summary.cost)}</td>` : ""}
+          </tr>`
+      )
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="th">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Energy Billing ${report.period.label}</title>
+    <style>
+      body { font-family: "Sarabun", "Tahoma", sans-serif; margin: 24px; color: #222; }
+      h1 { margin-bottom: 4px; }
+      .meta { color: #555; margin-bottom: 24px; }
+      table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+      th, td { border: 1px solid #bbb; padding: 4px 8px; font-size: 13px; }
+      th { background: #f0f0f0; }
+      td.num { text-align: right; white-space: nowrap; }
+      td.notes { font-size: 11px; color: #666; }
+      tr.total td { font-weight: bold; background: #fafafa; }
+      section.station { page-break-inside: avoid; }
+      @media print { body { margin: 0; } }
+    </style>
+  </head>
+  <body>
+    <h1>Energy Billing - ${report.period.label}</h1>
+    <div class="meta">
+      Period: ${this.escapeHtml(report.period.start.toLocaleString("th-TH"))} - ${this.escapeHtml(report.period.end.toLocaleString("th-TH"))}<br>
+      Tariff: ${this.escapeHtml(tariffText)}${tariff && tariff.serviceCharge ? ` + ${tariff.serviceCharge} ${tariff.currency} service charge per MUX` : ""}<br>
+      Generated: ${this.escapeHtml(report.generatedAt.toLocaleString("th-TH"))}
+    </div>
+
+    <h2>Summary by Broadcaster</h2>
+    <table>
+      <tr>
+        <th>MUX</th><th>Stations</th><th>Consumed (kWh)</th>
+        ${showTou ? "<th>Peak (kWh)</th><th>Off-peak (kWh)</th>" : ""}
+        ${showCost ? "<th>Cost</th>" : ""}
+      </tr>${summaryRows}
+    </table>
+${stationSections}
+  </body>
+</html>
+`;
+  }
+
+  formatNumber(value) {
+    return Number(value).toLocaleString("th-TH", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Show help
+   */
+  showHelp() {
+    console.log("🧾 Billing Report - Monthly per-MUX energy bills\n");
+    console.log("Usage: node src/utils/billing-report.js [options]\n");
+    console.log("Options:");
+    console.log("  --month YYYY-MM             - Billing month (default: last month)");
+    console.log("  --station <name>            - Only this station");
+    console.log("  --rate <price>              - Flat tariff per kWh");
+    console.log("  --peak-rate <price>         - TOU peak rate per kWh (09:00-22:00 Mon-Fri)");
+    console.log("  --off-peak-rate <price>     - TOU off-peak rate per kWh");
+    console.log("  --tariff <file.json>        - Tariff file (rates, peak hours, holidays)");
+    console.log("  --out <dir>                 - Output directory (default: reports)");
+    console.log("  --help                      - Show this help\n");
+    console.log("Tariff file example:");
+    console.log(
+      '  { "currency": "THB", "peakRate": 5.7982, "offPeakRate": 2.6369, "holidays": ["2026-10-13", "2026-10-23"] }\n'
+    );
+    console.log("Examples:");
+    console.log("  node src/utils/billing-report.js --month 2026-09");
+    console.log("  node src/utils/billing-report.js --month 2026-09 --rate 4.18");
+    console.log("  node src/utils/billing-report.js --month 2026-09 --tariff tariff.json");
+  }
+}
+
+/**
+ * Resolve the tariff from --tariff, --rate or --peak-rate/--off-peak-rate
+ * @param {Object} options - Parsed options
+ * @returns {Object|null} Tariff definition
+ */
+function resolveTariff(options) {
+  if (options.tariff) {
+    return JSON.parse(fs.readFileSync(options.tariff, "utf8"));
+  }
+  if (options["peak-rate"] || options["off-peak-rate"]) {
+    return {
+      peakRate: options["peak-rate"],
+      offPeakRate: options["off-peak-rate"],
+    };
+  }
+  if (options.rate) {
+    return { rate: options.rate };
+  }
+  return null;
+}
+
+/**
+ * Resolve report options from the command line
+ * @param {Object} options - Parsed options
+ * @returns {Object} Report options
+ */
+function resolveReportOptions(options) {
+  let year;
+  let month;
+  if (options.month) {
+    const { start } = parseMonth(options.month);
+    year = start.getFullYear();
+    month = start.getMonth() + 1;
+  } else {
+    const lastMonth = new Date();
+    lastMonth.setDate(1);
+    lastMonth.setMonth(lastMonth.getMonth() - 1);
+    year = lastMonth.getFullYear();
+    month = lastMonth.getMonth() + 1;
+  }
+
+  return {
+    year,
+    month,
+    stationName: options.station || null,
+    outputDir: options.out || path.join(process.cwd(), "reports"),
+  };
+}
+
+// Command line interface
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+
+  if (options.help || options._[0] === "help") {
+    new BillingReport().showHelp();
+    return;
+  }
+
+  let report = null;
+  try {
+    const reportOptions = resolveReportOptions(options);
+    report = new BillingReport(resolveTariff(options));
+    await report.connect();
+    await report.generate(reportOptions);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  } finally {
+    if (report) {
+      await report.disconnect();
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = BillingReport;
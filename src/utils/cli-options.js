@@ -0,0 +1,131 @@
+/**
+ * Shared command line option parsing for the reporting tools
+ */
+
+/**
+ * Parse --name value pairs from the command line
+ * Flags without a value (e.g. --csv) are set to true.
+ * @param {Array<string>} args - Arguments after the command
+ * @returns {Object} Option map with a `_` array of positional arguments
+ */
+function parseOptions(args) {
+  const options = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      const next = args[i + 1];
+      if (next === undefined || next.startsWith("--")) {
+        options[args[i].slice(2)] = true;
+      } else {
+        options[args[i].slice(2)] = next;
+        i++;
+      }
+    } else {
+      options._.push(args[i]);
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse a YYYY-MM-DD date as local midnight (new Date("YYYY-MM-DD") would be UTC)
+ * @param {string} value - Date string
+ * @returns {Date}
+ */
+function parseLocalDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) {
+    throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Parse a local date with an optional time, "YYYY-MM-DD HH:mm" or "YYYY-MM-DDTHH:mm"
+ * @param {string} value - Date/time string
+ * @returns {Date}
+ */
+function parseLocalDateTime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/.exec(value || "");
+  if (!match) {
+    throw new Error(`Invalid date "${value}", expected YYYY-MM-DD or "YYYY-MM-DD HH:mm"`);
+  }
+  return new Date(
+    Number(match[1]),
+    Number(match[2]) - 1,
+    Number(match[3]),
+    Number(match[4] || 0),
+    Number(match[5] || 0)
+  );
+}
+
+/**
+ * Parse a YYYY-MM month into its local start and end
+ * @param {string} value - Month string
+ * @returns {Object} { start, end }
+ */
+function parseMonth(value) {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || "");
+  if (!match) {
+    throw new Error(`Invalid month "${value}", expected YYYY-MM`);
+  }
+  return {
+    start: new Date(Number(match[1]), Number(match[2]) - 1, 1),
+    end: new Date(Number(match[1]), Number(match[2]), 1),
+  };
+}
+
+/**
+ * Resolve a date range from --month or --from/--to (--to is inclusive)
+ * @param {Object} options - Parsed options
+ * @param {Object} defaults - { days: length of the default range ending now, capAtNow }
+ * @returns {Object} { start, end }
+ */
+function resolveDateRange(options, defaults = {}) {
+  const { days = 30, capAtNow = true } = defaults;
+  let start;
+  let end;
+
+  if (options.month) {
+    ({ start, end } = parseMonth(options.month));
+  } else {
+    end = options.to ? parseLocalDate(options.to) : new Date();
+    if (options.to) {
+      end.setDate(end.getDate() + 1);
+    }
+    start = options.from
+      ? parseLocalDate(options.from)
+      : new Date(end.getTime() - days * 24 * 60 * 60 * 1000);
+  }
+
+  if (capAtNow && end > new Date()) {
+    end = new Date();
+  }
+  if (start >= end) {
+    throw new Error("Range start must be before its end");
+  }
+
+  return { start, end };
+}
+
+/**
+ * Parse a duration such as "90s", "5m", "2h" or "1d" (a bare number is seconds)
+ * @param {string|number} value - Duration
+ * @returns {number} Seconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd])?$/.exec(String(value).trim().toLowerCase());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}", expected e.g. 90s, 5m, 2h or 1d`);
+  }
+  const unitSeconds = { s: 1, m: 60, h: 3600, d: 86400 };
+  return Math.round(Number(match[1]) * unitSeconds[match[2] || "s"]);
+}
+
+module.exports = {
+  parseOptions,
+  parseLocalDate,
+  parseLocalDateTime,
+  parseMonth,
+  resolveDateRange,
+  parseDuration,
+};
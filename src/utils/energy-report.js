@@ -0,0 +1,251 @@
+const fs = require("fs");
+const DatabaseService = require("../database/DatabaseService");
+const { MUX_FIELDS, PERIODS } = require("../services/EnergyService");
+const { parseOptions, resolveDateRange } = require("./cli-options");
+
+/**
+ * Energy Report - Per-MUX energy consumption (kWh) from the cumulative MUX counters
+ */
+class EnergyReport {
+  constructor() {
+    this.db = new DatabaseService();
+  }
+
+  async connect() {
+    await this.db.connect();
+  }
+
+  async disconnect() {
+    await this.db.disconnect();
+  }
+
+  /**
+   * Print consumption for one station or all stations
+   * @param {Object} options - { start, end, period, stationName, csvPath, maxKw, rolloverAt }
+   * @returns {Promise<Array>} [{ station, consumption }]
+   */
+  async report(options) {
+    const { start, end, stationName, csvPath, ...energyOptions } = options;
+
+    try {
+      let results;
+      if (stationName) {
+        const station = await this.db.getStationByName(stationName);
+        if (!station) {
+          console.log(`📡 Station "${stationName}" not found`);
+          return [];
+        }
+        const consumption = await this.db.getEnergyConsumption(
+          station.id,
+          start,
+          end,
+          energyOptions
+        );
+        results = [{ station: station.name, consumption }];
+      } else {
+        results = await this.db.getAllStationsEnergyConsumption(
+          start,
+          end,
+          energyOptions
+        );
+      }
+
+      results.forEach((result) => this.printStation(result));
+      if (csvPath) {
+        fs.writeFileSync(csvPath, this.toCsv(results));
+        console.log(`\n📄 CSV written to ${csvPath}`);
+      }
+
+      return results;
+    } catch (error) {
+      console.error("❌ Failed to build energy report:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Print a station's consumption as a table
+   */
+  printStation({ station, consumption }) {
+    const muxes = MUX_FIELDS.filter(
+      (field) => consumption.muxes[field].readings > 0
+    );
+
+    console.log(
+      `\n⚡ ${station} - ${consumption.start.toLocaleString("th-TH")} → ${consumption.end.toLocaleString("th-TH")} (per ${consumption.period})`
+    );
+    console.log("─".repeat(80));
+
+    if (muxes.length === 0) {
+      console.log("   No MUX meter readings in this period");
+      return;
+    }
+
+    const bucketStarts = [
+      ...new Set(
+        muxes.flatMap((field) =>
+          consumption.muxes[field].buckets.map((bucket) =>
+            bucket.start.getTime()
+          )
+        )
+      ),
+    ].sort((a, b) => a - b);
+
+    console.log(
+      `   ${"Period".padEnd(20)}${muxes
+        .map((field) => consumption.muxes[field].label.padStart(14))
+        .join("")}`
+    );
+    bucketStarts.forEach((time) => {
+      const cells = muxes.map((field) => {
+        const bucket = consumption.muxes[field].buckets.find(
+          (entry) => entry.start.getTime() === time
+        );
+        if (!bucket) return "-".padStart(14);
+        return `${bucket.kwh.toFixed(2)}${bucket.estimated ? "*" : " "}`.padStart(14);
+      });
+      console.log(
+        `   ${this.formatBucket(new Date(time), consumption.period).padEnd(20)}${cells.join("")}`
+      );
+    });
+    console.log(
+      `   ${"Total (kWh)".padEnd(20)}${muxes
+        .map((field) => `${consumption.muxes[field].totalKwh.toFixed(2)} `.padStart(14))
+        .join("")}`
+    );
+    console.log("   * includes a gap in the readings (consumption interpolated)");
+
+    muxes.forEach((field) => {
+      const mux = consumption.muxes[field];
+      mux.resets.forEach((reset) => {
+        console.log(
+          `   🔁 ${mux.label}: counter ${reset.kind} at ${reset.at.toLocaleString("th-TH")} (${reset.from} → ${reset.to}, counted ${reset.kwh.toFixed(2)} kWh)`
+        );
+      });
+      mux.discarded.forEach((step) => {
+        console.log(
+          `   ⚠️  ${mux.label}: discarded implausible step at ${step.at.toLocaleString("th-TH")} (${step.from} → ${step.to})`
+        );
+      });
+    });
+  }
+
+  /**
+   * Build CSV for all results (one row per station, MUX and bucket)
+   * @returns {string} CSV text
+   */
+  toCsv(results) {
+    const lines = ["station,mux,label,bucketStart,bucketEnd,kwh,estimated"];
+    results.forEach(({ station, consumption }) => {
+      MUX_FIELDS.forEach((field) => {
+        const mux = consumption.muxes[field];
+        mux.buckets.forEach((bucket) => {
+          lines.push(
+            [
+              `"${station.replace(/"/g, '""')}"`,
+              field,
+              `"${mux.label}"`,
+              bucket.start.toISOString(),
+              bucket.end.toISOString(),
+              bucket.kwh.toFixed(3),
+              bucket.estimated,
+            ].join(",")
+          );
+        });
+      });
+    });
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Label a bucket for display
+   */
+  formatBucket(date, period) {
+    const pad = (value) => String(value).padStart(2, "0");
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    if (period === "hour") return `${day} ${pad(date.getHours())}:00`;
+    if (period === "month") return day.slice(0, 7);
+    return day;
+  }
+
+  /**
+   * Show help
+   */
+  showHelp() {
+    console.log("⚡ Energy Report - MUX energy consumption from meter totals\n");
+    console.log(
+      "Usage: node src/utils/energy-report.js [station-name] [options]\n"
+    );
+    console.log("Options:");
+    console.log("  --month YYYY-MM             - Calendar month to report");
+    console.log("  --from YYYY-MM-DD           - Range start (default: 30 days ago)");
+    console.log("  --to YYYY-MM-DD             - Range end, inclusive (default: now)");
+    console.log(`  --period <${PERIODS.join("|")}>     - Bucket size (default: day)`);
+    console.log("  --max-kw <kW>               - Highest plausible MUX load (default: 200)");
+    console.log("  --rollover <kWh>            - Counter wrap value, if the meters wrap");
+    console.log("  --csv <file>                - Also write the buckets to a CSV file");
+    console.log("  --help                      - Show this help\n");
+    console.log("Examples:");
+    console.log("  node src/utils/energy-report.js --month 2026-09");
+    console.log('  node src/utils/energy-report.js "แพร่" --from 2026-09-01 --to 2026-09-07 --period hour');
+    console.log("  node src/utils/energy-report.js --month 2026-09 --period month --csv energy.csv");
+  }
+}
+
+/**
+ * Resolve report options from the command line
+ * @param {Object} options - Parsed options
+ * @returns {Object} Report options
+ */
+function resolveReportOptions(options) {
+  const { start, end } = resolveDateRange(options);
+  const period = options.period || "day";
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Invalid period "${period}", expected one of: ${PERIODS.join(", ")}`);
+  }
+
+  const reportOptions = {
+    start,
+    end,
+    period,
+    stationName: options._[0] || null,
+    csvPath: null,
+  };
+  if (options.csv) {
+    if (options.csv === true) {
+      throw new Error("--csv needs a file path");
+    }
+    reportOptions.csvPath = options.csv;
+  }
+  if (options["max-kw"]) reportOptions.maxKw = Number(options["max-kw"]);
+  if (options.rollover) reportOptions.rolloverAt = Number(options.rollover);
+  return reportOptions;
+}
+
+// Command line interface
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const report = new EnergyReport();
+
+  if (options.help || options._[0] === "help") {
+    report.showHelp();
+    return;
+  }
+
+  try {
+    const reportOptions = resolveReportOptions(options);
+    await report.connect();
+    await report.report(reportOptions);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  } finally {
+    await report.disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = EnergyReport;
@@ -0,0 +1,236 @@
+const DatabaseService = require("../database/DatabaseService");
+const RetentionService = require("../services/RetentionService");
+const {
+  DATASETS,
+  DEFAULT_RULES,
+  getDataset,
+  parseRetention,
+  formatRetention,
+} = RetentionService;
+const { parseOptions } = require("./cli-options");
+
+/**
+ * Retention Manager - Manage retention rules and prune old data
+ */
+class RetentionManager {
+  constructor() {
+    this.db = new DatabaseService();
+    this.retention = new RetentionService(this.db);
+  }
+
+  async connect() {
+    await this.db.connect();
+  }
+
+  async disconnect() {
+    await this.db.disconnect();
+  }
+
+  /**
+   * Resolve --station to a station ID (null for the global rule)
+   */
+  async resolveStationId(stationName) {
+    if (!stationName) {
+      return null;
+    }
+    const station = await this.db.getStationByName(stationName);
+    if (!station) {
+      throw new Error(`Station "${stationName}" not found`);
+    }
+    return station.id;
+  }
+
+  /**
+   * List retention rules
+   */
+  async listRules() {
+    const rules = await this.db.getRetentionRules();
+    if (rules.length === 0) {
+      console.log("🧹 No retention rules - all data is kept forever");
+      console.log('   Run "retention defaults" to install the default rules');
+      return;
+    }
+
+    console.log("🧹 Retention Rules\n");
+    console.log(`   ${"Scope".padEnd(24)}${"Dataset".padEnd(10)}Keep`);
+    console.log("   " + "─".repeat(44));
+    rules.forEach((rule) => {
+      const scope = rule.station ? rule.station.name : "(global)";
+      console.log(
+        `   ${scope.padEnd(24)}${rule.dataset.padEnd(10)}${formatRetention(rule.keepDays)}`
+      );
+    });
+  }
+
+  /**
+   * Set a rule
+   */
+  async setRule(dataset, keep, stationName) {
+    getDataset(dataset);
+    const keepDays = parseRetention(keep);
+    const stationId = await this.resolveStationId(stationName);
+    await this.db.setRetentionRule(stationId, dataset, keepDays);
+    console.log(
+      `✅ ${stationName || "(global)"}: keep ${dataset} for ${formatRetention(keepDays)}`
+    );
+  }
+
+  /**
+   * Remove a rule
+   */
+  async unsetRule(dataset, stationName) {
+    getDataset(dataset);
+    const stationId = await this.resolveStationId(stationName);
+    const removed = await this.db.deleteRetentionRule(stationId, dataset);
+    console.log(
+      removed > 0
+        ? `✅ Removed ${dataset} rule for ${stationName || "(global)"}`
+        : `📡 No ${dataset} rule for ${stationName || "(global)"}`
+    );
+  }
+
+  /**
+   * Install the default global rules (existing global rules are overwritten)
+   */
+  async installDefaults() {
+    for (const [dataset, keepDays] of Object.entries(DEFAULT_RULES)) {
+      await this.db.setRetentionRule(null, dataset, keepDays);
+      console.log(`✅ (global): keep ${dataset} for ${formatRetention(keepDays)}`);
+    }
+  }
+
+  /**
+   * Prune, or show what would be pruned
+   */
+  async prune(options) {
+    const result = await this.retention.prune(options);
+    if (!result) {
+      return;
+    }
+
+    const entries = result.plan.filter((entry) => entry.rows > 0 || entry.heldBack);
+    console.log(
+      `🧹 ${result.dryRun ? "Dry run - nothing will be deleted" : "Pruning"}\n`
+    );
+
+    if (entries.length === 0) {
+      console.log("   Nothing to prune");
+    }
+    entries.forEach((entry) => {
+      const cutoff = entry.effectiveCutoff
+        ? entry.effectiveCutoff.toLocaleString("th-TH")
+        : "-";
+      const rows = result.dryRun ? entry.rows : entry.deleted || 0;
+      console.log(
+        `   ${entry.station.padEnd(20)}${entry.dataset.padEnd(8)}${formatRetention(entry.keepDays).padEnd(9)}${entry.scope.padEnd(9)}before ${cutoff.padEnd(24)}${rows.toLocaleString().padStart(12)} rows`
+      );
+      if (entry.heldBack) {
+        console.log(
+          `   ${"".padEnd(20)}⏳ held back until rolled up into ${getDataset(entry.dataset).guardedBy}`
+        );
+      }
+    });
+
+    const total = result.dryRun
+      ? result.plan.reduce((sum, entry) => sum + entry.rows, 0)
+      : result.deleted;
+    console.log(
+      `\n📊 ${result.dryRun ? "Would delete" : "Deleted"}: ${total.toLocaleString()} rows`
+    );
+    if (result.vacuumed) {
+      console.log("🗜️  Database vacuumed");
+    }
+  }
+
+  /**
+   * Show help
+   */
+  showHelp() {
+    console.log("🧹 Retention Manager - Data lifecycle rules and pruning\n");
+    console.log("Usage: node src/utils/retention-manager.js <command> [arguments]\n");
+    console.log("Commands:");
+    console.log("  list                                  - List retention rules");
+    console.log("  set <dataset> <keep> [--station name] - Set a global or per-station rule");
+    console.log("  unset <dataset> [--station name]      - Remove a rule");
+    console.log("  defaults                              - Install the default global rules");
+    console.log("  prune [--dry-run] [--no-vacuum]       - Delete data older than the rules");
+    console.log("  help                                  - Show this help\n");
+    console.log(`Datasets: ${DATASETS.map((dataset) => dataset.name).join(", ")}`);
+    console.log("Keep:     30d, 12w, 6m, 2y or forever");
+    console.log(
+      `Defaults: ${Object.entries(DEFAULT_RULES)
+        .map(([dataset, keepDays]) => `${dataset} ${formatRetention(keepDays)}`)
+        .join(", ")}\n`
+    );
+    console.log("Examples:");
+    console.log("  node src/utils/retention-manager.js defaults");
+    console.log('  node src/utils/retention-manager.js set raw 90d --station "แพร่"');
+    console.log("  node src/utils/retention-manager.js prune --dry-run");
+  }
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const options = parseOptions(args.slice(1));
+
+  if (!command || command === "help") {
+    new RetentionManager().showHelp();
+    return;
+  }
+
+  const manager = new RetentionManager();
+
+  try {
+    await manager.connect();
+
+    switch (command) {
+      case "list":
+        await manager.listRules();
+        break;
+
+      case "set":
+        if (options._.length < 2) {
+          console.error("❌ Usage: set <dataset> <keep> [--station name]");
+          break;
+        }
+        await manager.setRule(options._[0], options._[1], options.station);
+        break;
+
+      case "unset":
+        if (options._.length < 1) {
+          console.error("❌ Usage: unset <dataset> [--station name]");
+          break;
+        }
+        await manager.unsetRule(options._[0], options.station);
+        break;
+
+      case "defaults":
+        await manager.installDefaults();
+        break;
+
+      case "prune":
+        await manager.prune({
+          dryRun: Boolean(options["dry-run"]),
+          vacuum: !options["no-vacuum"],
+        });
+        break;
+
+      default:
+        console.error(`❌ Unknown command: ${command}`);
+        manager.showHelp();
+    }
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  } finally {
+    await manager.disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = RetentionManager;
@@ -0,0 +1,185 @@
+const DatabaseService = require("../database/DatabaseService");
+const RollupService = require("../services/RollupService");
+const { RESOLUTIONS } = RollupService;
+const { parseOptions, resolveDateRange } = require("./cli-options");
+
+/**
+ * Rollup Manager - Maintain and inspect the 1m/1h/1d rollup tables
+ */
+class RollupManager {
+  constructor() {
+    this.db = new DatabaseService();
+    this.rollups = new RollupService(this.db);
+  }
+
+  async connect() {
+    await this.db.connect();
+  }
+
+  async disconnect() {
+    await this.db.disconnect();
+  }
+
+  /**
+   * Roll up all completed buckets for every station
+   */
+  async run() {
+    console.log("📚 Rolling up completed buckets...");
+    const started = Date.now();
+    const result = await this.rollups.runOnce();
+    if (result) {
+      console.log(
+        `✅ ${result.stations} stations, ${result.buckets} buckets written in ${((Date.now() - started) / 1000).toFixed(1)}s`
+      );
+    }
+  }
+
+  /**
+   * Recompute rollups for a range after importing older readings
+   */
+  async rebuild(stationName, start, end) {
+    const station = await this.db.getStationByName(stationName);
+    if (!station) {
+      console.log(`📡 Station "${stationName}" not found`);
+      return;
+    }
+
+    console.log(
+      `📚 Rebuilding ${station.name}: ${start.toLocaleString("th-TH")} → ${end.toLocaleString("th-TH")}`
+    );
+    const written = await this.rollups.rebuild(station.id, start, end);
+    console.log(`✅ ${written} buckets rewritten`);
+  }
+
+  /**
+   * Show rollup watermarks per station
+   */
+  async status() {
+    const stations = await this.db.getAllStations();
+    if (stations.length === 0) {
+      console.log("📡 No stations found in database");
+      return;
+    }
+
+    console.log("📚 Rollup Status (complete up to)\n");
+    console.log(
+      `   ${"Station".padEnd(20)}${RESOLUTIONS.map((resolution) => resolution.name.padEnd(24)).join("")}`
+    );
+    for (const station of stations) {
+      const marks = [];
+      for (const resolution of RESOLUTIONS) {
+        const watermark = await this.db.getRollupWatermark(station.id, resolution.name);
+        marks.push((watermark ? watermark.toLocaleString("th-TH") : "-").padEnd(24));
+      }
+      console.log(`   ${station.name.padEnd(20)}${marks.join("")}`);
+    }
+  }
+
+  /**
+   * Print power history at the automatically chosen resolution
+   */
+  async history(stationName, start, end, options) {
+    const station = await this.db.getStationByName(stationName);
+    if (!station) {
+      console.log(`📡 Station "${stationName}" not found`);
+      return;
+    }
+
+    const history = await this.db.getPowerHistory(station.id, start, end, options);
+    console.log(
+      `📈 ${station.name}: ${history.points.length} points at ${history.resolution} resolution\n`
+    );
+    history.points.forEach((point) => {
+      const values = [1, 2, 3, 4, 5, 6]
+        .map((i) => point[`activePower${i}`])
+        .map((value) => (value === null || value === undefined ? "-" : value.toFixed(1)).padStart(10))
+        .join("");
+      console.log(`   ${new Date(point.timestamp).toLocaleString("th-TH").padEnd(24)}${values}`);
+    });
+  }
+
+  /**
+   * Show help
+   */
+  showHelp() {
+    console.log("📚 Rollup Manager - 1m/1h/1d aggregate tables\n");
+    console.log("Usage: node src/utils/rollup-manager.js <command> [arguments]\n");
+    console.log("Commands:");
+    console.log("  run                                   - Roll up all completed buckets");
+    console.log("  status                                - Show how far each station is rolled up");
+    console.log("  rebuild <station> --from --to         - Recompute a range (after imports)");
+    console.log("  history <station> --from --to         - Show history at the auto resolution");
+    console.log("          [--resolution raw|1m|1h|1d] [--max-points 1000]");
+    console.log("  help                                  - Show this help\n");
+    console.log("Examples:");
+    console.log("  node src/utils/rollup-manager.js run");
+    console.log('  node src/utils/rollup-manager.js rebuild "แพร่" --from 2026-09-01 --to 2026-09-30');
+    console.log('  node src/utils/rollup-manager.js history "แพร่" --month 2026-09');
+  }
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const options = parseOptions(args.slice(1));
+
+  if (!command || command === "help") {
+    new RollupManager().showHelp();
+    return;
+  }
+
+  const manager = new RollupManager();
+
+  try {
+    await manager.connect();
+
+    switch (command) {
+      case "run":
+        await manager.run();
+        break;
+
+      case "status":
+        await manager.status();
+        break;
+
+      case "rebuild": {
+        if (!options._[0] || !options.from) {
+          console.error("❌ Usage: rebuild <station-name> --from YYYY-MM-DD [--to YYYY-MM-DD]");
+          break;
+        }
+        const { start, end } = resolveDateRange(options);
+        await manager.rebuild(options._[0], start, end);
+        break;
+      }
+
+      case "history": {
+        if (!options._[0]) {
+          console.error("❌ Usage: history <station-name> [--from --to | --month]");
+          break;
+        }
+        const { start, end } = resolveDateRange(options, { days: 1 });
+        await manager.history(options._[0], start, end, {
+          resolution: options.resolution || "auto",
+          maxPoints: Number(options["max-points"] || 1000),
+        });
+        break;
+      }
+
+      default:
+        console.error(`❌ Unknown command: ${command}`);
+        manager.showHelp();
+    }
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  } finally {
+    await manager.disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = RollupManager;
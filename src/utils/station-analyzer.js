@@ -1,5 +1,12 @@
 const DatabaseService = require("../database/DatabaseService");
 const ApiDataFetcher = require("../api/ApiDataFetcher");
+const OffAirDetector = require("../services/OffAirDetector");
+const { summarizeIncidents, describeScheduledSlots } = OffAirDetector;
+const { ACTIVE_POWER_FIELDS } = require("../services/RollupService");
+const { getFieldLabel } = require("../database/FieldLabels");
+const StationEventTypes = require("../database/StationEventTypes");
+const { summarizeMappingHealth } = require("../database/ObjectMapping");
+const { parseOptions, resolveDateRange } = require("./cli-options");
 
 /**
  * Station Analyzer - Analyzes stations to determine their type and configuration
@@ -136,8 +143,10 @@ class StationAnalyzer {
 
   /**
    * Check specific station configuration
+   * @param {string} stationName - Station name
+   * @param {Object} options - { hours: mapping health window (default 24) }
    */
-  async checkStation(stationName) {
+  async checkStation(stationName, options = {}) {
     try {
       const station = await this.db.getStationByName(stationName);
 
@@ -187,11 +196,327 @@ class StationAnalyzer {
       console.log(`   Power Readings: ${station._count.powerReadings}`);
       console.log(`   Created: ${station.createdAt.toLocaleString("th-TH")}`);
       console.log(`   Updated: ${station.updatedAt.toLocaleString("th-TH")}`);
+
+      if (!ApiDataFetcher.isApiStation(stationConfig)) {
+        await this.mappingHealth(station, options.hours || 24);
+      }
     } catch (error) {
       console.error("❌ Failed to check station:", error.message);
     }
   }
 
+  /**
+   * Report how well the station's mapped objects delivered values: fill rate of
+   * each field in stored readings, objects the monitor flagged as missing or
+   * null in sync data, and unmapped objects the device sent instead
+   * @param {Object} station - Station record
+   * @param {number} hours - Window to look back
+   * @returns {Promise<Object>} From summarizeMappingHealth
+   */
+  async mappingHealth(station, hours) {
+    const end = new Date();
+    const start = new Date(end.getTime() - hours * 60 * 60 * 1000);
+    const { objectMap } = await this.db.getStationMonitoredObjects(station.id);
+    const metricKeys = (await this.db.getMetricDefinitions())
+      .map((definition) => definition.key)
+      .filter((key) => objectMap[key] !== undefined);
+    const coverage = await this.db.getFieldCoverage(station.id, start, end, {
+      metricKeys,
+    });
+    const events = await this.db.getStationEvents(station.id, {
+      startDate: start,
+      endDate: end,
+      types: [
+        StationEventTypes.OBJECT_MISSING,
+        StationEventTypes.OBJECT_NULL,
+        StationEventTypes.OBJECT_RESTORED,
+        StationEventTypes.UNMAPPED_OBJECT,
+      ],
+    });
+    const health = summarizeMappingHealth({ objectMap, coverage, events });
+
+    const icons = { ok: "✅", sparse: "⚠️ ", missing: "❌", null: "❌", empty: "❌" };
+    console.log(
+      `\n🔗 Mapping Health (last ${hours}h, ${coverage.total.toLocaleString()} readings${Object.keys(objectMap).length === 0 ? ", standard object IDs" : ""}):`
+    );
+    health.objects.forEach((object) => {
+      const fill =
+        object.percent === null
+          ? "-"
+          : `${object.filled.toLocaleString()}/${object.total.toLocaleString()} (${object.percent.toFixed(1)}%)`;
+      const flagged = object.flaggedAt
+        ? ` since ${new Date(object.flaggedAt).toLocaleString("th-TH")}`
+        : "";
+      console.log(
+        `   ${icons[object.status] || "• "} ${getFieldLabel(object.field).padEnd(16)} ID ${String(object.objectId).padEnd(8)} ${fill.padEnd(24)} ${object.status}${flagged}`
+      );
+    });
+
+    const broken = health.objects.filter((object) =>
+      ["missing", "null", "empty"].includes(object.status)
+    );
+    if (health.unmapped.length > 0) {
+      console.log("\n   Unmapped objects sent by the device:");
+      health.unmapped.forEach((object) => {
+        console.log(
+          `   • ID ${object.objectId} (last ${new Date(object.lastSeen).toLocaleString("th-TH")})`
+        );
+      });
+    }
+    if (broken.length > 0) {
+      console.log(
+        `\n   💡 ${broken.length} mapped object(s) deliver no values; the scene may have been edited.`
+      );
+      console.log(
+        `      Run: node src/utils/station-manager.js discover "${station.name}"`
+      );
+    }
+    return health;
+  }
+
+  /**
+   * Report per-station data coverage for a date range
+   * @param {Object} options - { start, end, stationName, intervalMs, gapThresholdMs }
+   * @returns {Promise<Array>} Coverage per station
+   */
+  async uptimeReport(options) {
+    const { start, end, stationName = null, intervalMs, gapThresholdMs } =
+      options;
+
+    try {
+      let stations;
+      if (stationName) {
+        const station = await this.db.getStationByName(stationName);
+        if (!station) {
+          console.log(`📡 Station "${stationName}" not found`);
+          return [];
+        }
+        stations = [station];
+      } else {
+        stations = await this.db.getAllStations();
+      }
+
+      if (stations.length === 0) {
+        console.log("📡 No stations found in database");
+        return [];
+      }
+
+      console.log(
+        `📈 Data Coverage: ${start.toLocaleString("th-TH")} → ${end.toLocaleString("th-TH")}`
+      );
+      console.log(
+        `   Save interval: ${intervalMs / 1000}s, gap threshold: ${this.formatDuration(gapThresholdMs)}\n`
+      );
+
+      const results = [];
+      for (const station of stations) {
+        const coverage = await this.db.getReadingCoverage(
+          station.id,
+          start,
+          end,
+          { intervalMs, gapThresholdMs }
+        );
+        results.push({ station: station.name, ...coverage });
+
+        const icon =
+          coverage.availabilityPercent >= 99
+            ? "✅"
+            : coverage.availabilityPercent >= 90
+            ? "⚠️ "
+            : "❌";
+        console.log(
+          `${icon} ${station.name} - ${coverage.availabilityPercent.toFixed(2)}% available`
+        );
+        console.log(
+          `   └─ Readings: ${coverage.receivedReadings.toLocaleString()} / ${coverage.expectedReadings.toLocaleString()} expected (${coverage.readingsPercent.toFixed(1)}%)`
+        );
+        if (coverage.longestGap) {
+          console.log(
+            `   └─ Longest gap: ${this.formatDuration(coverage.longestGap.durationMs)} (${coverage.longestGap.start.toLocaleString("th-TH")} → ${coverage.longestGap.end.toLocaleString("th-TH")})`
+          );
+        }
+        console.log(
+          `   └─ Gaps > ${this.formatDuration(gapThresholdMs)}: ${coverage.gapCount} (total ${this.formatDuration(coverage.downtimeMs)})`
+        );
+        if (coverage.maintenanceMs > 0) {
+          console.log(
+            `   └─ Maintenance (excluded): ${this.formatDuration(coverage.maintenanceMs)}`
+          );
+        }
+        console.log("");
+      }
+
+      // Summary, worst stations first
+      console.log("📊 Summary:");
+      [...results]
+        .sort((a, b) => a.availabilityPercent - b.availabilityPercent)
+        .forEach((result) => {
+          console.log(
+            `   ${result.station.padEnd(20)} ${result.availabilityPercent.toFixed(2).padStart(6)}%  dark ${this.formatDuration(result.downtimeMs)}`
+          );
+        });
+
+      return results;
+    } catch (error) {
+      console.error("❌ Failed to build uptime report:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Look up one station by name, or every station
+   * @param {string|null} stationName - Station name
+   * @returns {Promise<Array>} Stations (empty if the name is unknown)
+   */
+  async resolveStations(stationName) {
+    if (!stationName) {
+      return await this.db.getAllStations();
+    }
+    const station = await this.db.getStationByName(stationName);
+    if (!station) {
+      console.log(`📡 Station "${stationName}" not found`);
+      return [];
+    }
+    return [station];
+  }
+
+  /**
+   * Report transmitter off-air incidents per station and channel
+   * @param {Object} options - { start, end, stationName, scan, details }
+   * @returns {Promise<Array>} Summary per station channel
+   */
+  async offAirReport(options) {
+    const { start, end, stationName = null, scan = false, details = false } = options;
+
+    try {
+      const stations = await this.resolveStations(stationName);
+      if (stations.length === 0) {
+        return [];
+      }
+
+      if (scan) {
+        const detector = new OffAirDetector(this.db);
+        console.log("🔎 Re-detecting off-air incidents from stored readings...");
+        for (const station of stations) {
+          const result = await detector.scan(station, start, end);
+          const watched = Object.values(result.profiles).filter((profile) => profile.loaded).length;
+          console.log(
+            `   ${station.name}: ${result.recorded} incidents on ${watched} loaded channels (replaced ${result.deleted})`
+          );
+        }
+        console.log("");
+      }
+
+      console.log(
+        `📴 Off-Air Report: ${start.toLocaleString("th-TH")} → ${end.toLocaleString("th-TH")}\n`
+      );
+
+      const results = [];
+      for (const station of stations) {
+        const incidents = await this.db.getOffAirIncidents({
+          stationId: station.id,
+          startDate: start,
+          endDate: end,
+        });
+        const windows = await this.db.getMaintenanceWindows({
+          stationId: station.id,
+          startDate: start,
+          endDate: end,
+        });
+        const summaries = summarizeIncidents(incidents, start, end, windows);
+        results.push(...summaries);
+
+        if (summaries.length === 0) {
+          console.log(`✅ ${station.name} - no off-air incidents\n`);
+          continue;
+        }
+
+        const worst = Math.min(...summaries.map((summary) => summary.onAirPercent));
+        const icon = worst >= 99.9 ? "✅" : worst >= 99 ? "⚠️ " : "❌";
+        console.log(`${icon} ${station.name}`);
+        summaries.forEach((summary) => {
+          console.log(
+            `   └─ ${getFieldLabel(summary.field).padEnd(16)} ${String(summary.incidents).padStart(3)} unplanned (${this.formatDuration(summary.unplannedMs) || "0s"}), ${summary.planned} planned (${this.formatDuration(summary.plannedMs) || "0s"}), on air ${summary.onAirPercent.toFixed(2)}%`
+          );
+        });
+
+        if (details) {
+          incidents.forEach((incident) => {
+            const ended = incident.endedAt
+              ? `${new Date(incident.endedAt).toLocaleString("th-TH")} (${this.formatDuration(incident.durationSeconds * 1000)})`
+              : "ongoing";
+            console.log(
+              `      ${incident.planned ? "🛠️ " : "📴"} ${getFieldLabel(incident.field)}: ${new Date(incident.startedAt).toLocaleString("th-TH")} → ${ended}${incident.reason ? ` [${incident.reason}]` : ""}`
+            );
+          });
+        }
+        console.log("");
+      }
+
+      const unplanned = results.reduce((total, summary) => total + summary.incidents, 0);
+      const unplannedMs = results.reduce((total, summary) => total + summary.unplannedMs, 0);
+      console.log(
+        `📊 Summary: ${unplanned} unplanned incidents, ${this.formatDuration(unplannedMs) || "0s"} off-air across ${stations.length} stations`
+      );
+      return results;
+    } catch (error) {
+      console.error("❌ Failed to build off-air report:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Show the operating band learned for each channel
+   * @param {string|null} stationName - Only this station
+   */
+  async offAirBands(stationName = null) {
+    const detector = new OffAirDetector(this.db);
+    await detector.learnProfiles();
+
+    const stations = await this.resolveStations(stationName);
+    stations.forEach((station) => {
+      console.log(`📡 ${station.name}`);
+      ACTIVE_POWER_FIELDS.forEach((field) => {
+        const profile = detector.profiles.get(detector.key(station.id, field));
+        const label = getFieldLabel(field).padEnd(16);
+        if (!profile) {
+          console.log(`   ${label} not enough history yet`);
+        } else if (!profile.loaded) {
+          console.log(`   ${label} idle (not watched)`);
+        } else {
+          const windows = describeScheduledSlots(profile.scheduledSlots);
+          console.log(
+            `   ${label} normal ${Math.round(profile.bandLow)}-${Math.round(profile.bandHigh)} W, off-air below ${Math.round(profile.offAirBelow)} W${windows.length ? `, scheduled: ${windows.join(", ")}` : ""}`
+          );
+        }
+      });
+      console.log("");
+    });
+  }
+
+  /**
+   * Format a duration for display
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} e.g. "2d 3h 15m"
+   */
+  formatDuration(ms) {
+    const totalMinutes = Math.floor(ms / 60000);
+    if (totalMinutes < 1) {
+      return `${Math.round(ms / 1000)}s`;
+    }
+
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    return [
+      days ? `${days}d` : null,
+      hours ? `${hours}h` : null,
+      minutes ? `${minutes}m` : null,
+    ]
+      .filter(Boolean)
+      .join(" ");
+  }
+
   /**
    * Show help
    */
@@ -202,12 +527,54 @@ class StationAnalyzer {
     );
     console.log("Commands:");
     console.log("  analyze                     - Analyze all stations");
-    console.log("  check <station-name>        - Check specific station");
+    console.log("  check <station-name>        - Check specific station and its object mapping health");
+    console.log("  uptime [options]            - Data coverage per station");
+    console.log("  offair [options]            - Transmitter off-air incidents per channel");
+    console.log("  offair-bands [--station]    - Learned operating band per channel");
     console.log("  help                        - Show this help\n");
+    console.log("Uptime options:");
+    console.log("  --month YYYY-MM             - Calendar month to report");
+    console.log("  --from YYYY-MM-DD           - Range start (default: 30 days ago)");
+    console.log("  --to YYYY-MM-DD             - Range end, inclusive (default: now)");
+    console.log("  --station <name>            - Only this station");
+    console.log("  --interval <seconds>        - Expected save interval (default: 10)");
+    console.log("  --gap <minutes>             - Gap threshold (default: 5)\n");
+    console.log("Check options:");
+    console.log("  --hours <n>                 - Mapping health window (default: 24)\n");
+    console.log("Off-air options (plus --month, --from, --to, --station):");
+    console.log("  --scan                      - Re-detect the period from stored readings first");
+    console.log("  --details                   - List every incident\n");
     console.log("Examples:");
     console.log("  node src/utils/station-analyzer.js analyze");
     console.log('  node src/utils/station-analyzer.js check "แพร่"');
+    console.log("  node src/utils/station-analyzer.js uptime --month 2026-09");
+    console.log(
+      '  node src/utils/station-analyzer.js uptime --from 2026-09-01 --to 2026-09-15 --station "แพร่" --gap 15'
+    );
+    console.log("  node src/utils/station-analyzer.js offair --month 2026-09 --details");
+  }
+}
+
+/**
+ * Resolve the uptime report options from the command line
+ * @param {Object} options - Parsed options
+ * @returns {Object} { start, end, stationName, intervalMs, gapThresholdMs }
+ */
+function resolveUptimeOptions(options) {
+  const { start, end } = resolveDateRange(options);
+  const intervalSeconds = Number(options.interval || 10);
+  const gapMinutes = Number(options.gap || 5);
+  if (!(intervalSeconds > 0) || !(gapMinutes > 0)) {
+    throw new Error("--interval and --gap must be positive numbers");
   }
+
+  return {
+    start,
+    end,
+    stationName: options.station || null,
+    intervalMs: intervalSeconds * 1000,
+    gapThresholdMs: gapMinutes * 60 * 1000,
+  };
 }
 
 // Command line interface
@@ -236,7 +603,30 @@ async function main() {
           console.error("❌ Usage: check <station-name>");
           break;
         }
-        await analyzer.checkStation(args[1]);
+        await analyzer.checkStation(args[1], {
+          hours: Number(parseOptions(args.slice(2)).hours) || 24,
+        });
+        break;
+
+      case "uptime":
+        await analyzer.uptimeReport(
+          resolveUptimeOptions(parseOptions(args.slice(1)))
+        );
+        break;
+
+      case "offair": {
+        const options = parseOptions(args.slice(1));
+        await analyzer.offAirReport({
+          ...resolveDateRange(options),
+          stationName: options.station || null,
+          scan: Boolean(options.scan),
+          details: Boolean(options.details),
+        });
+        break;
+      }
+
+      case "offair-bands":
+        await analyzer.offAirBands(parseOptions(args.slice(1)).station || null);
         break;
 
       default:
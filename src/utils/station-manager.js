@@ -1,4 +1,13 @@
 const DatabaseService = require("../database/DatabaseService");
+const { FIELD_LABELS, getFieldLabel } = require("../database/FieldLabels");
+const { READING_FIELDS } = require("../database/DuplicatePolicies");
+const SceneDiscovery = require("../comet/SceneDiscovery");
+const { proposeMapping } = SceneDiscovery;
+const {
+  parseOptions,
+  parseLocalDateTime,
+  parseDuration,
+} = require("./cli-options");
 
 /**
  * Station Manager Utility
@@ -135,6 +144,11 @@ class StationManager {
         ipAddress: "ws://10.3.1.5/ws",
         scene: "d0cf3a77-e9dd-4419-bec0-b54ecad3e541",
       },
+      {
+        name: "เชียงใหม่",
+        ipAddress: "ws://10.7.1.5/ws",
+        scene: "d0cf3a77-e9dd-4419-bec0-b54ecad3e541",
+      },
     ];
 
     try {
@@ -151,6 +165,307 @@ class StationManager {
     }
   }
 
+  // Resolve a station by name, logging when it is missing
+  async requireStation(name) {
+    const station = await this.db.getStationByName(name);
+    if (!station) {
+      console.log(`📡 Station "${name}" not found`);
+    }
+    return station;
+  }
+
+  // Check a --channel value against the known power fields
+  checkChannel(field) {
+    if (field && !FIELD_LABELS.en[field]) {
+      throw new Error(
+        `Unknown channel "${field}", expected one of ${Object.keys(FIELD_LABELS.en).join(", ")}`
+      );
+    }
+    return field || null;
+  }
+
+  formatWindow(window) {
+    const scope = window.field ? getFieldLabel(window.field) : "whole station";
+    return (
+      `${window.station ? window.station.name : window.stationId} - ${scope}: ` +
+      `${window.startsAt.toLocaleString("th-TH")} → ${window.endsAt.toLocaleString("th-TH")}` +
+      (window.reason ? ` (${window.reason})` : "")
+    );
+  }
+
+  // List maintenance windows (running and upcoming unless --all)
+  async listMaintenance(stationName = null, all = false) {
+    try {
+      let stationId = null;
+      if (stationName) {
+        const station = await this.requireStation(stationName);
+        if (!station) return;
+        stationId = station.id;
+      }
+
+      const now = new Date();
+      const windows = await this.db.getMaintenanceWindows({
+        stationId,
+        startDate: all ? null : now,
+      });
+      if (windows.length === 0) {
+        console.log("🛠️  No maintenance windows");
+        return;
+      }
+
+      console.log(`🛠️  ${windows.length} maintenance windows:\n`);
+      windows.forEach((window) => {
+        const state =
+          window.endsAt <= now ? "done   " : window.startsAt <= now ? "ACTIVE " : "planned";
+        console.log(`   ${state} ${window.id}  ${this.formatWindow(window)}`);
+      });
+    } catch (error) {
+      console.error("❌ Failed to list maintenance windows:", error.message);
+    }
+  }
+
+  // Schedule a maintenance window
+  async addMaintenance(stationName, startsAt, endsAt, field = null, reason = null) {
+    try {
+      const station = await this.requireStation(stationName);
+      if (!station) return;
+
+      const window = await this.db.createMaintenanceWindow({
+        stationId: station.id,
+        field: this.checkChannel(field),
+        startsAt,
+        endsAt,
+        reason,
+      });
+      console.log("✅ Maintenance window added:");
+      console.log(`   ID: ${window.id}`);
+      console.log(`   ${this.formatWindow({ ...window, station })}`);
+    } catch (error) {
+      console.error("❌ Failed to add maintenance window:", error.message);
+    }
+  }
+
+  // Delete a maintenance window
+  async removeMaintenance(windowId) {
+    try {
+      const window = await this.db.deleteMaintenanceWindow(windowId);
+      console.log("✅ Maintenance window removed:");
+      console.log(`   ${this.formatWindow(window)}`);
+    } catch (error) {
+      console.error("❌ Failed to remove maintenance window:", error.message);
+    }
+  }
+
+  // Mute a station (or one channel) from now for a duration
+  async muteStation(stationName, durationSeconds, field = null, reason = null) {
+    const now = new Date();
+    await this.addMaintenance(
+      stationName,
+      now,
+      new Date(now.getTime() + durationSeconds * 1000),
+      field,
+      reason || "muted"
+    );
+  }
+
+  // End a station's running maintenance windows now
+  async unmuteStation(stationName) {
+    try {
+      const station = await this.requireStation(stationName);
+      if (!station) return;
+
+      const ended = await this.db.endMaintenanceWindows(station.id, new Date());
+      console.log(
+        ended > 0
+          ? `🔔 ${station.name} unmuted (${ended} window${ended === 1 ? "" : "s"} ended)`
+          : `🔔 ${station.name} was not muted`
+      );
+    } catch (error) {
+      console.error("❌ Failed to unmute station:", error.message);
+    }
+  }
+
+  // List registered metrics
+  async listMetrics() {
+    try {
+      const definitions = await this.db.getMetricDefinitions();
+      if (definitions.length === 0) {
+        console.log("📏 No metrics defined");
+        return;
+      }
+
+      console.log(`📏 ${definitions.length} metrics:\n`);
+      definitions.forEach((definition) => {
+        console.log(
+          `   ${definition.key.padEnd(20)} ${definition.name}` +
+            (definition.unit ? ` (${definition.unit})` : "") +
+            (definition.description ? ` - ${definition.description}` : "")
+        );
+      });
+    } catch (error) {
+      console.error("❌ Failed to list metrics:", error.message);
+    }
+  }
+
+  // Register a metric or update its name, unit and description
+  async defineMetric(key, name, unit = null, description = null) {
+    try {
+      const definition = await this.db.defineMetric({ key, name, unit, description });
+      console.log(
+        `✅ Metric ${definition.key}: ${definition.name}` +
+          (definition.unit ? ` (${definition.unit})` : "")
+      );
+      console.log(
+        `   Stations capture it once a monitored object has objectType "${definition.key}"`
+      );
+      console.log(
+        "   A running monitor picks it up at its next configuration reload (within a minute)"
+      );
+    } catch (error) {
+      console.error("❌ Failed to define metric:", error.message);
+    }
+  }
+
+  // Remove a metric definition (and its samples with --with-readings)
+  async removeMetric(key, deleteReadings = false) {
+    try {
+      const deleted = await this.db.deleteMetricDefinition(key, { deleteReadings });
+      console.log(
+        `✅ Metric ${key} removed` + (deleted > 0 ? ` with ${deleted} samples` : "")
+      );
+    } catch (error) {
+      console.error("❌ Failed to remove metric:", error.message);
+    }
+  }
+
+  // Parse --set "activePower2=8690,muxPower5=224272" into { objectType: objectId }
+  parseObjectAssignments(value, metricKeys) {
+    const assignments = {};
+    String(value)
+      .split(",")
+      .filter(Boolean)
+      .forEach((entry) => {
+        const [objectType, objectId] = entry.split("=").map((part) => part.trim());
+        if (!READING_FIELDS.includes(objectType) && !metricKeys.includes(objectType)) {
+          throw new Error(
+            `Unknown object type "${objectType}", expected a reading field or a metric key`
+          );
+        }
+        if (!/^\d+$/.test(objectId || "")) {
+          throw new Error(`Invalid object ID "${objectId}" for ${objectType}`);
+        }
+        assignments[objectType] = Number(objectId);
+      });
+    return assignments;
+  }
+
+  // Load a station's scene, propose a mapping for its objects and optionally save it
+  async discoverObjects(stationName, options = {}) {
+    try {
+      const station = await this.requireStation(stationName);
+      if (!station) return;
+      if (!station.ipAddress || !station.scene) {
+        console.error(
+          `❌ ${station.name} needs an IP address and a scene before its objects can be discovered`
+        );
+        return;
+      }
+
+      console.log(
+        `🔎 Loading scene ${station.scene} from ${station.name} (${station.ipAddress})...`
+      );
+      const discovery = new SceneDiscovery({
+        name: station.name,
+        url: station.ipAddress,
+        scene: station.scene,
+        ...(options.valueTimeout ? { valueTimeout: options.valueTimeout } : {}),
+      });
+      const objects = await discovery.discover();
+      if (objects.length === 0) {
+        console.log("📡 The scene lists no objects");
+        return;
+      }
+
+      const definitions = await this.db.getMetricDefinitions();
+      const proposal = proposeMapping(objects, definitions);
+      const accepted = { ...proposal.mapping };
+      (options.ignore || []).forEach((objectType) => delete accepted[objectType]);
+      Object.assign(
+        accepted,
+        this.parseObjectAssignments(
+          options.set || "",
+          definitions.map((definition) => definition.key)
+        )
+      );
+      const { objectMap: current } = await this.db.getStationMonitoredObjects(station.id);
+
+      console.log(`\n📋 ${objects.length} objects in the scene:\n`);
+      console.log(
+        `   ${"ID".padEnd(8)}${"Name".padEnd(30)}${"Value".padStart(16)}  ${"Unit".padEnd(6)}${"Proposed".padEnd(16)}${"Basis".padEnd(13)}Current`
+      );
+      objects.forEach((object) => {
+        const entry = proposal.objects.find((item) => item.objectId === object.objectId);
+        const currentType =
+          Object.keys(current).find((type) => current[type] === object.objectId) || "-";
+        const acceptedType =
+          Object.keys(accepted).find((type) => accepted[type] === object.objectId) || null;
+        const value =
+          object.value === null || isNaN(parseFloat(object.value))
+            ? String(object.value ?? "-")
+            : parseFloat(object.value).toLocaleString("th-TH", { maximumFractionDigits: 2 });
+        const basis = !acceptedType
+          ? "-"
+          : acceptedType === entry.field
+            ? entry.reason
+            : "--set";
+        const note = entry.conflict ? ` (${entry.field} already taken by ${entry.conflict})` : "";
+        console.log(
+          `   ${String(object.objectId).padEnd(8)}${String(object.label || "").slice(0, 28).padEnd(30)}` +
+            `${value.padStart(16)}  ${String(object.unit || "").padEnd(6)}${(acceptedType || "-").padEnd(16)}` +
+            `${basis.padEnd(13)}${currentType}${note}`
+        );
+      });
+
+      const changes = [...new Set([...Object.keys(current), ...Object.keys(accepted)])]
+        .filter((objectType) => accepted[objectType] !== current[objectType])
+        .sort();
+      console.log("");
+      if (changes.length === 0) {
+        console.log("✅ The proposed mapping matches the stored one");
+        return;
+      }
+      console.log(`🔀 ${changes.length} differences from the stored mapping:`);
+      changes.forEach((objectType) => {
+        if (accepted[objectType] === undefined) {
+          console.log(`   = ${objectType}: ${current[objectType]} (kept, not proposed)`);
+        } else if (current[objectType] === undefined) {
+          console.log(`   + ${objectType}: ${accepted[objectType]}`);
+        } else {
+          console.log(`   ~ ${objectType}: ${current[objectType]} → ${accepted[objectType]}`);
+        }
+      });
+
+      if (!options.write) {
+        console.log(
+          "\nRun again with --write to save it (--set type=id and --ignore type adjust the proposal)"
+        );
+        return;
+      }
+
+      // Stored objects the proposal says nothing about are kept
+      const count = await this.db.updateStationMonitoredObjects(station.id, {
+        ...current,
+        ...accepted,
+      });
+      console.log(`\n✅ Saved ${count} monitored objects for ${station.name}`);
+      console.log(
+        "   A running monitor re-registers them at its next configuration reload (within a minute)"
+      );
+    } catch (error) {
+      console.error("❌ Failed to discover objects:", error.message);
+    }
+  }
+
   // Show help
   showHelp() {
     console.log("📡 Station Manager - Command Line Interface\n");
@@ -174,6 +489,33 @@ class StationManager {
     console.log(
       "  seed                                   - Seed default stations"
     );
+    console.log(
+      "  maintenance [--station <name>] [--all] - List running and upcoming maintenance"
+    );
+    console.log(
+      "  maintenance-add <name> <start> <end>   - Schedule maintenance (--channel, --reason)"
+    );
+    console.log(
+      "  maintenance-remove <id>                - Delete a maintenance window"
+    );
+    console.log(
+      "  mute <name> [duration]                 - Maintenance from now, default 1h (--channel, --reason)"
+    );
+    console.log(
+      "  unmute <name>                          - End the station's running maintenance"
+    );
+    console.log(
+      "  discover <name> [--write]              - Propose object IDs from the station's scene (--set, --ignore, --wait)"
+    );
+    console.log(
+      "  metrics                                - List metrics captured beside power readings"
+    );
+    console.log(
+      "  metric-define <key> <name>             - Register a metric (--unit, --description)"
+    );
+    console.log(
+      "  metric-remove <key> [--with-readings]  - Remove a metric (and its samples)"
+    );
     console.log("  help                                   - Show this help\n");
     console.log("Examples:");
     console.log("  node src/utils/station-manager.js list");
@@ -182,6 +524,27 @@ class StationManager {
     );
     console.log('  node src/utils/station-manager.js find "แพร่"');
     console.log("  node src/utils/station-manager.js seed");
+    console.log(
+      '  node src/utils/station-manager.js maintenance-add "แพร่" "2026-10-27 01:00" "2026-10-27 04:00" --reason "Antenna work"'
+    );
+    console.log(
+      '  node src/utils/station-manager.js mute "น่าน" 2h --channel activePower2'
+    );
+    console.log(
+      '  node src/utils/station-manager.js discover "ระนอง" --set muxPower5=224272 --write'
+    );
+    console.log(
+      '  node src/utils/station-manager.js metric-define voltageL1 "Voltage L1" --unit V'
+    );
+    console.log("\nTimes are local, YYYY-MM-DD or \"YYYY-MM-DD HH:mm\".");
+    console.log(
+      "Alerts are not raised and readings are marked during maintenance; it is left"
+    );
+    console.log("out of uptime and off-air statistics.");
+    console.log(
+      "\nA metric is captured for stations whose monitored objects (monitorObjectId.csv)"
+    );
+    console.log("have a column named after its key.");
   }
 }
 
@@ -243,6 +606,111 @@ async function main() {
         await manager.seedDefaultStations();
         break;
 
+      case "maintenance": {
+        const options = parseOptions(args.slice(1));
+        await manager.listMaintenance(options.station || null, options.all === true);
+        break;
+      }
+
+      case "maintenance-add": {
+        const options = parseOptions(args.slice(1));
+        if (options._.length < 3) {
+          console.error(
+            "❌ Usage: maintenance-add <name> <start> <end> [--channel <field>] [--reason <text>]"
+          );
+          break;
+        }
+        await manager.addMaintenance(
+          options._[0],
+          parseLocalDateTime(options._[1]),
+          parseLocalDateTime(options._[2]),
+          options.channel || null,
+          options.reason || null
+        );
+        break;
+      }
+
+      case "maintenance-remove":
+        if (args.length < 2) {
+          console.error("❌ Usage: maintenance-remove <id>");
+          break;
+        }
+        await manager.removeMaintenance(args[1]);
+        break;
+
+      case "mute": {
+        const options = parseOptions(args.slice(1));
+        if (options._.length < 1) {
+          console.error(
+            "❌ Usage: mute <name> [duration] [--channel <field>] [--reason <text>]"
+          );
+          break;
+        }
+        await manager.muteStation(
+          options._[0],
+          parseDuration(options._[1] || "1h"),
+          options.channel || null,
+          options.reason || null
+        );
+        break;
+      }
+
+      case "unmute":
+        if (args.length < 2) {
+          console.error("❌ Usage: unmute <name>");
+          break;
+        }
+        await manager.unmuteStation(args[1]);
+        break;
+
+      case "discover": {
+        const options = parseOptions(args.slice(1));
+        if (options._.length < 1) {
+          console.error(
+            "❌ Usage: discover <name> [--write] [--set type=id,...] [--ignore type,...] [--wait 10s]"
+          );
+          break;
+        }
+        await manager.discoverObjects(options._[0], {
+          write: options.write === true,
+          set: typeof options.set === "string" ? options.set : "",
+          ignore: typeof options.ignore === "string" ? options.ignore.split(",") : [],
+          valueTimeout: options.wait ? parseDuration(options.wait) * 1000 : null,
+        });
+        break;
+      }
+
+      case "metrics":
+        await manager.listMetrics();
+        break;
+
+      case "metric-define": {
+        const options = parseOptions(args.slice(1));
+        if (options._.length < 2) {
+          console.error(
+            "❌ Usage: metric-define <key> <name> [--unit <unit>] [--description <text>]"
+          );
+          break;
+        }
+        await manager.defineMetric(
+          options._[0],
+          options._[1],
+          options.unit || null,
+          options.description || null
+        );
+        break;
+      }
+
+      case "metric-remove": {
+        const options = parseOptions(args.slice(1));
+        if (options._.length < 1) {
+          console.error("❌ Usage: metric-remove <key> [--with-readings]");
+          break;
+        }
+        await manager.removeMetric(options._[0], options["with-readings"] === true);
+        break;
+      }
+
       default:
         console.error(`❌ Unknown command: ${command}`);
         manager.showHelp();
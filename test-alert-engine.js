@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify alert rules, the alert state machine and deduplication
+ */
+
+const AlertEngine = require('./src/alerts/AlertEngine');
+const { matchesField, validateRule, describeRule } = require('./src/alerts/AlertRuleTypes');
+const LiveFeed = require('./src/server/LiveFeed');
+const { parseDuration } = require('./src/utils/cli-options');
+
+const SECOND_MS = 1000;
+
+/**
+ * In-memory store with the DatabaseService methods AlertEngine uses
+ */
+class MemoryAlertStore {
+    constructor(rules) {
+        this.rules = rules.map((rule) => ({ enabled: true, severity: 'warning', clearSeconds: 60, threshold: null, stationId: null, ...rule }));
+        this.alerts = [];
+        this.nextId = 1;
+    }
+
+    async getAlertRules({ enabledOnly }) {
+        return this.rules.filter((rule) => !enabledOnly || rule.enabled);
+    }
+
+    async getOpenAlerts() {
+        return this.alerts.filter((alert) => alert.state !== 'cleared');
+    }
+
+    async createAlert(data) {
+        const alert = { id: `alert-${this.nextId++}`, acknowledgedAt: null, clearedAt: null, ...data };
+        this.alerts.push(alert);
+        return { ...alert };
+    }
+
+    async updateAlert(id, data) {
+        const alert = this.alerts.find((entry) => entry.id === id);
+        Object.assign(alert, data);
+        return { ...alert };
+    }
+
+    async acknowledgeAlert(id, by) {
+        const alert = this.alerts.find((entry) => entry.id === id && entry.state === 'active');
+        if (!alert) return null;
+        Object.assign(alert, { state: 'acknowledged', acknowledgedAt: new Date(), acknowledgedBy: by });
+        return { ...alert };
+    }
+}
+
+function reading(field, value, time, stationId = 'phrae', station = 'แพร่') {
+    return { station, stationId, field, value, timestamp: new Date(time).toISOString() };
+}
+
+async function testAlertEngine() {
+    console.log('🧪 Testing Alert Engine\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+    const originalLog = console.log;
+    const quiet = async (task) => {
+        console.log = () => {};
+        try {
+            return await task();
+        } finally {
+            console.log = originalLog;
+        }
+    };
+
+    // Test 1: Rule helpers
+    console.log('Test 1: Rule definitions');
+    check('Wildcard fields', matchesField('activePower*', 'activePower3') && !matchesField('activePower*', 'muxPower1') &&
+        matchesField('muxPower2', 'muxPower2'));
+    check('Descriptions', describeRule({ type: 'below', threshold: 100, forSeconds: 300 }, 'W') === 'below 100 W for 5 min' &&
+        describeRule({ type: 'rate', threshold: 500, forSeconds: 0 }, 'W') === 'changing faster than 500 W/min');
+    let threw = 0;
+    for (const rule of [{ field: 'activePower1', type: 'below' }, { field: 'activePower1', type: 'sideways', threshold: 1 },
+        { field: 'activePower1', type: 'above', threshold: 1, severity: 'panic' }]) {
+        try {
+            validateRule(rule);
+        } catch (error) {
+            threw++;
+        }
+    }
+    check('Incomplete rules rejected', threw === 3);
+    check('Durations', parseDuration('5m') === 300 && parseDuration('90') === 90 && parseDuration('2h') === 7200);
+
+    // Test 2: Raise and clear
+    console.log('\nTest 2: Below threshold');
+    const store = new MemoryAlertStore([
+        { id: 'off', field: 'activePower*', type: 'below', threshold: 100, forSeconds: 300, severity: 'critical' },
+        { id: 'jump', field: 'activePower2', type: 'rate', threshold: 1000, forSeconds: 0 },
+        { id: 'counter', field: 'muxPower1', type: 'stalled', forSeconds: 900 },
+        { id: 'nan-only', stationId: 'nan', field: 'activePower1', type: 'above', threshold: 0, forSeconds: 0 }
+    ]);
+    const engine = new AlertEngine(store);
+    const events = [];
+    ['raised', 'reopened', 'cleared', 'acknowledged'].forEach((type) => engine.on(type, (alert) => events.push({ type, alert })));
+    await engine.loadRules();
+
+    const t0 = new Date('2026-10-19T02:00:00Z').getTime();
+    await quiet(async () => {
+        await engine.handleReadings([reading('activePower1', 1500, t0)]);
+        await engine.handleReadings([reading('activePower1', 0, t0 + 10 * SECOND_MS)]);
+        await engine.tick(new Date(t0 + 309 * SECOND_MS));
+    });
+    check('Not raised before the hold time', store.alerts.length === 0);
+    await quiet(() => engine.tick(new Date(t0 + 310 * SECOND_MS)));
+    const raised = store.alerts[0];
+    check('Raised after holding for 5 minutes', store.alerts.length === 1 && raised.state === 'active' &&
+        raised.severity === 'critical' && raised.field === 'activePower1', raised && raised.message);
+    check('Message names station and condition', raised.message === 'แพร่ activePower1 below 100 W for 5 min (now 0 W)');
+    await quiet(async () => {
+        await engine.handleReadings([reading('activePower1', 0, t0 + 400 * SECOND_MS)]);
+        await engine.tick(new Date(t0 + 600 * SECOND_MS));
+    });
+    check('No duplicate while active', store.alerts.length === 1 && events.filter((event) => event.type === 'raised').length === 1);
+    check('Station-scoped rule ignores other stations', !store.alerts.some((alert) => alert.ruleId === 'nan-only'));
+
+    // Test 3: Acknowledge and clear with hysteresis
+    console.log('\nTest 3: Acknowledge and clear');
+    const acknowledged = await engine.acknowledge(raised.id, 'somchai');
+    check('Acknowledged', acknowledged.state === 'acknowledged' && events.some((event) => event.type === 'acknowledged'));
+    await quiet(async () => {
+        await engine.handleReadings([reading('activePower1', 1500, t0 + 700 * SECOND_MS)]);
+        await engine.tick(new Date(t0 + 759 * SECOND_MS));
+    });
+    check('Not cleared before clearSeconds', store.alerts[0].state === 'acknowledged');
+    await quiet(() => engine.tick(new Date(t0 + 760 * SECOND_MS)));
+    check('Cleared after clearSeconds', store.alerts[0].state === 'cleared' && events.some((event) => event.type === 'cleared'));
+
+    // Test 4: Flapping
+    console.log('\nTest 4: Flapping is deduplicated');
+    await quiet(async () => {
+        await engine.handleReadings([reading('activePower1', 0, t0 + 800 * SECOND_MS)]);
+        await engine.tick(new Date(t0 + 1100 * SECOND_MS));
+    });
+    check('Re-raise reopens the same alert', store.alerts.length === 1 && store.alerts[0].state === 'active' &&
+        store.alerts[0].occurrences === 2 && store.alerts[0].acknowledgedAt === null, `${store.alerts.length} alerts`);
+    check('Reopen emitted instead of raised', events.filter((event) => event.type === 'raised').length === 1 &&
+        events.some((event) => event.type === 'reopened'));
+    await quiet(async () => {
+        await engine.handleReadings([reading('activePower1', 1500, t0 + 1200 * SECOND_MS)]);
+        await engine.tick(new Date(t0 + 1260 * SECOND_MS));
+        await engine.handleReadings([reading('activePower1', 0, t0 + 3000 * SECOND_MS)]);
+        await engine.tick(new Date(t0 + 3300 * SECOND_MS));
+    });
+    check('Raise after the reopen window creates a new alert', store.alerts.length === 2);
+
+    // Test 5: Rate of change
+    console.log('\nTest 5: Rate of change');
+    const t1 = t0 + 4000 * SECOND_MS;
+    await quiet(async () => {
+        await engine.handleReadings([reading('activePower2', 1000, t1)]);
+        await engine.handleReadings([reading('activePower2', 1300, t1 + 30 * SECOND_MS)]);
+    });
+    check('Slow change ignored', !store.alerts.some((alert) => alert.ruleId === 'jump'));
+    await quiet(() => engine.handleReadings([reading('activePower2', 3300, t1 + 60 * SECOND_MS)]));
+    const jump = store.alerts.find((alert) => alert.ruleId === 'jump');
+    check('Fast change raised immediately', jump && jump.state === 'active');
+    await quiet(async () => {
+        await engine.tick(new Date(t1 + 75 * SECOND_MS));
+        await engine.tick(new Date(t1 + 135 * SECOND_MS));
+    });
+    check('Cleared once the value is steady', jump.state === 'cleared');
+
+    // Test 6: Counter not increasing
+    console.log('\nTest 6: Stalled counter');
+    const t2 = t0;
+    await quiet(async () => {
+        await engine.handleReadings([reading('muxPower1', 10452.0, t2)]);
+        await engine.handleReadings([reading('muxPower1', 10452.5, t2 + 60 * SECOND_MS)]);
+        await engine.tick(new Date(t2 + 959 * SECOND_MS));
+    });
+    check('Increasing counter is fine', !store.alerts.some((alert) => alert.ruleId === 'counter'));
+    await quiet(() => engine.tick(new Date(t2 + 960 * SECOND_MS)));
+    const stalled = store.alerts.find((alert) => alert.ruleId === 'counter');
+    check('Raised 15 minutes after the last increase', stalled && stalled.state === 'active');
+    await quiet(async () => {
+        await engine.handleReadings([reading('muxPower1', 10453.0, t2 + 1000 * SECOND_MS)]);
+        await engine.tick(new Date(t2 + 1060 * SECOND_MS));
+    });
+    check('Cleared when the counter moves again', stalled.state === 'cleared');
+
+    // Test 7: Restart and rule changes
+    console.log('\nTest 7: Restart and rule changes');
+    const restartStore = new MemoryAlertStore([{ id: 'off', field: 'activePower1', type: 'below', threshold: 100, forSeconds: 0 }]);
+    restartStore.alerts.push({ id: 'open-1', ruleId: 'off', stationId: 'phrae', field: 'activePower1', state: 'active', occurrences: 1 });
+    const restarted = new AlertEngine(restartStore);
+    await restarted.loadRules();
+    await restarted.restoreOpenAlerts();
+    await quiet(() => restarted.handleReadings([reading('activePower1', 0, t0), { ...reading('activePower1', 0, t0), stationId: null }]));
+    check('Open alert restored instead of raised again', restartStore.alerts.length === 1 && restarted.getOpenAlerts()[0].id === 'open-1');
+    restartStore.rules[0].enabled = false;
+    await quiet(() => restarted.loadRules());
+    check('Disabling a rule clears its alerts', restartStore.alerts[0].state === 'cleared' && restarted.series.size === 0);
+
+    // Test 8: Live feed
+    console.log('\nTest 8: Live feed');
+    const feedStore = new MemoryAlertStore([{ id: 'off', field: 'activePower1', type: 'below', threshold: 100, forSeconds: 0 }]);
+    const feed = new LiveFeed();
+    const feedEngine = new AlertEngine(feedStore, { tickMs: 60000 });
+    await feedEngine.start(feed);
+    await quiet(async () => {
+        feed.publish({ station: 'แพร่', stationId: 'phrae', values: { activePower1: 0 } });
+        await feedEngine.queue;
+    });
+    feedEngine.stop();
+    check('Readings from the feed are evaluated', feedStore.alerts.length === 1);
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testAlertEngine().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify alert notification channels, routing, rate limiting
+ * and message templates against local stand-in HTTP, SMTP and syslog servers
+ */
+
+const http = require('http');
+const net = require('net');
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlertEngine = require('./src/alerts/AlertEngine');
+const NotificationService = require('./src/alerts/NotificationService');
+
+/**
+ * HTTP server that records every request
+ */
+function startHttpServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body });
+            res.writeHead(req.url === '/broken' ? 500 : 200, { 'Content-Type': 'application/json' });
+            res.end('{"status":200}');
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port }));
+    });
+}
+
+/**
+ * SMTP server that accepts one message per connection and records the dialogue
+ */
+function startSmtpServer() {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        const session = { commands: [], data: '' };
+        let buffer = '';
+        let inData = false;
+        socket.write('220 localhost ESMTP test\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                session.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                messages.push(session);
+                socket.write('250 OK queued\r\n');
+            }
+            let index;
+            while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                session.commands.push(line);
+                const verb = line.split(' ')[0].toUpperCase();
+                if (verb === 'EHLO') socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+                else if (verb === 'AUTH') socket.write('235 Authenticated\r\n');
+                else if (verb === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else socket.write('250 OK\r\n');
+            }
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+    });
+}
+
+function startSyslogServer() {
+    const messages = [];
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (message) => messages.push(message.toString('utf8')));
+    return new Promise((resolve) => {
+        socket.bind(0, '127.0.0.1', () => resolve({ socket, messages, port: socket.address().port }));
+    });
+}
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const started = Date.now();
+    while (!condition() && Date.now() - started < timeoutMs) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+};
+
+function makeSeries(rule = {}) {
+    return {
+        key: 'off|phrae|activePower1',
+        rule: { id: 'off', field: 'activePower*', type: 'below', threshold: 100, forSeconds: 300, severity: 'critical', channels: null, ...rule },
+        stationId: 'phrae',
+        station: 'แพร่',
+        field: 'activePower1',
+        value: 0
+    };
+}
+
+function makeAlert(id = 'alert-1', data = {}) {
+    return {
+        id, ruleId: 'off', stationId: 'phrae', field: 'activePower1', severity: 'critical', state: 'active',
+        value: 0, threshold: 100, occurrences: 1, raisedAt: new Date('2026-10-19T02:05:00Z'),
+        lastRaisedAt: new Date('2026-10-19T02:05:00Z'), ...data
+    };
+}
+
+async function testAlertNotifiers() {
+    console.log('🧪 Testing Alert Notifiers\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    const web = await startHttpServer();
+    const smtp = await startSmtpServer();
+    const syslog = await startSyslogServer();
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-notifiers-'));
+    const logPath = path.join(tempDir, 'alerts.log');
+
+    const service = new NotificationService({
+        language: 'th',
+        rateLimit: { perChannel: 3, windowMinutes: 60, perAlertMinutes: 10 },
+        channels: {
+            hook: { type: 'webhook', url: `http://127.0.0.1:${web.port}/hook`, default: true },
+            line: { type: 'line', url: `http://127.0.0.1:${web.port}/line`, token: 'secret-token', minSeverity: 'critical' },
+            mail: {
+                type: 'email', host: '127.0.0.1', port: smtp.port, user: 'alerts', pass: 'pw',
+                from: 'Power Monitor <alerts@example.com>', to: ['eng@example.com', 'noc@example.com'], language: 'en'
+            },
+            log: { type: 'file', path: logPath, default: true, events: ['raised', 'reopened', 'cleared', 'acknowledged'] },
+            syslog: { type: 'syslog', host: '127.0.0.1', port: syslog.port },
+            broken: { type: 'webhook', url: `http://127.0.0.1:${web.port}/broken` }
+        }
+    });
+
+    try {
+        // Test 1: Templates
+        console.log('Test 1: Templates');
+        const thai = service.render('raised', makeAlert(), makeSeries(), 'th');
+        check('Thai message has station, label and condition', thai.text.includes('แพร่ - กำลังไฟฟ้า 1') &&
+            thai.text.includes('ต่ำกว่า 100 W นาน 5 นาที') && thai.text.includes('[วิกฤต]') && thai.text.includes('ค่าปัจจุบัน 0 W'),
+            thai.text.split('\n')[0]);
+        const english = service.render('cleared', makeAlert('alert-1', { clearedAt: new Date() }), { ...makeSeries(), value: 1500 }, 'en');
+        check('English cleared message', english.text.startsWith('✅ Back to normal: แพร่ - Active Power 1') &&
+            english.text.includes('Now 1500 W'), english.text.split('\n')[0]);
+        check('Subject line', english.subject === '[CRITICAL] แพร่ - Active Power 1');
+        const custom = new NotificationService({ templates: { en: { raised: '{station}/{field}: {unknown}' } } });
+        check('Templates can be overridden', custom.render('raised', makeAlert(), makeSeries(), 'en').text === 'แพร่/activePower1: {unknown}');
+
+        // Test 2: Routing
+        console.log('\nTest 2: Routing');
+        const names = (channels) => channels.map((channel) => channel.name).sort().join(',');
+        check('Rules without channels use the defaults', names(service.route(makeSeries().rule, 'raised', 'warning')) === 'hook,log');
+        check('Rule channels replace the defaults', names(service.route(makeSeries({ channels: 'line, mail' }).rule, 'raised', 'critical')) === 'line,mail');
+        check('minSeverity filters channels', names(service.route(makeSeries({ channels: 'line,mail' }).rule, 'raised', 'warning')) === 'mail');
+        check('Channels only get their events', names(service.route(makeSeries().rule, 'acknowledged', 'critical')) === 'log');
+        const warn = console.warn;
+        let warnings = 0;
+        console.warn = () => warnings++;
+        const unknown = service.route(makeSeries({ channels: 'nope,hook' }).rule, 'raised', 'critical');
+        service.route(makeSeries({ channels: 'nope' }).rule, 'raised', 'critical');
+        console.warn = warn;
+        check('Unknown channels are skipped with one warning', names(unknown) === 'hook' && warnings === 1);
+
+        // Test 3: Delivery through every channel type
+        console.log('\nTest 3: Delivery');
+        const everywhere = makeSeries({ channels: 'hook,line,mail,log,syslog' });
+        const sent = await service.notify('raised', makeAlert('alert-1'), everywhere);
+        check('All channels delivered', sent.sent.sort().join(',') === 'hook,line,log,mail,syslog', JSON.stringify(sent));
+
+        const hookRequest = web.requests.find((request) => request.url === '/hook');
+        const payload = JSON.parse(hookRequest.body);
+        check('Webhook posts JSON', hookRequest.headers['content-type'].startsWith('application/json') &&
+            payload.event === 'raised' && payload.station === 'แพร่' && payload.label === 'กำลังไฟฟ้า 1' &&
+            payload.alert.id === 'alert-1' && payload.message.includes('ต่ำกว่า 100 W'));
+
+        const lineRequest = web.requests.find((request) => request.url === '/line');
+        const lineMessage = new URLSearchParams(lineRequest.body).get('message');
+        check('LINE uses a bearer token and form body', lineRequest.headers.authorization === 'Bearer secret-token' &&
+            lineRequest.headers['content-type'] === 'application/x-www-form-urlencoded' && lineMessage.includes('แพร่ - กำลังไฟฟ้า 1'));
+
+        const mail = smtp.messages[0];
+        const [headers, body] = mail.data.split('\r\n\r\n');
+        const subject = /Subject: =\?UTF-8\?B\?([^?]+)\?=/.exec(headers);
+        check('SMTP envelope and auth', mail.commands.includes('MAIL FROM:<alerts@example.com>') &&
+            mail.commands.includes('RCPT TO:<eng@example.com>') && mail.commands.includes('RCPT TO:<noc@example.com>') &&
+            mail.commands.includes(`AUTH PLAIN ${Buffer.from('\0alerts\0pw').toString('base64')}`));
+        check('Email is UTF-8 in the channel language', subject && Buffer.from(subject[1], 'base64').toString('utf8') === '[CRITICAL] แพร่ - Active Power 1' &&
+            Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8').includes('below 100 W for 5 min (now 0 W)'));
+
+        const logLines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+        check('File sink appends one line', logLines.length === 1 && logLines[0].includes('[critical] raised: 🚨 [วิกฤต] แพร่ - กำลังไฟฟ้า 1'));
+        await waitFor(() => syslog.messages.length > 0);
+        check('Syslog message with local0.crit priority', syslog.messages.length === 1 && syslog.messages[0].startsWith('<130>1 ') &&
+            syslog.messages[0].includes('power-monitor - raised - 🚨'));
+
+        const errors = console.error;
+        console.error = () => {};
+        const failed = await service.notify('raised', makeAlert('alert-9'), makeSeries({ channels: 'broken,log' }));
+        console.error = errors;
+        check('A failing channel does not stop the others', failed.failed.join() === 'broken' && failed.sent.join() === 'log');
+
+        // Test 4: Rate limiting
+        console.log('\nTest 4: Rate limiting');
+        const logOnly = makeSeries({ channels: 'log' });
+        const repeat = await service.notify('raised', makeAlert('alert-1'), logOnly);
+        check('Same event for the same alert is suppressed', repeat.suppressed.join() === 'log' && repeat.sent.length === 0);
+        const other = await service.notify('cleared', makeAlert('alert-1', { clearedAt: new Date() }), logOnly);
+        check('Other events of the alert still go out', other.sent.join() === 'log');
+        const capped = await service.notify('raised', makeAlert('alert-3'), logOnly);
+        check('Channel cap per window', capped.suppressed.join() === 'log', `${fs.readFileSync(logPath, 'utf8').trim().split('\n').length} lines`);
+        service.sentAt.set('log', []);
+        await service.notify('raised', makeAlert('alert-4'), logOnly);
+        const lastLine = fs.readFileSync(logPath, 'utf8').trim().split('\n').pop();
+        check('Next message reports suppressed ones', lastLine.includes('ระงับการแจ้งเตือนไป 1 ข้อความ'), lastLine.slice(-40));
+
+        // Test 5: Alert engine events
+        console.log('\nTest 5: Alert engine');
+        const store = {
+            rules: [{ id: 'engine-rule', field: 'activePower1', type: 'below', threshold: 100, forSeconds: 0, clearSeconds: 0,
+                severity: 'warning', stationId: null, channels: 'hook' }],
+            async getAlertRules() { return this.rules; },
+            async getOpenAlerts() { return []; },
+            async createAlert(data) { return { id: 'engine-alert', ...data }; },
+            async updateAlert(id, data) { return { id, ...data }; }
+        };
+        const engine = new AlertEngine(store);
+        const engineService = new NotificationService({
+            channels: { hook: { type: 'webhook', url: `http://127.0.0.1:${web.port}/engine` } }
+        });
+        engineService.attach(engine);
+        await engine.loadRules();
+        const log = console.log;
+        console.log = () => {};
+        await engine.handleReadings([{ station: 'น่าน', stationId: 'nan', field: 'activePower1', value: 20, timestamp: new Date().toISOString() }]);
+        console.log = log;
+        await waitFor(() => web.requests.some((request) => request.url === '/engine'));
+        const engineRequest = web.requests.find((request) => request.url === '/engine');
+        check('Raised alerts are delivered to the rule channels', engineRequest &&
+            JSON.parse(engineRequest.body).message.includes('น่าน - กำลังไฟฟ้า 1'));
+        engineService.detach();
+        check('Detach stops listening', engine.listenerCount('raised') === 0);
+
+        const test = await service.sendTest(['hook']);
+        check('Test notification', test.sent.join() === 'hook' &&
+            JSON.parse(web.requests[web.requests.length - 1].body).message.includes('ทดสอบการแจ้งเตือน'));
+    } finally {
+        service.detach();
+        web.server.close();
+        smtp.server.close();
+        syslog.socket.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testAlertNotifiers().then((passed) => {
+    process.exit(passed ? 0 : 1);
+}).catch((error) => {
+    console.error('❌ Test crashed:', error);
+    process.exit(1);
+});
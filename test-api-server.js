@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the read-only REST API
+ */
+
+const ApiServer = require('./src/server/ApiServer');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * In-memory store with the DatabaseService methods ApiServer uses
+ */
+class MemoryApiStore {
+    constructor(now) {
+        this.stations = [
+            { id: 'phrae', name: 'แพร่', ipAddress: '10.0.0.1', scene: 'scene-1', _count: { powerReadings: 120 } },
+            { id: 'nan', name: 'น่าน', ipAddress: '10.0.0.2', scene: 'scene-2', _count: { powerReadings: 0 } }
+        ];
+        this.objects = { phrae: { objectMap: { activePower1: 'obj-1', muxPower1: 'obj-2' } }, nan: { objectMap: {} } };
+        // One reading per minute for the last 2 hours at แพร่
+        this.readings = [];
+        for (let i = 0; i < 120; i++) {
+            this.readings.push({
+                id: `r${i}`,
+                stationId: 'phrae',
+                timestamp: new Date(now.getTime() - (120 - i) * MINUTE_MS),
+                activePower1: 10 + i,
+                createdAt: new Date(),
+                station: { name: 'แพร่' }
+            });
+        }
+        this.metrics = [{ key: 'voltageL1', name: 'Voltage L1', unit: 'V', description: null, createdAt: now }];
+        this.metricReadings = [0, 1, 2].map((i) => ({
+            id: `m${i}`,
+            stationId: 'phrae',
+            metricKey: 'voltageL1',
+            timestamp: new Date(now.getTime() - (3 - i) * MINUTE_MS),
+            value: 229 + i,
+            unit: 'V',
+            createdAt: new Date()
+        }));
+    }
+
+    inRange(reading, stationId, start, end) {
+        return reading.stationId === stationId && reading.timestamp >= start && reading.timestamp <= end;
+    }
+
+    async healthCheck() {
+        return true;
+    }
+
+    async getAllStations() {
+        return this.stations;
+    }
+
+    async getStationById(id) {
+        return this.stations.find((station) => station.id === id) || null;
+    }
+
+    async getStationByName(name) {
+        return this.stations.find((station) => station.name === name) || null;
+    }
+
+    async getStationMonitoredObjects(stationId) {
+        return this.objects[stationId];
+    }
+
+    async getLatestPowerReading(stationId) {
+        const readings = this.readings.filter((reading) => reading.stationId === stationId);
+        return readings[readings.length - 1] || null;
+    }
+
+    async getPowerReadingsByTimeRange(stationId, start, end, options) {
+        const readings = this.readings.filter((reading) => this.inRange(reading, stationId, start, end));
+        if (options.orderDirection === 'desc') readings.reverse();
+        return readings.slice(options.offset, options.offset + options.limit);
+    }
+
+    async countPowerReadingsByTimeRange(stationId, start, end) {
+        return this.readings.filter((reading) => this.inRange(reading, stationId, start, end)).length;
+    }
+
+    async getPowerHistory(stationId, start, end, options) {
+        this.lastHistoryOptions = options;
+        return { resolution: '1m', points: [{ timestamp: start, activePower1: 12.5 }] };
+    }
+
+    async getMetricDefinitions() {
+        return this.metrics;
+    }
+
+    async getLatestMetrics(stationId) {
+        const samples = this.metricReadings.filter((sample) => sample.stationId === stationId);
+        return samples.length > 0 ? [samples[samples.length - 1]] : [];
+    }
+
+    async getMetricReadings(stationId, start, end, options) {
+        return this.metricReadings
+            .filter((sample) => this.inRange(sample, stationId, start, end) && sample.metricKey === options.metricKey)
+            .slice(0, options.limit);
+    }
+
+    async getPowerReadingStats(stationId) {
+        if (stationId === 'nan') throw new Error('database is locked');
+        return { totalReadings: 120, firstReading: null, lastReading: null, timeSpan: 0 };
+    }
+}
+
+async function request(baseUrl, path, method = 'GET') {
+    const response = await fetch(`${baseUrl}${path}`, { method });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+async function testApiServer() {
+    console.log('🧪 Testing REST API\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    const now = new Date();
+    const store = new MemoryApiStore(now);
+    const server = new ApiServer({
+        databaseService: store,
+        port: 0,
+        host: '127.0.0.1',
+        statusProvider: () => [{ station: 'แพร่', state: 'connected' }]
+    });
+    const baseUrl = await server.start();
+    const originalError = console.error;
+
+    try {
+        // Test 1: Stations and objects
+        console.log('Test 1: Stations');
+        const stations = await request(baseUrl, '/api/stations');
+        check('Lists stations', stations.status === 200 && stations.body.data.length === 2 &&
+            stations.body.data[0].readingCount === 120);
+        check('CORS header', stations.headers.get('access-control-allow-origin') === '*');
+        const byName = await request(baseUrl, `/api/stations/${encodeURIComponent('แพร่')}`);
+        const byId = await request(baseUrl, '/api/stations/phrae');
+        check('Station by name or ID', byName.body.data.id === 'phrae' && byId.body.data.name === 'แพร่');
+        const objects = await request(baseUrl, '/api/stations/phrae/objects');
+        check('Monitored objects', objects.body.data.length === 2 && objects.body.data[0].objectType === 'activePower1');
+
+        // Test 2: Latest readings
+        console.log('\nTest 2: Latest readings');
+        const latest = await request(baseUrl, '/api/stations/phrae/latest');
+        check('Latest reading', latest.body.data.activePower1 === 129 && latest.body.data.station === undefined);
+        const allLatest = await request(baseUrl, '/api/latest');
+        check('Latest for every station', allLatest.body.data.length === 2 && allLatest.body.data[1].reading === null);
+
+        // Test 3: Pagination
+        console.log('\nTest 3: Readings with pagination');
+        const from = new Date(now.getTime() - 60 * MINUTE_MS).toISOString();
+        const page1 = await request(baseUrl, `/api/stations/phrae/readings?from=${from}&limit=25&order=asc`);
+        check('First page', page1.body.data.length === 25 && page1.body.pagination.total === 60 &&
+            page1.body.pagination.hasMore && page1.body.pagination.nextOffset === 25,
+            `total ${page1.body.pagination.total}`);
+        const page3 = await request(baseUrl, `/api/stations/phrae/readings?from=${from}&limit=25&offset=50&order=asc`);
+        check('Last page', page3.body.data.length === 10 && !page3.body.pagination.hasMore &&
+            page3.body.pagination.nextOffset === null);
+        check('Ascending order', new Date(page1.body.data[0].timestamp) < new Date(page1.body.data[1].timestamp));
+        const defaults = await request(baseUrl, '/api/stations/phrae/readings');
+        check('Defaults: last 24 hours, 100 per page, newest first', defaults.body.data.length === 100 &&
+            defaults.body.pagination.total === 120 && defaults.body.data[0].activePower1 === 129);
+
+        // Test 4: History and stats
+        console.log('\nTest 4: History and stats');
+        const history = await request(baseUrl, '/api/stations/phrae/history?resolution=1h&maxPoints=50');
+        check('History passes resolution', history.body.resolution === '1m' &&
+            store.lastHistoryOptions.resolution === '1h' && store.lastHistoryOptions.maxPoints === 50);
+        const stats = await request(baseUrl, '/api/stations/phrae/stats');
+        check('Stats', stats.body.data.totalReadings === 120 && stats.body.from === null);
+        const status = await request(baseUrl, '/api/status');
+        check('Monitor status', status.body.data[0].state === 'connected');
+        const metrics = await request(baseUrl, '/api/metrics');
+        check('Metric registry', metrics.body.data.length === 1 && metrics.body.data[0].unit === 'V' &&
+            metrics.body.data[0].createdAt === undefined);
+        const latestMetrics = await request(baseUrl, '/api/stations/phrae/metrics');
+        check('Latest metrics', latestMetrics.body.data[0].value === 231 && latestMetrics.body.data[0].id === undefined);
+        const samples = await request(baseUrl, '/api/stations/phrae/metrics/voltageL1?limit=2');
+        check('Metric samples', samples.body.unit === 'V' && samples.body.data.length === 2 &&
+            JSON.stringify(Object.keys(samples.body.data[0])) === '["timestamp","value"]');
+
+        // Test 5: Errors
+        console.log('\nTest 5: Errors');
+        const missing = await request(baseUrl, '/api/stations/nowhere');
+        check('Unknown station is 404', missing.status === 404 && missing.body.error.code === 'STATION_NOT_FOUND');
+        const unknown = await request(baseUrl, '/api/nothing');
+        check('Unknown endpoint is 404', unknown.status === 404 && unknown.body.error.code === 'NOT_FOUND');
+        const unknownMetric = await request(baseUrl, '/api/stations/phrae/metrics/humidity');
+        check('Unknown metric is 404', unknownMetric.status === 404 && unknownMetric.body.error.code === 'METRIC_NOT_FOUND');
+        const badLimit = await request(baseUrl, '/api/stations/phrae/readings?limit=5000');
+        const badDate = await request(baseUrl, '/api/stations/phrae/readings?from=yesterday');
+        const badResolution = await request(baseUrl, '/api/stations/phrae/history?resolution=5m');
+        check('Invalid parameters are 400', badLimit.status === 400 && badDate.status === 400 &&
+            badResolution.status === 400 && badDate.body.error.code === 'INVALID_PARAMETER');
+        const malformed = await request(baseUrl, '/api/stations/%E0%B9');
+        check('Malformed escapes are 400', malformed.status === 400 && malformed.body.error.code === 'INVALID_PARAMETER');
+        const post = await request(baseUrl, '/api/stations', 'POST');
+        check('Writes are rejected', post.status === 405);
+        const head = { chunks: [] };
+        const headResponse = {
+            req: { method: 'HEAD' },
+            writeHead: (status, headers) => Object.assign(head, { status, headers }),
+            end: (chunk) => head.chunks.push(chunk)
+        };
+        await server.handleRequest({ method: 'HEAD', url: '/api/stations' }, headResponse);
+        check('HEAD answers with headers only', head.status === 200 && head.headers['Content-Type'].startsWith('application/json') &&
+            head.chunks.length === 1 && head.chunks[0] === undefined);
+        check('Binds to localhost by default', new ApiServer().options.host === '127.0.0.1');
+        console.error = () => {};
+        const failed = await request(baseUrl, '/api/stations/nan/stats');
+        console.error = originalError;
+        check('Database errors are 500 without details', failed.status === 500 &&
+            failed.body.error.code === 'INTERNAL_ERROR' && !failed.body.error.message.includes('locked'));
+
+        // Test 6: Dashboard
+        console.log('\nTest 6: Dashboard');
+        const page = await fetch(`${baseUrl}/`);
+        const html = await page.text();
+        check('Dashboard page served', page.status === 200 && page.headers.get('content-type').startsWith('text/html') &&
+            html.includes('/assets/dashboard.js'));
+        const script = await fetch(`${baseUrl}/assets/dashboard.js`);
+        check('Dashboard assets served', script.status === 200 && script.headers.get('content-type').startsWith('text/javascript'));
+        const traversal = await fetch(`${baseUrl}/assets/..%2FApiServer.js`);
+        const missingAsset = await fetch(`${baseUrl}/assets/missing.css`);
+        check('Only dashboard files are served', traversal.status === 404 && missingAsset.status === 404);
+    } finally {
+        console.error = originalError;
+        await server.stop();
+    }
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testApiServer().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
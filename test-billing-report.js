@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the monthly per-MUX billing calculation and exports
+ */
+
+const EnergyService = require('./src/services/EnergyService');
+const BillingService = require('./src/services/BillingService');
+const BillingReport = require('./src/utils/billing-report');
+
+function near(actual, expected, tolerance = 0.01) {
+    return Math.abs(actual - expected) <= tolerance;
+}
+
+function testBillingReport() {
+    console.log('🧪 Testing Energy Billing Report\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    // One week, Monday 7 Sep 2026 to Monday 14 Sep 2026, MUX#1 at 10 kW and MUX#2 at 5 kW
+    const start = new Date(2026, 8, 7);
+    const end = new Date(2026, 8, 14);
+    const readings = [];
+    for (let minutes = 0; minutes <= 7 * 24 * 60; minutes += 10) {
+        readings.push({
+            timestamp: new Date(start.getTime() + minutes * 60 * 1000),
+            muxPower1: 1000 + 10 * (minutes / 60),
+            muxPower2: 2000 + 5 * (minutes / 60)
+        });
+    }
+    const consumption = new EnergyService().computeConsumption(readings, { start, end, period: 'hour' });
+    const meters = {
+        muxPower1: { opening: { value: 1000, timestamp: start }, closing: { value: 2680, timestamp: end } },
+        muxPower2: { opening: { value: 2000, timestamp: start }, closing: { value: 2840, timestamp: end } }
+    };
+
+    // Test 1: TOU split
+    console.log('Test 1: TOU peak/off-peak split');
+    const tou = new BillingService(null, { peakRate: 5, offPeakRate: 2, holidays: ['2026-09-08'] });
+    check('Weekday 10:00 is peak', tou.isPeakHour(new Date(2026, 8, 7, 10)));
+    check('Weekday 22:00 is off-peak', !tou.isPeakHour(new Date(2026, 8, 7, 22)));
+    check('Saturday is off-peak', !tou.isPeakHour(new Date(2026, 8, 12, 10)));
+    check('Holiday is off-peak', !tou.isPeakHour(new Date(2026, 8, 8, 10)));
+
+    const bill = tou.buildStationBill('แพร่', consumption, meters);
+    const mux1 = bill.muxes.find((line) => line.field === 'muxPower1');
+    check('Only metered MUXes billed', bill.muxes.length === 2);
+    check('Consumed kWh matches the meters', near(mux1.consumedKwh, 1680));
+    check('Peak kWh (4 working days × 13h × 10 kW)', near(mux1.peakKwh, 520), `${mux1.peakKwh.toFixed(2)}`);
+    check('Off-peak kWh is the rest', near(mux1.offPeakKwh, 1160));
+    check('TOU cost', near(mux1.cost, 520 * 5 + 1160 * 2), `${mux1.cost}`);
+    check('Station total', near(bill.totals.consumedKwh, 1680 + 840) && near(bill.totals.cost, mux1.cost + (260 * 5 + 580 * 2)));
+
+    // Test 2: Flat tariff and kWh-only
+    console.log('\nTest 2: Flat tariff and kWh only');
+    const flat = new BillingService(null, { rate: 4, serviceCharge: 100 });
+    check('Flat cost includes service charge', near(flat.buildStationBill('แพร่', consumption, meters).muxes[0].cost, 1680 * 4 + 100));
+    const kwhOnly = new BillingService(null).buildStationBill('แพร่', consumption, meters);
+    check('No tariff means no cost', kwhOnly.muxes[0].cost === null && kwhOnly.totals.cost === null);
+
+    let threw = false;
+    try {
+        new BillingService(null, { peakRate: 'abc', offPeakRate: 2 });
+    } catch (error) {
+        threw = true;
+    }
+    check('Invalid tariff rejected', threw);
+
+    // Test 3: Broadcaster summary and exports
+    console.log('\nTest 3: Summary and exports');
+    const bills = [bill, tou.buildStationBill('น่าน <B>', consumption, meters)];
+    const byMux = tou.summarizeByMux(bills);
+    check('Summary per broadcaster', byMux.length === 2 && byMux[0].stations === 2 && near(byMux[0].consumedKwh, 3360));
+
+    const report = {
+        period: tou.getMonthPeriod(2026, 9),
+        tariff: tou.tariff,
+        stations: bills,
+        byMux,
+        generatedAt: new Date()
+    };
+    const exporter = new BillingReport();
+    const csv = exporter.toCsv(report).trim().split('\n');
+    check('CSV has one row per station and MUX', csv.length === 5, `${csv.length - 1} rows`);
+    check('CSV includes opening/closing readings', csv[1].includes(',1000,') && csv[1].includes(',2680,'));
+
+    const html = exporter.toHtml(report);
+    check('HTML lists every station', html.includes('แพร่') && html.includes('น่าน &lt;B&gt;'));
+    check('HTML shows TOU columns', html.includes('Peak (kWh)'));
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+process.exit(testBillingReport() ? 0 : 1);
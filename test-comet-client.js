@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify CometClient request/response correlation, timeouts and typed errors
+ */
+
+const CometDeviceSimulator = require('./src/simulator/CometDeviceSimulator');
+const CometClient = require('./src/comet/CometClient');
+const {
+    AuthFailedError,
+    SceneNotFoundError,
+    RegisterRejectedError,
+    RequestTimeoutError,
+    ConnectionClosedError
+} = require('./src/comet/errors');
+
+const SCENE = CometDeviceSimulator.DEFAULT_SCENE;
+
+async function expectError(promise, ErrorType) {
+    try {
+        await promise;
+        return false;
+    } catch (error) {
+        return error instanceof ErrorType;
+    }
+}
+
+async function testCometClient() {
+    console.log('🧪 Testing CometClient RPC layer\n');
+
+    const simulator = new CometDeviceSimulator({
+        objects: { 8684: 10500, 18069: 969561.5 }
+    });
+    const url = await simulator.start();
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    const openClient = async (options = {}) => {
+        const client = new CometClient({ name: 'Test', url, replyTimeout: 1000, ...options });
+        await client.connect();
+        return client;
+    };
+
+    try {
+        // Test 1: A full session completes without artificial delays
+        console.log('Test 1: Full session timing');
+        const client = await openClient();
+        const started = Date.now();
+        await client.openSession({ scene: SCENE, updateRate: 3000, objectIds: [8684, 18069] });
+        const elapsed = Date.now() - started;
+        check('Session of 8 calls completes quickly', elapsed < 1000, `${elapsed}ms`);
+        check('Request ids auto-increment', client.nextRequestId === 8, `next id ${client.nextRequestId}`);
+        check('No pending requests left', client.pendingRequests.size === 0);
+        check('No per-call message listeners leaked', client.listenerCount('message') === 0);
+
+        // Test 2: Concurrent calls are matched by id
+        console.log('\nTest 2: Concurrent calls');
+        simulator.setReplyDelay('ScriptEngine.loadScriptInfo', 200);
+        const [scriptInfo, dashboards] = await Promise.all([
+            client.loadScriptInfo(),
+            client.loadDashboards()
+        ]);
+        simulator.setReplyDelay('ScriptEngine.loadScriptInfo', 0);
+        check('Replies matched to the right request', scriptInfo.id === 8 && dashboards.id === 9, `ids ${scriptInfo.id}, ${dashboards.id}`);
+
+        // Test 3: Timeouts
+        console.log('\nTest 3: Per-call timeouts');
+        simulator.setReplyDelay('ScriptEngine.loadDashboards', 500);
+        const timedOut = await expectError(client.call('ScriptEngine.loadDashboards', [], { timeout: 100 }), RequestTimeoutError);
+        simulator.setReplyDelay('ScriptEngine.loadDashboards', 0);
+        check('Slow reply raises RequestTimeoutError', timedOut);
+        check('Timed out request removed from pending map', client.pendingRequests.size === 0);
+
+        // Test 4: Typed errors
+        console.log('\nTest 4: Typed errors');
+        check('Unknown scene raises SceneNotFoundError', await expectError(client.loadScene('missing-scene'), SceneNotFoundError));
+
+        const badUsid = client.USID;
+        client.USID = 'not-a-session';
+        check('Invalid session raises RegisterRejectedError', await expectError(client.registerActiveObjects([8684]), RegisterRejectedError));
+        client.USID = badUsid;
+        client.close();
+
+        const wrongPassword = await openClient({ password: 'wrong' });
+        check('Wrong password raises AuthFailedError', await expectError(wrongPassword.signIn(), AuthFailedError));
+        wrongPassword.close();
+
+        // Test 5: Pending requests fail when the connection drops
+        console.log('\nTest 5: Connection loss');
+        const dropped = await openClient({ replyTimeout: 5000 });
+        simulator.setReplyDelay('comet.signIn', 1000);
+        const pendingSignIn = expectError(dropped.signIn(), ConnectionClosedError);
+        setTimeout(() => simulator.dropConnections(), 100);
+        check('Pending call rejected with ConnectionClosedError', await pendingSignIn);
+        check('Error carries a stable code', new RequestTimeoutError('x', 1).code === 'TIMEOUT');
+        simulator.setReplyDelay('comet.signIn', 0);
+
+    } catch (error) {
+        check('CometClient test', false, error.message);
+    } finally {
+        await simulator.stop();
+    }
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testCometClient().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the monitor applies station and monitored object
+ * changes from the database while running: new, removed, renamed and
+ * re-addressed stations and re-registered objects
+ */
+
+const CometDeviceSimulator = require('./src/simulator/CometDeviceSimulator');
+const StationEventTypes = require('./src/database/StationEventTypes');
+const { MonitorController, config } = require('./monitor');
+
+/**
+ * In-memory store with the DatabaseService methods the monitor and the reload use
+ */
+class MemoryConfigStore {
+    constructor() {
+        this.stations = [];
+        this.objects = {}; // stationId -> objectMap
+        this.events = [];
+        this.invalidated = [];
+        this.metricRefreshes = 0;
+    }
+
+    async getAllStations() {
+        return this.stations.map((station) => ({ ...station }));
+    }
+
+    async findOrCreateStation(stationConfig) {
+        return this.stations.find((station) => station.name === stationConfig.name);
+    }
+
+    async getStationMonitoredObjects(stationId) {
+        const objectMap = this.objects[stationId] || {};
+        return { objectMap, objectIds: Object.values(objectMap), count: Object.keys(objectMap).length };
+    }
+
+    async createStationEvent(event) {
+        this.events.push(event);
+        return event;
+    }
+
+    invalidateObjectFields(stationId) {
+        this.invalidated.push(stationId);
+    }
+
+    async refreshMetricDefinitions() {
+        this.metricRefreshes++;
+        return false;
+    }
+
+    validatePowerData() {
+        return { isValid: true, errors: [], warnings: [] };
+    }
+
+    async createPowerReading(reading) {
+        return reading;
+    }
+}
+
+function waitFor(condition, timeoutMs, description) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (condition()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - started > timeoutMs) {
+                clearInterval(timer);
+                reject(new Error(`Timed out waiting for ${description}`));
+            }
+        }, 20);
+    });
+}
+
+async function testConfigReload() {
+    console.log('🧪 Testing Configuration Reload\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    config.updateRate = 100;
+    const objects = {
+        8684: { type: 'ramp', base: 1000, ratePerSecond: 100 },
+        18069: { type: 'constant', base: 52000 }
+    };
+    const simulators = [new CometDeviceSimulator({ objects }), new CometDeviceSimulator({ objects }), new CometDeviceSimulator({ objects })];
+    const [urlA, urlB, urlC] = await Promise.all(simulators.map((simulator) => simulator.start()));
+    const registrations = [];
+    simulators[0].on('request', (msg) => msg.method === 'ScriptEngine.registerActiveObjects' && registrations.push(msg.params[1]));
+
+    const scene = CometDeviceSimulator.DEFAULT_SCENE;
+    const store = new MemoryConfigStore();
+    store.stations = [{ id: 'phrae', name: 'แพร่', ipAddress: urlA, scene }];
+    store.objects.phrae = { activePower1: 8684 };
+
+    const controller = new MonitorController();
+    controller.databaseService = store;
+    const originalLog = console.log;
+    const quiet = async (task) => {
+        console.log = () => {};
+        try {
+            return await task();
+        } finally {
+            console.log = originalLog;
+        }
+    };
+
+    try {
+        await quiet(async () => {
+            config.stations = controller.toStationConfigs(await store.getAllStations()).stationConfigs;
+            config.stations.forEach((station) => controller.addMonitor(station));
+            controller.isRunning = true;
+            controller.mode = 'simultaneous';
+            controller.monitors.forEach((monitor) => controller.startMonitor(monitor));
+            await waitFor(() => controller.monitors[0].dataBuffer[8684] !== undefined, 3000, 'first station');
+        });
+        const phrae = controller.monitors[0];
+
+        // Test 1: Nothing changed
+        console.log('Test 1: Unchanged configuration');
+        check('No changes applied', (await quiet(() => controller.reloadConfiguration())).length === 0);
+        check('Metric definitions re-read', store.metricRefreshes === 1);
+
+        // Test 2: Stations
+        console.log('\nTest 2: Stations');
+        store.stations.push({ id: 'nan', name: 'น่าน', ipAddress: urlB, scene });
+        store.stations.push({ id: 'broken', name: 'ชุมพร', ipAddress: null, scene });
+        let changes = await quiet(() => controller.reloadConfiguration());
+        check('New station started, incomplete one skipped', changes.length === 1 && changes[0].action === 'started' &&
+            controller.monitors.length === 2, JSON.stringify(changes.map((change) => change.action)));
+        await quiet(() => waitFor(() => controller.monitors[1].dataBuffer[8684] !== undefined, 3000, 'new station data'));
+        check('New station receives data', simulators[1].connectionCount === 1);
+
+        store.stations[0].name = 'แพร่ 2';
+        store.stations[1].ipAddress = urlC;
+        changes = await quiet(() => controller.reloadConfiguration());
+        const actions = changes.map((change) => `${change.action}:${change.station}`).sort();
+        check('Rename and address change detected', JSON.stringify(actions) === '["reconnected:น่าน","renamed:แพร่ 2"]', actions.join());
+        check('Renamed in place', controller.monitors.includes(phrae) && phrae.config.name === 'แพร่ 2' && phrae.isConnected);
+        await quiet(() => waitFor(() => simulators[2].connectionCount === 1 && simulators[1].connectionCount === 0, 3000, 'reconnect'));
+        check('Re-addressed station moved to the new device', controller.monitors.length === 2 &&
+            changes.find((change) => change.action === 'reconnected').details.includes(urlC));
+
+        // Test 3: Monitored objects
+        console.log('\nTest 3: Monitored objects');
+        store.objects.phrae = { activePower1: 8684, muxPower1: 18069 };
+        changes = await quiet(() => controller.reloadConfiguration());
+        check('Object change applied', changes.length === 1 && changes[0].action === 'objects' && changes[0].details === '+18069',
+            changes[0] && changes[0].details);
+        await quiet(() => waitFor(() => phrae.dataBuffer[18069] !== undefined, 3000, 'new object data'));
+        check('Re-registered on the open session', JSON.stringify(registrations[registrations.length - 1]) === '[8684,18069,-1]' &&
+            phrae.objectFields[18069] === 'muxPower1', JSON.stringify(registrations));
+        check('Station mapping cache invalidated', store.invalidated.join() === 'phrae');
+
+        // The device refuses the next registration once
+        const client = phrae.client;
+        client.registerActiveObjects = async () => {
+            delete client.registerActiveObjects;
+            throw new Error('Session expired');
+        };
+        store.objects.phrae = { activePower1: 8684, muxPower2: 18069 };
+        const originalError = console.error;
+        console.error = () => {};
+        changes = await quiet(() => controller.reloadConfiguration());
+        console.error = originalError;
+        check('Failed registration not applied', changes.length === 0 && phrae.objectFields[18069] === 'muxPower1' &&
+            store.invalidated.length === 1);
+        changes = await quiet(() => controller.reloadConfiguration());
+        check('Retried at the next reload', changes.length === 1 && changes[0].details === 'remapped 18069' &&
+            phrae.objectFields[18069] === 'muxPower2' && store.invalidated.join() === 'phrae,phrae',
+            changes[0] && changes[0].details);
+
+        // Test 4: Removal and the change log
+        console.log('\nTest 4: Removal');
+        store.stations.shift();
+        store.stations.splice(store.stations.findIndex((station) => station.id === 'broken'), 1);
+        changes = await quiet(() => controller.reloadConfiguration());
+        check('Removed station stopped', changes.length === 1 && changes[0].action === 'stopped' &&
+            !controller.monitors.includes(phrae) && controller.monitors.length === 1);
+        await quiet(() => waitFor(() => simulators[0].connectionCount === 0, 3000, 'disconnect'));
+        check('Connection closed', true);
+
+        store.stations = [];
+        check('Empty station list ignored', (await quiet(() => controller.reloadConfiguration())).length === 0 &&
+            controller.monitors.length === 1);
+
+        const applied = store.events.filter((event) => event.type === StationEventTypes.CONFIG_APPLIED);
+        check('Every change recorded as an event', applied.length === 6 && applied.every((event) => event.source === 'config') &&
+            controller.reloadLog.length === 6, applied.map((event) => event.message).join(' | '));
+    } catch (error) {
+        console.log = originalLog;
+        check('Configuration reload', false, error.message);
+    } finally {
+        console.log = originalLog;
+        controller.monitors.forEach((monitor) => monitor.disconnect());
+        await Promise.all(simulators.map((simulator) => simulator.stop()));
+    }
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testConfigReload().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify how duplicate readings (same station and timestamp)
+ * are resolved by the keep first / keep last / merge policies
+ */
+
+const { DuplicatePolicies, READING_FIELDS, resolveDuplicatePolicy, duplicateUpdate, collapseDuplicates } =
+    require('./src/database/DuplicatePolicies');
+const DatabaseService = require('./src/database/DatabaseService');
+
+function testDuplicateReadings() {
+    console.log('🧪 Testing Duplicate Reading Policies\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    const timestamp = new Date('2026-10-19T02:00:00Z');
+    // The live monitor saw activePower1/muxPower1; a replayed export has activePower2 and a newer activePower1
+    const live = { stationId: 'phrae', timestamp, activePower1: 1300, muxPower1: 5021.5 };
+    const replay = { stationId: 'phrae', timestamp: new Date(timestamp), activePower1: 1310, activePower2: 0, muxPower1: null };
+
+    // Test 1: Policies
+    console.log('Test 1: Update for a stored reading');
+    check('Keep first changes nothing', Object.keys(duplicateUpdate(replay, DuplicatePolicies.KEEP_FIRST)).length === 0);
+    const last = duplicateUpdate(replay, DuplicatePolicies.KEEP_LAST);
+    check('Keep last replaces every field', Object.keys(last).length === READING_FIELDS.length &&
+        last.activePower1 === 1310 && last.muxPower1 === null && last.activePower3 === null);
+    const merge = duplicateUpdate(replay, DuplicatePolicies.MERGE);
+    check('Merge writes only non-null values', JSON.stringify(merge) === JSON.stringify({ activePower1: 1310, activePower2: 0 }),
+        JSON.stringify(merge));
+    check('Only reading fields are written', !('stationId' in last) && !('timestamp' in merge));
+
+    // Test 2: Duplicates inside one batch
+    console.log('\nTest 2: Batch');
+    const other = { stationId: 'phrae', timestamp: new Date(timestamp.getTime() + 10000), activePower1: 1290 };
+    const nan = { stationId: 'nan', timestamp: new Date(timestamp), activePower1: 800 };
+    const batch = [live, other, replay, nan];
+
+    const first = collapseDuplicates(batch, DuplicatePolicies.KEEP_FIRST);
+    check('One reading per station and timestamp', first.readings.length === 3 && first.duplicates === 1);
+    check('Keep first keeps the earliest arrival', first.readings[0].activePower1 === 1300 &&
+        first.readings[0].muxPower1 === 5021.5 && !('activePower2' in first.readings[0]));
+    const merged = collapseDuplicates(batch, DuplicatePolicies.MERGE).readings[0];
+    check('Merge fills gaps without erasing values', merged.activePower1 === 1310 && merged.activePower2 === 0 &&
+        merged.muxPower1 === 5021.5);
+    const replaced = collapseDuplicates(batch, DuplicatePolicies.KEEP_LAST).readings[0];
+    check('Keep last takes the later reading', replaced.activePower1 === 1310 && replaced.muxPower1 === null &&
+        replaced.timestamp === timestamp);
+    check('Arrival order decides, not timestamps', collapseDuplicates([replay, live], DuplicatePolicies.KEEP_LAST)
+        .readings[0].activePower1 === 1300);
+
+    // Test 3: Configuration
+    console.log('\nTest 3: Configuration');
+    check('Merge is the default', new DatabaseService().duplicatePolicy === DuplicatePolicies.MERGE);
+    check('Policy from options', new DatabaseService({ duplicatePolicy: 'last' }).duplicatePolicy === 'last');
+    let rejected = false;
+    try {
+        resolveDuplicatePolicy('newest');
+    } catch (error) {
+        rejected = /expected first, last, merge/.test(error.message);
+    }
+    check('Unknown policies rejected', rejected);
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+process.exit(testDuplicateReadings() ? 0 : 1);
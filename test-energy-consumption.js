@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify MUX energy consumption from cumulative kWh counters
+ */
+
+const EnergyService = require('./src/services/EnergyService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A reading every 10 minutes with the MUX#1 counter rising at `kw`
+function buildReadings(start, hours, kw, startValue, transform = (value) => value) {
+    const readings = [];
+    for (let minutes = 0; minutes <= hours * 60; minutes += 10) {
+        const timestamp = new Date(start.getTime() + minutes * 60 * 1000);
+        const value = startValue + kw * (minutes / 60);
+        readings.push({ timestamp, muxPower1: transform(value, timestamp) });
+    }
+    return readings;
+}
+
+function near(actual, expected, tolerance = 0.01) {
+    return Math.abs(actual - expected) <= tolerance;
+}
+
+function testEnergyConsumption() {
+    console.log('🧪 Testing MUX Energy Consumption\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    const service = new EnergyService();
+    const start = new Date(2026, 8, 1); // Local midnight, 1 Sep 2026
+    const end = new Date(2026, 8, 3);
+
+    // Test 1: Steady load split into days and hours
+    console.log('Test 1: Steady 10 kW load');
+    const steady = buildReadings(start, 48, 10, 50000);
+    const daily = service.computeConsumption(steady, { start, end, period: 'day' }).muxes.muxPower1;
+    check('Two daily buckets', daily.buckets.length === 2);
+    check('240 kWh per day', daily.buckets.every((bucket) => near(bucket.kwh, 240)), daily.buckets.map((b) => b.kwh.toFixed(2)).join(', '));
+    check('Total is the counter difference', near(daily.totalKwh, 480));
+
+    const hourly = service.computeConsumption(steady, { start, end: new Date(2026, 8, 1, 3), period: 'hour' }).muxes.muxPower1;
+    check('Hourly buckets clipped to the period', hourly.buckets.length === 3 && near(hourly.totalKwh, 30));
+
+    // Test 2: A 6-hour gap is interpolated, not lost
+    console.log('\nTest 2: Gap in the readings');
+    const gapStart = new Date(2026, 8, 1, 20);
+    const gapEnd = new Date(2026, 8, 2, 2);
+    const withGap = steady.filter((reading) => reading.timestamp <= gapStart || reading.timestamp >= gapEnd);
+    const gapped = service.computeConsumption(withGap, { start, end, period: 'day' }).muxes.muxPower1;
+    check('Consumption across the gap is kept', near(gapped.totalKwh, 480));
+    check('Gap spread over both days', near(gapped.buckets[0].kwh, 240) && near(gapped.buckets[1].kwh, 240));
+    check('Buckets touching the gap flagged as estimated', gapped.buckets.every((bucket) => bucket.estimated));
+    check('Gap reported', gapped.gaps.length === 1 && gapped.gaps[0].durationMs === 6 * HOUR_MS);
+
+    // Test 3: Meter replaced at noon on day 1 (new meter starts at 0)
+    console.log('\nTest 3: Meter replacement');
+    const replacedAt = new Date(2026, 8, 1, 12);
+    const replaced = buildReadings(start, 48, 10, 50000, (value, timestamp) =>
+        timestamp >= replacedAt ? value - 50000 - 120 : value);
+    const replacedResult = service.computeConsumption(replaced, { start, end, period: 'day' }).muxes.muxPower1;
+    check('Reset detected', replacedResult.resets.length === 1 && replacedResult.resets[0].kind === 'reset');
+    check('Consumption continues after replacement', near(replacedResult.totalKwh, 480, 2), `${replacedResult.totalKwh.toFixed(2)} kWh`);
+
+    // Test 4: Counter rollover
+    console.log('\nTest 4: Counter rollover');
+    const rolled = buildReadings(start, 48, 10, 999900, (value) => value % 1000000);
+    const rolledResult = service.computeConsumption(rolled, { start, end, period: 'day', rolloverAt: 1000000 }).muxes.muxPower1;
+    check('Rollover detected', rolledResult.resets.length === 1 && rolledResult.resets[0].kind === 'rollover');
+    check('Consumption across the rollover is kept', near(rolledResult.totalKwh, 480), `${rolledResult.totalKwh.toFixed(2)} kWh`);
+
+    // Test 5: Jitter and spikes
+    console.log('\nTest 5: Jitter and implausible spikes');
+    const noisy = steady.map((reading, index) => ({
+        ...reading,
+        muxPower1: index === 11 ? reading.muxPower1 - 1.8 : index === 20 ? reading.muxPower1 + 90000 : reading.muxPower1
+    }));
+    const noisyResult = service.computeConsumption(noisy, { start, end, period: 'day' }).muxes.muxPower1;
+    check('Spike steps discarded', noisyResult.discarded.length === 1, `${noisyResult.discarded.length} discarded`);
+    check('Small backwards step is not a reset', noisyResult.resets.length === 0);
+    check('Spike does not lose consumption', near(noisyResult.totalKwh, 480), `${noisyResult.totalKwh.toFixed(2)} kWh`);
+
+    // Test 6: Meter replaced with one already showing a higher total
+    console.log('\nTest 6: Meter re-based upwards');
+    const rebasedAt = new Date(2026, 8, 2, 6);
+    const rebased = buildReadings(start, 48, 10, 50000, (value, timestamp) =>
+        timestamp >= rebasedAt ? value + 300000 : value);
+    const rebasedResult = service.computeConsumption(rebased, { start, end, period: 'day' }).muxes.muxPower1;
+    check('Re-base detected after the new level is confirmed', rebasedResult.resets.some((reset) => reset.kind === 'rebase'));
+    check('Only the jump is lost', near(rebasedResult.totalKwh, 480, 4), `${rebasedResult.totalKwh.toFixed(2)} kWh`);
+
+    let threw = false;
+    try {
+        service.createAccumulator({ start, end, period: 'week' });
+    } catch (error) {
+        threw = true;
+    }
+    check('Unknown period rejected', threw);
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+process.exit(testEnergyConsumption() ? 0 : 1);
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the live reading feed over WebSocket and SSE
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const ApiServer = require('./src/server/ApiServer');
+const LiveFeed = require('./src/server/LiveFeed');
+
+/**
+ * Collects JSON messages from a WebSocket and waits for the next one
+ */
+class MessageQueue {
+    constructor() {
+        this.messages = [];
+        this.waiting = [];
+    }
+
+    push(message) {
+        const waiter = this.waiting.shift();
+        if (waiter) {
+            waiter(message);
+        } else {
+            this.messages.push(message);
+        }
+    }
+
+    next(timeoutMs = 2000) {
+        if (this.messages.length > 0) {
+            return Promise.resolve(this.messages.shift());
+        }
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timed out waiting for a message')), timeoutMs);
+            this.waiting.push((message) => {
+                clearTimeout(timer);
+                resolve(message);
+            });
+        });
+    }
+}
+
+function openWebSocket(url) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url);
+        const queue = new MessageQueue();
+        ws.on('message', (data) => queue.push(JSON.parse(data.toString())));
+        ws.once('open', () => resolve({ ws, queue }));
+        ws.once('error', reject);
+    });
+}
+
+/**
+ * Open an SSE stream and parse events into a queue
+ */
+function openEventStream(url) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(url, (res) => {
+            const queue = new MessageQueue();
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                let index;
+                while ((index = buffer.indexOf('\n\n')) >= 0) {
+                    const block = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+                    const event = /^event: (.+)$/m.exec(block);
+                    const data = /^data: (.+)$/m.exec(block);
+                    if (event && data) {
+                        queue.push({ event: event[1], ...JSON.parse(data[1]) });
+                    }
+                }
+            });
+            resolve({ req, res, queue });
+        });
+        req.once('error', reject);
+    });
+}
+
+async function testLiveFeed() {
+    console.log('🧪 Testing Live Feed\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    // Test 1: Publishing and snapshots
+    console.log('Test 1: Publishing');
+    const feed = new LiveFeed({ heartbeatMs: 60000 });
+    const local = [];
+    feed.on('readings', (readings) => local.push(...readings));
+    const published = feed.publish({
+        station: 'แพร่',
+        stationId: 'phrae',
+        source: 'websocket',
+        timestamp: new Date('2026-10-19T03:00:00Z'),
+        values: { activePower1: 1520.5, muxPower3: 10452.1, muxPower4: NaN }
+    });
+    check('Readings normalized', published.length === 2 && published[0].field === 'activePower1' &&
+        published[0].unit === 'W' && published[1].unit === 'kWh' &&
+        published[0].timestamp === '2026-10-19T03:00:00.000Z', `${published.length} readings`);
+    check('Emitted locally', local.length === 2);
+    feed.publish({ station: 'น่าน', source: 'api', values: { muxPower1: 500 } });
+    feed.publish({ station: 'แพร่', stationId: 'phrae', values: { activePower1: 1600 } });
+    const snapshot = feed.getSnapshot();
+    check('Snapshot keeps latest value per field', snapshot.length === 3 &&
+        snapshot.find((reading) => reading.field === 'activePower1').value === 1600);
+    check('Snapshot filter by name or ID', feed.getSnapshot(new Set(['น่าน'])).length === 1 &&
+        feed.getSnapshot(new Set(['phrae'])).length === 2);
+
+    const server = new ApiServer({ databaseService: null, port: 0, host: '127.0.0.1', liveFeed: feed });
+    const baseUrl = await server.start();
+    const wsUrl = baseUrl.replace('http', 'ws');
+
+    try {
+        // Test 2: WebSocket
+        console.log('\nTest 2: WebSocket subscribers');
+        const all = await openWebSocket(`${wsUrl}/api/live`);
+        const phrae = await openWebSocket(`${wsUrl}/api/live?stations=${encodeURIComponent('แพร่')}`);
+        const allSnapshot = await all.queue.next();
+        const phraeSnapshot = await phrae.queue.next();
+        check('Snapshot on connect', allSnapshot.type === 'snapshot' && allSnapshot.data.length === 3 &&
+            phraeSnapshot.data.length === 2 && phraeSnapshot.stations[0] === 'แพร่');
+
+        feed.publish({ station: 'น่าน', source: 'api', values: { muxPower1: 501 } });
+        feed.publish({ station: 'แพร่', stationId: 'phrae', values: { activePower2: 800 } });
+        const first = await all.queue.next();
+        const second = await all.queue.next();
+        const filtered = await phrae.queue.next();
+        check('Unfiltered client receives every station', first.data[0].station === 'น่าน' && second.data[0].station === 'แพร่');
+        check('Filtered client only receives its station', filtered.type === 'readings' &&
+            filtered.data[0].field === 'activePower2' && phrae.queue.messages.length === 0);
+
+        phrae.ws.send(JSON.stringify({ type: 'subscribe', stations: ['น่าน'] }));
+        const resubscribed = await phrae.queue.next();
+        check('Subscribe message changes the filter', resubscribed.type === 'snapshot' &&
+            resubscribed.data.length === 1 && resubscribed.data[0].station === 'น่าน');
+        phrae.ws.send('not json');
+        const error = await phrae.queue.next();
+        check('Invalid message answered with error', error.type === 'error');
+
+        // Test 3: Server-Sent Events
+        console.log('\nTest 3: Server-Sent Events');
+        const sse = await openEventStream(`${baseUrl}/api/live/events?stations=phrae`);
+        check('Event stream content type', sse.res.headers['content-type'].startsWith('text/event-stream'));
+        const sseSnapshot = await sse.queue.next();
+        check('SSE snapshot', sseSnapshot.event === 'snapshot' && sseSnapshot.data.length === 3);
+        feed.publish({ station: 'น่าน', values: { muxPower1: 502 } });
+        feed.publish({ station: 'แพร่', stationId: 'phrae', values: { muxPower3: 10452.3 } });
+        const sseReadings = await sse.queue.next();
+        check('SSE readings filtered by station ID', sseReadings.event === 'readings' &&
+            sseReadings.data[0].field === 'muxPower3' && sse.queue.messages.length === 0);
+        check('Subscribers counted', feed.subscribers.size === 3, `${feed.subscribers.size}`);
+
+        const liveSnapshot = await (await fetch(`${baseUrl}/api/live/snapshot?stations=${encodeURIComponent('น่าน')}`)).json();
+        check('Snapshot endpoint', liveSnapshot.data.length === 1 && liveSnapshot.data[0].value === 502);
+        const stations = await fetch(`${baseUrl}/api/stations`);
+        check('Database endpoints are 503 without a database', stations.status === 503);
+
+        sse.req.destroy();
+        all.ws.close();
+        phrae.ws.close();
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        check('Closed subscribers removed', feed.subscribers.size === 0, `${feed.subscribers.size}`);
+    } finally {
+        await server.stop();
+    }
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testLiveFeed().then((passed) => {
+    process.exit(passed ? 0 : 1);
+}).catch((error) => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify maintenance windows: period arithmetic, alert muting,
+ * planned off-air incidents and exclusion from uptime and off-air statistics
+ */
+
+const DatabaseService = require('./src/database/DatabaseService');
+const StationEventTypes = require('./src/database/StationEventTypes');
+const MaintenanceSchedule = require('./src/services/MaintenanceSchedule');
+const { mergePeriods, overlapMs, windowPeriods } = MaintenanceSchedule;
+const AlertEngine = require('./src/alerts/AlertEngine');
+const OffAirDetector = require('./src/services/OffAirDetector');
+const { summarizeIncidents } = OffAirDetector;
+const { parseLocalDateTime } = require('./src/utils/cli-options');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * In-memory store with the DatabaseService methods the schedule, the alert
+ * engine and the off-air detector use
+ */
+class MemoryMaintenanceStore {
+    constructor(windows) {
+        this.windows = windows;
+        this.rules = [{ id: 'off', enabled: true, field: 'activePower*', type: 'below', threshold: 100, forSeconds: 60,
+            clearSeconds: 60, severity: 'critical', stationId: null }];
+        this.alerts = [];
+        this.incidents = [];
+        this.nextId = 1;
+    }
+
+    async getMaintenanceWindows({ startDate = null, endDate = null } = {}) {
+        return this.windows.filter((window) =>
+            (!startDate || window.endsAt > startDate) && (!endDate || window.startsAt < endDate));
+    }
+
+    async getAlertRules() {
+        return this.rules;
+    }
+
+    async getOpenAlerts() {
+        return this.alerts.filter((alert) => alert.state !== 'cleared');
+    }
+
+    async createAlert(data) {
+        const alert = { id: `alert-${this.nextId++}`, clearedAt: null, ...data };
+        this.alerts.push(alert);
+        return { ...alert };
+    }
+
+    async updateAlert(id, data) {
+        const alert = this.alerts.find((entry) => entry.id === id);
+        Object.assign(alert, data);
+        return { ...alert };
+    }
+
+    async createOffAirIncident(data) {
+        const incident = { id: `incident-${this.nextId++}`, endedAt: null, ...data };
+        this.incidents.push(incident);
+        return { ...incident };
+    }
+
+    async updateOffAirIncident(id, data) {
+        const incident = this.incidents.find((entry) => entry.id === id);
+        Object.assign(incident, data);
+        return { ...incident };
+    }
+}
+
+function reading(field, value, time, stationId = 'phrae') {
+    return { station: 'แพร่', stationId, field, value, timestamp: new Date(time).toISOString() };
+}
+
+async function testMaintenanceWindows() {
+    console.log('🧪 Testing Maintenance Windows\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+    const originalLog = console.log;
+    const quiet = async (task) => {
+        console.log = () => {};
+        try {
+            return await task();
+        } finally {
+            console.log = originalLog;
+        }
+    };
+
+    const start = new Date('2026-10-20T00:00:00Z');
+    const end = new Date('2026-10-20T04:00:00Z');
+    const at = (minutes) => new Date(start.getTime() + minutes * MINUTE_MS);
+
+    // Test 1: Period arithmetic
+    console.log('Test 1: Periods');
+    const merged = mergePeriods([{ start: at(60), end: at(90) }, { start: at(10), end: at(20) }, { start: at(80), end: at(120) },
+        { start: at(30), end: at(30) }]);
+    check('Overlapping periods merged, empty ones dropped', merged.length === 2 &&
+        merged[1].start.getTime() === at(60).getTime() && merged[1].end.getTime() === at(120).getTime());
+    check('Overlap clipped to the range', overlapMs(at(15), at(70), merged) === 15 * MINUTE_MS);
+    const windows = [
+        { id: 'w1', stationId: 'phrae', field: null, startsAt: at(60), endsAt: at(120), reason: 'Antenna work' },
+        { id: 'w2', stationId: 'phrae', field: 'activePower2', startsAt: at(150), endsAt: at(180), reason: null }
+    ];
+    check('Station-wide windows only without a channel', windowPeriods(windows).length === 1);
+    check('Channel windows added for their channel', windowPeriods(windows, 'activePower2').length === 2 &&
+        windowPeriods(windows, 'activePower1').length === 1);
+    check('Local date and time', parseLocalDateTime('2026-10-27 01:30').getTime() === new Date(2026, 9, 27, 1, 30).getTime());
+
+    // Test 2: Schedule lookups
+    console.log('\nTest 2: Schedule');
+    const store = new MemoryMaintenanceStore(windows);
+    const schedule = new MaintenanceSchedule(store);
+    await schedule.load(start);
+    check('Station-wide window covers every channel', schedule.find('phrae', 'muxPower1', at(90)) === windows[0]);
+    check('Channel window covers only its channel', schedule.find('phrae', 'activePower2', at(160)) === windows[1] &&
+        schedule.find('phrae', 'activePower1', at(160)) === null);
+    check('End is exclusive', schedule.find('phrae', 'activePower1', at(120)) === null);
+    check('Other stations unaffected', schedule.find('nan', 'activePower1', at(90)) === null);
+
+    // Test 3: Uptime and coverage exclusion
+    console.log('\nTest 3: Statistics');
+    const dbService = new DatabaseService();
+    const excluded = windowPeriods(windows);
+    // Dark from 00:50 to 02:10: 70 minutes of it inside the 01:00-02:00 window
+    const timestamps = [];
+    for (let time = start.getTime() + 10000; time < end.getTime(); time += 10000) {
+        if (time <= at(50).getTime() || time >= at(130).getTime()) {
+            timestamps.push(new Date(time));
+        }
+    }
+    const coverage = dbService.calculateCoverage(timestamps, start, end, { excludedPeriods: excluded });
+    check('Maintenance left out of the expected readings', coverage.maintenanceMs === HOUR_MS &&
+        coverage.expectedReadings === 3 * 360, `${coverage.expectedReadings}`);
+    check('Only the gap outside maintenance is downtime', coverage.downtimeMs === 20 * MINUTE_MS &&
+        Math.abs(coverage.availabilityPercent - (160 / 180) * 100) < 1e-9, `${coverage.availabilityPercent.toFixed(2)}%`);
+    const plain = dbService.calculateCoverage(timestamps, start, end);
+    check('No windows, no change', plain.maintenanceMs === 0 && plain.downtimeMs === 80 * MINUTE_MS);
+
+    const transitions = [{ type: StationEventTypes.DISCONNECTED, timestamp: at(50) },
+        { type: StationEventTypes.CONNECTED, timestamp: at(130) }];
+    const uptime = dbService.calculateUptime(transitions, true, start, end, excluded);
+    check('Outage inside maintenance is not downtime', uptime.downtimeMs === 20 * MINUTE_MS &&
+        uptime.uptimeMs === 160 * MINUTE_MS && uptime.maintenanceMs === HOUR_MS,
+        `${uptime.uptimePercent.toFixed(2)}%`);
+    const unchanged = dbService.calculateUptime(transitions, true, start, end);
+    check('Uptime without windows unchanged', unchanged.downtimeMs === 80 * MINUTE_MS && unchanged.maintenanceMs === 0);
+
+    // Test 4: Alerts are muted
+    console.log('\nTest 4: Alert muting');
+    const engine = new AlertEngine(store, { maintenance: schedule });
+    await engine.loadRules();
+    await quiet(async () => {
+        await engine.handleReadings([reading('activePower1', 0, at(65))]);
+        await engine.tick(at(110));
+    });
+    check('No alert during maintenance', store.alerts.length === 0);
+    await quiet(async () => {
+        await engine.tick(at(120));
+        await engine.tick(at(120.5));
+    });
+    check('Hold time restarts when maintenance ends', store.alerts.length === 0);
+    await quiet(() => engine.tick(at(121)));
+    check('Raised once maintenance is over', store.alerts.length === 1 && store.alerts[0].field === 'activePower1');
+    await quiet(() => engine.handleReadings([reading('activePower2', 0, at(155))]));
+    await quiet(() => engine.tick(at(170)));
+    check('Channel window mutes its channel', !store.alerts.some((alert) => alert.field === 'activePower2'));
+
+    // Test 5: Off-air incidents in maintenance are planned
+    console.log('\nTest 5: Off-air');
+    const detector = new OffAirDetector(store, { log: false, relearnMs: Infinity, maintenance: schedule });
+    const profile = { loaded: true, offAirBelow: 100, normalLevel: 1300, scheduledSlots: [] };
+    ['activePower1', 'activePower2'].forEach((field) => detector.profiles.set(detector.key('phrae', field), profile));
+    await detector.handleReadings([reading('activePower1', 0, at(70)), reading('activePower2', 0, at(30))]);
+    await detector.tick(at(72));
+    const planned = store.incidents.find((incident) => incident.field === 'activePower1');
+    const unplanned = store.incidents.find((incident) => incident.field === 'activePower2');
+    check('Drop inside a window is planned maintenance', planned && planned.planned === true && planned.reason === 'maintenance');
+    check('Drop outside a window stays unplanned', unplanned && unplanned.planned === false && unplanned.reason === null);
+
+    // Test 6: Off-air summary
+    console.log('\nTest 6: Summary');
+    const summary = summarizeIncidents([
+        { stationId: 'phrae', field: 'activePower2', startedAt: at(140), endedAt: at(170), planned: false },
+        { stationId: 'phrae', field: 'activePower1', startedAt: at(140), endedAt: at(170), planned: false }
+    ], start, end, windows);
+    const channel2 = summary.find((entry) => entry.field === 'activePower2');
+    const channel1 = summary.find((entry) => entry.field === 'activePower1');
+    check('Unplanned time inside a later window counts as planned', channel2.unplannedMs === 10 * MINUTE_MS &&
+        channel2.plannedMs === 20 * MINUTE_MS && channel2.longestMs === 10 * MINUTE_MS);
+    check('Other channels keep their unplanned time', channel1.unplannedMs === 30 * MINUTE_MS && channel1.plannedMs === 0);
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testMaintenanceWindows().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
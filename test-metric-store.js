@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the generic metric store: objects mapped to registered
+ * metrics are captured as MetricReading samples beside the PowerReading columns
+ */
+
+const DatabaseService = require('./src/database/DatabaseService');
+const { DuplicatePolicies } = require('./src/database/DuplicatePolicies');
+const { validateMetricKey, buildObjectMetrics, mapPowerData, DEFAULT_OBJECT_FIELDS } =
+    require('./src/database/ObjectMapping');
+
+/**
+ * In-memory stand-in for the Prisma delegates the metric operations use
+ */
+class MemoryMetricPrisma {
+    constructor() {
+        this.definitions = new Map();
+        this.samples = new Map();
+        this.transactions = 0;
+        this.metricDefinition = {
+            findMany: async () => [...this.definitions.values()].sort((a, b) => a.key.localeCompare(b.key)),
+            upsert: async ({ where, update, create }) => {
+                const existing = this.definitions.get(where.key);
+                const definition = existing ? { ...existing, ...update } : { ...create };
+                this.definitions.set(where.key, definition);
+                return definition;
+            },
+            delete: async ({ where }) => {
+                const definition = this.definitions.get(where.key);
+                this.definitions.delete(where.key);
+                return definition;
+            }
+        };
+        this.metricReading = {
+            upsert: async ({ where, update, create }) => {
+                const { stationId, metricKey, timestamp } = where.stationId_metricKey_timestamp;
+                const key = `${stationId}|${metricKey}|${timestamp.getTime()}`;
+                const existing = this.samples.get(key);
+                const sample = existing ? { ...existing, ...update } : { ...create };
+                this.samples.set(key, sample);
+                return sample;
+            },
+            count: async ({ where }) => [...this.samples.values()].filter((sample) => sample.metricKey === where.metricKey).length,
+            deleteMany: async ({ where }) => {
+                const keys = [...this.samples.keys()].filter((key) => this.samples.get(key).metricKey === where.metricKey);
+                keys.forEach((key) => this.samples.delete(key));
+                return { count: keys.length };
+            }
+        };
+    }
+
+    async $transaction(operations) {
+        this.transactions++;
+        const results = [];
+        for (const operation of operations) {
+            results.push(await operation);
+        }
+        return results;
+    }
+}
+
+async function testMetricStore() {
+    console.log('🧪 Testing Metric Store\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+    const rejects = async (task, pattern) => {
+        try {
+            await task();
+            return false;
+        } catch (error) {
+            return pattern.test(error.message);
+        }
+    };
+
+    // Test 1: Mapping objects to metrics
+    console.log('Test 1: Mapping');
+    const objectMap = { activePower1: 8684, muxPower1: 18069, voltageL1: 9101, frequency: 9104, cabinetTemp: 9110 };
+    const objectMetrics = buildObjectMetrics(objectMap, ['voltageL1', 'frequency']);
+    check('Only registered keys become metrics', JSON.stringify(objectMetrics) === JSON.stringify({ 9101: 'voltageL1', 9104: 'frequency' }),
+        JSON.stringify(objectMetrics));
+    const mapped = mapPowerData({ 8684: '1300', 9101: '229.4', 9104: 'n/a', 9110: 31.5 }, DEFAULT_OBJECT_FIELDS, objectMetrics);
+    check('Columns and metrics split', mapped.values.activePower1 === 1300 && mapped.metrics.voltageL1 === 229.4 &&
+        !('voltageL1' in mapped.values), JSON.stringify(mapped));
+    check('Non-numeric metric samples skipped', !('frequency' in mapped.metrics) && !('9104' in mapped.unmapped));
+    check('Unregistered objects still reported', JSON.stringify(mapped.unmapped) === JSON.stringify({ 9110: 31.5 }));
+    check('Metric keys validated', await rejects(() => validateMetricKey('Voltage L1'), /Invalid metric key/) &&
+        await rejects(() => validateMetricKey('muxPower3'), /PowerReading column/) &&
+        !(await rejects(() => validateMetricKey('temp_cabinet'), /./)));
+
+    // Test 2: Registry
+    console.log('\nTest 2: Registry');
+    const prisma = new MemoryMetricPrisma();
+    const dbService = new DatabaseService();
+    dbService.executeOperation = (operation) => operation(prisma);
+    let lookups = 0;
+    dbService.getStationMonitoredObjects = async () => {
+        lookups++;
+        return { objectMap, objectIds: Object.values(objectMap), count: Object.keys(objectMap).length };
+    };
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    await dbService.defineMetric({ key: 'voltageL1', name: 'Voltage L1', unit: 'V' });
+    const time = new Date('2026-10-19T02:00:00Z');
+    const before = await dbService.mapStationPowerData('phrae', { 8684: 1300, 9101: 229.4, 9110: 31.5 }, time);
+    check('Registered metric captured', before.metrics.voltageL1 === 229.4 && before.values.activePower1 === 1300);
+    check('Metric not defined yet is unmapped', dbService.getUnmappedObjects('phrae').some((entry) => entry.objectId === '9110'));
+
+    await dbService.defineMetric({ key: 'cabinetTemp', name: 'Cabinet temperature', unit: '°C' });
+    const after = await dbService.mapStationPowerData('phrae', { 9110: 31.5 }, time);
+    check('Defining a metric reloads station mappings without a migration', after.metrics.cabinetTemp === 31.5 && lookups === 2,
+        `${lookups} lookups`);
+    check('Columns cannot be registered', await rejects(
+        () => dbService.defineMetric({ key: 'activePower1', name: 'Active Power 1' }), /PowerReading column/));
+    console.warn = originalWarn;
+
+    // Test 3: Samples
+    console.log('\nTest 3: Samples');
+    const samples = [
+        { stationId: 'phrae', timestamp: time, metrics: { voltageL1: 229.4, cabinetTemp: 31.5 } },
+        { stationId: 'phrae', timestamp: new Date(time.getTime() + 10000), metrics: { voltageL1: 230.1 } },
+        { stationId: 'phrae', timestamp: new Date(time.getTime() + 20000), metrics: {} }
+    ];
+    const written = await dbService.saveMetricReadings(prisma, samples, DuplicatePolicies.MERGE);
+    const first = prisma.samples.get(`phrae|voltageL1|${time.getTime()}`);
+    check('One long-format row per metric and timestamp', written === 3 && prisma.samples.size === 3 && prisma.transactions === 1);
+    check('Unit taken from the definition', first.unit === 'V' && first.value === 229.4 &&
+        prisma.samples.get(`phrae|cabinetTemp|${time.getTime()}`).unit === '°C');
+
+    await dbService.saveMetricReadings(prisma, [{ stationId: 'phrae', timestamp: time, metrics: { voltageL1: 1 } }],
+        DuplicatePolicies.KEEP_FIRST);
+    check('Keep first leaves a stored sample alone', prisma.samples.get(`phrae|voltageL1|${time.getTime()}`).value === 229.4);
+    await dbService.saveMetricReadings(prisma, [{ stationId: 'phrae', timestamp: time, metrics: { voltageL1: 228 } }],
+        DuplicatePolicies.KEEP_LAST);
+    check('Keep last replaces it', prisma.samples.get(`phrae|voltageL1|${time.getTime()}`).value === 228);
+    check('Nothing to write, no transaction', await dbService.saveMetricReadings(prisma, [samples[2]], DuplicatePolicies.MERGE) === 0 &&
+        prisma.transactions === 3);
+
+    // Test 4: Removing a metric
+    console.log('\nTest 4: Removal');
+    const originalError = console.error;
+    console.error = () => {};
+    const guarded = await rejects(() => dbService.deleteMetricDefinition('voltageL1'), /2 samples exist/);
+    console.error = originalError;
+    check('Metric with samples is kept unless asked', guarded && prisma.definitions.has('voltageL1'));
+    const deleted = await dbService.deleteMetricDefinition('voltageL1', { deleteReadings: true });
+    check('Removed with its samples', deleted === 2 && !prisma.definitions.has('voltageL1') && prisma.samples.size === 1);
+
+    // Test 5: Definitions changed by another process (station-manager metric-define)
+    console.log('\nTest 5: Reload');
+    console.warn = () => {};
+    await dbService.mapStationPowerData('phrae', { 9101: 229.4 }, time);
+    const cachedLookups = lookups;
+    const unchanged = !(await dbService.refreshMetricDefinitions());
+    await dbService.mapStationPowerData('phrae', { 9101: 229.4 }, time);
+    check('Unchanged definitions keep the station mappings', unchanged && lookups === cachedLookups);
+    prisma.definitions.set('voltageL1', { key: 'voltageL1', name: 'Voltage L1', unit: 'V', description: null });
+    const reloaded = await dbService.refreshMetricDefinitions();
+    const captured = await dbService.mapStationPowerData('phrae', { 9101: 229.4 }, time);
+    console.warn = originalWarn;
+    check('New definition picked up without a restart', reloaded && captured.metrics.voltageL1 === 229.4 &&
+        lookups === cachedLookups + 1, `${lookups - cachedLookups} lookups`);
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testMetricStore().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify mapping drift detection: registered objects that never
+ * appear in sync data or only report nulls are flagged by the monitor and show
+ * up in the station analyzer's mapping health report
+ */
+
+const CometDeviceSimulator = require('./src/simulator/CometDeviceSimulator');
+const ObjectSyncTracker = require('./src/comet/ObjectSyncTracker');
+const { StationMonitor, config } = require('./monitor');
+const DatabaseService = require('./src/database/DatabaseService');
+const StationAnalyzer = require('./src/utils/station-analyzer');
+const StationEventTypes = require('./src/database/StationEventTypes');
+const { summarizeMappingHealth } = require('./src/database/ObjectMapping');
+
+function waitFor(condition, timeoutMs, description) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (condition()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - started > timeoutMs) {
+                clearInterval(timer);
+                reject(new Error(`Timed out waiting for ${description}`));
+            }
+        }, 20);
+    });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function testObjectDrift() {
+    console.log('🧪 Testing Mapping Drift Detection\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    // Test 1: Tracker
+    console.log('Test 1: Tracker');
+    const tracker = new ObjectSyncTracker({ updateRate: 20, graceIntervals: 5, checkInterval: 60000 });
+    const drifts = [];
+    const restored = [];
+    tracker.on('drift', (drift) => drifts.push(drift));
+    tracker.on('restored', (entry) => restored.push(entry));
+    tracker.start([8684, 8685, 224272]);
+
+    tracker.check();
+    check('Nothing flagged before the first sync', drifts.length === 0);
+    tracker.record({ 8684: 1200, 8685: null, 99999: 5 });
+    tracker.check();
+    check('Nothing flagged during the grace period', drifts.length === 0 && tracker.getSummary().pending === 2);
+
+    await sleep(120);
+    tracker.record({ 8684: 1210 });
+    tracker.check();
+    tracker.check();
+    check('Missing and null objects flagged once', JSON.stringify(drifts.map((drift) => [drift.objectId, drift.status])) ===
+        '[[8685,"null"],[224272,"missing"]]', JSON.stringify(drifts));
+    const summary = tracker.getSummary();
+    check('Summary lists flagged IDs', summary.reporting === 1 && summary.missing.join() === '224272' && summary.null.join() === '8685',
+        JSON.stringify(summary));
+
+    tracker.start([8684, 8685, 224272]);
+    tracker.record({ 8684: 1220 });
+    await sleep(120);
+    tracker.check();
+    check('Re-registration does not repeat drift events', drifts.length === 2);
+    tracker.record({ 224272: 37118.6 });
+    check('Reporting again emits restored', restored.length === 1 && restored[0].objectId === 224272 &&
+        restored[0].previousStatus === 'missing' && tracker.getSummary().missing.length === 0);
+    tracker.stop();
+
+    // Test 2: Monitor against the simulator
+    console.log('\nTest 2: Monitor');
+    config.updateRate = 100;
+    config.objectTracking = { graceIntervals: 5 };
+    const simulator = new CometDeviceSimulator({
+        objects: {
+            8684: { type: 'ramp', base: 1000, ratePerSecond: 100 },
+            8685: null,
+            18069: { type: 'constant', base: 52000 }
+        }
+    });
+    const url = await simulator.start();
+    const monitor = new StationMonitor({ name: 'Simulator', ip: url, scene: CometDeviceSimulator.DEFAULT_SCENE });
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    try {
+        console.log = () => {};
+        console.warn = () => {};
+        await monitor.connect();
+        await monitor.initializeSession();
+        await waitFor(() => monitor.events.some((event) => event.type === StationEventTypes.OBJECT_NULL), 3000, 'drift events');
+        await sleep(200);
+        console.log = originalLog;
+
+        const missing = monitor.events.filter((event) => event.type === StationEventTypes.OBJECT_MISSING);
+        const nulls = monitor.events.filter((event) => event.type === StationEventTypes.OBJECT_NULL);
+        check('Registered objects absent from sync flagged', missing.length === 9 && !missing.some((event) => [8684, 18069].includes(event.objectId)),
+            `${missing.length} missing`);
+        check('Null object flagged with its label', nulls.length === 1 && nulls[0].objectId === 8685 && nulls[0].message.includes('Active Power 2'),
+            nulls[0] && nulls[0].message);
+        const status = monitor.getCircuitState().objects;
+        check('Status shows the drift', status.registered === 12 && status.reporting === 2 && status.null.join() === '8685',
+            JSON.stringify(status));
+
+        console.log = () => {};
+        simulator.setObject(8685, { type: 'constant', base: 640 });
+        await waitFor(() => monitor.events.some((event) => event.type === StationEventTypes.OBJECT_RESTORED), 2000, 'restored event');
+        console.log = originalLog;
+        check('Recovered object recorded', monitor.getCircuitState().objects.null.length === 0);
+
+        monitor.disconnect();
+        check('Tracker stopped on disconnect', monitor.objectTracker.timer === null);
+    } catch (error) {
+        console.log = originalLog;
+        check('Monitor drift detection', false, error.message);
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        monitor.disconnect();
+        await simulator.stop();
+    }
+
+    // Test 3: Mapping health summary
+    console.log('\nTest 3: Mapping health');
+    const at = (minutes) => new Date(Date.UTC(2026, 9, 19, 2, minutes));
+    const events = [
+        { type: StationEventTypes.UNMAPPED_OBJECT, objectId: 224272, timestamp: at(40), message: 'Object 224272 is not mapped' },
+        { type: StationEventTypes.OBJECT_RESTORED, objectId: 8685, timestamp: at(30) },
+        { type: StationEventTypes.OBJECT_MISSING, objectId: 75428, timestamp: at(20) },
+        { type: StationEventTypes.OBJECT_NULL, objectId: 8685, timestamp: at(10) }
+    ];
+    const objectMap = { activePower1: 8684, activePower2: 8685, muxPower5: 75428, voltageL1: 9101 };
+    const coverage = { total: 100, filled: { activePower1: 100, activePower2: 60, muxPower5: 0, voltageL1: 98 } };
+    const health = summarizeMappingHealth({ objectMap, coverage, events });
+    const byField = (field) => health.objects.find((object) => object.field === field);
+    check('Flagged object reported as drifted', byField('muxPower5').status === 'missing' &&
+        byField('muxPower5').flaggedAt.getTime() === at(20).getTime());
+    check('Restored object judged by fill rate', byField('activePower2').status === 'sparse' && byField('activePower2').percent === 60);
+    check('Metrics included', byField('voltageL1').status === 'ok');
+    check('Unmapped objects listed as candidates', health.unmapped.length === 1 && health.unmapped[0].objectId === 224272);
+    const standard = summarizeMappingHealth({ objectMap: {}, coverage: { total: 0, filled: {} }, events: [] });
+    check('Stations without rows use the standard IDs', standard.objects.length === 12 &&
+        standard.objects.every((object) => object.status === 'not stored'));
+
+    // Test 4: Analyzer check and event persistence
+    console.log('\nTest 4: Analyzer');
+    const analyzer = new StationAnalyzer();
+    const queries = [];
+    analyzer.db = {
+        getStationMonitoredObjects: async () => ({ objectMap, objectIds: Object.values(objectMap), count: 4 }),
+        getMetricDefinitions: async () => [{ key: 'voltageL1' }, { key: 'frequency' }],
+        getFieldCoverage: async (stationId, start, end, options) => {
+            queries.push({ start, end, ...options });
+            return coverage;
+        },
+        getStationEvents: async (stationId, options) => {
+            queries.push(options);
+            return events;
+        }
+    };
+    const output = [];
+    console.log = (...args) => output.push(args.join(' '));
+    await analyzer.mappingHealth({ id: 'ranong', name: 'ระนอง' }, 6);
+    console.log = originalLog;
+    check('Window and metrics passed to the queries', queries[0].metricKeys.join() === 'voltageL1' &&
+        queries[0].end - queries[0].start === 6 * 3600000 && queries[1].types.includes(StationEventTypes.OBJECT_MISSING));
+    check('Report shows drifted objects and next step', output.some((line) => line.includes('75428') && line.includes('missing')) &&
+        output.some((line) => line.includes('discover "ระนอง"')), output.join('\n'));
+
+    const created = [];
+    const dbService = new DatabaseService();
+    dbService.executeOperation = (operation) => operation({ stationEvent: { create: async ({ data }) => created.push(data) } });
+    await dbService.createStationEvent({ stationId: 'ranong', type: StationEventTypes.OBJECT_MISSING, objectId: '75428' });
+    await dbService.createStationEvent({ stationId: 'ranong', type: StationEventTypes.CONNECTED });
+    check('Object ID stored on the event', created[0].objectId === 75428 && created[1].objectId === null);
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testObjectDrift().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify ingestion uses each station's own object mapping
+ * (StationMonitoredObject) and reports object IDs the mapping does not cover
+ */
+
+const DatabaseService = require('./src/database/DatabaseService');
+const StationEventTypes = require('./src/database/StationEventTypes');
+const { DEFAULT_OBJECT_FIELDS, buildObjectFields, mapPowerData } = require('./src/database/ObjectMapping');
+
+async function testObjectMapping() {
+    console.log('🧪 Testing Station Object Mapping\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    // Test 1: Building a mapping
+    console.log('Test 1: Mappings');
+    const ranong = buildObjectFields({ activePower1: 8684, muxPower1: 18069, muxPower5: 224272 });
+    check('Station rows become objectId → field', ranong['224272'] === 'muxPower5' && ranong['8684'] === 'activePower1');
+    check('Only the station\'s own objects are mapped', ranong['75428'] === undefined);
+    check('Stations without rows use the standard IDs', buildObjectFields({}) === DEFAULT_OBJECT_FIELDS &&
+        buildObjectFields({ notAReading: 1 }) === DEFAULT_OBJECT_FIELDS);
+
+    const mapped = mapPowerData({ 8684: '6499.4', 224272: 37118.6, 75428: 5, muxPower2: 12, 8685: 'n/a' }, ranong);
+    check('Object IDs and field names translated', mapped.values.activePower1 === 6499.4 && mapped.values.muxPower5 === 37118.6 &&
+        mapped.values.muxPower2 === 12, JSON.stringify(mapped.values));
+    check('Unknown IDs are reported, not dropped', JSON.stringify(mapped.unmapped) === JSON.stringify({ 8685: 'n/a', 75428: 5 }),
+        JSON.stringify(mapped.unmapped));
+
+    // Test 2: Ingestion through DatabaseService
+    console.log('\nTest 2: Ingestion');
+    const dbService = new DatabaseService();
+    const lookups = [];
+    const events = [];
+    dbService.getStationMonitoredObjects = async (stationId) => {
+        lookups.push(stationId);
+        const objectMap = stationId === 'ranong' ? { activePower1: 8684, muxPower5: 224272 } : {};
+        return { objectMap, objectIds: Object.values(objectMap), count: Object.keys(objectMap).length };
+    };
+    dbService.getMetricDefinitions = async () => [];
+    dbService.createStationEvent = async (event) => {
+        events.push(event);
+        return event;
+    };
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    const time = new Date('2026-10-19T02:00:00Z');
+    const { values } = await dbService.mapStationPowerData('ranong', { 8684: 6499.4, 224272: 37118.6, 99999: 1 }, time);
+    await dbService.mapStationPowerData('ranong', { 99999: 2 }, new Date(time.getTime() + 10000));
+    const standard = (await dbService.mapStationPowerData('phrae', { 8684: 1300, 224272: 5 }, time)).values;
+    console.warn = originalWarn;
+
+    check('Station mapping applied', values.activePower1 === 6499.4 && values.muxPower5 === 37118.6);
+    check('Mapping loaded once per station', lookups.join() === 'ranong,phrae', lookups.join());
+    check('Other stations keep the standard IDs', standard.activePower1 === 1300 && standard.muxPower5 === undefined);
+    const unmapped = dbService.getUnmappedObjects('ranong');
+    check('Unmapped sightings counted', unmapped.length === 1 && unmapped[0].objectId === '99999' && unmapped[0].count === 2 &&
+        unmapped[0].lastValue === 2);
+    check('First sighting recorded as a station event', events.length === 2 &&
+        events.every((event) => event.type === StationEventTypes.UNMAPPED_OBJECT) &&
+        events[0].stationId === 'ranong' && events[1].stationId === 'phrae');
+
+    dbService.invalidateObjectFields('ranong');
+    await dbService.mapStationPowerData('ranong', { 8684: 1 }, time);
+    check('Invalidated mapping is reloaded', lookups.join() === 'ranong,phrae,ranong');
+
+    // Test 3: Validation ranges follow the mapping
+    console.log('\nTest 3: Validation');
+    const validation = dbService.validatePowerData({ 224272: -5, 8684: 200000 }, ranong);
+    check('Range checks use the mapped field', validation.warnings.length === 2 &&
+        validation.warnings.some((warning) => warning.includes('MUX Power ID 224272')), validation.warnings.join('; '));
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testObjectMapping().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
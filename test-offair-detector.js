@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify off-air detection: learned operating bands, scheduled
+ * windows, incident recording, history scans and the monthly summary
+ */
+
+const OffAirDetector = require('./src/services/OffAirDetector');
+const { learnChannelProfile, describeScheduledSlots, summarizeIncidents, hourOfWeek } = OffAirDetector;
+const LiveFeed = require('./src/server/LiveFeed');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Tuesday 20 October 2026, local midnight
+const LEARNED_AT = new Date(2026, 9, 20);
+
+/**
+ * Four weeks of hourly rollups for a broadcast site: activePower1 carries
+ * ~1.3 kW with maintenance every Tuesday 01:00-03:00 and one unplanned drop,
+ * activePower2 is an unused output, activePower3 is not wired at all
+ */
+function buildRollups() {
+    const rollups = [];
+    for (let time = LEARNED_AT.getTime() - 28 * DAY_MS; time < LEARNED_AT.getTime(); time += HOUR_MS) {
+        const bucketStart = new Date(time);
+        const maintenance = bucketStart.getDay() === 2 && bucketStart.getHours() >= 1 && bucketStart.getHours() < 3;
+        const unplanned = bucketStart.getMonth() === 9 && bucketStart.getDate() === 7 && bucketStart.getHours() === 14;
+        const level = 1200 + (bucketStart.getHours() % 5) * 50;
+        rollups.push({
+            bucketStart,
+            activePower1Avg: maintenance || unplanned ? 0 : level,
+            activePower1Min: maintenance || unplanned ? 0 : level - 30,
+            activePower2Avg: 3,
+            activePower2Min: 0,
+            activePower3Avg: null,
+            activePower3Min: null
+        });
+    }
+    return rollups;
+}
+
+/**
+ * In-memory store with the DatabaseService methods OffAirDetector uses
+ */
+class MemoryOffAirStore {
+    constructor() {
+        this.stations = [{ id: 'phrae', name: 'แพร่' }];
+        this.rollups = buildRollups();
+        this.readings = [];
+        this.incidents = [];
+        this.nextId = 1;
+    }
+
+    async getAllStations() {
+        return this.stations;
+    }
+
+    async getRollups(stationId, resolution, start, end) {
+        return this.rollups.filter((row) => row.bucketStart >= start && row.bucketStart < end);
+    }
+
+    async getReadingsForRollup(stationId, start, end) {
+        return this.readings.filter((row) => row.timestamp >= start && row.timestamp < end);
+    }
+
+    async getOpenOffAirIncidents() {
+        return this.incidents.filter((incident) => !incident.endedAt);
+    }
+
+    async createOffAirIncident(data) {
+        const incident = { id: `incident-${this.nextId++}`, endedAt: null, durationSeconds: null, ...data };
+        this.incidents.push(incident);
+        return { ...incident };
+    }
+
+    async updateOffAirIncident(id, data) {
+        const incident = this.incidents.find((entry) => entry.id === id);
+        Object.assign(incident, data);
+        return { ...incident };
+    }
+
+    async getMaintenanceWindows() {
+        return [];
+    }
+
+    async deleteOffAirIncidents(stationId, start, end) {
+        const before = this.incidents.length;
+        this.incidents = this.incidents.filter((incident) =>
+            incident.stationId !== stationId || incident.startedAt < start || incident.startedAt >= end);
+        return before - this.incidents.length;
+    }
+}
+
+function reading(field, value, time) {
+    return { station: 'แพร่', stationId: 'phrae', field, value, timestamp: new Date(time).toISOString() };
+}
+
+async function testOffAirDetector() {
+    console.log('🧪 Testing Off-Air Detector\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    // Test 1: Learning
+    console.log('Test 1: Learned profiles');
+    const rollups = buildRollups();
+    const loaded = learnChannelProfile(rollups, 'activePower1');
+    check('Loaded channel band', loaded.loaded && loaded.bandLow >= 1200 && loaded.bandHigh <= 1400,
+        `${loaded.bandLow}-${loaded.bandHigh} W`);
+    check('Off-air threshold is a fraction of the band', loaded.offAirBelow === loaded.bandLow * 0.1, `${loaded.offAirBelow} W`);
+    check('Weekly maintenance learned as scheduled', describeScheduledSlots(loaded.scheduledSlots).join() === 'Tue 01:00-03:00',
+        describeScheduledSlots(loaded.scheduledSlots).join());
+    check('One-off drop is not a schedule', !loaded.scheduledSlots.includes(hourOfWeek(new Date(2026, 9, 7, 14))));
+    check('Idle output is not watched', learnChannelProfile(rollups, 'activePower2').loaded === false);
+    check('No profile without history', learnChannelProfile(rollups, 'activePower3') === null &&
+        learnChannelProfile(rollups.slice(0, 24), 'activePower1') === null);
+    check('Slot descriptions', describeScheduledSlots([0, 1, 167]).join() === 'Sun 00:00-02:00,Sat 23:00-24:00');
+
+    // Test 2: Unplanned drop
+    console.log('\nTest 2: Unplanned drop');
+    const store = new MemoryOffAirStore();
+    const detector = new OffAirDetector(store, { log: false });
+    const events = [];
+    ['started', 'ended'].forEach((type) => detector.on(type, (incident) => events.push({ type, incident })));
+    await detector.learnProfiles(LEARNED_AT);
+
+    const t0 = new Date(2026, 9, 21, 10, 0).getTime(); // Wednesday 10:00
+    await detector.handleReadings([reading('activePower1', 1300, t0), reading('activePower2', 0, t0)]);
+    await detector.handleReadings([reading('activePower1', 0, t0 + 10000)]);
+    await detector.tick(new Date(t0 + 69000));
+    check('Not off-air before confirmSeconds', store.incidents.length === 0);
+    await detector.tick(new Date(t0 + 70000));
+    const incident = store.incidents[0];
+    check('Incident opened from the start of the drop', store.incidents.length === 1 && incident.field === 'activePower1' &&
+        incident.startedAt.getTime() === t0 + 10000 && incident.planned === false && incident.normalLevel === loaded.normalLevel);
+    await detector.handleReadings([reading('activePower1', 3, t0 + 5 * MINUTE_MS)]);
+    await detector.tick(new Date(t0 + 8 * MINUTE_MS));
+    check('No duplicate while off-air', store.incidents.length === 1);
+    await detector.handleReadings([reading('activePower1', 1280, t0 + 10 * MINUTE_MS + 10000)]);
+    check('Closed when power returns', incident.endedAt && incident.durationSeconds === 600 && incident.lowestValue === 0,
+        `${incident.durationSeconds}s`);
+    check('Started and ended events', events.map((event) => event.type).join() === 'started,ended');
+    check('Idle output at 0 W is not off-air', !store.incidents.some((entry) => entry.field === 'activePower2'));
+
+    await detector.handleReadings([reading('activePower1', 0, t0 + 20 * MINUTE_MS)]);
+    await detector.handleReadings([reading('activePower1', 1300, t0 + 20 * MINUTE_MS + 30000)]);
+    await detector.tick(new Date(t0 + 22 * MINUTE_MS));
+    check('Short dips are ignored', store.incidents.length === 1);
+
+    // Test 3: Scheduled window
+    console.log('\nTest 3: Scheduled window');
+    const t1 = new Date(2026, 9, 27, 1, 15).getTime(); // Tuesday 01:15
+    await detector.handleReadings([reading('activePower1', 0, t1)]);
+    await detector.tick(new Date(t1 + 2 * MINUTE_MS));
+    const planned = store.incidents[1];
+    check('Drop inside the weekly window is planned', planned && planned.planned === true && planned.reason === 'scheduled');
+
+    // Test 4: Restart
+    console.log('\nTest 4: Restart');
+    const restarted = new OffAirDetector(store, { log: false });
+    await restarted.learnProfiles(LEARNED_AT);
+    await restarted.restoreOpenIncidents();
+    await restarted.handleReadings([reading('activePower1', 0, t1 + 30 * MINUTE_MS)]);
+    await restarted.tick(new Date(t1 + 40 * MINUTE_MS));
+    check('Open incident restored instead of opened again', store.incidents.length === 2);
+    await restarted.handleReadings([reading('activePower1', 1300, t1 + 105 * MINUTE_MS)]);
+    check('Restored incident closes', planned.endedAt && planned.durationSeconds === 105 * 60);
+
+    // Test 5: History scan
+    console.log('\nTest 5: History scan');
+    const t2 = new Date(2026, 9, 22, 9, 0).getTime(); // Thursday 09:00
+    for (let time = t2; time < t2 + 2 * HOUR_MS; time += 10000) {
+        const off = time >= t2 + 30 * MINUTE_MS && time < t2 + 50 * MINUTE_MS;
+        store.readings.push({ timestamp: new Date(time), activePower1: off ? 0 : 1300, activePower2: 0, activePower3: null });
+    }
+    store.incidents.push({ id: 'stale', stationId: 'phrae', field: 'activePower1', startedAt: new Date(t2 + HOUR_MS),
+        endedAt: new Date(t2 + HOUR_MS + MINUTE_MS), planned: false });
+    const scan = await detector.scan(store.stations[0], new Date(2026, 9, 22), new Date(2026, 9, 23));
+    const scanned = store.incidents.filter((entry) => entry.startedAt >= new Date(2026, 9, 22) && entry.startedAt < new Date(2026, 9, 23));
+    check('Scan replaces incidents in the range', scan.deleted === 1 && scan.recorded === 1 && scanned.length === 1);
+    check('Scanned incident timing', scanned[0].startedAt.getTime() === t2 + 30 * MINUTE_MS && scanned[0].durationSeconds === 20 * 60,
+        `${scanned[0].durationSeconds}s`);
+    check('Scan leaves incidents outside the range alone', store.incidents.length === 3);
+
+    // Test 6: Monthly summary
+    console.log('\nTest 6: Summary');
+    const monthStart = new Date(2026, 9, 1);
+    const monthEnd = new Date(2026, 10, 1);
+    const summary = summarizeIncidents([
+        { stationId: 'phrae', station: { name: 'แพร่' }, field: 'activePower1', startedAt: new Date(2026, 8, 30, 23, 0), endedAt: new Date(2026, 9, 1, 1, 0), planned: false },
+        { stationId: 'phrae', station: { name: 'แพร่' }, field: 'activePower1', startedAt: new Date(2026, 9, 5), endedAt: new Date(2026, 9, 5, 0, 30), planned: false },
+        { stationId: 'phrae', station: { name: 'แพร่' }, field: 'activePower1', startedAt: new Date(2026, 9, 6, 1), endedAt: new Date(2026, 9, 6, 3), planned: true }
+    ], monthStart, monthEnd);
+    const channel = summary[0];
+    check('Incidents clipped to the month', summary.length === 1 && channel.unplannedMs === 90 * MINUTE_MS && channel.longestMs === HOUR_MS);
+    check('Planned time counted separately', channel.incidents === 2 && channel.planned === 1 && channel.plannedMs === 2 * HOUR_MS);
+    check('On-air percentage excludes planned time', Math.abs(channel.onAirPercent - (1 - 90 / (31 * 24 * 60)) * 100) < 1e-9,
+        `${channel.onAirPercent.toFixed(3)}%`);
+
+    // Test 7: Live feed
+    console.log('\nTest 7: Live feed');
+    const feedStore = new MemoryOffAirStore();
+    const feed = new LiveFeed();
+    const feedDetector = new OffAirDetector(feedStore, { log: false, tickMs: 60000, relearnMs: Infinity });
+    await feedDetector.start(feed);
+    await feedDetector.learnProfiles(LEARNED_AT);
+    feed.publish({ station: 'แพร่', stationId: 'phrae', timestamp: new Date(t0), values: { activePower1: 0 } });
+    await feedDetector.queue;
+    await feedDetector.tick(new Date(t0 + 2 * MINUTE_MS));
+    feedDetector.stop();
+    check('Readings from the feed are checked', feedStore.incidents.length === 1 && feed.listenerCount('readings') === 0);
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testOffAirDetector().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
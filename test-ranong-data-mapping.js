@@ -5,6 +5,16 @@
  */
 
 const DatabaseService = require('./src/database/DatabaseService');
+const { buildObjectFields, mapPowerData } = require('./src/database/ObjectMapping');
+
+// Station mappings as imported from monitorObjectId.csv (StationMonitoredObject rows)
+const stationObjects = {
+    'ระนอง': { activePower1: 8684, activePower2: 8685, activePower4: 8687, activePower5: 8688,
+        muxPower1: 18069, muxPower2: 18070, muxPower4: 73910, muxPower5: 224272 },
+    'สกลนคร': { activePower1: 8684, muxPower1: 18069, muxPower6: 18053 },
+    'ร้อยเอ็ด': { activePower1: 8684, muxPower1: 18069, muxPower5: 75432 },
+    'ภูเก็ต': { activePower1: 8684, muxPower1: 18069, muxPower5: 75483, muxPower6: 75484 }
+};
 
 async function testRanongDataMapping() {
     console.log('🧪 Testing ระนอง Station Data Mapping\n');
@@ -33,8 +43,8 @@ async function testRanongDataMapping() {
             console.log(`   ID ${id}: ${value}`);
         });
 
-        // Transform the data
-        const transformedData = dbService.transformPowerData(ranongData);
+        // Transform the data with ระนอง's own mapping
+        const transformedData = dbService.transformPowerData(ranongData, buildObjectFields(stationObjects['ระนอง']));
 
         console.log('\n🔄 Transformed Data for Database:');
         Object.entries(transformedData).forEach(([field, value]) => {
@@ -100,12 +110,16 @@ async function testRanongDataMapping() {
 
         testCases.forEach(testCase => {
             const testData = { [testCase.id]: testCase.value };
-            const result = dbService.transformPowerData(testData);
+            const result = dbService.transformPowerData(testData, buildObjectFields(stationObjects[testCase.station]));
             const isCorrect = result[testCase.field] === testCase.value;
             
             console.log(`   ${isCorrect ? '✅' : '❌'} ${testCase.station} ID ${testCase.id} → ${testCase.field}: ${result[testCase.field] || 'null'}`);
         });
 
+        // Without the station's mapping the alternative ID is reported, not dropped
+        const { unmapped } = mapPowerData({ '224272': 37118.60 });
+        console.log(`   ${unmapped['224272'] === 37118.60 ? '✅' : '❌'} ID 224272 is unmapped for stations without it`);
+
     } catch (error) {
         console.error('❌ Test failed:', error.message);
         process.exit(1);
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the write-ahead reading spool: batched flushes, keeping
+ * readings through a database outage, replay on restart, rollup rebuilds,
+ * rejected readings and a database that connects after the spool started
+ * (also for an HTTP API station started without one)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReadingSpool = require('./src/services/ReadingSpool');
+const ApiDataFetcher = require('./src/api/ApiDataFetcher');
+const { MonitorController, config } = require('./monitor');
+
+/**
+ * In-memory store with the DatabaseService methods ReadingSpool uses; `down`
+ * makes writes fail like a locked SQLite file, `rejectStation` refuses a
+ * station's readings like a foreign key violation
+ */
+class MemoryReadingStore {
+    constructor() {
+        this.readings = [];
+        this.batches = [];
+        this.down = false;
+        this.rejectStation = null;
+        this.stations = {}; // name -> id
+    }
+
+    async createBatchPowerReadings(readings) {
+        if (this.down) {
+            throw new Error('database is locked');
+        }
+        if (readings.some((entry) => entry.stationId === this.rejectStation)) {
+            throw new Error('Foreign key constraint failed on the field: `stationId`');
+        }
+        this.batches.push(readings.length);
+        this.readings.push(...readings);
+        return readings.length;
+    }
+
+    async getStationByName(name) {
+        return this.stations[name] ? { id: this.stations[name], name } : null;
+    }
+
+    async findOrCreateStation(stationConfig) {
+        return { id: this.stations[stationConfig.name], name: stationConfig.name };
+    }
+}
+
+/**
+ * Records the ranges the spool asks to be rebuilt
+ */
+class RecordingRollups {
+    constructor() {
+        this.rebuilds = [];
+    }
+
+    async rebuild(stationId, start, end) {
+        this.rebuilds.push({ stationId, start, end });
+        return 0;
+    }
+}
+
+function reading(stationId, time, value) {
+    return { stationId, timestamp: new Date(time), powerData: { 8684: value } };
+}
+
+async function testReadingSpool() {
+    console.log('🧪 Testing Reading Spool\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+    const originalLog = console.log;
+    const originalError = console.error;
+    const quiet = async (task) => {
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await task();
+        } finally {
+            console.log = originalLog;
+            console.error = originalError;
+        }
+    };
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reading-spool-'));
+    const spoolPath = path.join(tempDir, 'spool', 'readings.jsonl');
+    const t0 = new Date('2026-10-19T02:00:00Z').getTime();
+
+    // Test 1: Batched flush
+    console.log('Test 1: Flush');
+    const store = new MemoryReadingStore();
+    const rollups = new RecordingRollups();
+    const spool = new ReadingSpool(store, { path: spoolPath, flushMs: 60000, batchSize: 3 });
+    for (let i = 0; i < 5; i++) {
+        spool.append(reading('phrae', t0 + i * 10000, 1300 + i));
+    }
+    check('Readings are on disk before any flush', fs.readFileSync(spoolPath, 'utf8').trim().split('\n').length === 5 &&
+        store.readings.length === 0);
+    await quiet(() => spool.start(rollups));
+    check('Leftover readings flushed at start in batches', store.batches.join() === '3,2', store.batches.join());
+    check('Readings keep their station, time and values', store.readings[4].stationId === 'phrae' &&
+        new Date(store.readings[4].timestamp).getTime() === t0 + 40000 && store.readings[4].powerData['8684'] === 1304);
+    check('Spool truncated once written', fs.statSync(spoolPath).size === 0 && spool.offset === 0);
+    check('Leftover range rebuilt', rollups.rebuilds.length === 1 && rollups.rebuilds[0].start.getTime() === t0);
+    rollups.rebuilds = [];
+
+    // Test 2: Database outage
+    console.log('\nTest 2: Outage');
+    store.down = true;
+    spool.append(reading('phrae', t0 + 60000, 0));
+    spool.append(reading('nan', t0 + 70000, 800));
+    await quiet(() => spool.flush());
+    spool.append(reading('phrae', t0 + 80000, 1310));
+    await quiet(() => spool.flush());
+    check('Nothing lost while the database is down', store.readings.length === 5 && spool.pendingBytes() > 0 &&
+        spool.getStatus().failing && spool.getStatus().lastError === 'database is locked');
+    check('No rebuilds while failing', rollups.rebuilds.length === 0);
+
+    store.down = false;
+    const written = await quiet(() => spool.flush());
+    check('Backlog written when the database is back', written === 3 && store.readings.length === 8 &&
+        !spool.getStatus().failing);
+    const phrae = rollups.rebuilds.find((entry) => entry.stationId === 'phrae');
+    check('Replayed ranges rebuilt per station', rollups.rebuilds.length === 2 &&
+        phrae.start.getTime() === t0 + 60000 && phrae.end.getTime() === t0 + 80001);
+
+    spool.append(reading('phrae', t0 + 90000, 1320));
+    await quiet(() => spool.flush());
+    check('Normal flushes do not rebuild', rollups.rebuilds.length === 2 && store.readings.length === 9);
+    await quiet(() => spool.stop());
+
+    // Test 3: Crash and restart
+    console.log('\nTest 3: Restart');
+    // The previous run wrote the first line, then died mid-append
+    const lines = [reading('phrae', t0 + 130000, 1360), reading('phrae', t0 + 140000, 1370)]
+        .map((entry) => JSON.stringify({ ...entry, timestamp: entry.timestamp.toISOString() }) + '\n');
+    fs.writeFileSync(spoolPath, lines.join('') + '{"stationId":"phrae","timest\n');
+    fs.writeFileSync(`${spoolPath}.offset`, String(Buffer.byteLength(lines[0])));
+    const before = store.readings.length;
+    const restarted = new ReadingSpool(store, { path: spoolPath, flushMs: 60000 });
+    const restartRollups = new RecordingRollups();
+    await quiet(() => restarted.start(restartRollups));
+    await quiet(() => restarted.stop());
+    check('Restart resumes after the last flushed line', store.readings.length === before + 1 &&
+        store.readings[store.readings.length - 1].powerData['8684'] === 1370);
+    check('Unreadable lines are skipped, not retried forever', restarted.pendingBytes() === 0);
+    check('Replay on start rebuilds rollups', restartRollups.rebuilds.length === 1);
+
+    // Test 4: Rejected readings
+    console.log('\nTest 4: Rejected readings');
+    const rejectPath = path.join(tempDir, 'reject', 'readings.jsonl');
+    const rejectStore = new MemoryReadingStore();
+    rejectStore.rejectStation = 'deleted';
+    const rejecting = new ReadingSpool(rejectStore, { path: rejectPath, flushMs: 60000, batchSize: 10 });
+    rejecting.append(reading('phrae', t0, 1300));
+    rejecting.append(reading('deleted', t0, 500));
+    rejecting.append(reading('nan', t0, 800));
+    let flushed = await quiet(() => rejecting.flush());
+    check('Other stations written past the rejected reading', flushed === 2 &&
+        rejectStore.readings.map((entry) => entry.stationId).join() === 'phrae,nan');
+    check('Spool advanced past the rejected reading', rejecting.pendingBytes() === 0 && !rejecting.getStatus().failing);
+    const rejectedLines = fs.readFileSync(`${rejectPath}.rejected`, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    check('Rejected reading moved to the rejected file with its error', rejectedLines.length === 1 &&
+        rejectedLines[0].stationId === 'deleted' && rejectedLines[0].powerData['8684'] === 500 &&
+        rejectedLines[0].error.includes('Foreign key'));
+    const status = rejecting.getStatus();
+    check('Rejection recorded in the status', status.rejected === 1 && status.lastRejection.stationId === 'deleted' &&
+        status.lastRejection.error.includes('Foreign key'));
+
+    rejecting.append(reading('deleted', t0 + 10000, 510));
+    rejecting.append(reading('phrae', t0 + 10000, 1310));
+    flushed = await quiet(() => rejecting.flush());
+    check('Readings keep flowing while the station is still rejected', flushed === 1 &&
+        rejectStore.readings.length === 3 && rejecting.getStatus().rejected === 2);
+
+    rejectStore.down = true;
+    rejecting.append(reading('phrae', t0 + 20000, 1320));
+    await quiet(() => rejecting.flush());
+    check('Transient errors keep the reading spooled, not rejected', rejecting.pendingBytes() > 0 &&
+        rejecting.getStatus().rejected === 2 && rejecting.getStatus().lastError === 'database is locked');
+    rejectStore.down = false;
+    await quiet(() => rejecting.stop());
+
+    // Test 5: Database connects after the spool started
+    console.log('\nTest 5: Late database');
+    const latePath = path.join(tempDir, 'late', 'readings.jsonl');
+    const late = new ReadingSpool(null, { path: latePath, flushMs: 60000 });
+    await quiet(() => late.start());
+    late.append({ station: 'แพร่', timestamp: new Date(t0), powerData: { 8684: 1300 } });
+    late.append({ station: 'ไม่มี', timestamp: new Date(t0), powerData: { 8684: 1 } });
+    await quiet(() => late.flush());
+    check('Readings kept without a database', late.pendingBytes() > 0 && late.getStatus().lastError === 'Database not connected');
+
+    const lateStore = new MemoryReadingStore();
+    lateStore.stations['แพร่'] = 'phrae';
+    const lateRollups = new RecordingRollups();
+    late.setDatabase(lateStore, lateRollups);
+    flushed = await quiet(() => late.flush());
+    check('Written once the database is set, station resolved by name', flushed === 1 &&
+        lateStore.readings[0].stationId === 'phrae' && late.pendingBytes() === 0);
+    check('Unknown station name rejected', late.getStatus().rejected === 1 && late.getStatus().lastRejection.station === 'ไม่มี');
+    check('Backlog range rebuilt', lateRollups.rebuilds.length === 1 && lateRollups.rebuilds[0].stationId === 'phrae');
+    await quiet(() => late.stop());
+
+    // Test 6: API station started without a database
+    console.log('\nTest 6: API station without a database');
+    config.reload.enabled = false;
+    const controller = new MonitorController({ backgroundJobs: false });
+    controller.spool = new ReadingSpool(null, { path: path.join(tempDir, 'api', 'readings.jsonl'), flushMs: 60000 });
+    await quiet(() => controller.spool.start());
+    const fetcher = await quiet(() => controller.addMonitor({ name: 'ลำปาง', ipAddress: 'http://127.0.0.1:9/data' }));
+    const apiData = (power1) => ({ mux1: 1000, mux2: 2000, power1, power2: 0 });
+    await quiet(() => fetcher.processApiData(apiData(1500)));
+    check('API reading spooled without a station record', fetcher instanceof ApiDataFetcher && !fetcher.stationRecord &&
+        controller.spool.pendingBytes() > 0);
+
+    const apiStore = new MemoryReadingStore();
+    apiStore.stations['ลำปาง'] = 'lampang';
+    await quiet(() => controller.attachDatabase(apiStore));
+    await quiet(() => fetcher.processApiData(apiData(1600)));
+    await quiet(() => controller.spool.flush());
+    check('API station attached to the database', fetcher.databaseService === apiStore && fetcher.stationRecord.id === 'lampang');
+    check('Spooled and new API readings written', apiStore.readings.length === 2 &&
+        apiStore.readings.every((entry) => entry.stationId === 'lampang') &&
+        apiStore.readings.map((entry) => entry.powerData.activePower1).join() === '1500,1600' &&
+        controller.spool.pendingBytes() === 0);
+    await quiet(() => controller.spool.stop());
+
+    fs.rmSync(tempDir, { recursive: true, force: true });
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testReadingSpool().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify indefinite reconnect with exponential backoff and circuit state
+ */
+
+const CometDeviceSimulator = require('./src/simulator/CometDeviceSimulator');
+const ReconnectPolicy = require('./src/comet/ReconnectPolicy');
+const { StationMonitor, config } = require('./monitor');
+
+function waitFor(condition, timeoutMs, description) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (condition()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - started > timeoutMs) {
+                clearInterval(timer);
+                reject(new Error(`Timed out waiting for ${description}`));
+            }
+        }, 20);
+    });
+}
+
+async function testReconnectPolicy() {
+    console.log('🧪 Testing Reconnect Policy\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    // Test 1: Backoff growth, cap and jitter
+    console.log('Test 1: Delay calculation');
+    const noJitter = new ReconnectPolicy({ initialDelay: 1000, maxDelay: 30000, jitter: 0 });
+    const delays = [1, 2, 3, 4, 5, 6, 7].map((attempt) => noJitter.getDelay(attempt));
+    check('Delays double per attempt', delays.slice(0, 5).join(',') === '1000,2000,4000,8000,16000', delays.join(', '));
+    check('Delays are capped', delays[5] === 30000 && delays[6] === 30000);
+
+    const lowJitter = new ReconnectPolicy({ initialDelay: 1000, jitter: 0.2, random: () => 0 });
+    const highJitter = new ReconnectPolicy({ initialDelay: 1000, jitter: 0.2, random: () => 0.999999 });
+    check('Jitter spreads delays', lowJitter.getDelay(1) === 800 && highJitter.getDelay(1) === 1200,
+        `${lowJitter.getDelay(1)}-${highJitter.getDelay(1)}ms`);
+
+    // Test 2: Retries never give up and circuit state moves to "down"
+    console.log('\nTest 2: Indefinite retries');
+    const policy = new ReconnectPolicy({ initialDelay: 5, maxDelay: 20, jitter: 0, downAfterAttempts: 3 });
+    let calls = 0;
+    policy.schedule(async () => {
+        calls++;
+        if (calls < 8) {
+            throw new Error('still offline');
+        }
+        policy.recordConnected();
+    }, new Error('link down'));
+    check('State is backing-off after first failure', policy.getState().state === 'backing-off');
+    await waitFor(() => policy.getState().state === 'down', 2000, 'down state');
+    const downState = policy.getState();
+    check('State becomes down after repeated failures', downState.state === 'down' && downState.downSince instanceof Date,
+        `down since ${downState.downSince && downState.downSince.toISOString()}`);
+    check('Last error recorded', downState.lastError === 'still offline');
+    await waitFor(() => policy.getState().state === 'connected', 2000, 'recovery');
+    check('Keeps retrying past the old limits until success', calls === 8, `${calls} attempts`);
+    check('Backoff reset after success', policy.getState().attempts === 0 && policy.getState().downSince === null);
+
+    // Test 3: StationMonitor recovers from a device outage
+    console.log('\nTest 3: StationMonitor outage recovery');
+    config.reconnect = { initialDelay: 50, maxDelay: 200, multiplier: 2, jitter: 0, downAfterAttempts: 2 };
+
+    const simulator = new CometDeviceSimulator({ objects: { 8684: 10500 }, updateRate: 100 });
+    const url = await simulator.start();
+    const port = simulator.server.address().port;
+
+    const monitor = new StationMonitor({ name: 'Simulator', ip: url, scene: CometDeviceSimulator.DEFAULT_SCENE });
+
+    try {
+        await monitor.connect();
+        await monitor.initializeSession();
+        check('Circuit connected', monitor.getCircuitState().state === 'connected');
+
+        // Take the device offline long enough to exceed downAfterAttempts
+        await simulator.stop();
+        await waitFor(() => monitor.getCircuitState().state === 'down', 5000, 'down state');
+        check('Circuit reports down while device is offline', true, `attempt ${monitor.getCircuitState().attempts}`);
+
+        simulator.options.port = port;
+        await simulator.start();
+        await waitFor(() => monitor.getCircuitState().state === 'connected', 5000, 'reconnect');
+        check('Monitor reconnects when the device returns', monitor.isConnected && Boolean(monitor.USID));
+
+        monitor.disconnect();
+        check('Intentional disconnect stops retrying', monitor.getCircuitState().state === 'idle');
+    } catch (error) {
+        check('Outage recovery', false, error.message);
+    } finally {
+        monitor.disconnect();
+        await simulator.stop();
+    }
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testReconnectPolicy().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify object discovery: reading a station's scene, proposing
+ * activePower/muxPower object IDs by label and saving the accepted mapping
+ */
+
+const CometDeviceSimulator = require('./src/simulator/CometDeviceSimulator');
+const SceneDiscovery = require('./src/comet/SceneDiscovery');
+const { extractSceneObjects, proposeMapping, matchLabel } = SceneDiscovery;
+const StationManager = require('./src/utils/station-manager');
+
+/**
+ * In-memory store with the DatabaseService methods the discover command uses
+ */
+class MemoryDiscoveryStore {
+    constructor(station, objectMap) {
+        this.station = station;
+        this.objectMap = objectMap;
+        this.saved = null;
+    }
+
+    async getStationByName(name) {
+        return name === this.station.name ? this.station : null;
+    }
+
+    async getMetricDefinitions() {
+        return [{ key: 'voltageL1', name: 'Voltage L1', unit: 'V' }];
+    }
+
+    async getStationMonitoredObjects() {
+        return { objectMap: this.objectMap, objectIds: Object.values(this.objectMap), count: Object.keys(this.objectMap).length };
+    }
+
+    async updateStationMonitoredObjects(stationId, objectMap) {
+        this.saved = objectMap;
+        return Object.keys(objectMap).length;
+    }
+}
+
+async function testSceneDiscovery() {
+    console.log('🧪 Testing Scene Object Discovery\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    // Test 1: Reading the scene
+    console.log('Test 1: Scene objects');
+    const scene = {
+        uuid: 'scene-1',
+        id: 17,
+        pages: [{
+            id: 3,
+            widgets: [
+                { id: 40, objectId: 8684, caption: 'Active Power 1', unit: 'W' },
+                { id: 41, objId: '224272', label: 'MUX#5 Power Meter', unit: 'kWh', value: 37118.6 },
+                { id: 42, text: 'Title only' }
+            ]
+        }],
+        objects: [8684, 224272, 75428]
+    };
+    const scriptInfo = { scripts: [{ name: 'meters', points: [{ oid: 9101, title: 'Voltage L1', units: 'V' }] }] };
+    const objects = extractSceneObjects(scriptInfo, scene);
+    check('Objects found in nested nodes and ID lists', JSON.stringify(objects.map((object) => object.objectId)) === '[8684,9101,75428,224272]',
+        objects.map((object) => object.objectId).join());
+    check('Widget and page IDs are not objects', !objects.some((object) => [17, 3, 40, 41, 42].includes(object.objectId)));
+    const mux5 = objects.find((object) => object.objectId === 224272);
+    check('Labels, units and scene values kept', mux5.label === 'MUX#5 Power Meter' && mux5.unit === 'kWh' && mux5.value === 37118.6 &&
+        objects.find((object) => object.objectId === 75428).label === null);
+
+    // Test 2: Proposals
+    console.log('\nTest 2: Proposals');
+    check('Active power labels', matchLabel('Active Power 1', 'W') === 'activePower1' && matchLabel('กำลังไฟฟ้า 3', 'kW') === 'activePower3');
+    check('MUX meter labels', matchLabel('MUX#2 MCOT Power Meter', 'kWh') === 'muxPower2' && matchLabel('Thai PBS energy', 'kWh') === 'muxPower4' &&
+        matchLabel('มิเตอร์ MUX#6') === 'muxPower6');
+    check('Units veto a mismatching label', matchLabel('Active Power 2', 'kWh') === null && matchLabel('MUX#1 load', 'W') === null &&
+        matchLabel('TV5 studio') === null);
+
+    const proposal = proposeMapping(objects, [{ key: 'voltageL1', name: 'Voltage L1' }]);
+    check('Labelled object wins over the standard ID', proposal.mapping.muxPower5 === 224272 &&
+        proposal.objects.find((object) => object.objectId === 75428).conflict === 224272, JSON.stringify(proposal.mapping));
+    check('Metric matched by name', proposal.mapping.voltageL1 === 9101);
+    check('Reasons given', proposal.objects.find((object) => object.objectId === 8684).reason === 'label' &&
+        proposal.objects.find((object) => object.objectId === 75428).reason === 'standard ID');
+
+    // Test 3: Discovery against the simulator
+    console.log('\nTest 3: Simulator');
+    const objectSpecs = CometDeviceSimulator.defaultObjects();
+    delete objectSpecs[75428];
+    objectSpecs[224272] = { type: 'constant', base: 37118.6, label: 'MUX#5 Power Meter', unit: 'kWh' };
+    objectSpecs[99001] = { type: 'constant', base: 50 };
+    const simulator = new CometDeviceSimulator({ objects: objectSpecs });
+    const url = await simulator.start();
+
+    const originalLog = console.log;
+    try {
+        const discovery = new SceneDiscovery({ name: 'Simulator', url, scene: CometDeviceSimulator.DEFAULT_SCENE, updateRate: 100, valueTimeout: 3000 });
+        const discovered = await discovery.discover();
+        const byId = (objectId) => discovered.find((object) => object.objectId === objectId) || {};
+        check('Every scene object listed', discovered.length === 13, `${discovered.length} objects`);
+        check('Current values read from sync', byId(224272).value === 37118.6 && byId(99001).value === 50 && byId(8684).value > 10000);
+        check('Connection closed afterwards', await new Promise((resolve) => setTimeout(() => resolve(simulator.connectionCount === 0), 200)));
+
+        // Test 4: The discover command
+        console.log('\nTest 4: discover command');
+        const store = new MemoryDiscoveryStore(
+            { id: 'ranong', name: 'ระนอง', ipAddress: url, scene: CometDeviceSimulator.DEFAULT_SCENE },
+            { activePower1: 8684, muxPower5: 75428, voltageL1: 9101 }
+        );
+        const manager = new StationManager();
+        manager.db = store;
+        const output = [];
+        console.log = (...args) => output.push(args.join(' '));
+        await manager.discoverObjects('ระนอง', { valueTimeout: 2000 });
+        console.log = originalLog;
+        check('Proposal shown, nothing saved without --write', store.saved === null &&
+            output.some((line) => line.includes('~ muxPower5: 75428 → 224272')));
+
+        console.log = (...args) => output.push(args.join(' '));
+        await manager.discoverObjects('ระนอง', { write: true, ignore: ['activePower6'], set: 'muxPower6=99001', valueTimeout: 2000 });
+        console.log = originalLog;
+        check('Accepted mapping saved', store.saved && store.saved.muxPower5 === 224272 && store.saved.muxPower6 === 99001 &&
+            store.saved.activePower5 === 8688, JSON.stringify(store.saved));
+        check('--ignore and unproposed stored objects respected', store.saved && store.saved.activePower6 === undefined &&
+            store.saved.voltageL1 === 9101);
+    } finally {
+        console.log = originalLog;
+        await simulator.stop();
+    }
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testSceneDiscovery().then((passed) => {
+    process.exit(passed ? 0 : 1);
+}).catch((error) => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the StationMonitor handshake end-to-end against the local device simulator
+ */
+
+const CometDeviceSimulator = require('./src/simulator/CometDeviceSimulator');
+const { StationMonitor } = require('./monitor');
+
+function waitFor(condition, timeoutMs, description) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (condition()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - started > timeoutMs) {
+                clearInterval(timer);
+                reject(new Error(`Timed out waiting for ${description}`));
+            }
+        }, 100);
+    });
+}
+
+async function testSimulatorSession() {
+    console.log('🧪 Testing StationMonitor against the Comet device simulator\n');
+
+    const simulator = new CometDeviceSimulator({
+        objects: {
+            8684: { type: 'constant', base: 10500 },
+            8685: { type: 'sine', base: 5200, amplitude: 50, periodMs: 10000 },
+            18069: { type: 'ramp', base: 969561.5, ratePerSecond: 1 }
+        }
+    });
+
+    const methods = [];
+    simulator.on('request', (msg) => methods.push(msg.method));
+
+    const url = await simulator.start();
+    console.log(`📡 Simulator listening on ${url}\n`);
+
+    const monitor = new StationMonitor({
+        name: 'Simulator',
+        ip: url,
+        scene: CometDeviceSimulator.DEFAULT_SCENE
+    });
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    try {
+        // Test 1: Full handshake
+        console.log('Test 1: signIn → subscribeNotification → setUpdateRate → loadScene → registerActiveObjects');
+        await monitor.connect();
+        await monitor.initializeSession();
+
+        check('USID received', Boolean(monitor.USID), monitor.USID && `${monitor.USID.substring(0, 10)}...`);
+        check('Handshake order', JSON.stringify(methods) === JSON.stringify([
+            'comet.signIn',
+            'comet.subscribeNotification',
+            'ScriptEngine.setUpdateRate',
+            'ScriptEngine.loadScriptInfo',
+            'ScriptEngine.loadDashboards',
+            'ScriptEngine.loadScriptInfo',
+            'ScriptEngine.loadScene',
+            'ScriptEngine.registerActiveObjects'
+        ]), methods.join(' → '));
+
+        // Test 2: Sync notifications reach updateData
+        console.log('\nTest 2: ScriptEngine sync notifications');
+        await waitFor(() => monitor.dataBuffer[8684] !== undefined, 10000, 'first sync');
+        check('Active Power 1 value', monitor.dataBuffer[8684] === 10500, `${monitor.dataBuffer[8684]}`);
+        check('MUX#1 counter value', monitor.dataBuffer[18069] >= 969561.5, `${monitor.dataBuffer[18069]}`);
+        check('Unsimulated objects ignored', monitor.dataBuffer[8686] === undefined);
+
+        // Test 3: Forced disconnect is detected
+        console.log('\nTest 3: Forced disconnect');
+        simulator.dropConnections();
+        await waitFor(() => !monitor.isConnected, 5000, 'disconnect');
+        check('Disconnect detected', !monitor.isConnected);
+
+        // Test 4: Wrong credentials are rejected by the simulator
+        console.log('\nTest 4: Scriptable failures');
+        simulator.options.password = 'wrong';
+        const rejected = await new Promise((resolve) => {
+            const WebSocket = require('ws');
+            const ws = new WebSocket(url);
+            ws.on('open', () => ws.send(JSON.stringify({ id: 0, method: 'comet.signIn', params: [{}, 'Admin', 'admin', {}, 30, 30] }) + '\n'));
+            ws.on('message', (data) => {
+                const msg = JSON.parse(data);
+                ws.terminate();
+                resolve(Boolean(msg.error) && !msg.result);
+            });
+        });
+        check('Bad credentials rejected', rejected);
+
+    } catch (error) {
+        check('Session test', false, error.message);
+    } finally {
+        monitor.disconnect();
+        await simulator.stop();
+    }
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testSimulatorSession().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});
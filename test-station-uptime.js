@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify data coverage (uptime) calculation from reading timestamps
+ */
+
+const DatabaseService = require('./src/database/DatabaseService');
+
+function testStationUptime() {
+    console.log('🧪 Testing Station Data Coverage\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    const dbService = new DatabaseService();
+    const start = new Date('2026-09-01T00:00:00Z');
+    const end = new Date('2026-09-01T01:00:00Z');
+    const options = { intervalMs: 10000, gapThresholdMs: 5 * 60 * 1000 };
+
+    // Readings every 10s, except a 20-minute outage from 00:20 to 00:40
+    const timestamps = [];
+    for (let t = start.getTime() + 10000; t < end.getTime(); t += 10000) {
+        const offset = t - start.getTime();
+        if (offset <= 20 * 60 * 1000 || offset >= 40 * 60 * 1000) {
+            timestamps.push(new Date(t));
+        }
+    }
+
+    // Test 1: Station with one outage
+    console.log('Test 1: One 20-minute outage in an hour');
+    const coverage = dbService.calculateCoverage(timestamps, start, end, options);
+    check('Expected readings from save interval', coverage.expectedReadings === 360, `${coverage.expectedReadings}`);
+    check('Received readings counted', coverage.receivedReadings === timestamps.length, `${coverage.receivedReadings}`);
+    check('Longest gap is the outage', coverage.longestGap.durationMs === 20 * 60 * 1000,
+        `${coverage.longestGap.start.toISOString()} → ${coverage.longestGap.end.toISOString()}`);
+    check('One gap over the threshold', coverage.gapCount === 1);
+    check('Availability excludes the outage', Math.abs(coverage.availabilityPercent - (40 / 60) * 100) < 0.01,
+        `${coverage.availabilityPercent.toFixed(2)}%`);
+
+    // Test 2: Short hiccups stay under the threshold
+    console.log('\nTest 2: Gaps below the threshold');
+    const sparse = timestamps.filter((_, index) => index % 3 !== 0);
+    const sparseCoverage = dbService.calculateCoverage(sparse, start, end, options);
+    check('Missing single readings are not outages', sparseCoverage.gapCount === 1);
+    check('Reading percentage reflects the missing readings', sparseCoverage.readingsPercent < coverage.readingsPercent,
+        `${sparseCoverage.readingsPercent.toFixed(1)}%`);
+
+    // Test 3: Dark for the whole period, and dark at the end
+    console.log('\nTest 3: Dark station');
+    const dark = dbService.calculateCoverage([], start, end, options);
+    check('No readings means 0% availability', dark.availabilityPercent === 0 && dark.gapCount === 1);
+    check('Whole period is one gap', dark.longestGap.durationMs === 60 * 60 * 1000);
+
+    const trailing = dbService.calculateCoverage(timestamps.filter((t) => t < new Date('2026-09-01T00:10:00Z')), start, end, options);
+    check('Trailing gap until period end is counted', trailing.longestGap.end.getTime() === end.getTime(),
+        `${trailing.availabilityPercent.toFixed(2)}%`);
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+process.exit(testStationUptime() ? 0 : 1);
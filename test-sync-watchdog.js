@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the stale-data watchdog re-initialises a silent station
+ */
+
+const CometDeviceSimulator = require('./src/simulator/CometDeviceSimulator');
+const { StationMonitor, config } = require('./monitor');
+
+function waitFor(condition, timeoutMs, description) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (condition()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - started > timeoutMs) {
+                clearInterval(timer);
+                reject(new Error(`Timed out waiting for ${description}`));
+            }
+        }, 20);
+    });
+}
+
+async function testSyncWatchdog() {
+    console.log('🧪 Testing Stale-Data Watchdog\n');
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    config.updateRate = 100;
+    config.watchdog = { maxMissedIntervals: 3 };
+
+    const simulator = new CometDeviceSimulator({ objects: { 8684: { type: 'ramp', base: 1000, ratePerSecond: 100 } } });
+    const url = await simulator.start();
+
+    const requests = [];
+    simulator.on('request', (msg) => requests.push(msg.method));
+
+    const monitor = new StationMonitor({ name: 'Simulator', ip: url, scene: CometDeviceSimulator.DEFAULT_SCENE });
+
+    try {
+        await monitor.connect();
+        await monitor.initializeSession();
+        await waitFor(() => monitor.dataBuffer[8684] !== undefined, 2000, 'first sync');
+        check('Sync notifications received', true, `${monitor.dataBuffer[8684]}`);
+
+        // Test 1: The device reloads its scene and stops sending sync notifications
+        console.log('\nTest 1: Scene reload on the device');
+        requests.length = 0;
+        simulator.reloadScene();
+        await waitFor(() => monitor.events.some((event) => event.type === 'SYNC_STALL'), 3000, 'stall event');
+
+        const stall = monitor.events.find((event) => event.type === 'SYNC_STALL');
+        check('Stall recorded as an event', Boolean(stall), stall && stall.message);
+        check('Connection kept open', monitor.isConnected);
+
+        await waitFor(() => requests.includes('ScriptEngine.registerActiveObjects'), 2000, 're-registration');
+        check('Session re-initialised (loadScene + registerActiveObjects)',
+            JSON.stringify(requests) === JSON.stringify(['ScriptEngine.loadScene', 'ScriptEngine.registerActiveObjects']),
+            requests.join(' → '));
+
+        const valueAfterStall = monitor.dataBuffer[8684];
+        await waitFor(() => monitor.dataBuffer[8684] !== valueAfterStall, 2000, 'sync after recovery');
+        check('Sync notifications resume', true, `${valueAfterStall} → ${monitor.dataBuffer[8684]}`);
+
+        // Test 2: No false alarms while data flows
+        console.log('\nTest 2: Healthy station');
+        const stallCount = monitor.watchdog.stallCount;
+        await new Promise((resolve) => setTimeout(resolve, 600));
+        check('No stall while sync notifications arrive', monitor.watchdog.stallCount === stallCount);
+
+        // Test 3: Disconnect stops the watchdog
+        monitor.disconnect();
+        check('Watchdog stopped on disconnect', !monitor.watchdog.getStatus().running);
+    } catch (error) {
+        check('Watchdog test', false, error.message);
+    } finally {
+        monitor.disconnect();
+        await simulator.stop();
+    }
+
+    const passed = results.every(Boolean);
+    console.log(`\n📊 Test Result: ${passed ? '✅ PASSED' : '❌ FAILED'}`);
+    return passed;
+}
+
+testSyncWatchdog().then((passed) => {
+    process.exit(passed ? 0 : 1);
+});